@@ -7,31 +7,61 @@
       resetYearRange,
       setInsuranceProgramFilter,
       resetInsuranceProgramFilter,
+      setNamedInsuredFilter,
+      resetNamedInsuredFilter,
       setPolicyLimitTypeFilter,
       resetPolicyLimitTypeFilter,
       setChartTheme,
       exportChartAsPNG,
+      exportChartAsSVG,
       exportFilteredCSV,
       exportReportPDF,
+      getCoverageNarrative,
+      exportWorkbookXLSX,
       setEntityFilters,
       resetEntityFilters,
       setZoomRange,
       resetZoomRange,
       getFilteredSlices,
+      getCarrierInsolvencies,
+      getQuotaShareIssues,
       setCoverageTotalsVisible,
       getYearLabelAnchors,
       setAnnualizedMode,
-      getPolicySelectionFromEvent
+      getPolicySelectionFromEvent,
+      setAllSumsScenario,
+      clearAllSumsScenario,
+      getAllSumsResult,
+      getYearFromEvent,
+      setAsOfDate,
+      getAsOfDateBounds,
+      getChartState,
+      setChartState,
+      setLegendSelectionListener
     } from "/Modules/shared/js/coverage/coverageChartEngine.js";
-    import { money, compactMoney } from "../shared/js/core/format.js";
+    import { hasChartState, parseChartState, serializeChartState } from "../shared/js/coverage/chartState.js";
+    import { collectibleLimit } from "../shared/js/coverage/collectibility.js";
+    import { toNum, fetchJSON, sendJSON } from "../shared/js/core/data.js";
+    import { money, compactMoney, formatDate } from "../shared/js/core/format.js";
     import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
     import {
       buildCheckboxMenu,
       selectedValuesFromCheckboxMenu,
       clearCheckboxMenu,
+      setCheckboxMenuValues,
       resetCheckboxMenuSearch,
       updateDropdownLabel
     } from "../shared/js/ui/multiSelect.js";
+    import { createNarrativeEditor } from "../shared/js/ui/narrativeEditor.js";
+
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
 
     function showError(err) {
       const box = document.getElementById("errorBox");
@@ -39,7 +69,7 @@
       box.textContent =
         "ERROR:\\n" + (err?.stack || err?.message || String(err)) +
         "\\n\\nQuick checks:" +
-        "\\n- Chart.js loaded (CDN)" +
+        "\\n- Chart.js loaded from /vendor (run npm install on the server)" +
         "\\n- CSV URLs correct (PolicyLimits, PolicyDates, Policy, Carrier, CarrierGroup)" +
         "\\n- Server is serving /data and /Modules";
     }
@@ -66,7 +96,6 @@
 
         await renderCoverageChart({
           canvasId: "coverageCanvas",
-          csvUrl: "/data/OriginalFiles/tblPolicyLimits.csv",
           initialView: "carrier",
           barThickness: "flex",
           categorySpacing: 1.0,
@@ -77,7 +106,10 @@
 
         const startYearSelect = document.getElementById("startYearSelect");
         const endYearSelect = document.getElementById("endYearSelect");
-        const insuranceProgramSelect = document.getElementById("insuranceProgramSelect");
+        const insuranceProgramDropdownMenu = document.getElementById("insuranceProgramDropdownMenu");
+        const insuranceProgramDropdownLabel = document.getElementById("insuranceProgramDropdownLabel");
+        const namedInsuredDropdownMenu = document.getElementById("namedInsuredDropdownMenu");
+        const namedInsuredDropdownLabel = document.getElementById("namedInsuredDropdownLabel");
         const policyLimitTypeSelect = document.getElementById("policyLimitTypeSelect");
         const themeToggleBtn = document.getElementById("themeToggleBtn");
         const themeLabel = document.getElementById("themeLabel");
@@ -96,12 +128,35 @@
         const exportBtn = document.getElementById("exportBtn");
         const exportMenuPanel = document.getElementById("exportMenuPanel");
         const exportPngBtn = document.getElementById("exportPngBtn");
+        const exportSvgBtn = document.getElementById("exportSvgBtn");
         const exportCsvBtn = document.getElementById("exportCsvBtn");
         const exportPdfBtn = document.getElementById("exportPdfBtn");
+        const exportXlsxBtn = document.getElementById("exportXlsxBtn");
+        const narrativeEditor = createNarrativeEditor();
         const availableCoverageBadge = document.getElementById("availableCoverageBadge");
         const toggleCoverageBadgeBtn = document.getElementById("toggleCoverageBadgeBtn");
         const annualizeToggleBtn = document.getElementById("annualizeToggleBtn");
+        const asOfDateInput = document.getElementById("asOfDateInput");
+        const asOfScrubber = document.getElementById("asOfScrubber");
+        const asOfScrubLabel = document.getElementById("asOfScrubLabel");
+        const asOfPlayBtn = document.getElementById("asOfPlayBtn");
+        const asOfClearBtn = document.getElementById("asOfClearBtn");
         const coverageCanvas = document.getElementById("coverageCanvas");
+        const allSumsYearDropdownMenu = document.getElementById("allSumsYearDropdownMenu");
+        const allSumsYearDropdownLabel = document.getElementById("allSumsYearDropdownLabel");
+        const allSumsLossInput = document.getElementById("allSumsLossInput");
+        const allSumsRuleSelect = document.getElementById("allSumsRuleSelect");
+        const allSumsSirSelect = document.getElementById("allSumsSirSelect");
+        const allSumsPickBtn = document.getElementById("allSumsPickBtn");
+        const allSumsSummary = document.getElementById("allSumsSummary");
+        const insolvencySummary = document.getElementById("insolvencySummary");
+        const quotaShareNotice = document.getElementById("quotaShareNotice");
+        const savedViewSelect = document.getElementById("savedViewSelect");
+        const savedViewNameInput = document.getElementById("savedViewNameInput");
+        const savedViewSaveBtn = document.getElementById("savedViewSaveBtn");
+        const savedViewDeleteBtn = document.getElementById("savedViewDeleteBtn");
+        const savedViewStatus = document.getElementById("savedViewStatus");
+        let pickAllSumsYears = false;
         let showCoverageBadge = true;
         let annualizedMode = getAnnualizedPref();
         setCoverageTotalsVisible(showCoverageBadge);
@@ -110,10 +165,29 @@
           annualizeToggleBtn.textContent = annualizedMode ? "Annualized: On" : "Annualized: Off";
           annualizeToggleBtn.setAttribute("aria-pressed", String(annualizedMode));
         };
-        sel.addEventListener("change", (e) => setView(e.target.value));
+        sel.addEventListener("change", (e) => {
+          setView(e.target.value);
+          renderInsolvencySummary();
+          syncUrlState();
+        });
         syncAnnualizeToggleUI();
 
+        const syncAllSumsPickUI = () => {
+          allSumsPickBtn.textContent = pickAllSumsYears ? "Pick Years: On" : "Pick Years: Off";
+          allSumsPickBtn.setAttribute("aria-pressed", String(pickAllSumsYears));
+        };
+
         coverageCanvas.addEventListener("click", (evt) => {
+          if (pickAllSumsYears) {
+            // While picking all-sums years, a click toggles that policy year instead of opening a policy.
+            const year = getYearFromEvent(evt);
+            if (year === null) return;
+            const cb = allSumsYearDropdownMenu.querySelector(`input[type="checkbox"][value="${year}"]`);
+            if (!cb) return;
+            cb.checked = !cb.checked;
+            applyAllSumsScenario();
+            return;
+          }
           const selected = getPolicySelectionFromEvent(evt);
           if (!selected || !selected.policyId) return;
           localStorage.setItem("coverageChartSelectedPolicy", JSON.stringify(selected));
@@ -147,8 +221,7 @@
             return rows.reduce((sum, s) => {
               if (carrierSet.size > 0 && !carrierSet.has(String(s?.carrier || ""))) return sum;
               if (groupSet.size > 0 && !groupSet.has(String(s?.carrierGroup || ""))) return sum;
-              const unavailable = String(s?.availability || "").toLowerCase().includes("unavail");
-              return sum + (unavailable ? 0 : Number(s?.sliceLimit || 0));
+              return sum + collectibleLimit(s);
             }, 0);
           }
 
@@ -157,35 +230,211 @@
           for (const s of rows) {
             if (carrierSet.size > 0 && !carrierSet.has(String(s?.carrier || ""))) continue;
             if (groupSet.size > 0 && !groupSet.has(String(s?.carrierGroup || ""))) continue;
-            const unavailable = String(s?.availability || "").toLowerCase().includes("unavail");
-            if (unavailable) continue;
+            const collectible = collectibleLimit(s);
+            if (!(collectible > 0)) continue;
             const key = coverageLayerKey(s);
             if (seen.has(key)) continue;
             seen.add(key);
-            total += Number(s?.sliceLimit || 0);
+            total += collectible;
           }
           return total;
         }
+        // Per year: highest attachment plus the collectible limit stacked at that attachment.
         function computeAvailableCoverageByYear(slices, carriers, carrierGroups) {
           const carrierSet = new Set(carriers);
           const groupSet = new Set(carrierGroups);
-          const byYearTop = new Map();
+          const byYearAttach = new Map();
           for (const s of slices || []) {
             if (carrierSet.size > 0 && !carrierSet.has(String(s?.carrier || ""))) continue;
             if (groupSet.size > 0 && !groupSet.has(String(s?.carrierGroup || ""))) continue;
-            if (String(s?.availability || "").toLowerCase().includes("unavail")) continue;
             const yearKey = String(s?.x ?? "").trim();
             if (!yearKey) continue;
             const attach = Number(s?.attach || 0);
-            const limit = Number(s?.sliceLimit || 0);
-            const top = attach + limit;
-            if (!Number.isFinite(top) || !Number.isFinite(limit) || limit <= 0) continue;
-            byYearTop.set(yearKey, Math.max(byYearTop.get(yearKey) || 0, top));
+            const collectible = collectibleLimit(s);
+            if (!Number.isFinite(attach) || !Number.isFinite(collectible) || collectible <= 0) continue;
+            if (!byYearAttach.has(yearKey)) byYearAttach.set(yearKey, new Map());
+            const byAttach = byYearAttach.get(yearKey);
+            byAttach.set(attach, (byAttach.get(attach) || 0) + collectible);
+          }
+          const byYearTop = new Map();
+          for (const [yearKey, byAttach] of byYearAttach) {
+            let top = 0;
+            for (const [attach, collectible] of byAttach) top = Math.max(top, attach + collectible);
+            byYearTop.set(yearKey, top);
           }
           return Array.from(byYearTop.entries())
             .sort((a, b) => Number(a[0]) - Number(b[0]))
             .map(([year, total]) => ({ year, total }));
         }
+        function renderAllSumsSummary(result) {
+          if (!allSumsSummary) return;
+          if (!result) {
+            allSumsSummary.hidden = true;
+            allSumsSummary.innerHTML = "";
+            return;
+          }
+          const ruleCard = (label, r, active) =>
+            `<div class="allSumsRuleCard${active ? " isActive" : ""}">` +
+            `<div class="allSumsRuleName">${label}${active ? " (shown on chart)" : ""}</div>` +
+            `<div class="allSumsRuleStats">` +
+            `<span>Insurers <strong>${money(Math.round(r.totals.insurers))}</strong></span>` +
+            `<span>Retention <strong>${money(Math.round(r.totals.retention))}</strong></span>` +
+            `<span>Uninsured <strong>${money(Math.round(r.totals.uninsured))}</strong></span>` +
+            `<span>Unavailable <strong>${money(Math.round(r.totals.unavailable))}</strong></span>` +
+            `</div>` +
+            `</div>`;
+          allSumsSummary.hidden = false;
+          allSumsSummary.innerHTML =
+            `<div class="allSumsHeader">` +
+            `<span class="allSumsTitle">All sums: ${compactMoney(result.lossAmount)} tendered to ${result.years.join(", ")}` +
+            `${result.applySir ? "" : " (SIR ignored)"}</span>` +
+            `<button id="allSumsClearBtn" class="exportBtn" type="button">Clear</button>` +
+            `</div>` +
+            `<div class="allSumsRuleGrid">` +
+            ruleCard("Vertical exhaustion", result.vertical, result.rule === "vertical") +
+            ruleCard("Horizontal exhaustion", result.horizontal, result.rule === "horizontal") +
+            `</div>`;
+        }
+
+        // Availability view: each insolvent carrier in scope with its insolvency date and estate.
+        function renderInsolvencySummary() {
+          if (!insolvencySummary) return;
+          const rows = sel.value === "availability" ? getCarrierInsolvencies() : [];
+          insolvencySummary.hidden = !rows.length;
+          insolvencySummary.innerHTML = rows.length
+            ? `<div class="allSumsTitle">Insolvent carriers</div>` +
+              `<ul class="summaryList">` +
+              rows
+                .map(
+                  (r) =>
+                    `<li><strong>${escapeHtml(r.carrier)}</strong>: insolvent since ${escapeHtml(formatDate(r.insolvencyDate))}` +
+                    `${r.estateName ? `; estate: ${escapeHtml(r.estateName)}` : ""}` +
+                    `; ${Math.round(r.collectiblePercent)}% collectible</li>`
+                )
+                .join("") +
+              `</ul>`
+            : "";
+        }
+
+        // Quota-share layers in the current filters whose ParticipationPercent does not total 100%.
+        function renderQuotaShareNotice() {
+          if (!quotaShareNotice) return;
+          const inView = new Set(getFilteredSlices().map((s) => String(s.PolicyID)));
+          const issues = getQuotaShareIssues().filter((q) => q.participants.some((p) => inView.has(String(p.PolicyID))));
+          quotaShareNotice.hidden = !issues.length;
+          quotaShareNotice.innerHTML = issues.length
+            ? `<div class="allSumsTitle">Quota share participation (see Data Quality)</div>` +
+              `<ul class="summaryList">` +
+              issues
+                .map((q) => {
+                  const layer = [q.insuranceProgram, q.policyLimitType].filter(Boolean).map(escapeHtml).join(" \u00b7 ");
+                  const problem = q.missingCount
+                    ? `${q.missingCount} participant(s) have no participation`
+                    : `participation totals ${Number(q.totalPercent.toFixed(2))}% (expected 100%)`;
+                  return `<li><strong>${layer}</strong> at ${money(q.attach)}, ${escapeHtml(q.years.join(", "))}: ${problem}</li>`;
+                })
+                .join("") +
+              `</ul>`
+            : "";
+        }
+
+        function applyAllSumsScenario() {
+          const years = selectedValuesFromCheckboxMenu(allSumsYearDropdownMenu);
+          updateDropdownLabel(allSumsYearDropdownLabel, years, "No years selected", "year");
+          if (!years.length) {
+            clearAllSumsScenario();
+          } else {
+            setAllSumsScenario({
+              years,
+              lossAmount: toNum(allSumsLossInput.value),
+              rule: allSumsRuleSelect.value,
+              applySir: allSumsSirSelect.value !== "off"
+            });
+          }
+          updateFilterSummary();
+        }
+
+        function resetAllSumsUI() {
+          clearCheckboxMenu(allSumsYearDropdownMenu);
+          resetCheckboxMenuSearch(allSumsYearDropdownMenu);
+          updateDropdownLabel(allSumsYearDropdownLabel, [], "No years selected", "year");
+          pickAllSumsYears = false;
+          syncAllSumsPickUI();
+          clearAllSumsScenario();
+        }
+
+        // Scrubber positions are month-ends between the first policy and the last recorded event.
+        const AS_OF_PLAY_STEP_MONTHS = 3;
+        const AS_OF_PLAY_INTERVAL_MS = 300;
+        const asOfMonths = (() => {
+          const { minDate, maxDate } = getAsOfDateBounds();
+          if (!minDate || !maxDate) return [];
+          const [minY, minM] = minDate.split("-").map(Number);
+          const [maxY, maxM] = maxDate.split("-").map(Number);
+          const months = [];
+          for (let i = minY * 12 + minM - 1; i <= maxY * 12 + maxM - 1; i += 1) {
+            months.push(new Date(Date.UTC(Math.floor(i / 12), (i % 12) + 1, 0)).toISOString().slice(0, 10));
+          }
+          return months;
+        })();
+        let asOfPlayTimer = null;
+        asOfScrubber.max = String(Math.max(0, asOfMonths.length - 1));
+        asOfScrubber.value = asOfScrubber.max;
+        asOfScrubber.disabled = asOfMonths.length === 0;
+        asOfPlayBtn.disabled = asOfMonths.length === 0;
+        if (asOfMonths.length) {
+          asOfDateInput.min = asOfMonths[0];
+          asOfDateInput.max = asOfMonths[asOfMonths.length - 1];
+        }
+
+        function syncAsOfUI() {
+          const date = asOfDateInput.value;
+          asOfScrubLabel.textContent = date || "Current";
+          if (!date) {
+            asOfScrubber.value = asOfScrubber.max;
+            return;
+          }
+          const idx = asOfMonths.findIndex((m) => m >= date);
+          asOfScrubber.value = String(idx === -1 ? asOfMonths.length - 1 : idx);
+        }
+
+        function applyAsOfDate(date) {
+          asOfDateInput.value = setAsOfDate(date);
+          syncAsOfUI();
+          updateFilterSummary();
+        }
+
+        function stopAsOfPlayback() {
+          if (asOfPlayTimer !== null) {
+            clearInterval(asOfPlayTimer);
+            asOfPlayTimer = null;
+          }
+          asOfPlayBtn.textContent = "Play";
+          asOfPlayBtn.setAttribute("aria-pressed", "false");
+        }
+
+        function startAsOfPlayback() {
+          if (!asOfMonths.length) return;
+          let idx = Number(asOfScrubber.value);
+          // Restart from the beginning when the scrubber is already parked at the end.
+          if (!asOfDateInput.value || idx >= asOfMonths.length - 1) idx = 0;
+          applyAsOfDate(asOfMonths[idx]);
+          asOfPlayBtn.textContent = "Pause";
+          asOfPlayBtn.setAttribute("aria-pressed", "true");
+          asOfPlayTimer = setInterval(() => {
+            idx = Math.min(asOfMonths.length - 1, idx + AS_OF_PLAY_STEP_MONTHS);
+            applyAsOfDate(asOfMonths[idx]);
+            if (idx >= asOfMonths.length - 1) stopAsOfPlayback();
+          }, AS_OF_PLAY_INTERVAL_MS);
+        }
+
+        function resetAsOfUI() {
+          stopAsOfPlayback();
+          asOfDateInput.value = "";
+          setAsOfDate("");
+          syncAsOfUI();
+        }
+
         function formatTenthMillion(value) {
           const n = Number(value || 0);
           const rounded = Math.round((n / 1_000_000) * 10) / 10;
@@ -216,14 +465,35 @@
           closeExportMenu();
         });
 
+        exportSvgBtn.addEventListener("click", () => {
+          try {
+            exportChartAsSVG();
+          } catch (err) {
+            showError(err);
+          } finally {
+            closeExportMenu();
+          }
+        });
+
         exportCsvBtn.addEventListener("click", () => {
           exportFilteredCSV();
           closeExportMenu();
         });
 
         exportPdfBtn.addEventListener("click", async () => {
+          closeExportMenu();
           try {
-            await exportReportPDF();
+            const narrative = await narrativeEditor.edit(getCoverageNarrative(), { regenerate: getCoverageNarrative });
+            if (!narrative) return;
+            await exportReportPDF({ narrative });
+          } catch (err) {
+            showError(err);
+          }
+        });
+
+        exportXlsxBtn.addEventListener("click", async () => {
+          try {
+            await exportWorkbookXLSX();
           } catch (err) {
             showError(err);
           } finally {
@@ -245,8 +515,11 @@
         });
 
         const bounds = getYearBounds();
+        const allSumsYearValues = [];
         if (bounds.minYear !== null && bounds.maxYear !== null) {
           for (let year = bounds.minYear; year <= bounds.maxYear; year++) {
+            allSumsYearValues.push(String(year));
+
             const a = document.createElement("option");
             a.value = String(year);
             a.textContent = String(year);
@@ -258,6 +531,9 @@
             endYearSelect.appendChild(b);
           }
         }
+        buildCheckboxMenu(allSumsYearDropdownMenu, allSumsYearValues, "all_sums_year", "Search years...");
+        allSumsLossInput.value = "10,000,000";
+        syncAllSumsPickUI();
 
         const filterOptions = getFilterOptions();
         buildCheckboxMenu(carrierDropdownMenu, filterOptions.carriers, "carrier_filter", "Search carriers...");
@@ -276,20 +552,26 @@
           policyLimitTypeSelect.value = defaultPolicyLimitType;
           setPolicyLimitTypeFilter(defaultPolicyLimitType);
         }
+        // Several checked programs are drawn as one combined tower, stacked in menu order.
         const insuranceProgramValues = filterOptions.insurancePrograms || [];
-        for (const program of insuranceProgramValues) {
-          const opt = document.createElement("option");
-          opt.value = program;
-          opt.textContent = program;
-          insuranceProgramSelect.appendChild(opt);
-        }
+        buildCheckboxMenu(insuranceProgramDropdownMenu, insuranceProgramValues, "insurance_program_filter", "Search programs...");
+        const setInsuranceProgramMenu = (programs) => {
+          setCheckboxMenuValues(insuranceProgramDropdownMenu, programs);
+          updateDropdownLabel(insuranceProgramDropdownLabel, programs, "All programs", "program");
+        };
         if (insuranceProgramValues.length > 0) {
           const defaultInsuranceProgram = insuranceProgramValues.find(
             (v) => String(v).trim().toLowerCase() === "abc company"
           ) || insuranceProgramValues[0];
-          insuranceProgramSelect.value = defaultInsuranceProgram;
-          setInsuranceProgramFilter(defaultInsuranceProgram);
+          setInsuranceProgramMenu([defaultInsuranceProgram]);
+          setInsuranceProgramFilter([defaultInsuranceProgram]);
         }
+        const namedInsuredValues = filterOptions.namedInsureds || [];
+        buildCheckboxMenu(namedInsuredDropdownMenu, namedInsuredValues, "named_insured_filter", "Search named insureds...");
+        const setNamedInsuredMenu = (namedInsureds) => {
+          setCheckboxMenuValues(namedInsuredDropdownMenu, namedInsureds);
+          updateDropdownLabel(namedInsuredDropdownLabel, namedInsureds, "All named insureds", "named insured");
+        };
 
         function applyYearFilters() {
           const toYear = (v) => {
@@ -322,7 +604,16 @@
         }
 
         function applyInsuranceProgramFilter() {
-          setInsuranceProgramFilter(insuranceProgramSelect.value);
+          const programs = selectedValuesFromCheckboxMenu(insuranceProgramDropdownMenu);
+          updateDropdownLabel(insuranceProgramDropdownLabel, programs, "All programs", "program");
+          setInsuranceProgramFilter(programs);
+          updateFilterSummary();
+        }
+
+        function applyNamedInsuredFilter() {
+          const namedInsureds = selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu);
+          updateDropdownLabel(namedInsuredDropdownLabel, namedInsureds, "All named insureds", "named insured");
+          setNamedInsuredFilter(namedInsureds);
           updateFilterSummary();
         }
 
@@ -387,6 +678,8 @@
             ? `${startYear}\u2013${endYear}`
             : yearsText;
 
+          const programs = selectedValuesFromCheckboxMenu(insuranceProgramDropdownMenu);
+          const namedInsureds = selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu);
           const carriers = selectedValuesFromCheckboxMenu(carrierDropdownMenu);
           const carrierGroups = selectedValuesFromCheckboxMenu(carrierGroupDropdownMenu);
           const yearTotals = computeAvailableCoverageByYear(getFilteredSlices(), carriers, carrierGroups);
@@ -419,23 +712,277 @@
             toggleCoverageBadgeBtn.setAttribute("aria-pressed", String(showCoverageBadge));
           }
 
+          const allSums = getAllSumsResult();
+          renderAllSumsSummary(allSums);
+          renderInsolvencySummary();
+          renderQuotaShareNotice();
+
           renderFilterChips([
-            insuranceProgramSelect.value || "(none)",
+            programs.length > 1 ? `Combined: ${programs.join(" + ")}` : summarizeSelection(programs, "program"),
+            namedInsureds.length ? summarizeSelection(namedInsureds, "named insured") : "",
             policyLimitTypeSelect.value || "(none)",
             yearsChipText,
             `Annualized: ${annualizedMode ? "On" : "Off"}`,
+            asOfDateInput.value ? `As of ${asOfDateInput.value}` : "",
             summarizeSelection(carriers, "carrier"),
-            summarizeSelection(carrierGroups, "group")
+            summarizeSelection(carrierGroups, "group"),
+            allSums ? `All sums: ${allSums.rule === "horizontal" ? "Horizontal" : "Vertical"}` : ""
           ]);
+          syncSavedViewPicker();
+          syncUrlState();
+        }
+
+        const yearFromSelect = (selectEl) => {
+          const n = Number.parseInt(String(selectEl.value ?? ""), 10);
+          return Number.isFinite(n) ? n : null;
+        };
+
+        // Shareable links: the query string mirrors the chart state (see chartState.js).
+        // A burst of changes (scrubbing, playback) rewrites the current history entry with
+        // replaceState; a separate change pushes a new entry so back/forward can step through them.
+        const URL_HISTORY_COALESCE_MS = 500;
+        let urlSyncPaused = true;
+        let lastUrlSyncAt = 0;
+
+        function currentChartState() {
+          // The engine always holds concrete year bounds; "All" in the selects stays out of the link.
+          return { ...getChartState(), startYear: yearFromSelect(startYearSelect), endYear: yearFromSelect(endYearSelect) };
+        }
+
+        function syncUrlState({ replace = false } = {}) {
+          if (urlSyncPaused) return;
+          const query = serializeChartState(currentChartState()).toString();
+          if (query === window.location.search.replace(/^\?/, "")) return;
+          const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+          const now = Date.now();
+          if (replace || now - lastUrlSyncAt < URL_HISTORY_COALESCE_MS) history.replaceState(null, "", url);
+          else history.pushState(null, "", url);
+          lastUrlSyncAt = now;
+        }
+
+        function applyChartStateToPage(state) {
+          urlSyncPaused = true;
+          stopAsOfPlayback();
+
+          const programs = knownPrograms(state.insurancePrograms);
+          const namedInsureds = state.namedInsureds.filter((v) => namedInsuredValues.includes(v));
+          const policyLimitType = optionValues(policyLimitTypeSelect).includes(state.policyLimitType)
+            ? state.policyLimitType
+            : getDefaultPolicyLimitType();
+          const yearOption = (year) => (year !== null && optionValues(startYearSelect).includes(String(year)) ? String(year) : "");
+          // Carriers and carrier groups are mutually exclusive filters (see applyEntityFilters).
+          const carriers = state.carriers.filter((v) => filterOptions.carriers.includes(v));
+          const carrierGroups = carriers.length ? [] : state.carrierGroups.filter((v) => filterOptions.carrierGroups.includes(v));
+
+          sel.value = state.view;
+          setInsuranceProgramMenu(programs);
+          setNamedInsuredMenu(namedInsureds);
+          policyLimitTypeSelect.value = policyLimitType;
+          startYearSelect.value = yearOption(state.startYear);
+          endYearSelect.value = yearOption(state.endYear);
+          zoomMinInput.value = state.zoomMin === null ? "" : String(state.zoomMin);
+          zoomMaxInput.value = state.zoomMax === null ? "" : String(state.zoomMax);
+          setCheckboxMenuValues(carrierDropdownMenu, carriers);
+          setCheckboxMenuValues(carrierGroupDropdownMenu, carrierGroups);
+          updateDropdownLabel(carrierDropdownLabel, carriers, "All carriers", "carrier");
+          updateDropdownLabel(carrierGroupDropdownLabel, carrierGroups, "All carrier groups", "group");
+          annualizedMode = state.annualized;
+          syncAnnualizeToggleUI();
+
+          const boundsNow = getYearBounds();
+          const startYear = startYearSelect.value ? Number(startYearSelect.value) : boundsNow.minYear;
+          const endYear = endYearSelect.value ? Number(endYearSelect.value) : boundsNow.maxYear;
+          setChartState({
+            ...state,
+            insurancePrograms: programs,
+            namedInsureds,
+            policyLimitType,
+            startYear,
+            endYear,
+            carriers,
+            carrierGroups
+          });
+          asOfDateInput.value = getChartState().asOfDate;
+          syncAsOfUI();
+          updateFilterSummary();
+          urlSyncPaused = false;
+        }
+
+        // Saved views: named presets shared by the team through /api/saved-views. A view holds the
+        // chart view and the focus filters (programs, named insureds, limit type, years, carriers or groups).
+        const SAVED_VIEWS_URL = "/api/saved-views";
+        let savedViews = [];
+
+        function setSavedViewStatus(message, isError = false) {
+          savedViewStatus.textContent = message || "";
+          savedViewStatus.classList.toggle("isError", !!isError);
+        }
+
+        function currentSavedViewFields() {
+          return {
+            view: sel.value,
+            insurancePrograms: selectedValuesFromCheckboxMenu(insuranceProgramDropdownMenu),
+            namedInsureds: selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu),
+            policyLimitType: policyLimitTypeSelect.value,
+            startYear: yearFromSelect(startYearSelect),
+            endYear: yearFromSelect(endYearSelect),
+            carriers: selectedValuesFromCheckboxMenu(carrierDropdownMenu),
+            carrierGroups: selectedValuesFromCheckboxMenu(carrierGroupDropdownMenu)
+          };
+        }
+
+        const savedViewKey = (v) => JSON.stringify([
+          v.view,
+          [...(v.insurancePrograms ?? [v.insuranceProgram])].sort(),
+          [...(v.namedInsureds || [])].sort(),
+          v.policyLimitType,
+          v.startYear,
+          v.endYear,
+          [...v.carriers].sort(),
+          [...v.carrierGroups].sort()
+        ]);
+
+        const getPickedSavedView = () => savedViews.find((v) => v.id === savedViewSelect.value) || null;
+
+        function renderSavedViewOptions(selectedId = savedViewSelect.value) {
+          savedViewSelect.innerHTML = "";
+          const placeholder = document.createElement("option");
+          placeholder.value = "";
+          placeholder.textContent = savedViews.length ? "Select a saved view" : "No saved views yet";
+          savedViewSelect.appendChild(placeholder);
+          for (const view of savedViews) {
+            const opt = document.createElement("option");
+            opt.value = view.id;
+            opt.textContent = view.name;
+            savedViewSelect.appendChild(opt);
+          }
+          savedViewSelect.value = savedViews.some((v) => v.id === selectedId) ? selectedId : "";
+          savedViewDeleteBtn.disabled = !savedViewSelect.value;
+        }
+
+        // Once the filters drift from the picked view, the picker stops claiming it.
+        function syncSavedViewPicker() {
+          const picked = getPickedSavedView();
+          if (!picked || savedViewKey(picked) === savedViewKey(currentSavedViewFields())) return;
+          savedViewSelect.value = "";
+          savedViewDeleteBtn.disabled = true;
+        }
+
+        async function loadSavedViews(selectedId) {
+          const payload = await fetchJSON(SAVED_VIEWS_URL);
+          savedViews = Array.isArray(payload?.views) ? payload.views : [];
+          renderSavedViewOptions(selectedId);
         }
 
+        function applySavedView(saved) {
+          // Views saved before the program multi-select hold a single insuranceProgram.
+          const programs = knownPrograms(saved.insurancePrograms ?? [saved.insuranceProgram]);
+          const namedInsureds = (saved.namedInsureds || []).filter((v) => namedInsuredValues.includes(v));
+          const policyLimitType = optionValues(policyLimitTypeSelect).includes(saved.policyLimitType)
+            ? saved.policyLimitType
+            : getDefaultPolicyLimitType();
+          const yearOption = (year) => (year !== null && optionValues(startYearSelect).includes(String(year)) ? String(year) : "");
+          // Carriers and carrier groups are mutually exclusive filters (see applyEntityFilters).
+          const carriers = (saved.carriers || []).filter((v) => filterOptions.carriers.includes(v));
+          const carrierGroups = carriers.length
+            ? []
+            : (saved.carrierGroups || []).filter((v) => filterOptions.carrierGroups.includes(v));
+
+          if (optionValues(sel).includes(saved.view)) {
+            sel.value = saved.view;
+            setView(saved.view);
+          }
+
+          resetCheckboxMenuSearch(insuranceProgramDropdownMenu);
+          setInsuranceProgramMenu(programs);
+          setInsuranceProgramFilter(programs);
+          resetCheckboxMenuSearch(namedInsuredDropdownMenu);
+          setNamedInsuredMenu(namedInsureds);
+          setNamedInsuredFilter(namedInsureds);
+          policyLimitTypeSelect.value = policyLimitType;
+          setPolicyLimitTypeFilter(policyLimitType);
+
+          startYearSelect.value = yearOption(saved.startYear);
+          endYearSelect.value = yearOption(saved.endYear);
+          const boundsNow = getYearBounds();
+          const startYear = yearFromSelect(startYearSelect) ?? (Number.isFinite(boundsNow.minYear) ? boundsNow.minYear : null);
+          const endYear = yearFromSelect(endYearSelect) ?? (Number.isFinite(boundsNow.maxYear) ? boundsNow.maxYear : null);
+          if (startYear === null && endYear === null) resetYearRange();
+          else setYearRange(startYear, endYear);
+
+          resetCheckboxMenuSearch(carrierDropdownMenu);
+          resetCheckboxMenuSearch(carrierGroupDropdownMenu);
+          setCheckboxMenuValues(carrierDropdownMenu, carriers);
+          setCheckboxMenuValues(carrierGroupDropdownMenu, carrierGroups);
+          updateDropdownLabel(carrierDropdownLabel, carriers, "All carriers", "carrier");
+          updateDropdownLabel(carrierGroupDropdownLabel, carrierGroups, "All carrier groups", "group");
+          setEntityFilters({ carriers, carrierGroups });
+
+          savedViewNameInput.value = saved.name;
+          updateFilterSummary();
+        }
+
+        async function saveCurrentView() {
+          const name = savedViewNameInput.value.trim();
+          if (!name) {
+            setSavedViewStatus("Enter a name for this view.", true);
+            savedViewNameInput.focus();
+            return;
+          }
+          const existing = savedViews.find((v) => String(v.name).toLowerCase() === name.toLowerCase());
+          if (existing && !window.confirm(`Replace the saved view "${existing.name}" for everyone?`)) return;
+
+          savedViewSaveBtn.disabled = true;
+          try {
+            const saved = await sendJSON(SAVED_VIEWS_URL, { body: { name, ...currentSavedViewFields(), overwrite: !!existing } });
+            await loadSavedViews(saved.id);
+            savedViewNameInput.value = saved.name;
+            setSavedViewStatus(`Saved "${saved.name}".`);
+          } catch (err) {
+            setSavedViewStatus(`Could not save view: ${err?.message || err}`, true);
+          } finally {
+            savedViewSaveBtn.disabled = false;
+          }
+        }
+
+        async function deletePickedView() {
+          const picked = getPickedSavedView();
+          if (!picked || !window.confirm(`Delete the saved view "${picked.name}" for everyone?`)) return;
+
+          savedViewDeleteBtn.disabled = true;
+          try {
+            await sendJSON(`${SAVED_VIEWS_URL}/${encodeURIComponent(picked.id)}`, { method: "DELETE" });
+            await loadSavedViews("");
+            savedViewNameInput.value = "";
+            setSavedViewStatus(`Deleted "${picked.name}".`);
+          } catch (err) {
+            setSavedViewStatus(`Could not delete view: ${err?.message || err}`, true);
+            savedViewDeleteBtn.disabled = !savedViewSelect.value;
+          }
+        }
+
+        savedViewSelect.addEventListener("change", () => {
+          const picked = getPickedSavedView();
+          savedViewDeleteBtn.disabled = !picked;
+          setSavedViewStatus("");
+          if (picked) applySavedView(picked);
+        });
+        savedViewSaveBtn.addEventListener("click", saveCurrentView);
+        savedViewDeleteBtn.addEventListener("click", deletePickedView);
+        savedViewNameInput.addEventListener("keydown", (evt) => {
+          if (evt.key !== "Enter") return;
+          evt.preventDefault();
+          saveCurrentView();
+        });
+
         startYearSelect.addEventListener("input", applyYearFilters);
         startYearSelect.addEventListener("change", applyYearFilters);
         startYearSelect.addEventListener("blur", applyYearFilters);
         endYearSelect.addEventListener("input", applyYearFilters);
         endYearSelect.addEventListener("change", applyYearFilters);
         endYearSelect.addEventListener("blur", applyYearFilters);
-        insuranceProgramSelect.addEventListener("change", applyInsuranceProgramFilter);
+        insuranceProgramDropdownMenu.addEventListener("change", applyInsuranceProgramFilter);
+        namedInsuredDropdownMenu.addEventListener("change", applyNamedInsuredFilter);
         policyLimitTypeSelect.addEventListener("change", applyPolicyLimitTypeFilter);
 
         zoomMinInput.addEventListener("change", applyZoomFilters);
@@ -444,6 +991,19 @@
         zoomMaxInput.addEventListener("blur", applyZoomFilters);
         carrierDropdownMenu.addEventListener("change", () => applyEntityFilters("carrier"));
         carrierGroupDropdownMenu.addEventListener("change", () => applyEntityFilters("carrierGroup"));
+        allSumsYearDropdownMenu.addEventListener("change", applyAllSumsScenario);
+        allSumsLossInput.addEventListener("change", applyAllSumsScenario);
+        allSumsRuleSelect.addEventListener("change", applyAllSumsScenario);
+        allSumsSirSelect.addEventListener("change", applyAllSumsScenario);
+        allSumsPickBtn.addEventListener("click", () => {
+          pickAllSumsYears = !pickAllSumsYears;
+          syncAllSumsPickUI();
+        });
+        allSumsSummary.addEventListener("click", (evt) => {
+          if (!evt.target.closest("#allSumsClearBtn")) return;
+          resetAllSumsUI();
+          updateFilterSummary();
+        });
         if (chartViewport && yearTotalsStrip) {
           chartViewport.addEventListener("scroll", () => {
             yearTotalsStrip.scrollLeft = chartViewport.scrollLeft;
@@ -457,6 +1017,23 @@
             updateFilterSummary();
           });
         }
+        asOfDateInput.addEventListener("change", () => {
+          stopAsOfPlayback();
+          applyAsOfDate(asOfDateInput.value);
+        });
+        asOfScrubber.addEventListener("input", () => {
+          stopAsOfPlayback();
+          const date = asOfMonths[Number(asOfScrubber.value)];
+          if (date) applyAsOfDate(date);
+        });
+        asOfPlayBtn.addEventListener("click", () => {
+          if (asOfPlayTimer !== null) stopAsOfPlayback();
+          else startAsOfPlayback();
+        });
+        asOfClearBtn.addEventListener("click", () => {
+          resetAsOfUI();
+          updateFilterSummary();
+        });
         annualizeToggleBtn.addEventListener("click", () => {
           annualizedMode = !annualizedMode;
           localStorage.setItem(ANNUALIZED_STORAGE_KEY, annualizedMode ? "1" : "0");
@@ -474,31 +1051,45 @@
           updateDropdownLabel(carrierGroupDropdownLabel, [], "All carrier groups", "group");
         }
 
+        const optionValues = (selectEl) => Array.from(selectEl.options).map((o) => o.value);
+        const getDefaultInsuranceProgram = () =>
+          insuranceProgramValues.find((v) => String(v).trim().toLowerCase() === "abc company")
+          || insuranceProgramValues[0]
+          || "";
+        // Programs from a link or saved view that still exist; none left falls back to the default program.
+        const knownPrograms = (values) => {
+          const programs = (values || []).filter((v) => insuranceProgramValues.includes(v));
+          const fallback = getDefaultInsuranceProgram();
+          return programs.length || !fallback ? programs : [fallback];
+        };
+        const getDefaultPolicyLimitType = () =>
+          optionValues(policyLimitTypeSelect).find((v) => v === "Personal Injury")
+          || policyLimitTypeSelect.options[0]?.value
+          || "";
+
         resetAllBtn.addEventListener("click", () => {
           startYearSelect.value = "";
           endYearSelect.value = "";
-          const defaultInsuranceProgram = Array.from(insuranceProgramSelect.options)
-            .map((o) => o.value)
-            .find((v) => String(v).trim().toLowerCase() === "abc company")
-            || insuranceProgramSelect.options[0]?.value
-            || "";
-          insuranceProgramSelect.value = defaultInsuranceProgram;
-          const defaultPolicyLimitType = Array.from(policyLimitTypeSelect.options)
-            .map((o) => o.value)
-            .find((v) => v === "Personal Injury")
-            || policyLimitTypeSelect.options[0]?.value
-            || "";
+          const defaultInsuranceProgram = getDefaultInsuranceProgram();
+          resetCheckboxMenuSearch(insuranceProgramDropdownMenu);
+          setInsuranceProgramMenu(defaultInsuranceProgram ? [defaultInsuranceProgram] : []);
+          resetCheckboxMenuSearch(namedInsuredDropdownMenu);
+          setNamedInsuredMenu([]);
+          const defaultPolicyLimitType = getDefaultPolicyLimitType();
           policyLimitTypeSelect.value = defaultPolicyLimitType;
           zoomMinInput.value = "";
           zoomMaxInput.value = "";
+          resetAsOfUI();
           resetEntityFilterUI();
           resetYearRange();
           resetInsuranceProgramFilter();
-          setInsuranceProgramFilter(defaultInsuranceProgram);
+          setInsuranceProgramFilter(defaultInsuranceProgram ? [defaultInsuranceProgram] : []);
+          resetNamedInsuredFilter();
           resetZoomRange();
           resetPolicyLimitTypeFilter();
           setPolicyLimitTypeFilter(defaultPolicyLimitType);
           resetEntityFilters();
+          resetAllSumsUI();
           showCoverageBadge = true;
           localStorage.setItem(COVERAGE_BADGE_STORAGE_KEY, "1");
           setCoverageTotalsVisible(true);
@@ -508,7 +1099,20 @@
           syncAnnualizeToggleUI();
           updateFilterSummary();
         });
-        updateFilterSummary();
+
+        setLegendSelectionListener(() => syncUrlState());
+        window.addEventListener("popstate", () => applyChartStateToPage(parseChartState(window.location.search)));
+        if (hasChartState(window.location.search)) {
+          applyChartStateToPage(parseChartState(window.location.search));
+        } else {
+          updateFilterSummary();
+          urlSyncPaused = false;
+        }
+        syncUrlState({ replace: true });
+        loadSavedViews("").catch((err) => {
+          console.error(err);
+          setSavedViewStatus(`Saved views unavailable: ${err?.message || err}`, true);
+        });
       } catch (e) {
         showError(e);
       }
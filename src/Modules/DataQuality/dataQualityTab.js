@@ -0,0 +1,232 @@
+import { fetchJSON } from "../shared/js/core/data.js";
+import { toDateStamp } from "../shared/js/core/format.js";
+import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
+import { setupSortableTable } from "../shared/js/ui/tableSort.js";
+import { SEVERITY_ORDER, ISSUE_COLUMNS, issuesToRows } from "../shared/js/coverage/dataValidation.js";
+import { buildCSV, triggerBlobDownload } from "../shared/js/coverage/reportExport.js";
+
+    const THEME_STORAGE_KEY = "coverageChartTheme";
+
+    const themeLabel = document.getElementById("themeLabel");
+    const themeToggleBtn = document.getElementById("themeToggleBtn");
+
+    const severitySelect = document.getElementById("qualitySeveritySelect");
+    const categorySelect = document.getElementById("qualityCategorySelect");
+    const tableSelect = document.getElementById("qualityTableSelect");
+    const namedInsuredSelect = document.getElementById("qualityNamedInsuredSelect");
+    const searchInput = document.getElementById("qualitySearchInput");
+    const exportCsvBtn = document.getElementById("qualityExportCsvBtn");
+    const statusEl = document.getElementById("qualityStatus");
+
+    const checkedLabel = document.getElementById("qualityCheckedLabel");
+    const summaryStats = document.getElementById("qualitySummaryStats");
+    const issueCount = document.getElementById("qualityIssueCount");
+    const issueTable = document.getElementById("qualityIssueTable");
+    const issueBody = document.getElementById("qualityIssueBody");
+
+    let report = null;
+    let visibleIssues = [];
+    let sortState = { key: "severity", direction: "asc" };
+
+    function setStatus(message, isError = false) {
+      statusEl.textContent = message || "";
+      statusEl.classList.toggle("isError", !!isError);
+    }
+
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    function fillSelect(selectEl, values, allLabel) {
+      const previous = selectEl.value;
+      selectEl.innerHTML = "";
+      for (const [value, label] of [["", allLabel], ...values.map((v) => [v, v])]) {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = label;
+        selectEl.appendChild(opt);
+      }
+      selectEl.value = values.includes(previous) ? previous : "";
+    }
+
+    function policyLink(issue) {
+      const policyIds = issue.policyId.split(",").map((id) => id.trim()).filter(Boolean);
+      if (policyIds.length !== 1 || issue.table === "tblPayments") return escapeHtml(issue.policyNumber || issue.policyId);
+      const params = new URLSearchParams({ policyId: policyIds[0] });
+      return `<a href="/Modules/PolicyInformation/index.html?${params.toString()}">${escapeHtml(issue.policyNumber || issue.policyId)}</a>`;
+    }
+
+    /* ================================
+       Filtering + sorting
+    ================================ */
+
+    function getFilteredIssues() {
+      const severity = severitySelect.value;
+      const category = categorySelect.value;
+      const table = tableSelect.value;
+      const namedInsured = namedInsuredSelect.value;
+      const query = searchInput.value.trim().toLowerCase();
+      return (report?.issues || []).filter((issue) => {
+        if (severity && issue.severity !== severity) return false;
+        if (category && issue.category !== category) return false;
+        if (table && issue.table !== table) return false;
+        if (namedInsured && issue.namedInsured !== namedInsured) return false;
+        if (!query) return true;
+        return [issue.policyNumber, issue.policyId, issue.recordId, issue.insuranceProgram, issue.namedInsured, issue.policyLimitType, issue.message]
+          .some((v) => String(v || "").toLowerCase().includes(query));
+      });
+    }
+
+    const SORT_VALUES = {
+      severity: (i) => SEVERITY_ORDER.indexOf(i.severity),
+      category: (i) => i.category,
+      table: (i) => i.table,
+      record: (i) => i.recordId,
+      policy: (i) => i.policyNumber || i.policyId,
+      program: (i) => i.insuranceProgram,
+      namedInsured: (i) => i.namedInsured,
+      limitType: (i) => i.policyLimitType,
+      years: (i) => i.years
+    };
+
+    function sortIssues(issues) {
+      const valueOf = SORT_VALUES[sortState.key] || SORT_VALUES.severity;
+      const dir = sortState.direction === "desc" ? -1 : 1;
+      return [...issues].sort((a, b) => {
+        const av = valueOf(a);
+        const bv = valueOf(b);
+        const cmp = typeof av === "number" ? av - bv : String(av).localeCompare(String(bv), undefined, { numeric: true });
+        return cmp * dir;
+      });
+    }
+
+    /* ================================
+       Render
+    ================================ */
+
+    function renderSummary() {
+      const counts = report?.counts || { total: 0, error: 0, warning: 0 };
+      checkedLabel.textContent = report?.generatedAt ? `Checked ${new Date(report.generatedAt).toLocaleString()}` : "";
+      const cards = [
+        ["Total Issues", counts.total],
+        ["Errors", counts.error],
+        ["Warnings", counts.warning],
+        ...(report?.categories || []).map((c) => [c.category, c.count])
+      ];
+      summaryStats.innerHTML = cards
+        .map(
+          ([label, value]) => `
+        <article class="allocationStatCard">
+          <div class="allocationStatLabel">${escapeHtml(label)}</div>
+          <div class="allocationStatValue">${escapeHtml(Number(value).toLocaleString())}</div>
+        </article>`
+        )
+        .join("");
+    }
+
+    function renderIssues() {
+      visibleIssues = sortIssues(getFilteredIssues());
+      const total = report?.issues?.length || 0;
+      issueCount.textContent = visibleIssues.length === total ? `Issues: ${total}` : `Issues: ${visibleIssues.length} of ${total}`;
+      exportCsvBtn.disabled = visibleIssues.length === 0;
+
+      if (!visibleIssues.length) {
+        const message = total ? "No issues match the current filters." : "No data quality issues found.";
+        issueBody.innerHTML = `<tr><td colspan="10">${escapeHtml(message)}</td></tr>`;
+        return;
+      }
+
+      issueBody.innerHTML = visibleIssues
+        .map(
+          (issue) => `
+        <tr>
+          <td><span class="qualitySeverity qualitySeverity--${escapeHtml(issue.severity)}">${issue.severity === "error" ? "Error" : "Warning"}</span></td>
+          <td>${escapeHtml(issue.category)}</td>
+          <td>${escapeHtml(issue.table)}</td>
+          <td>${escapeHtml(issue.recordId)}</td>
+          <td>${policyLink(issue)}</td>
+          <td>${escapeHtml(issue.insuranceProgram)}</td>
+          <td>${escapeHtml(issue.namedInsured)}</td>
+          <td>${escapeHtml(issue.policyLimitType)}</td>
+          <td>${escapeHtml(issue.years)}</td>
+          <td class="qualityIssueMessage">${escapeHtml(issue.message)}</td>
+        </tr>`
+        )
+        .join("");
+    }
+
+    function renderEmpty(message) {
+      report = null;
+      visibleIssues = [];
+      exportCsvBtn.disabled = true;
+      checkedLabel.textContent = "";
+      summaryStats.innerHTML = "";
+      issueCount.textContent = "";
+      issueBody.innerHTML = `<tr><td colspan="10">${escapeHtml(message)}</td></tr>`;
+    }
+
+    function exportIssuesCSV() {
+      if (!visibleIssues.length) return;
+      const rows = issuesToRows(visibleIssues);
+      const file = `DataQuality_${toDateStamp()}.csv`;
+      triggerBlobDownload(buildCSV(ISSUE_COLUMNS, rows), file, "text/csv;charset=utf-8");
+      setStatus(`Exported ${rows.length} issue(s).`);
+    }
+
+    async function init() {
+      applyThemeToPage(getPreferredTheme(THEME_STORAGE_KEY), { themeLabelEl: themeLabel, themeToggleBtn });
+      themeToggleBtn.addEventListener("click", () => {
+        const current = document.documentElement.dataset.theme === "light" ? "light" : "dark";
+        const next = current === "light" ? "dark" : "light";
+        localStorage.setItem(THEME_STORAGE_KEY, next);
+        applyThemeToPage(next, { themeLabelEl: themeLabel, themeToggleBtn });
+      });
+
+      setStatus("Running validation...");
+      report = await fetchJSON("/api/validation");
+      fillSelect(categorySelect, [...new Set(report.issues.map((i) => i.category))].sort(), "All categories");
+      fillSelect(tableSelect, [...new Set(report.issues.map((i) => i.table).filter(Boolean))].sort(), "All tables");
+      fillSelect(namedInsuredSelect, [...new Set(report.issues.map((i) => i.namedInsured).filter(Boolean))].sort(), "All named insureds");
+      setStatus("");
+
+      setupSortableTable({
+        table: issueTable,
+        columns: [
+          { index: 0, key: "severity", defaultDirection: "asc" },
+          { index: 1, key: "category", defaultDirection: "asc" },
+          { index: 2, key: "table", defaultDirection: "asc" },
+          { index: 3, key: "record", defaultDirection: "asc" },
+          { index: 4, key: "policy", defaultDirection: "asc" },
+          { index: 5, key: "program", defaultDirection: "asc" },
+          { index: 6, key: "namedInsured", defaultDirection: "asc" },
+          { index: 7, key: "limitType", defaultDirection: "asc" },
+          { index: 8, key: "years", defaultDirection: "asc" }
+        ],
+        initialSort: sortState,
+        onSortChange: (next) => {
+          sortState = next;
+          renderIssues();
+        }
+      });
+
+      renderSummary();
+      renderIssues();
+
+      for (const el of [severitySelect, categorySelect, tableSelect, namedInsuredSelect]) el.addEventListener("change", renderIssues);
+      searchInput.addEventListener("input", () => {
+        window.clearTimeout(searchInput._debounceTimer);
+        searchInput._debounceTimer = window.setTimeout(renderIssues, 150);
+      });
+      exportCsvBtn.addEventListener("click", exportIssuesCSV);
+    }
+
+    init().catch((err) => {
+      console.error(err);
+      renderEmpty("Failed to load validation results.");
+      setStatus(`Failed to load data: ${err?.message || err}`, true);
+    });
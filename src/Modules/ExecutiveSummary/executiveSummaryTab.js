@@ -4,39 +4,79 @@
       getYearBounds,
       setInsuranceProgramFilter,
       setPolicyLimitTypeFilter,
+      setNamedInsuredFilter,
+      setEntityFilters,
+      setYearRange,
       setChartTheme,
-      getFilteredSlices
+      getFilteredSlices,
+      getCoverageGaps,
+      exportWorkbookXLSX
     } from "/Modules/shared/js/coverage/coverageChartEngine.js";
-    import { money, compactMoney, shortLabel } from "../shared/js/core/format.js";
+    import { ensurePdfLibs, createPdfReportWriter } from "../shared/js/coverage/reportExport.js";
+    import {
+      RATING_BANDS,
+      buildCarrierRatingIndex,
+      getRatingBand,
+      herfindahlIndex,
+      classifyHhi
+    } from "../shared/js/coverage/counterpartyRisk.js";
+    import { buildCoverageNarrative } from "../shared/js/coverage/narrative.js";
+    import { collectibleLimit } from "../shared/js/coverage/collectibility.js";
+    import { fetchCSV } from "../shared/js/core/data.js";
+    import { money, compactMoney, shortLabel, formatDate, toDateStamp } from "../shared/js/core/format.js";
     import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
     import {
       buildCheckboxMenu,
       selectedValuesFromCheckboxMenu,
       updateDropdownLabel
     } from "../shared/js/ui/multiSelect.js";
+    import { createNarrativeEditor } from "../shared/js/ui/narrativeEditor.js";
 
     let execCarrierGroupChart = null;
     let execYearTrendChart = null;
 
     const TOP_GROUPS_TO_SHOW = 7;
     const YEAR_FILTER_DEBOUNCE_MS = 140;
+    const CARRIER_RATINGS_URL = "/data/OriginalFiles/tblCarrierRating.csv";
+    const DEFAULT_LAYER_SHARE_PCT = 25;
+    const DEFAULT_TREND_ROLLING_YEARS = 3;
+    const DEFAULT_TREND_DROP_PCT = 25;
+    const TREND_GROUP_COLORS = [
+      "rgba(37, 99, 235, 0.72)",
+      "rgba(13, 148, 136, 0.72)",
+      "rgba(217, 119, 6, 0.72)",
+      "rgba(124, 58, 237, 0.72)",
+      "rgba(219, 39, 119, 0.72)",
+      "rgba(101, 163, 13, 0.72)",
+      "rgba(8, 145, 178, 0.72)"
+    ];
     const executiveFilterState = {
       programId: "",
-      coverageType: "BI", // BI | PD
+      policyLimitTypes: [], // names from tblPolicyLimitType.csv; several are compared side by side
+      combineLimitTypes: false, // count limits marked shared (SharedLimitGroupID) once across the selected types
       yearFrom: null,
       yearTo: null,
       carrierIds: [],
-      carrierGroupIds: []
+      carrierGroupIds: [],
+      namedInsureds: []
     };
-    const executiveFilterMeta = {
-      coverageTypeMap: {
-        BI: "",
-        PD: ""
-      }
+    const executiveRiskState = {
+      ratingIndex: new Map(), // CarrierID -> current rating (tblCarrierRating.csv)
+      layerSharePct: DEFAULT_LAYER_SHARE_PCT // flag layers where one group holds more of the year's tower
+    };
+    const executiveTrendState = {
+      mode: "totals", // "trend": tower split by carrier group, rolling average and year-over-year change
+      rollingYears: DEFAULT_TREND_ROLLING_YEARS,
+      dropPct: DEFAULT_TREND_DROP_PCT, // call out years where the tower falls by more than this
+      selectedDropYear: null
     };
 
-    function getExecTheme() {
-      const light = document.documentElement.dataset.theme === "light";
+    // Board pack PDF: charts are redrawn off-screen at this CSS size and pixel ratio (~300 dpi on A4).
+    const PRINT_CHART_WIDTH = 1100;
+    const PRINT_CHART_SCALE = 3;
+
+    function getExecTheme(themeName = document.documentElement.dataset.theme) {
+      const light = themeName === "light";
       return light
         ? {
             text: "rgba(15, 23, 42, 0.92)",
@@ -45,7 +85,8 @@
             bar: "rgba(37, 99, 235, 0.62)",
             barTop: "rgba(29, 78, 216, 0.9)",
             barMuted: "rgba(15, 23, 42, 0.25)",
-            line: "#0f766e"
+            line: "#0f766e",
+            alert: "#dc2626"
           }
         : {
             text: "rgba(241, 245, 249, 0.95)",
@@ -54,17 +95,27 @@
             bar: "rgba(96, 165, 250, 0.62)",
             barTop: "rgba(147, 197, 253, 0.9)",
             barMuted: "rgba(148, 163, 184, 0.45)",
-            line: "#34d399"
+            line: "#34d399",
+            alert: "#f87171"
           };
     }
 
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
     function showError(err) {
       const box = document.getElementById("errorBox");
       box.style.display = "block";
       box.textContent =
         "ERROR:\n" + (err?.stack || err?.message || String(err)) +
         "\n\nQuick checks:" +
-        "\n- Chart.js loaded (CDN)" +
+        "\n- Chart.js loaded from /vendor (run npm install on the server)" +
         "\n- CSV URLs correct" +
         "\n- Server is serving /data and /Modules";
     }
@@ -74,8 +125,39 @@
       return Number.isFinite(yr) ? Math.trunc(yr) : null;
     }
 
-    function isUnavailableSlice(slice) {
-      return String(slice?.availability || "").toLowerCase().includes("unavail");
+    const UNCOVERED_GROUP = "Not covered (base / gaps)";
+
+    // Splits the tower height [0, top] at the tallest point of the year across carrier groups, so
+    // the trend bars stack to the same height as the tower top. Each stretch of height goes to the
+    // layers covering it (shared equally where layers overlap, then by limit within a layer);
+    // stretches no layer covers, like the base attachment and gaps, go to UNCOVERED_GROUP.
+    function splitTowerHeight(rows) {
+      const layers = new Map();
+      for (const r of rows) {
+        if (!layers.has(r.attach)) layers.set(r.attach, { attach: r.attach, total: 0, rows: [] });
+        const layer = layers.get(r.attach);
+        layer.total += Number(r.limit || 0);
+        layer.rows.push(r);
+      }
+      const bands = Array.from(layers.values()).map((l) => ({ ...l, top: l.attach + l.total }));
+      const cuts = Array.from(new Set([0, ...bands.flatMap((b) => [b.attach, b.top])])).sort((a, b) => a - b);
+
+      const groups = new Map();
+      const add = (name, v) => groups.set(name, (groups.get(name) || 0) + v);
+      for (let i = 0; i < cuts.length - 1; i++) {
+        const lo = cuts[i];
+        const hi = cuts[i + 1];
+        const covering = bands.filter((b) => b.attach <= lo && b.top >= hi);
+        if (!covering.length) {
+          add(UNCOVERED_GROUP, hi - lo);
+          continue;
+        }
+        const share = (hi - lo) / covering.length;
+        for (const b of covering) {
+          for (const r of b.rows) add(r.group, (share * Number(r.limit || 0)) / b.total);
+        }
+      }
+      return groups;
     }
 
     function buildYearPeakTotals(slices) {
@@ -93,7 +175,8 @@
         byYearRows.get(year).push({
           attach,
           limit,
-          unavailable: isUnavailableSlice(s),
+          group: String(s?.carrierGroup || "(unknown group)"),
+          collectible: collectibleLimit(s),
           startMs,
           endMsExclusive: endMs + 1
         });
@@ -109,6 +192,7 @@
 
         let yearGrossTop = 0;
         let yearAvailableTop = 0;
+        let peakRows = [];
 
         for (let i = 0; i < bounds.length - 1; i++) {
           const segStart = bounds[i];
@@ -122,8 +206,8 @@
           const availableByAttach = new Map();
           for (const r of activeRows) {
             grossByAttach.set(r.attach, (grossByAttach.get(r.attach) || 0) + Number(r.limit || 0));
-            if (!r.unavailable) {
-              availableByAttach.set(r.attach, (availableByAttach.get(r.attach) || 0) + Number(r.limit || 0));
+            if (r.collectible > 0) {
+              availableByAttach.set(r.attach, (availableByAttach.get(r.attach) || 0) + r.collectible);
             }
           }
 
@@ -136,11 +220,12 @@
             0
           );
 
+          if (segGrossTop > yearGrossTop) peakRows = activeRows;
           yearGrossTop = Math.max(yearGrossTop, segGrossTop);
           yearAvailableTop = Math.max(yearAvailableTop, segAvailableTop);
         }
 
-        years.push({ year, gross: yearGrossTop, available: yearAvailableTop });
+        years.push({ year, gross: yearGrossTop, available: yearAvailableTop, groups: splitTowerHeight(peakRows) });
       }
 
       return years.sort((a, b) => Number(a.year) - Number(b.year));
@@ -149,19 +234,19 @@
     function filterSlicesForExecutive(data, state) {
       const slices = Array.isArray(data) ? data : [];
       const selectedProgram = String(state?.programId || "").trim();
-      const coverageType = String(state?.coverageType || "BI").trim();
-      const coverageTypeMap = executiveFilterMeta.coverageTypeMap || {};
-      const targetPolicyLimitType = String(coverageTypeMap[coverageType] || "").trim();
+      const policyLimitTypeSet = new Set((state?.policyLimitTypes || []).map((v) => String(v).trim()).filter(Boolean));
       const yearFrom = Number.isFinite(state?.yearFrom) ? Number(state.yearFrom) : null;
       const yearTo = Number.isFinite(state?.yearTo) ? Number(state.yearTo) : null;
       const carrierSet = new Set((state?.carrierIds || []).map((v) => String(v).trim()).filter(Boolean));
       const carrierGroupSet = new Set((state?.carrierGroupIds || []).map((v) => String(v).trim()).filter(Boolean));
+      const namedInsuredSet = new Set((state?.namedInsureds || []).map((v) => String(v).trim()).filter(Boolean));
 
       return slices.filter((s) => {
         if (selectedProgram && String(s?.insuranceProgram || "").trim() !== selectedProgram) return false;
-        if (targetPolicyLimitType) {
+        if (namedInsuredSet.size > 0 && !namedInsuredSet.has(String(s?.namedInsured || "").trim())) return false;
+        if (policyLimitTypeSet.size > 0) {
           const sliceType = String(s?.policyLimitType || s?.policyLimitTypeId || "").trim();
-          if (sliceType !== targetPolicyLimitType) return false;
+          if (!policyLimitTypeSet.has(sliceType)) return false;
         }
 
         const yr = getSliceYear(s);
@@ -182,23 +267,62 @@
       });
     }
 
+    function isCombinedLimitTypes(state) {
+      return !!state?.combineLimitTypes && (state?.policyLimitTypes || []).length > 1;
+    }
+
+    // Limit rows marked with the same SharedLimitGroupID (tblPolicyLimits) are one limit written for
+    // several types: keep the largest per policy, year, attachment and group so it counts once.
+    // Every other limit is separate per type and is added.
+    function combineLimitTypeSlices(slices) {
+      const separate = [];
+      const byShared = new Map();
+      for (const s of slices) {
+        const group = String(s?.sharedLimitGroupId || "").trim();
+        if (!group) {
+          separate.push(s);
+          continue;
+        }
+        const key = [
+          String(s?.PolicyID || "").trim(),
+          getSliceYear(s),
+          Number(s?.attach || 0),
+          Number(s?.yearOverlapStartMs || s?.policyStartMs || 0),
+          group
+        ].join("||");
+        const kept = byShared.get(key);
+        if (!kept || Number(s?.sliceLimit || 0) > Number(kept?.sliceLimit || 0)) byShared.set(key, s);
+      }
+      return [...separate, ...byShared.values()];
+    }
+
     function computeExecutiveSummary(data, state) {
-      const filteredSlices = filterSlicesForExecutive(data, state);
+      const selectedSlices = filterSlicesForExecutive(data, state);
+      const filteredSlices = isCombinedLimitTypes(state) ? combineLimitTypeSlices(selectedSlices) : selectedSlices;
       const totalGross = filteredSlices.reduce((sum, s) => sum + Number(s?.sliceLimit || 0), 0);
-      const totalAvailable = filteredSlices.reduce((sum, s) => {
-        return sum + (isUnavailableSlice(s) ? 0 : Number(s?.sliceLimit || 0));
-      }, 0);
+      const totalAvailable = filteredSlices.reduce((sum, s) => sum + collectibleLimit(s), 0);
       const pctAvailable = totalGross > 0 ? totalAvailable / totalGross : 0;
 
       const byGroup = new Map();
       for (const s of filteredSlices) {
         const group = String(s?.carrierGroup || "(unknown group)");
         const limit = Number(s?.sliceLimit || 0);
-        const unavailable = isUnavailableSlice(s);
         if (!byGroup.has(group)) byGroup.set(group, { name: group, gross: 0, available: 0 });
         const row = byGroup.get(group);
         row.gross += limit;
-        if (!unavailable) row.available += limit;
+        row.available += collectibleLimit(s);
+      }
+
+      const byCarrier = new Map();
+      for (const s of filteredSlices) {
+        const carrier = String(s?.carrier || "(unknown carrier)");
+        const limit = Number(s?.sliceLimit || 0);
+        if (!byCarrier.has(carrier)) {
+          byCarrier.set(carrier, { name: carrier, carrierId: String(s?.carrierId || "").trim(), gross: 0, available: 0 });
+        }
+        const row = byCarrier.get(carrier);
+        row.gross += limit;
+        row.available += collectibleLimit(s);
       }
 
       const carrierGroups = Array.from(byGroup.values()).sort((a, b) => {
@@ -240,11 +364,164 @@
         top3CarrierGroupsBreakdown,
         coverageSpan,
         carrierGroups,
+        carriers: Array.from(byCarrier.values()),
         yearSeries,
         filteredSlices
       };
     }
 
+    // Layers (policy year, attachment, period within the year) where one carrier group's limit is
+    // more than `thresholdPct` of that year's tower (the gross top from buildYearPeakTotals).
+    function findConcentratedLayers(summary, thresholdPct) {
+      const towerTopByYear = new Map(summary.yearSeries.map((y) => [Number(y.year), Number(y.gross || 0)]));
+      const layers = new Map();
+      for (const s of summary.filteredSlices) {
+        const year = getSliceYear(s);
+        const limit = Number(s?.sliceLimit || 0);
+        if (!Number.isFinite(year) || !(limit > 0)) continue;
+        const attach = Number(s?.attach || 0);
+        const key = [year, attach, Number(s?.yearOverlapStartMs || s?.policyStartMs || 0)].join("||");
+        if (!layers.has(key)) layers.set(key, { year, attach, limit: 0, byGroup: new Map() });
+        const layer = layers.get(key);
+        const group = String(s?.carrierGroup || "(unknown group)");
+        layer.limit += limit;
+        layer.byGroup.set(group, (layer.byGroup.get(group) || 0) + limit);
+      }
+
+      const flagged = [];
+      for (const layer of layers.values()) {
+        const towerTop = towerTopByYear.get(layer.year) || 0;
+        if (!(towerTop > 0)) continue;
+        for (const [group, groupLimit] of layer.byGroup) {
+          const shareOfTower = groupLimit / towerTop;
+          if (shareOfTower * 100 <= thresholdPct) continue;
+          flagged.push({ year: layer.year, attach: layer.attach, layerLimit: layer.limit, group, groupLimit, towerTop, shareOfTower });
+        }
+      }
+      return flagged.sort((a, b) => b.shareOfTower - a.shareOfTower || a.year - b.year || a.attach - b.attach);
+    }
+
+    /**
+     * Counterparty risk on top of computeExecutiveSummary: HHI by carrier and by group, exposure by
+     * rating band (available limits discounted by the band weight) and the concentrated layers.
+     */
+    function computeCounterpartyRisk(summary, { ratingIndex, layerSharePct }) {
+      const bands = new Map(RATING_BANDS.map((band) => [band.key, { ...band, gross: 0, available: 0, carriers: 0 }]));
+      for (const c of summary.carriers) {
+        const band = bands.get((ratingIndex.get(c.carrierId)?.band || getRatingBand()).key);
+        band.gross += c.gross;
+        band.available += c.available;
+        band.carriers += 1;
+      }
+      const ratingBands = Array.from(bands.values());
+      const weightedAvailable = ratingBands.reduce((sum, band) => sum + band.available * band.weight, 0);
+      const carrierHhi = herfindahlIndex(summary.carriers.map((c) => c.gross));
+      const groupHhi = herfindahlIndex(summary.carrierGroups.map((g) => g.gross));
+
+      return {
+        carrierHhi,
+        carrierHhiLabel: classifyHhi(carrierHhi),
+        groupHhi,
+        groupHhiLabel: classifyHhi(groupHhi),
+        ratingBands,
+        weightedAvailable,
+        weightedAvailablePct: summary.totalAvailable > 0 ? weightedAvailable / summary.totalAvailable : 0,
+        layerSharePct,
+        concentratedLayers: findConcentratedLayers(summary, layerSharePct)
+      };
+    }
+
+    function renderCounterpartyPanel(risk, summary) {
+      const hhiText = (value) => Math.round(value).toLocaleString();
+      document.getElementById("execRiskCarrierHhi").textContent = hhiText(risk.carrierHhi);
+      document.getElementById("execRiskCarrierHhiLabel").textContent = risk.carrierHhiLabel;
+      document.getElementById("execRiskGroupHhi").textContent = hhiText(risk.groupHhi);
+      document.getElementById("execRiskGroupHhiLabel").textContent = risk.groupHhiLabel;
+      document.getElementById("execRiskWeighted").textContent = money(risk.weightedAvailable);
+      document.getElementById("execRiskWeightedLabel").textContent = `${formatPct(risk.weightedAvailablePct)} of available limits`;
+
+      const bandRows = risk.ratingBands
+        .filter((band) => band.carriers > 0)
+        .map(
+          (band) =>
+            `<tr><th scope="row">${escapeHtml(band.label)}</th>` +
+            `<td>${band.carriers}</td>` +
+            `<td>${money(band.gross)}</td>` +
+            `<td>${formatPct(summary.totalGross > 0 ? band.gross / summary.totalGross : 0)}</td>` +
+            `<td>${band.weight.toFixed(2)}</td>` +
+            `<td>${money(band.available * band.weight)}</td></tr>`
+        )
+        .join("");
+      document.getElementById("execRiskRatingTable").innerHTML =
+        `<thead><tr><th scope="col">Rating</th><th scope="col">Carriers</th><th scope="col">Gross Limits</th>` +
+        `<th scope="col">% of Gross</th><th scope="col">Weight</th><th scope="col">Weighted Available</th></tr></thead>` +
+        `<tbody>${bandRows || `<tr><td colspan="6">No carriers for current filters.</td></tr>`}</tbody>`;
+
+      const layerRows = risk.concentratedLayers
+        .map(
+          (l) =>
+            `<tr><td>${l.year}</td><td>${money(l.attach)}</td><td>${money(l.layerLimit)}</td>` +
+            `<th scope="row">${escapeHtml(l.group)}</th><td>${money(l.groupLimit)}</td><td>${formatPct(l.shareOfTower)}</td></tr>`
+        )
+        .join("");
+      document.getElementById("execRiskLayersSubtitle").textContent = risk.concentratedLayers.length
+        ? `${risk.concentratedLayers.length} layer(s) where one group holds more than ${risk.layerSharePct}% of the year's tower`
+        : `No layer where one group holds more than ${risk.layerSharePct}% of the year's tower`;
+      document.getElementById("execRiskLayersTable").innerHTML =
+        `<thead><tr><th scope="col">Year</th><th scope="col">Attachment</th><th scope="col">Layer Limit</th>` +
+        `<th scope="col">Carrier Group</th><th scope="col">Group Limit</th><th scope="col">% of Year Tower</th></tr></thead>` +
+        `<tbody>${layerRows}</tbody>`;
+    }
+
+    // One summary per selected limit type, for the side-by-side KPI columns.
+    function computeLimitTypeSummaries(data, state) {
+      return (state.policyLimitTypes || []).map((type) => ({
+        type,
+        summary: computeExecutiveSummary(data, { ...state, policyLimitTypes: [type], combineLimitTypes: false })
+      }));
+    }
+
+    const LIMIT_TYPE_KPI_ROWS = [
+      { label: "Total Gross Limits", value: (s) => money(s.totalGross) },
+      { label: "Total Available Limits", value: (s) => money(s.totalAvailable) },
+      { label: "% Available", value: (s) => formatPct(s.pctAvailable) },
+      { label: "Largest Carrier Group % of Gross", value: (s) => formatPct(s.largestCarrierGroupPctOfGross) },
+      { label: "Top 3 Carrier Groups % of Gross", value: (s) => formatPct(s.top3CarrierGroupsPctOfGross) },
+      { label: "Unique Policies", value: (s) => Number(s.uniquePolicies || 0).toLocaleString() },
+      { label: "Coverage Span", value: (s) => s.coverageSpan }
+    ];
+
+    // Columns: each selected type, then the headline figures ("Combined" when shared limits are merged).
+    function getLimitTypeColumns(summary, state) {
+      return [
+        ...summary.byLimitType.map(({ type, summary: typeSummary }) => ({ label: type, summary: typeSummary })),
+        { label: isCombinedLimitTypes(state) ? "Combined" : "All Selected", summary, isTotal: true }
+      ];
+    }
+
+    function renderLimitTypeColumns(summary, state) {
+      const section = document.getElementById("execKpiByType");
+      if (!section) return;
+      section.hidden = summary.byLimitType.length < 2;
+      if (section.hidden) return;
+
+      const columns = getLimitTypeColumns(summary, state);
+      const header = columns
+        .map((col) => `<th scope="col"${col.isTotal ? ` class="isTotal"` : ""}>${escapeHtml(col.label)}</th>`)
+        .join("");
+      const body = LIMIT_TYPE_KPI_ROWS.map((row) => {
+        const cells = columns
+          .map((col) => `<td${col.isTotal ? ` class="isTotal"` : ""}>${escapeHtml(row.value(col.summary))}</td>`)
+          .join("");
+        return `<tr><th scope="row">${row.label}</th>${cells}</tr>`;
+      }).join("");
+      document.getElementById("execKpiByTypeTable").innerHTML =
+        `<thead><tr><th scope="col">Metric</th>${header}</tr></thead><tbody>${body}</tbody>`;
+      document.getElementById("execKpiByTypeNote").textContent = isCombinedLimitTypes(state)
+        ? "Combined adds the types, counting limits marked as shared (SharedLimitGroupID) once."
+        : "All Selected adds the types together (separate limits per type).";
+    }
+
     function renderKPISection(summary) {
       document.getElementById("execKpiGross").textContent = money(summary.totalGross);
       document.getElementById("execKpiAvailable").textContent = money(summary.totalAvailable);
@@ -254,25 +531,36 @@
       document.getElementById("execKpiPolicyCount").textContent = Number(summary.uniquePolicies || 0).toLocaleString();
     }
 
-    function renderCarrierGroupChart(summary) {
-      const theme = getExecTheme();
-      const canvas = document.getElementById("execCarrierGroupCanvas");
-      const subtitle = document.getElementById("execCarrierGroupSubtitle");
-
-      const groups = summary.carrierGroups || [];
+    // Top-N carrier groups plus one "All Other Groups" row; `remainder` keeps the grouped rows.
+    function groupCarrierGroupsForDisplay(groups = []) {
       const displayGroups = groups.slice(0, TOP_GROUPS_TO_SHOW);
-      if (groups.length > TOP_GROUPS_TO_SHOW) {
-        const remainderTotal = groups
-          .slice(TOP_GROUPS_TO_SHOW)
-          .reduce((sum, g) => sum + Number(g?.gross || 0), 0);
-        displayGroups.push({ name: "All Other Groups", gross: remainderTotal, isRemainder: true });
+      const remainder = groups.slice(TOP_GROUPS_TO_SHOW);
+      if (remainder.length) {
+        displayGroups.push({
+          name: "All Other Groups",
+          gross: remainder.reduce((sum, g) => sum + Number(g?.gross || 0), 0),
+          available: remainder.reduce((sum, g) => sum + Number(g?.available || 0), 0),
+          isRemainder: true
+        });
       }
+      return {
+        displayGroups,
+        remainder,
+        subtitle: remainder.length ? `Top ${TOP_GROUPS_TO_SHOW} shown; remainder grouped` : "All groups shown"
+      };
+    }
 
-      subtitle.textContent =
-        groups.length > TOP_GROUPS_TO_SHOW
-          ? `Top ${TOP_GROUPS_TO_SHOW} shown; remainder grouped`
-          : "All groups shown";
+    function renderCarrierGroupChart(summary) {
+      const canvas = document.getElementById("execCarrierGroupCanvas");
+      document.getElementById("execCarrierGroupSubtitle").textContent =
+        groupCarrierGroupsForDisplay(summary.carrierGroups).subtitle;
 
+      if (execCarrierGroupChart) execCarrierGroupChart.destroy();
+      execCarrierGroupChart = new Chart(canvas.getContext("2d"), buildCarrierGroupChartConfig(summary, getExecTheme()));
+    }
+
+    function buildCarrierGroupChartConfig(summary, theme) {
+      const { displayGroups } = groupCarrierGroupsForDisplay(summary.carrierGroups);
       const labels = displayGroups.map((g) => g.name);
       const values = displayGroups.map((g) => Number(g?.gross || 0));
       const colors = displayGroups.map((g, idx) => {
@@ -280,8 +568,7 @@
         return idx < 3 ? theme.barTop : theme.bar;
       });
 
-      if (execCarrierGroupChart) execCarrierGroupChart.destroy();
-      execCarrierGroupChart = new Chart(canvas.getContext("2d"), {
+      return {
         type: "bar",
         data: {
           labels,
@@ -327,12 +614,38 @@
             }
           }
         }
-      });
+      };
     }
 
-    function renderYearTrendChart(summary) {
-      const theme = getExecTheme();
+    function renderYearTrendChart(summary, trendState) {
       const canvas = document.getElementById("execYearTrendCanvas");
+      const isTrend = trendState.mode === "trend";
+      const trend = isTrend ? computeYearTrend(summary, trendState) : null;
+      const config = isTrend
+        ? buildYearTrendDeltaChartConfig(summary, trend, getExecTheme())
+        : buildYearTrendChartConfig(summary, getExecTheme());
+
+      if (isTrend) {
+        const dropAt = (elements) => trend.drops.find((d) => d.year === trend.years[elements?.[0]?.index]?.year);
+        config.options.onHover = (evt, elements) => {
+          canvas.style.cursor = dropAt(elements) ? "pointer" : "";
+        };
+        config.options.onClick = (evt, elements) => {
+          const drop = dropAt(elements);
+          if (!drop) return;
+          trendState.selectedDropYear = drop.year;
+          renderTrendDrops(trend, trendState);
+        };
+      } else {
+        canvas.style.cursor = "";
+      }
+
+      if (execYearTrendChart) execYearTrendChart.destroy();
+      execYearTrendChart = new Chart(canvas.getContext("2d"), config);
+      renderTrendDrops(trend, trendState);
+    }
+
+    function buildYearTrendChartConfig(summary, theme) {
       const labels = (summary.yearSeries || []).map((y) => String(y.year));
       const gross = (summary.yearSeries || []).map((y) => Number(y.gross || 0));
       const available = (summary.yearSeries || []).map((y) => Number(y.available || 0));
@@ -358,8 +671,7 @@
         }
       ];
 
-      if (execYearTrendChart) execYearTrendChart.destroy();
-      execYearTrendChart = new Chart(canvas.getContext("2d"), {
+      return {
         data: {
           labels,
           datasets
@@ -403,7 +715,273 @@
             y: { beginAtZero: true, ticks: { color: theme.axis, callback: (v) => compactMoney(v), maxTicksLimit: 6 }, grid: { color: theme.grid } }
           }
         }
+      };
+    }
+
+    // Policies with a slice in `prevYear` and none in `year` whose layer reached above `towerTop`
+    // (the new tower), largest limit first. Ended policies below it were renewed or replaced.
+    function findEndedPolicies(slices, prevYear, year, towerTop) {
+      const continuing = new Set();
+      const ended = new Map();
+      for (const s of slices) {
+        const sliceYear = getSliceYear(s);
+        const policyId = String(s?.PolicyID || "").trim();
+        if (!policyId) continue;
+        if (sliceYear === year) continuing.add(policyId);
+        if (sliceYear !== prevYear) continue;
+        const limit = Number(s?.sliceLimit || 0);
+        const current = ended.get(policyId);
+        if (current) {
+          current.limit = Math.max(current.limit, limit);
+          continue;
+        }
+        ended.set(policyId, {
+          policyId,
+          policyNo: String(s?.policy_no || "").trim(),
+          carrier: String(s?.carrier || "(unknown carrier)"),
+          carrierGroup: String(s?.carrierGroup || "(unknown group)"),
+          attach: Number(s?.attach || 0),
+          limit,
+          endMs: Number(s?.policyEndMs || 0)
+        });
+      }
+      return Array.from(ended.values())
+        .filter((p) => !continuing.has(p.policyId) && p.attach + p.limit > towerTop)
+        .sort((a, b) => b.limit - a.limit || a.attach - b.attach);
+    }
+
+    /**
+     * Trend view of summary.yearSeries: change from the prior policy year, an average over the
+     * trailing `rollingYears` calendar years (years without coverage count as zero) and the years
+     * where the tower fell by more than `dropPct`, each with the ended policies behind the drop.
+     */
+    function computeYearTrend(summary, { rollingYears, dropPct }) {
+      const series = summary.yearSeries || [];
+      const grossByYear = new Map(series.map((y) => [Number(y.year), Number(y.gross || 0)]));
+      const firstYear = Number(series[0]?.year);
+
+      const years = series.map((y) => {
+        const year = Number(y.year);
+        const gross = Number(y.gross || 0);
+        const prevGross = grossByYear.has(year - 1) ? grossByYear.get(year - 1) : null;
+        const delta = prevGross === null ? null : gross - prevGross;
+        const windowStart = Math.max(firstYear, year - rollingYears + 1);
+        let windowSum = 0;
+        for (let yr = windowStart; yr <= year; yr++) windowSum += grossByYear.get(yr) || 0;
+        return {
+          year,
+          gross,
+          prevGross,
+          delta,
+          deltaPct: prevGross > 0 ? delta / prevGross : null,
+          rolling: windowSum / (year - windowStart + 1),
+          groups: y.groups || new Map()
+        };
       });
+
+      const drops = years
+        .filter((y) => y.deltaPct !== null && -y.deltaPct * 100 > dropPct)
+        .map((y) => ({ ...y, endedPolicies: findEndedPolicies(summary.filteredSlices, y.year - 1, y.year, y.gross) }));
+
+      return { years, drops, rollingYears, dropPct };
+    }
+
+    const signedMoney = (v) => `${v < 0 ? "-" : "+"}${money(Math.abs(v))}`;
+    const signedPct = (fraction) => `${fraction < 0 ? "-" : "+"}${formatPct(Math.abs(fraction))}`;
+
+    // Trend mode: the tower top split across carrier groups as stacked bars (left axis), with the
+    // uncovered base and gaps at the bottom, the rolling average over it and the year-over-year
+    // change (right axis) with the flagged drops marked.
+    function buildYearTrendDeltaChartConfig(summary, trend, theme) {
+      const labels = trend.years.map((y) => String(y.year));
+      const dropYears = new Set(trend.drops.map((d) => d.year));
+      const { displayGroups } = groupCarrierGroupsForDisplay(summary.carrierGroups);
+      const namedGroups = new Set(displayGroups.filter((g) => !g.isRemainder).map((g) => g.name));
+      const groupValue = (y, g) => {
+        if (!g.isRemainder) return Number(y.groups.get(g.name) || 0);
+        let other = 0;
+        for (const [name, limit] of y.groups) {
+          if (!namedGroups.has(name) && name !== UNCOVERED_GROUP) other += Number(limit || 0);
+        }
+        return other;
+      };
+      const uncovered = trend.years.map((y) => Number(y.groups.get(UNCOVERED_GROUP) || 0));
+
+      const datasets = [
+        ...(uncovered.some((v) => v > 0)
+          ? [
+              {
+                type: "bar",
+                label: UNCOVERED_GROUP,
+                data: uncovered,
+                stack: "tower",
+                backgroundColor: "transparent",
+                borderColor: theme.barMuted,
+                borderWidth: 1,
+                order: 2
+              }
+            ]
+          : []),
+        ...displayGroups.map((g, idx) => {
+          const color = g.isRemainder ? theme.barMuted : TREND_GROUP_COLORS[idx % TREND_GROUP_COLORS.length];
+          return {
+            type: "bar",
+            label: g.name,
+            data: trend.years.map((y) => groupValue(y, g)),
+            stack: "tower",
+            backgroundColor: color,
+            borderColor: color,
+            order: 2
+          };
+        }),
+        {
+          type: "line",
+          label: `${trend.rollingYears}-Year Average`,
+          data: trend.years.map((y) => y.rolling),
+          borderColor: theme.line,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          borderWidth: 2,
+          tension: 0.2,
+          order: 1
+        },
+        {
+          type: "line",
+          label: "Change vs Prior Year",
+          data: trend.years.map((y) => y.delta),
+          yAxisID: "yChange",
+          borderColor: theme.axis,
+          pointBackgroundColor: trend.years.map((y) => (dropYears.has(y.year) ? theme.alert : theme.axis)),
+          pointBorderColor: trend.years.map((y) => (dropYears.has(y.year) ? theme.alert : theme.axis)),
+          pointRadius: trend.years.map((y) => (dropYears.has(y.year) ? 5 : 2)),
+          pointHoverRadius: 6,
+          borderWidth: 1.5,
+          spanGaps: false,
+          order: 0
+        }
+      ];
+
+      return {
+        data: {
+          labels,
+          datasets
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          layout: {
+            padding: { top: 0, right: 2, bottom: 0, left: 0 }
+          },
+          plugins: {
+            legend: {
+              display: true,
+              position: "top",
+              align: "start",
+              labels: {
+                color: theme.text,
+                boxWidth: 20,
+                boxHeight: 8,
+                padding: 10,
+                sort: (a, b) => a.datasetIndex - b.datasetIndex,
+                generateLabels: (chart) =>
+                  Chart.defaults.plugins.legend.labels.generateLabels(chart).map((item) => ({
+                    ...item,
+                    text: shortLabel(item.text, 24)
+                  }))
+              }
+            },
+            tooltip: {
+              displayColors: false,
+              callbacks: {
+                title: (items) => String(labels[items?.[0]?.dataIndex] || ""),
+                label: () => null,
+                afterBody: (items) => {
+                  const y = trend.years[Number(items?.[0]?.dataIndex)];
+                  if (!y) return [];
+                  const lines = [`Tower: ${money(y.gross)}`, `${trend.rollingYears}-year average: ${money(y.rolling)}`];
+                  if (y.delta !== null) {
+                    lines.push(
+                      `Change vs ${y.year - 1}: ${signedMoney(y.delta)}` +
+                        (y.deltaPct !== null ? ` (${signedPct(y.deltaPct)})` : "")
+                    );
+                  }
+                  if (dropYears.has(y.year)) lines.push("Click to list the policies that ended");
+                  return lines;
+                }
+              }
+            }
+          },
+          interaction: {
+            mode: "index",
+            intersect: false
+          },
+          scales: {
+            x: { stacked: true, ticks: { color: theme.axis, maxRotation: 0, autoSkip: true }, grid: { color: theme.grid } },
+            y: {
+              stacked: true,
+              beginAtZero: true,
+              ticks: { color: theme.axis, callback: (v) => compactMoney(v), maxTicksLimit: 6 },
+              grid: { color: theme.grid }
+            },
+            yChange: {
+              position: "right",
+              ticks: { color: theme.axis, callback: (v) => compactMoney(v), maxTicksLimit: 6 },
+              grid: { drawOnChartArea: false },
+              title: { display: true, text: "Change vs Prior Year", color: theme.axis }
+            }
+          }
+        }
+      };
+    }
+
+    function renderTrendDrops(trend, trendState) {
+      const section = document.getElementById("execTrendDrops");
+      const controls = document.getElementById("execTrendControls");
+      if (controls) controls.hidden = !trend;
+      if (!section) return;
+      section.hidden = !trend;
+      if (!trend) return;
+
+      const selected = trend.drops.find((d) => d.year === trendState.selectedDropYear) || null;
+      document.getElementById("execTrendDropsSubtitle").textContent = trend.drops.length
+        ? `${trend.drops.length} year(s) where the tower fell by more than ${trend.dropPct}%` +
+          (selected ? "" : "; select one to list the policies that ended")
+        : `No year where the tower fell by more than ${trend.dropPct}%`;
+
+      const dropList = document.getElementById("execTrendDropList");
+      dropList.hidden = !trend.drops.length;
+      dropList.innerHTML = trend.drops
+        .map((d) => {
+          const isActive = d === selected;
+          return (
+            `<button type="button" class="injuryTypeBtn${isActive ? " isActive" : ""}" data-year="${d.year}" ` +
+            `aria-pressed="${isActive}">${d.year} ${escapeHtml(signedPct(d.deltaPct))}</button>`
+          );
+        })
+        .join("");
+
+      const table = document.getElementById("execTrendEndedTable");
+      table.hidden = !selected;
+      if (!selected) {
+        table.innerHTML = "";
+        return;
+      }
+      const rows = selected.endedPolicies
+        .map(
+          (p) =>
+            `<tr><th scope="row">${escapeHtml(p.policyNo || p.policyId)}</th>` +
+            `<td>${escapeHtml(p.carrier)}</td><td>${escapeHtml(p.carrierGroup)}</td>` +
+            `<td>${money(p.attach)}</td><td>${money(p.limit)}</td>` +
+            `<td>${p.endMs > 0 ? escapeHtml(formatDate(new Date(p.endMs).toISOString().slice(0, 10))) : "--"}</td></tr>`
+        )
+        .join("");
+      table.innerHTML =
+        `<caption>${selected.year}: tower ${money(selected.prevGross)} to ${money(selected.gross)} ` +
+        `(${escapeHtml(signedPct(selected.deltaPct))})</caption>` +
+        `<thead><tr><th scope="col">Policy</th><th scope="col">Carrier</th><th scope="col">Carrier Group</th>` +
+        `<th scope="col">Attachment</th><th scope="col">Limit</th><th scope="col">Policy End</th></tr></thead>` +
+        `<tbody>${rows || `<tr><td colspan="6">No policy ended; the drop comes from lower limits on continuing policies.</td></tr>`}</tbody>`;
     }
 
     function renderSummaryFacts(summary) {
@@ -428,6 +1006,284 @@
       document.getElementById("execCoverageSpan").textContent = `Coverage Span: ${summary.coverageSpan}`;
     }
 
+    function buildExecutiveSheet(summary) {
+      const rows = [
+        { Section: "KPI", Item: "Total gross limits", Amount: summary.totalGross },
+        { Section: "KPI", Item: "Total available limits", Amount: summary.totalAvailable, Percent: summary.pctAvailable * 100 },
+        { Section: "KPI", Item: `Largest carrier group: ${summary.largestCarrierGroupName}`, Percent: summary.largestCarrierGroupPctOfGross * 100 },
+        { Section: "KPI", Item: "Top 3 carrier groups", Percent: summary.top3CarrierGroupsPctOfGross * 100 },
+        { Section: "KPI", Item: "Policies", Count: summary.uniquePolicies },
+        { Section: "KPI", Item: "Coverage span", Note: summary.coverageSpan }
+      ];
+      if (summary.byLimitType.length > 1) {
+        for (const { type, summary: s } of summary.byLimitType) {
+          rows.push({
+            Section: "Limit Type",
+            Item: type,
+            Count: s.uniquePolicies,
+            Amount: s.totalGross,
+            Available: s.totalAvailable,
+            Percent: s.pctAvailable * 100
+          });
+        }
+      }
+      for (const g of summary.carrierGroups) {
+        rows.push({
+          Section: "Carrier Group",
+          Item: g.name,
+          Amount: g.gross,
+          Available: g.available,
+          Percent: summary.totalGross > 0 ? (g.gross / summary.totalGross) * 100 : 0
+        });
+      }
+      for (const y of summary.yearSeries) {
+        rows.push({ Section: "Policy Year", Item: String(y.year), Amount: y.gross, Available: y.available });
+      }
+      return {
+        name: "Executive Summary",
+        columns: [
+          { key: "Section", width: 16 },
+          { key: "Item", width: 40 },
+          { key: "Count", format: "integer" },
+          { key: "Amount", format: "currency", width: 18 },
+          { key: "Available", format: "currency", width: 18 },
+          { key: "Percent", format: "percent" },
+          { key: "Note", width: 16 }
+        ],
+        rows
+      };
+    }
+
+    const formatPct = (fraction) => `${(Number(fraction || 0) * 100).toFixed(1)}%`;
+
+    function getFilterStateLines(state) {
+      const list = (values, allLabel) => (values?.length ? values.join(", ") : allLabel);
+      const yearFrom = Number.isFinite(state.yearFrom) ? state.yearFrom : null;
+      const yearTo = Number.isFinite(state.yearTo) ? state.yearTo : null;
+      const years =
+        yearFrom === null && yearTo === null
+          ? "All years"
+          : `${yearFrom ?? "earliest"} to ${yearTo ?? "latest"}`;
+      return [
+        `Insurance Program: ${state.programId || "(none)"}`,
+        `Coverage Type: ${list(state.policyLimitTypes, "All Limit Types")}${isCombinedLimitTypes(state) ? " (combined)" : ""}`,
+        `Policy Years: ${years}`,
+        `Carriers: ${list(state.carrierIds, "All Carriers")}`,
+        `Carrier Groups: ${list(state.carrierGroupIds, "All Carrier Groups")}`,
+        `Named Insureds: ${list(state.namedInsureds, "All Named Insureds")}`
+      ];
+    }
+
+    // Engine gaps follow the program and limit type only; with a single type and no local carrier or
+    // named insured filter they describe the same towers as the dashboard (years are trimmed here).
+    function getExecutiveGaps(state) {
+      const narrowed =
+        state.policyLimitTypes.length !== 1 ||
+        state.carrierIds.length ||
+        state.carrierGroupIds.length ||
+        state.namedInsureds.length;
+      if (narrowed) return null;
+      return getCoverageGaps().filter(
+        (g) =>
+          g.kind === "gap" &&
+          (!Number.isFinite(state.yearFrom) || g.year >= state.yearFrom) &&
+          (!Number.isFinite(state.yearTo) || g.year <= state.yearTo)
+      );
+    }
+
+    function buildExecutiveNarrative(summary, state) {
+      const types = `${state.policyLimitTypes.join(", ")}${isCombinedLimitTypes(state) ? ", combined" : ""}`;
+      return buildCoverageNarrative({
+        scope: state.programId ? `${state.programId}${types ? ` (${types})` : ""}` : "",
+        years: summary.yearSeries,
+        totalGross: summary.totalGross,
+        totalAvailable: summary.totalAvailable,
+        policyCount: summary.uniquePolicies,
+        carriers: summary.carriers,
+        gaps: getExecutiveGaps(state)
+      });
+    }
+
+    // Redraw a dashboard chart off-screen in the light theme at print resolution.
+    function renderChartImage(config, aspectRatio) {
+      const host = document.createElement("div");
+      const height = Math.round(PRINT_CHART_WIDTH / aspectRatio);
+      host.style.cssText = `position:fixed;left:-100000px;top:0;width:${PRINT_CHART_WIDTH}px;height:${height}px;`;
+      const canvas = document.createElement("canvas");
+      host.appendChild(canvas);
+      document.body.appendChild(host);
+      const printChart = new Chart(canvas.getContext("2d"), {
+        ...config,
+        options: { ...config.options, devicePixelRatio: PRINT_CHART_SCALE, animation: false }
+      });
+      try {
+        return printChart.toBase64Image("image/png", 1);
+      } finally {
+        printChart.destroy();
+        host.remove();
+      }
+    }
+
+    function addChartPage(writer, title, subtitle, config) {
+      const { pdf, pageW, pageH, margin, state } = writer;
+      writer.newPage();
+      writer.addPageTitle(title);
+      if (subtitle) writer.addTextLines([subtitle]);
+      state.y += 6;
+      const width = pageW - margin * 2;
+      const height = Math.max(160, pageH - state.y - margin - 24);
+      pdf.addImage(renderChartImage(config, width / height), "PNG", margin, state.y, width, height, undefined, "FAST");
+      state.y += height;
+    }
+
+    // Board pack pages for the trend mode: the chart, then each flagged drop with the policies that ended.
+    function addTrendPages(writer, summary, printTheme) {
+      const trend = computeYearTrend(summary, executiveTrendState);
+      addChartPage(
+        writer,
+        "Year-over-Year Trend",
+        `Tower by carrier group, ${trend.rollingYears}-year average and change vs prior year`,
+        buildYearTrendDeltaChartConfig(summary, trend, printTheme)
+      );
+
+      writer.newPage();
+      writer.addPageTitle(`Years Where the Tower Fell by More Than ${trend.dropPct}%`);
+      if (!trend.drops.length) {
+        writer.addTextLines(["No year in scope."]);
+        return;
+      }
+      for (const drop of trend.drops) {
+        writer.drawGridTable({
+          title:
+            `${drop.year}: ${money(drop.prevGross)} to ${money(drop.gross)} (${signedPct(drop.deltaPct)}), ` +
+            `${drop.endedPolicies.length} polic${drop.endedPolicies.length === 1 ? "y" : "ies"} ended`,
+          columns: [
+            { label: "Policy", width: 170 },
+            { label: "Carrier", width: 240 },
+            { label: "Carrier Group", width: 140 },
+            { label: "Attachment", width: 110, align: "right" },
+            { label: "Limit", width: 110, align: "right" }
+          ],
+          rows: drop.endedPolicies,
+          rowToCells: (p) => [p.policyNo || p.policyId, p.carrier, p.carrierGroup, money(p.attach), money(p.limit)]
+        });
+        writer.state.y += 6;
+      }
+    }
+
+    const CARRIER_GROUP_TABLE_COLUMNS = [
+      { label: "Rank", width: 50, align: "right" },
+      { label: "Carrier Group", width: 280 },
+      { label: "Gross Limits", width: 130, align: "right" },
+      { label: "Available Limits", width: 130, align: "right" },
+      { label: "% of Gross", width: 90, align: "right" },
+      { label: "% Available", width: 90, align: "right" }
+    ];
+
+    function carrierGroupCells(summary) {
+      return (g) => [
+        g.rank ?? "",
+        g.name,
+        money(g.gross),
+        money(g.available),
+        formatPct(summary.totalGross > 0 ? g.gross / summary.totalGross : 0),
+        formatPct(g.gross > 0 ? g.available / g.gross : 0)
+      ];
+    }
+
+    /**
+     * Board pack: scope, summary narrative, KPI cards and facts; one page per chart; the Top-N
+     * carrier group table; and an appendix listing the groups folded into "All Other Groups".
+     */
+    async function exportBoardPackPDF(summary, state, narrative = buildExecutiveNarrative(summary, state)) {
+      await ensurePdfLibs();
+      const jsPDF = window.jspdf.jsPDF;
+      const pdf = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
+      const writer = createPdfReportWriter(pdf, { orientation: "landscape" });
+      const printTheme = getExecTheme("light");
+      const { displayGroups, remainder, subtitle } = groupCarrierGroupsForDisplay(summary.carrierGroups);
+
+      writer.addReportTitle("Executive Summary Board Pack");
+      writer.addSectionTitle("Report Scope");
+      writer.addTextLines(getFilterStateLines(state));
+      writer.state.y += 6;
+
+      if (narrative.length) {
+        writer.addSectionTitle("Summary");
+        writer.addParagraphs(narrative);
+      }
+
+      writer.addSectionTitle("Key Metrics");
+      writer.drawKpiCards([
+        { label: "Total Gross Limits", value: money(summary.totalGross) },
+        { label: "Total Available Limits", value: money(summary.totalAvailable) },
+        { label: "% Available", value: formatPct(summary.pctAvailable) },
+        { label: "Largest Carrier Group % of Gross", value: formatPct(summary.largestCarrierGroupPctOfGross) },
+        { label: "Top 3 Carrier Groups % of Gross", value: formatPct(summary.top3CarrierGroupsPctOfGross) },
+        { label: "Unique Policies", value: Number(summary.uniquePolicies || 0).toLocaleString() }
+      ]);
+
+      if (summary.byLimitType.length > 1) {
+        const columns = getLimitTypeColumns(summary, state);
+        const valueWidth = Math.min(130, Math.floor((writer.pageW - writer.margin * 2 - 220) / columns.length));
+        writer.drawGridTable({
+          title: "Key Metrics by Limit Type",
+          columns: [
+            { label: "Metric", width: 220 },
+            ...columns.map((col) => ({ label: col.label, width: valueWidth, align: "right" }))
+          ],
+          rows: LIMIT_TYPE_KPI_ROWS,
+          rowToCells: (row) => [row.label, ...columns.map((col) => row.value(col.summary))]
+        });
+        writer.state.y += 6;
+      }
+
+      writer.addSectionTitle("Summary Facts");
+      writer.addTextLines([
+        `Largest carrier group: ${summary.largestCarrierGroupName}`,
+        "Top 3 carrier groups composition:",
+        ...(summary.top3CarrierGroupsBreakdown.length
+          ? summary.top3CarrierGroupsBreakdown.map((g) => `   - ${g.name}: ${formatPct(g.pctOfGross)}`)
+          : ["   - (none)"]),
+        `Coverage span: ${summary.coverageSpan}`
+      ]);
+
+      addChartPage(
+        writer,
+        "Limits by Carrier Group",
+        subtitle,
+        buildCarrierGroupChartConfig(summary, printTheme)
+      );
+      addChartPage(writer, "Total Limits by Policy Year", "", buildYearTrendChartConfig(summary, printTheme));
+      if (executiveTrendState.mode === "trend") addTrendPages(writer, summary, printTheme);
+
+      writer.newPage();
+      writer.drawGridTable({
+        title: `Carrier Groups (${subtitle})`,
+        columns: CARRIER_GROUP_TABLE_COLUMNS,
+        rows: displayGroups.map((g, i) => ({
+          ...g,
+          rank: g.isRemainder ? "" : String(i + 1),
+          name: g.isRemainder ? `All Other Groups (${remainder.length}, see Appendix)` : g.name
+        })),
+        rowToCells: carrierGroupCells(summary)
+      });
+
+      if (remainder.length) {
+        writer.newPage();
+        writer.addPageTitle("Appendix: All Other Groups");
+        writer.drawGridTable({
+          columns: CARRIER_GROUP_TABLE_COLUMNS,
+          rows: remainder.map((g, i) => ({ ...g, rank: String(TOP_GROUPS_TO_SHOW + i + 1) })),
+          rowToCells: carrierGroupCells(summary)
+        });
+      }
+
+      writer.addPageFooters();
+      const file = `ExecutiveSummary_BoardPack_${toDateStamp()}.pdf`;
+      pdf.save(file);
+    }
+
     function getDefaultProgram(programs) {
       return programs.find((v) => String(v).trim().toLowerCase() === "abc company") || programs[0] || "";
     }
@@ -456,6 +1312,19 @@
         const execCarrierDropdownLabel = document.getElementById("execCarrierDropdownLabel");
         const execCarrierGroupDropdownMenu = document.getElementById("execCarrierGroupDropdownMenu");
         const execCarrierGroupDropdownLabel = document.getElementById("execCarrierGroupDropdownLabel");
+        const execNamedInsuredDropdownMenu = document.getElementById("execNamedInsuredDropdownMenu");
+        const execNamedInsuredDropdownLabel = document.getElementById("execNamedInsuredDropdownLabel");
+        const execExportMenu = document.getElementById("execExportMenu");
+        const execExportBtn = document.getElementById("execExportBtn");
+        const execExportMenuPanel = document.getElementById("execExportMenuPanel");
+        const execExportXlsxBtn = document.getElementById("execExportXlsxBtn");
+        const execExportPdfBtn = document.getElementById("execExportPdfBtn");
+        const execRiskLayerShareInput = document.getElementById("execRiskLayerShareInput");
+        const execTrendModeToggle = document.getElementById("execTrendModeToggle");
+        const execTrendWindowSelect = document.getElementById("execTrendWindowSelect");
+        const execTrendDropInput = document.getElementById("execTrendDropInput");
+        const execTrendDropList = document.getElementById("execTrendDropList");
+        const narrativeEditor = createNarrativeEditor();
         const themeToggleBtn = document.getElementById("themeToggleBtn");
         const themeLabel = document.getElementById("themeLabel");
 
@@ -473,12 +1342,18 @@
           if (execMoreFiltersDrawer) execMoreFiltersDrawer.hidden = !uiState.moreFiltersOpen;
           if (execMoreFiltersBtn) execMoreFiltersBtn.setAttribute("aria-expanded", String(uiState.moreFiltersOpen));
         };
+        let latestSummary = null;
         const updateExecutiveDashboard = () => {
-          const summary = computeExecutiveSummary(getFilteredSlices(), executiveFilterState);
+          const slices = getFilteredSlices();
+          const summary = computeExecutiveSummary(slices, executiveFilterState);
+          summary.byLimitType = computeLimitTypeSummaries(slices, executiveFilterState);
+          latestSummary = summary;
           renderKPISection(summary);
+          renderLimitTypeColumns(summary, executiveFilterState);
           renderCarrierGroupChart(summary);
           renderSummaryFacts(summary);
-          renderYearTrendChart(summary);
+          renderYearTrendChart(summary, executiveTrendState);
+          renderCounterpartyPanel(computeCounterpartyRisk(summary, executiveRiskState), summary);
         };
         const requestExecutiveRecompute = ({ debounceMs = 0 } = {}) => {
           if (recomputeTimer) {
@@ -500,7 +1375,6 @@
 
         await renderCoverageChart({
           canvasId: "coverageCanvas",
-          csvUrl: "/data/OriginalFiles/tblPolicyLimits.csv",
           initialView: "carrier",
           barThickness: "flex",
           categorySpacing: 1.0,
@@ -510,6 +1384,13 @@
         const filterOptions = getFilterOptions();
         const yearBounds = getYearBounds();
 
+        // Ratings are optional: without tblCarrierRating.csv every carrier counts as not rated.
+        try {
+          executiveRiskState.ratingIndex = buildCarrierRatingIndex(await fetchCSV(CARRIER_RATINGS_URL));
+        } catch (err) {
+          console.warn(`[ExecutiveSummary] Carrier ratings not loaded: ${CARRIER_RATINGS_URL}`);
+        }
+
         const insuranceProgramValues = filterOptions.insurancePrograms || [];
         insuranceProgramSelect.innerHTML = "";
         const programValues = insuranceProgramValues.length ? insuranceProgramValues : ["(unknown program)"];
@@ -526,61 +1407,66 @@
         insuranceProgramLabel.hidden = false;
 
         const policyLimitTypeValues = filterOptions.policyLimitTypes || [];
-        const injuryTypes = policyLimitTypeValues.filter((v) => /injury|damage/i.test(String(v || "")));
-        const bodilyInjuryType = injuryTypes.find((v) => /bodily\s*injury/i.test(String(v || ""))) || "";
-        const propertyDamageType = injuryTypes.find((v) => /property\s*damage/i.test(String(v || ""))) || "";
         const defaultPolicyLimitType = getDefaultPolicyLimitType(policyLimitTypeValues);
-        const biType = bodilyInjuryType || defaultPolicyLimitType;
-        const pdType =
-          propertyDamageType ||
-          policyLimitTypeValues.find((v) => String(v || "").trim() !== String(biType || "").trim()) ||
-          biType;
-        executiveFilterMeta.coverageTypeMap = {
-          BI: String(biType || "").trim(),
-          PD: String(pdType || "").trim()
-        };
-
-        const coverageTypeOptions = [
-          { key: "BI", label: "Bodily Injury", value: executiveFilterMeta.coverageTypeMap.BI, disabled: !executiveFilterMeta.coverageTypeMap.BI },
-          { key: "PD", label: "Property Damage", value: executiveFilterMeta.coverageTypeMap.PD, disabled: !executiveFilterMeta.coverageTypeMap.PD }
-        ];
-        let activeCoverage = coverageTypeOptions.find((opt) => opt.key === executiveFilterState.coverageType) || coverageTypeOptions[0];
-        if (activeCoverage.disabled) {
-          activeCoverage = coverageTypeOptions.find((opt) => !opt.disabled) || coverageTypeOptions[0];
-        }
-        executiveFilterState.coverageType = activeCoverage?.key || "BI";
-        if (activeCoverage?.value) {
-          setPolicyLimitTypeFilter(activeCoverage.value);
-        }
+        executiveFilterState.policyLimitTypes = defaultPolicyLimitType ? [defaultPolicyLimitType] : [];
+        // The engine keeps every selected type; the dashboard splits or combines them itself.
+        const syncPolicyLimitTypeFilter = () => setPolicyLimitTypeFilter(executiveFilterState.policyLimitTypes);
+        if (defaultPolicyLimitType) syncPolicyLimitTypeFilter();
 
         if (injuryTypeToggle) {
-          injuryTypeToggle.innerHTML = coverageTypeOptions
-            .map((option) => {
-              const isActive = option.key === executiveFilterState.coverageType;
-              return (
-                `<button ` +
-                `type="button" ` +
-                `class="injuryTypeBtn${isActive ? " isActive" : ""}" ` +
-                `data-key="${option.key}" ` +
-                `data-value="${option.value || ""}" ` +
-                `${option.disabled ? "disabled" : ""} ` +
-                `title="${option.value || option.label}">${option.label}</button>`
-              );
-            })
-            .join("");
+          const typeButtons = policyLimitTypeValues.map((type) => {
+            const isActive = executiveFilterState.policyLimitTypes.includes(type);
+            return (
+              `<button ` +
+              `type="button" ` +
+              `class="injuryTypeBtn${isActive ? " isActive" : ""}" ` +
+              `data-value="${escapeHtml(type)}" ` +
+              `aria-pressed="${isActive}" ` +
+              `title="${escapeHtml(type)}">${escapeHtml(type)}</button>`
+            );
+          });
+          const combineButton =
+            `<button type="button" class="injuryTypeBtn injuryTypeBtn--combine" data-combine="true" aria-pressed="false" ` +
+            `title="Add the selected types, counting limits marked as shared once">Combined</button>`;
+          injuryTypeToggle.innerHTML = typeButtons.join("") + (policyLimitTypeValues.length > 1 ? combineButton : "");
+
+          const combineBtn = injuryTypeToggle.querySelector(".injuryTypeBtn--combine");
+          const syncCombineButton = () => {
+            if (!combineBtn) return;
+            if (executiveFilterState.policyLimitTypes.length < 2) executiveFilterState.combineLimitTypes = false;
+            combineBtn.disabled = executiveFilterState.policyLimitTypes.length < 2;
+            combineBtn.classList.toggle("isActive", executiveFilterState.combineLimitTypes);
+            combineBtn.setAttribute("aria-pressed", String(executiveFilterState.combineLimitTypes));
+          };
+          syncCombineButton();
+
           injuryTypeToggle.addEventListener("click", (evt) => {
             const btn = evt.target.closest(".injuryTypeBtn");
             if (!btn || btn.disabled) return;
-            const nextKey = String(btn.dataset.key || "");
-            const nextValue = String(btn.dataset.value || "");
-            if (!nextKey || nextKey === executiveFilterState.coverageType) return;
-            executiveFilterState.coverageType = nextKey;
-            if (nextValue) {
-              setPolicyLimitTypeFilter(nextValue);
+            if (btn === combineBtn) {
+              executiveFilterState.combineLimitTypes = !executiveFilterState.combineLimitTypes;
+              syncCombineButton();
+              requestExecutiveRecompute();
+              return;
             }
-            for (const b of injuryTypeToggle.querySelectorAll(".injuryTypeBtn")) {
-              b.classList.toggle("isActive", b === btn);
+
+            const type = String(btn.dataset.value || "");
+            const selected = new Set(executiveFilterState.policyLimitTypes);
+            if (selected.has(type)) {
+              // At least one type stays selected; mixing every type unfiltered is never intended.
+              if (selected.size === 1) return;
+              selected.delete(type);
+            } else {
+              selected.add(type);
             }
+            executiveFilterState.policyLimitTypes = policyLimitTypeValues.filter((v) => selected.has(v));
+            for (const b of injuryTypeToggle.querySelectorAll(".injuryTypeBtn:not(.injuryTypeBtn--combine)")) {
+              const isActive = selected.has(String(b.dataset.value || ""));
+              b.classList.toggle("isActive", isActive);
+              b.setAttribute("aria-pressed", String(isActive));
+            }
+            syncCombineButton();
+            syncPolicyLimitTypeFilter();
             requestExecutiveRecompute();
           });
         }
@@ -642,6 +1528,18 @@
           });
         }
 
+        if (execNamedInsuredDropdownMenu && execNamedInsuredDropdownLabel) {
+          const namedInsureds = filterOptions.namedInsureds || [];
+          buildCheckboxMenu(execNamedInsuredDropdownMenu, namedInsureds, "execNamedInsureds", "Search named insureds");
+          updateDropdownLabel(execNamedInsuredDropdownLabel, executiveFilterState.namedInsureds, "All Named Insureds", "named insured");
+          execNamedInsuredDropdownMenu.addEventListener("change", () => {
+            const values = selectedValuesFromCheckboxMenu(execNamedInsuredDropdownMenu);
+            executiveFilterState.namedInsureds = values;
+            updateDropdownLabel(execNamedInsuredDropdownLabel, values, "All Named Insureds", "named insured");
+            requestExecutiveRecompute();
+          });
+        }
+
         if (execMoreFiltersBtn) {
           execMoreFiltersBtn.addEventListener("click", () => {
             setMoreFiltersOpen(!uiState.moreFiltersOpen);
@@ -664,6 +1562,101 @@
           syncThemeUI(next);
         });
 
+        const closeExportMenu = () => {
+          execExportMenuPanel.hidden = true;
+          execExportBtn.setAttribute("aria-expanded", "false");
+        };
+        execExportBtn.addEventListener("click", () => {
+          execExportMenuPanel.hidden = !execExportMenuPanel.hidden;
+          execExportBtn.setAttribute("aria-expanded", String(!execExportMenuPanel.hidden));
+        });
+        document.addEventListener("click", (evt) => {
+          if (!execExportMenu.contains(evt.target)) closeExportMenu();
+        });
+        execExportXlsxBtn.addEventListener("click", async () => {
+          try {
+            // The dashboard narrows the engine's slices locally; push the same filters into
+            // the engine so the workbook's slice and layer sheets match the figures on screen.
+            setYearRange(executiveFilterState.yearFrom, executiveFilterState.yearTo);
+            setEntityFilters({
+              carriers: executiveFilterState.carrierIds,
+              carrierGroups: executiveFilterState.carrierGroupIds
+            });
+            setNamedInsuredFilter(executiveFilterState.namedInsureds);
+            updateExecutiveDashboard();
+            await exportWorkbookXLSX({
+              extraSheets: [buildExecutiveSheet(latestSummary)],
+              filePrefix: "ExecutiveSummary"
+            });
+          } catch (err) {
+            showError(err);
+          } finally {
+            closeExportMenu();
+          }
+        });
+
+        execExportPdfBtn.addEventListener("click", async () => {
+          closeExportMenu();
+          try {
+            updateExecutiveDashboard();
+            const regenerate = () => buildExecutiveNarrative(latestSummary, executiveFilterState);
+            const narrative = await narrativeEditor.edit(regenerate(), { regenerate });
+            if (!narrative) return;
+            await exportBoardPackPDF(latestSummary, executiveFilterState, narrative);
+          } catch (err) {
+            showError(err);
+          }
+        });
+
+        if (execRiskLayerShareInput) {
+          execRiskLayerShareInput.value = String(executiveRiskState.layerSharePct);
+          execRiskLayerShareInput.addEventListener("change", () => {
+            const pct = Number(execRiskLayerShareInput.value);
+            executiveRiskState.layerSharePct = Number.isFinite(pct) ? Math.min(100, Math.max(1, pct)) : DEFAULT_LAYER_SHARE_PCT;
+            execRiskLayerShareInput.value = String(executiveRiskState.layerSharePct);
+            requestExecutiveRecompute();
+          });
+        }
+
+        if (execTrendModeToggle) {
+          execTrendModeToggle.addEventListener("click", (evt) => {
+            const btn = evt.target.closest(".injuryTypeBtn");
+            if (!btn || btn.dataset.mode === executiveTrendState.mode) return;
+            executiveTrendState.mode = btn.dataset.mode;
+            for (const b of execTrendModeToggle.querySelectorAll(".injuryTypeBtn")) {
+              const isActive = b === btn;
+              b.classList.toggle("isActive", isActive);
+              b.setAttribute("aria-pressed", String(isActive));
+            }
+            if (latestSummary) renderYearTrendChart(latestSummary, executiveTrendState);
+          });
+        }
+        if (execTrendWindowSelect) {
+          execTrendWindowSelect.value = String(executiveTrendState.rollingYears);
+          execTrendWindowSelect.addEventListener("change", () => {
+            executiveTrendState.rollingYears = Number(execTrendWindowSelect.value) || DEFAULT_TREND_ROLLING_YEARS;
+            if (latestSummary) renderYearTrendChart(latestSummary, executiveTrendState);
+          });
+        }
+        if (execTrendDropInput) {
+          execTrendDropInput.value = String(executiveTrendState.dropPct);
+          execTrendDropInput.addEventListener("change", () => {
+            const pct = Number(execTrendDropInput.value);
+            executiveTrendState.dropPct = Number.isFinite(pct) ? Math.min(100, Math.max(1, pct)) : DEFAULT_TREND_DROP_PCT;
+            execTrendDropInput.value = String(executiveTrendState.dropPct);
+            if (latestSummary) renderYearTrendChart(latestSummary, executiveTrendState);
+          });
+        }
+        if (execTrendDropList) {
+          execTrendDropList.addEventListener("click", (evt) => {
+            const btn = evt.target.closest(".injuryTypeBtn");
+            if (!btn || !latestSummary) return;
+            const year = Number(btn.dataset.year);
+            executiveTrendState.selectedDropYear = executiveTrendState.selectedDropYear === year ? null : year;
+            renderYearTrendChart(latestSummary, executiveTrendState);
+          });
+        }
+
         insuranceProgramSelect.addEventListener("change", () => {
           executiveFilterState.programId = insuranceProgramSelect.value;
           setInsuranceProgramFilter(insuranceProgramSelect.value);
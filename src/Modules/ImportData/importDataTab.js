@@ -0,0 +1,443 @@
+import { parseCSV, normalizeHeader, fetchJSON, sendJSON } from "../shared/js/core/data.js";
+import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
+import { IMPORT_FIELDS, guessImportMapping } from "../shared/js/core/importSchema.js";
+import { ensureExcelLib } from "../shared/js/coverage/reportExport.js";
+
+    const THEME_STORAGE_KEY = "coverageChartTheme";
+    const MAPPINGS_URL = "/api/import/mappings";
+
+    const themeLabel = document.getElementById("themeLabel");
+    const themeToggleBtn = document.getElementById("themeToggleBtn");
+
+    const fileInput = document.getElementById("importFileInput");
+    const sheetSelect = document.getElementById("importSheetSelect");
+    const programInput = document.getElementById("importProgramInput");
+    const namedInsuredInput = document.getElementById("importNamedInsuredInput");
+    const limitTypeInput = document.getElementById("importLimitTypeInput");
+    const mappingSelect = document.getElementById("importMappingSelect");
+    const mappingNameInput = document.getElementById("importMappingNameInput");
+    const mappingSaveBtn = document.getElementById("importMappingSaveBtn");
+    const mappingDeleteBtn = document.getElementById("importMappingDeleteBtn");
+    const previewBtn = document.getElementById("importPreviewBtn");
+    const commitBtn = document.getElementById("importCommitBtn");
+    const statusEl = document.getElementById("importStatus");
+
+    const sourceLabel = document.getElementById("importSourceLabel");
+    const mappingBody = document.getElementById("importMappingBody");
+    const previewLabel = document.getElementById("importPreviewLabel");
+    const summaryStats = document.getElementById("importSummaryStats");
+    const issueCount = document.getElementById("importIssueCount");
+    const issueBody = document.getElementById("importIssueBody");
+
+    let workbook = null;
+    let sourceName = "";
+    let sourceHeaders = [];
+    let sourceRows = [];
+    let mapping = {};
+    let savedMappings = [];
+    // Import stays disabled until a clean preview matches the current file, mapping and defaults.
+    let previewedKey = "";
+
+    function setStatus(message, isError = false) {
+      statusEl.textContent = message || "";
+      statusEl.classList.toggle("isError", !!isError);
+    }
+
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    /* ================================
+       Reading the source file
+    ================================ */
+
+    // ExcelJS cell values: formulas carry { result }, rich text { richText }, links { text }.
+    function cellValue(value) {
+      if (value === null || value === undefined) return "";
+      if (value instanceof Date) return Number.isFinite(value.getTime()) ? value.toISOString().slice(0, 10) : "";
+      if (typeof value === "object") {
+        if ("result" in value) return cellValue(value.result);
+        if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("").trim();
+        if ("text" in value) return cellValue(value.text);
+        return "";
+      }
+      return typeof value === "string" ? value.trim() : value;
+    }
+
+    function worksheetRows(worksheet) {
+      const headers = [];
+      worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+        headers[col] = normalizeHeader(cellValue(cell.value));
+      });
+
+      const rows = [];
+      worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const obj = {};
+        headers.forEach((h, col) => {
+          if (h) obj[h] = cellValue(row.getCell(col).value);
+        });
+        if (Object.values(obj).some((v) => String(v).trim() !== "")) rows.push(obj);
+      });
+      return { headers: headers.filter(Boolean), rows };
+    }
+
+    async function loadFile(file) {
+      workbook = null;
+      sourceName = file.name;
+      sheetSelect.innerHTML = "";
+      sheetSelect.disabled = true;
+
+      if (/\.xlsx$/i.test(file.name)) {
+        await ensureExcelLib();
+        workbook = new window.ExcelJS.Workbook();
+        await workbook.xlsx.load(await file.arrayBuffer());
+        const sheets = workbook.worksheets.filter((ws) => ws.actualRowCount > 0);
+        if (!sheets.length) throw new Error("The workbook has no sheets with data.");
+        for (const ws of sheets) {
+          const opt = document.createElement("option");
+          opt.value = ws.name;
+          opt.textContent = ws.name;
+          sheetSelect.appendChild(opt);
+        }
+        sheetSelect.disabled = sheets.length < 2;
+        useSheet(sheets[0].name);
+        return;
+      }
+
+      const rows = parseCSV(await file.text());
+      setSource(Object.keys(rows[0] || {}), rows);
+    }
+
+    function useSheet(name) {
+      const ws = workbook?.getWorksheet(name);
+      if (!ws) return;
+      const { headers, rows } = worksheetRows(ws);
+      setSource(headers, rows);
+    }
+
+    function setSource(headers, rows) {
+      sourceHeaders = headers;
+      sourceRows = rows;
+      const picked = getPickedMapping();
+      mapping = picked ? mappingForHeaders(picked.mapping) : guessImportMapping(headers);
+      const sheet = workbook ? ` / ${sheetSelect.value}` : "";
+      sourceLabel.textContent = `${sourceName}${sheet}: ${rows.length.toLocaleString()} rows, ${headers.length} columns`;
+      renderMappingTable();
+      clearPreview();
+    }
+
+    /* ================================
+       Column mapping
+    ================================ */
+
+    // Saved mappings may name columns this file doesn't have; those fields stay unmapped.
+    function mappingForHeaders(saved = {}) {
+      return Object.fromEntries(Object.entries(saved).filter(([, header]) => sourceHeaders.includes(header)));
+    }
+
+    function firstValue(header) {
+      if (!header) return "";
+      const row = sourceRows.find((r) => String(r[header] ?? "").trim() !== "");
+      return row ? row[header] : "";
+    }
+
+    function renderMappingTable() {
+      if (!sourceHeaders.length) {
+        mappingBody.innerHTML = `<tr><td colspan="3">Choose a spreadsheet or CSV to map its columns.</td></tr>`;
+        return;
+      }
+      const options = sourceHeaders.map((h) => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join("");
+      mappingBody.innerHTML = IMPORT_FIELDS.map(
+        (field) => `
+        <tr>
+          <td>${escapeHtml(field.label)}${field.required ? ` <span class="importRequired" title="Required">*</span>` : ""}</td>
+          <td>
+            <select data-field="${escapeHtml(field.key)}" aria-label="Source column for ${escapeHtml(field.label)}">
+              <option value="">(not mapped)</option>
+              ${options}
+            </select>
+          </td>
+          <td class="importSampleValue">${escapeHtml(firstValue(mapping[field.key]))}</td>
+        </tr>`
+      ).join("");
+      for (const select of mappingBody.querySelectorAll("select[data-field]")) {
+        select.value = mapping[select.dataset.field] || "";
+      }
+    }
+
+    function onMappingChange(evt) {
+      const select = evt.target.closest("select[data-field]");
+      if (!select) return;
+      if (select.value) mapping[select.dataset.field] = select.value;
+      else delete mapping[select.dataset.field];
+      select.closest("tr").querySelector(".importSampleValue").textContent = String(firstValue(select.value) ?? "");
+      invalidatePreview();
+    }
+
+    function getDefaults() {
+      return {
+        insuranceProgram: programInput.value.trim(),
+        namedInsured: namedInsuredInput.value.trim(),
+        policyLimitType: limitTypeInput.value.trim()
+      };
+    }
+
+    function getImportBody() {
+      return { rows: sourceRows, mapping, defaults: getDefaults() };
+    }
+
+    /* ================================
+       Preview + import
+    ================================ */
+
+    function clearPreview() {
+      previewedKey = "";
+      commitBtn.disabled = true;
+      previewBtn.disabled = !sourceRows.length;
+      previewLabel.textContent = "";
+      summaryStats.innerHTML = "";
+      issueCount.textContent = "";
+      issueBody.innerHTML = `<tr><td colspan="4">${sourceRows.length ? "Preview the import to check it." : "No file loaded."}</td></tr>`;
+    }
+
+    function invalidatePreview() {
+      if (!previewedKey) return;
+      clearPreview();
+      setStatus("Inputs changed; preview again before importing.");
+    }
+
+    function renderPreview(summary, issues) {
+      const added = summary.added || {};
+      previewLabel.textContent = summary.programs.join(", ");
+      const cards = [
+        ["Source Rows", summary.rows.toLocaleString()],
+        ["Rows Imported", summary.importedRows.toLocaleString()],
+        ["New Policies", summary.policies.toLocaleString()],
+        ["Limit Rows", Number(added.limitRows || 0).toLocaleString()],
+        ["New Carriers", Number(added.carrierRows || 0).toLocaleString()],
+        ["Errors / Warnings", `${summary.errors} / ${summary.warnings}`]
+      ];
+      summaryStats.innerHTML = cards
+        .map(
+          ([label, value]) => `
+        <article class="allocationStatCard">
+          <div class="allocationStatLabel">${escapeHtml(label)}</div>
+          <div class="allocationStatValue">${escapeHtml(value)}</div>
+        </article>`
+        )
+        .join("");
+
+      issueCount.textContent = issues.length ? `${issues.length.toLocaleString()} issues` : "";
+      if (!issues.length) {
+        issueBody.innerHTML = `<tr><td colspan="4">No issues found.</td></tr>`;
+        return;
+      }
+      issueBody.innerHTML = issues
+        .map(
+          (issue) => `
+        <tr>
+          <td><span class="qualitySeverity qualitySeverity--${escapeHtml(issue.severity)}">${issue.severity === "error" ? "Error" : "Warning"}</span></td>
+          <td>${escapeHtml(issue.row)}</td>
+          <td>${escapeHtml(issue.field)}</td>
+          <td class="importIssueMessage">${escapeHtml(issue.message)}</td>
+        </tr>`
+        )
+        .join("");
+    }
+
+    async function runPreview() {
+      const body = getImportBody();
+      previewBtn.disabled = true;
+      commitBtn.disabled = true;
+      setStatus("Checking import...");
+      try {
+        const { summary, issues } = await sendJSON("/api/import/preview", { body });
+        renderPreview(summary, issues);
+        previewedKey = summary.errors ? "" : JSON.stringify(body);
+        commitBtn.disabled = !previewedKey;
+        setStatus(
+          summary.errors
+            ? `${summary.errors} error(s) must be fixed before importing.`
+            : `Ready to import ${summary.policies} policies.`,
+          !!summary.errors
+        );
+      } catch (err) {
+        clearPreview();
+        setStatus(`Preview failed: ${err?.message || err}`, true);
+      } finally {
+        previewBtn.disabled = !sourceRows.length;
+      }
+    }
+
+    async function runCommit() {
+      const body = getImportBody();
+      if (!previewedKey || previewedKey !== JSON.stringify(body)) {
+        clearPreview();
+        setStatus("Inputs changed; preview again before importing.", true);
+        return;
+      }
+      const programs = previewLabel.textContent;
+      if (!window.confirm(`Add ${programs} to the coverage tables for everyone?`)) return;
+
+      commitBtn.disabled = true;
+      previewBtn.disabled = true;
+      setStatus("Importing...");
+      try {
+        const result = await sendJSON("/api/import/commit", { body });
+        renderPreview(result.summary, result.issues);
+        previewedKey = "";
+        const chartParams = new URLSearchParams();
+        for (const program of result.summary.programs) chartParams.append("program", program);
+        statusEl.classList.remove("isError");
+        statusEl.innerHTML = `Imported ${escapeHtml(result.summary.policies)} policies into ${escapeHtml(result.written.join(", "))}. <a href="/Modules/CoverageChart/index.html?${escapeHtml(chartParams.toString())}">Open in Coverage Chart</a>`;
+      } catch (err) {
+        previewedKey = "";
+        setStatus(`Import failed: ${err?.message || err}`, true);
+      } finally {
+        previewBtn.disabled = !sourceRows.length;
+      }
+    }
+
+    /* ================================
+       Saved mappings
+    ================================ */
+
+    const getPickedMapping = () => savedMappings.find((m) => m.id === mappingSelect.value) || null;
+
+    function renderMappingOptions(selectedId = mappingSelect.value) {
+      mappingSelect.innerHTML = "";
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = savedMappings.length ? "Select a saved mapping" : "No saved mappings yet";
+      mappingSelect.appendChild(placeholder);
+      for (const saved of savedMappings) {
+        const opt = document.createElement("option");
+        opt.value = saved.id;
+        opt.textContent = saved.name;
+        mappingSelect.appendChild(opt);
+      }
+      mappingSelect.value = savedMappings.some((m) => m.id === selectedId) ? selectedId : "";
+      mappingDeleteBtn.disabled = !mappingSelect.value;
+    }
+
+    async function loadMappings(selectedId) {
+      const payload = await fetchJSON(MAPPINGS_URL);
+      savedMappings = Array.isArray(payload?.mappings) ? payload.mappings : [];
+      renderMappingOptions(selectedId);
+    }
+
+    function applySavedMapping(saved) {
+      const defaults = saved.defaults || {};
+      programInput.value = defaults.insuranceProgram || "";
+      namedInsuredInput.value = defaults.namedInsured || "";
+      limitTypeInput.value = defaults.policyLimitType || "";
+      mappingNameInput.value = saved.name;
+      if (!sourceHeaders.length) return;
+
+      mapping = mappingForHeaders(saved.mapping);
+      renderMappingTable();
+      invalidatePreview();
+      const missing = Object.values(saved.mapping || {}).filter((h) => !sourceHeaders.includes(h));
+      if (missing.length) setStatus(`Columns not in this file: ${missing.join(", ")}`, true);
+    }
+
+    async function saveMapping() {
+      const name = mappingNameInput.value.trim();
+      if (!name) {
+        setStatus("Enter a name for this mapping.", true);
+        mappingNameInput.focus();
+        return;
+      }
+      const existing = savedMappings.find((m) => String(m.name).toLowerCase() === name.toLowerCase());
+      if (existing && !window.confirm(`Replace the saved mapping "${existing.name}"?`)) return;
+
+      mappingSaveBtn.disabled = true;
+      try {
+        const saved = await sendJSON(MAPPINGS_URL, { body: { name, mapping, defaults: getDefaults(), overwrite: !!existing } });
+        await loadMappings(saved.id);
+        mappingNameInput.value = saved.name;
+        setStatus(`Saved mapping "${saved.name}".`);
+      } catch (err) {
+        setStatus(`Could not save mapping: ${err?.message || err}`, true);
+      } finally {
+        mappingSaveBtn.disabled = false;
+      }
+    }
+
+    async function deletePickedMapping() {
+      const picked = getPickedMapping();
+      if (!picked || !window.confirm(`Delete the saved mapping "${picked.name}"?`)) return;
+
+      mappingDeleteBtn.disabled = true;
+      try {
+        await sendJSON(`${MAPPINGS_URL}/${encodeURIComponent(picked.id)}`, { method: "DELETE" });
+        await loadMappings("");
+        mappingNameInput.value = "";
+        setStatus(`Deleted mapping "${picked.name}".`);
+      } catch (err) {
+        setStatus(`Could not delete mapping: ${err?.message || err}`, true);
+        mappingDeleteBtn.disabled = !mappingSelect.value;
+      }
+    }
+
+    /* ================================
+       Init
+    ================================ */
+
+    async function init() {
+      applyThemeToPage(getPreferredTheme(THEME_STORAGE_KEY), { themeLabelEl: themeLabel, themeToggleBtn });
+      themeToggleBtn.addEventListener("click", () => {
+        const current = document.documentElement.dataset.theme === "light" ? "light" : "dark";
+        const next = current === "light" ? "dark" : "light";
+        localStorage.setItem(THEME_STORAGE_KEY, next);
+        applyThemeToPage(next, { themeLabelEl: themeLabel, themeToggleBtn });
+      });
+
+      renderMappingTable();
+      clearPreview();
+
+      fileInput.addEventListener("change", async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+        setStatus(`Reading ${file.name}...`);
+        try {
+          await loadFile(file);
+          setStatus("");
+        } catch (err) {
+          console.error(err);
+          sourceHeaders = [];
+          sourceRows = [];
+          sourceLabel.textContent = "";
+          renderMappingTable();
+          clearPreview();
+          setStatus(`Could not read ${file.name}: ${err?.message || err}`, true);
+        }
+      });
+      sheetSelect.addEventListener("change", () => useSheet(sheetSelect.value));
+      mappingBody.addEventListener("change", onMappingChange);
+      for (const el of [programInput, namedInsuredInput, limitTypeInput]) el.addEventListener("input", invalidatePreview);
+
+      mappingSelect.addEventListener("change", () => {
+        const picked = getPickedMapping();
+        mappingDeleteBtn.disabled = !picked;
+        setStatus("");
+        if (picked) applySavedMapping(picked);
+      });
+      mappingSaveBtn.addEventListener("click", saveMapping);
+      mappingDeleteBtn.addEventListener("click", deletePickedMapping);
+      previewBtn.addEventListener("click", runPreview);
+      commitBtn.addEventListener("click", runCommit);
+
+      await loadMappings("");
+    }
+
+    init().catch((err) => {
+      console.error(err);
+      setStatus(`Failed to load saved mappings: ${err?.message || err}`, true);
+    });
@@ -0,0 +1,458 @@
+import { fetchJSON, toNum } from "../shared/js/core/data.js";
+import { money, toDateStamp, sanitizeFilePart } from "../shared/js/core/format.js";
+import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
+import {
+  buildCheckboxMenu,
+  selectedValuesFromCheckboxMenu,
+  updateDropdownLabel
+} from "../shared/js/ui/multiSelect.js";
+import { allocateProRata } from "../shared/js/coverage/allocationEngine.js";
+import {
+  buildCSV,
+  triggerBlobDownload,
+  ensurePdfLibs,
+  createPdfReportWriter
+} from "../shared/js/coverage/reportExport.js";
+
+    const THEME_STORAGE_KEY = "coverageChartTheme";
+    const DEFAULT_PROGRAM = "ABC Company";
+    const DEFAULT_LIMIT_TYPE = "Bodily Injury";
+    const DEFAULT_LOSS = 10000000;
+
+    const themeLabel = document.getElementById("themeLabel");
+    const themeToggleBtn = document.getElementById("themeToggleBtn");
+
+    const programSelect = document.getElementById("allocationProgramSelect");
+    const limitTypeSelect = document.getElementById("allocationLimitTypeSelect");
+    const namedInsuredDropdownMenu = document.getElementById("allocationNamedInsuredDropdownMenu");
+    const namedInsuredDropdownLabel = document.getElementById("allocationNamedInsuredDropdownLabel");
+    const lossInput = document.getElementById("allocationLossInput");
+    const exposureStartInput = document.getElementById("allocationExposureStart");
+    const exposureEndInput = document.getElementById("allocationExposureEnd");
+    const applySirInput = document.getElementById("allocationApplySir");
+    const exportCsvBtn = document.getElementById("allocationExportCsvBtn");
+    const exportPdfBtn = document.getElementById("allocationExportPdfBtn");
+    const statusEl = document.getElementById("allocationStatus");
+
+    const scopeLabel = document.getElementById("allocationScopeLabel");
+    const summaryStats = document.getElementById("allocationSummaryStats");
+    const groupCount = document.getElementById("allocationGroupCount");
+    const groupBody = document.getElementById("allocationGroupBody");
+    const carrierCount = document.getElementById("allocationCarrierCount");
+    const carrierBody = document.getElementById("allocationCarrierBody");
+    const policyCount = document.getElementById("allocationPolicyCount");
+    const policyBody = document.getElementById("allocationPolicyBody");
+    const yearBody = document.getElementById("allocationYearBody");
+
+    let currentSlices = [];
+    let currentResult = null;
+
+    function setStatus(message, isError = false) {
+      statusEl.textContent = message || "";
+      statusEl.classList.toggle("isError", !!isError);
+    }
+
+    function formatPct(value) {
+      return `${(Number(value || 0) * 100).toFixed(1)}%`;
+    }
+
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    function fillSelect(selectEl, items, preferred) {
+      selectEl.innerHTML = "";
+      for (const item of items) {
+        const opt = document.createElement("option");
+        opt.value = item.name;
+        opt.textContent = item.name;
+        selectEl.appendChild(opt);
+      }
+      const match = items.find((item) => item.name.toLowerCase() === String(preferred || "").toLowerCase());
+      selectEl.value = match ? match.name : items[0]?.name || "";
+    }
+
+    function getScenario() {
+      return {
+        program: programSelect.value,
+        namedInsureds: selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu),
+        limitType: limitTypeSelect.value,
+        lossAmount: toNum(lossInput.value),
+        exposureStart: exposureStartInput.value,
+        exposureEnd: exposureEndInput.value,
+        applySir: applySirInput.checked
+      };
+    }
+
+    function getScopeLines(result, scenario = getScenario()) {
+      return [
+        `Insurance Program: ${scenario.program || "All"} | Policy Limit Type: ${scenario.limitType || "All"}`,
+        `Named Insureds: ${scenario.namedInsureds.join(", ") || "All"}`,
+        `Loss Amount: ${money(result.lossAmount)} | Method: Pro rata by time on risk`,
+        `Exposure Window: ${result.exposureStart} to ${result.exposureEnd} (${result.exposureDays.toLocaleString()} days)`,
+        `SIR: ${result.applySir ? "Applied (per occurrence, capped by aggregate)" : "Ignored"}`
+      ];
+    }
+
+    function setDefaultExposureWindow(slices) {
+      const starts = slices.map((s) => Number(s.policyStartMs)).filter(Number.isFinite);
+      const ends = slices.map((s) => Number(s.policyEndMs)).filter(Number.isFinite);
+      if (!starts.length || !ends.length) return;
+      exposureStartInput.value = new Date(Math.min(...starts)).toISOString().slice(0, 10);
+      exposureEndInput.value = new Date(Math.max(...ends)).toISOString().slice(0, 10);
+    }
+
+    async function loadSlices() {
+      const params = new URLSearchParams();
+      if (programSelect.value) params.set("program", programSelect.value);
+      if (limitTypeSelect.value) params.set("limitType", limitTypeSelect.value);
+      for (const name of selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu)) params.append("namedInsured", name);
+      const payload = await fetchJSON(`/api/slices?${params.toString()}`);
+      currentSlices = Array.isArray(payload?.slices) ? payload.slices : [];
+    }
+
+    function renderEmpty(message) {
+      currentResult = null;
+      exportCsvBtn.disabled = true;
+      exportPdfBtn.disabled = true;
+      scopeLabel.textContent = "";
+      summaryStats.innerHTML = "";
+      groupCount.textContent = "";
+      carrierCount.textContent = "";
+      policyCount.textContent = "";
+      groupBody.innerHTML = `<tr><td colspan="6">${escapeHtml(message)}</td></tr>`;
+      carrierBody.innerHTML = `<tr><td colspan="6">${escapeHtml(message)}</td></tr>`;
+      policyBody.innerHTML = `<tr><td colspan="8">${escapeHtml(message)}</td></tr>`;
+      yearBody.innerHTML = `<tr><td colspan="6">${escapeHtml(message)}</td></tr>`;
+    }
+
+    function renderSummary(result) {
+      const t = result.totals;
+      scopeLabel.textContent = `${result.exposureStart} to ${result.exposureEnd}`;
+      const cards = [
+        ["Loss Amount", money(Math.round(t.loss))],
+        ["Insurers", `${money(Math.round(t.insurers))} (${formatPct(t.insurers / t.loss)})`],
+        ["Insured Retention (SIR)", money(Math.round(t.retention))],
+        ["Uninsured", money(Math.round(t.uninsured))],
+        ["Available Carriers", money(Math.round(t.available))],
+        ["Unavailable Carriers", money(Math.round(t.unavailable))]
+      ];
+      summaryStats.innerHTML = cards
+        .map(
+          ([label, value]) => `
+        <article class="allocationStatCard">
+          <div class="allocationStatLabel">${escapeHtml(label)}</div>
+          <div class="allocationStatValue">${escapeHtml(value)}</div>
+        </article>`
+        )
+        .join("");
+    }
+
+    function renderTables(result) {
+      groupCount.textContent = `Groups: ${result.carrierGroupRows.length}`;
+      groupBody.innerHTML = result.carrierGroupRows.length
+        ? result.carrierGroupRows
+            .map(
+              (r) => `<tr>
+                <td>${escapeHtml(r.carrierGroup)}</td>
+                <td>${r.carrierCount}</td>
+                <td>${r.policyCount}</td>
+                <td>${money(Math.round(r.allocated))}</td>
+                <td>${money(Math.round(r.unavailable))}</td>
+                <td>${formatPct(r.share)}</td>
+              </tr>`
+            )
+            .join("")
+        : '<tr><td colspan="6">No insurer allocation for this scenario.</td></tr>';
+
+      carrierCount.textContent = `Carriers: ${result.carrierRows.length}`;
+      carrierBody.innerHTML = result.carrierRows.length
+        ? result.carrierRows
+            .map(
+              (r) => `<tr>
+                <td>${escapeHtml(r.carrier)}</td>
+                <td>${escapeHtml(r.carrierGroup)}</td>
+                <td>${r.policyCount}</td>
+                <td>${money(Math.round(r.allocated))}</td>
+                <td>${money(Math.round(r.unavailable))}</td>
+                <td>${formatPct(r.share)}</td>
+              </tr>`
+            )
+            .join("")
+        : '<tr><td colspan="6">No insurer allocation for this scenario.</td></tr>';
+
+      policyCount.textContent = `Policies: ${result.policyRows.length}`;
+      policyBody.innerHTML = result.policyRows.length
+        ? result.policyRows
+            .map(
+              (r) => `<tr>
+                <td>${escapeHtml(r.policyNumber)}</td>
+                <td>${escapeHtml(r.carrier)}</td>
+                <td>${escapeHtml(r.carrierGroup)}</td>
+                <td>${escapeHtml(r.yearSpan)}</td>
+                <td>${money(r.attach)}</td>
+                <td>${escapeHtml(r.availability)}</td>
+                <td>${money(Math.round(r.allocated))}</td>
+                <td>${formatPct(r.share)}</td>
+              </tr>`
+            )
+            .join("")
+        : '<tr><td colspan="8">No insurer allocation for this scenario.</td></tr>';
+
+      yearBody.innerHTML = result.yearRows
+        .map(
+          (r) => `<tr>
+            <td>${r.year}</td>
+            <td>${r.days}</td>
+            <td>${money(Math.round(r.share))}</td>
+            <td>${money(Math.round(r.retention))}</td>
+            <td>${money(Math.round(r.insurers))}</td>
+            <td>${money(Math.round(r.uninsured))}</td>
+          </tr>`
+        )
+        .join("");
+    }
+
+    function recalculate() {
+      const scenario = getScenario();
+      try {
+        currentResult = allocateProRata({ slices: currentSlices, ...scenario });
+      } catch (err) {
+        renderEmpty(err?.message || String(err));
+        setStatus(err?.message || String(err), true);
+        return;
+      }
+      renderSummary(currentResult);
+      renderTables(currentResult);
+      exportCsvBtn.disabled = false;
+      exportPdfBtn.disabled = false;
+      setStatus("");
+    }
+
+    function exportAllocationCSV() {
+      if (!currentResult) return;
+      const cols = ["Level", "Name", "CarrierGroup", "PolicyNumber", "Years", "Attachment", "Availability", "Allocated", "ShareOfLoss"];
+      const rows = [
+        ...currentResult.carrierGroupRows.map((r) => ({
+          Level: "Carrier Group",
+          Name: r.carrierGroup,
+          CarrierGroup: r.carrierGroup,
+          Allocated: r.allocated.toFixed(2),
+          ShareOfLoss: r.share.toFixed(6)
+        })),
+        ...currentResult.carrierRows.map((r) => ({
+          Level: "Carrier",
+          Name: r.carrier,
+          CarrierGroup: r.carrierGroup,
+          Allocated: r.allocated.toFixed(2),
+          ShareOfLoss: r.share.toFixed(6)
+        })),
+        ...currentResult.policyRows.map((r) => ({
+          Level: "Policy",
+          Name: r.carrier,
+          CarrierGroup: r.carrierGroup,
+          PolicyNumber: r.policyNumber,
+          Years: r.yearSpan,
+          Attachment: r.attach,
+          Availability: r.availability,
+          Allocated: r.allocated.toFixed(2),
+          ShareOfLoss: r.share.toFixed(6)
+        }))
+      ];
+      const file = `LossAllocation_${sanitizeFilePart(programSelect.value, "program")}_${toDateStamp()}.csv`;
+      triggerBlobDownload(buildCSV(cols, rows), file, "text/csv;charset=utf-8");
+    }
+
+    async function exportAllocationPDF() {
+      if (!currentResult) return;
+      const previousLabel = exportPdfBtn.textContent;
+      exportPdfBtn.disabled = true;
+      exportPdfBtn.textContent = "Exporting...";
+      try {
+        await ensurePdfLibs();
+        const jsPDF = window.jspdf.jsPDF;
+        const pdf = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
+        const writer = createPdfReportWriter(pdf, { orientation: "landscape" });
+        const result = currentResult;
+        const t = result.totals;
+
+        writer.addReportTitle("Loss Allocation Report");
+        writer.addSectionTitle("Scenario");
+        writer.addTextLines(getScopeLines(result));
+        writer.state.y += 3;
+
+        writer.addSectionTitle("Key Figures");
+        writer.drawWrappedFactLine("Allocated to Insurers", `${money(Math.round(t.insurers))} (${formatPct(t.insurers / t.loss)})`);
+        writer.drawWrappedFactLine("Insured Retention (SIR)", money(Math.round(t.retention)));
+        writer.drawWrappedFactLine("Uninsured (gaps / above tower)", money(Math.round(t.uninsured)));
+        writer.drawWrappedFactLine("Available Carriers", money(Math.round(t.available)));
+        writer.drawWrappedFactLine("Unavailable Carriers", money(Math.round(t.unavailable)));
+        writer.state.y += 3;
+
+        writer.drawGridTable({
+          title: "Allocation by Carrier Group",
+          columns: [
+            { label: "Carrier Group", width: 260 },
+            { label: "Carriers", width: 70, align: "right" },
+            { label: "Policies", width: 70, align: "right" },
+            { label: "Allocated", width: 130, align: "right" },
+            { label: "Unavailable", width: 120, align: "right" },
+            { label: "Share", width: 80, align: "right" }
+          ],
+          rows: result.carrierGroupRows,
+          rowToCells: (r) => [
+            r.carrierGroup,
+            String(r.carrierCount),
+            String(r.policyCount),
+            money(Math.round(r.allocated)),
+            money(Math.round(r.unavailable)),
+            formatPct(r.share)
+          ]
+        });
+
+        writer.newPage();
+        writer.addPageTitle("Carrier and Policy Detail");
+        writer.drawGridTable({
+          title: "Allocation by Carrier",
+          columns: [
+            { label: "Carrier", width: 230 },
+            { label: "Carrier Group", width: 170 },
+            { label: "Policies", width: 70, align: "right" },
+            { label: "Allocated", width: 120, align: "right" },
+            { label: "Unavailable", width: 110, align: "right" },
+            { label: "Share", width: 70, align: "right" }
+          ],
+          rows: result.carrierRows,
+          rowToCells: (r) => [
+            r.carrier,
+            r.carrierGroup,
+            String(r.policyCount),
+            money(Math.round(r.allocated)),
+            money(Math.round(r.unavailable)),
+            formatPct(r.share)
+          ]
+        });
+
+        writer.drawGridTable({
+          title: "Allocation by Policy",
+          columns: [
+            { label: "Policy #", width: 150 },
+            { label: "Carrier", width: 160 },
+            { label: "Carrier Group", width: 120 },
+            { label: "Years", width: 62 },
+            { label: "Attachment", width: 86, align: "right" },
+            { label: "Availability", width: 70 },
+            { label: "Allocated", width: 92, align: "right" },
+            { label: "Share", width: 50, align: "right" }
+          ],
+          rows: result.policyRows,
+          rowToCells: (r) => [
+            r.policyNumber,
+            r.carrier,
+            r.carrierGroup,
+            r.yearSpan,
+            money(r.attach),
+            r.availability,
+            money(Math.round(r.allocated)),
+            formatPct(r.share)
+          ]
+        });
+
+        writer.newPage();
+        writer.addPageTitle("Time on Risk by Year");
+        writer.drawGridTable({
+          title: "Year Shares",
+          columns: [
+            { label: "Year", width: 70 },
+            { label: "Days", width: 60, align: "right" },
+            { label: "Year Share", width: 130, align: "right" },
+            { label: "Retention", width: 130, align: "right" },
+            { label: "Insurers", width: 130, align: "right" },
+            { label: "Uninsured", width: 130, align: "right" }
+          ],
+          rows: result.yearRows,
+          rowToCells: (r) => [
+            String(r.year),
+            String(r.days),
+            money(Math.round(r.share)),
+            money(Math.round(r.retention)),
+            money(Math.round(r.insurers)),
+            money(Math.round(r.uninsured))
+          ]
+        });
+
+        writer.addPageFooters();
+        const filename = `LossAllocation_Report_${sanitizeFilePart(programSelect.value, "program")}_${toDateStamp()}.pdf`;
+        pdf.save(filename);
+        setStatus(`Saved ${filename}`);
+      } catch (err) {
+        console.error(err);
+        setStatus(`PDF export failed: ${err?.message || err}`, true);
+      } finally {
+        exportPdfBtn.textContent = previousLabel;
+        exportPdfBtn.disabled = !currentResult;
+      }
+    }
+
+    async function onScopeChange() {
+      try {
+        await loadSlices();
+        setDefaultExposureWindow(currentSlices);
+        recalculate();
+      } catch (err) {
+        console.error(err);
+        renderEmpty("Failed to load coverage slices.");
+        setStatus(`Failed to load data: ${err?.message || err}`, true);
+      }
+    }
+
+    async function init() {
+      applyThemeToPage(getPreferredTheme(THEME_STORAGE_KEY), { themeLabelEl: themeLabel, themeToggleBtn });
+      themeToggleBtn.addEventListener("click", () => {
+        const current = document.documentElement.dataset.theme === "light" ? "light" : "dark";
+        const next = current === "light" ? "dark" : "light";
+        localStorage.setItem(THEME_STORAGE_KEY, next);
+        applyThemeToPage(next, { themeLabelEl: themeLabel, themeToggleBtn });
+      });
+
+      const lookups = await fetchJSON("/api/lookups");
+      fillSelect(programSelect, lookups.programs || [], DEFAULT_PROGRAM);
+      fillSelect(limitTypeSelect, lookups.policyLimitTypes || [], DEFAULT_LIMIT_TYPE);
+      const namedInsureds = (lookups.namedInsureds || []).map((n) => n.name).filter(Boolean);
+      buildCheckboxMenu(namedInsuredDropdownMenu, namedInsureds, "allocation_named_insured", "Search named insureds...");
+      lossInput.value = DEFAULT_LOSS.toLocaleString();
+
+      await onScopeChange();
+
+      programSelect.addEventListener("change", onScopeChange);
+      limitTypeSelect.addEventListener("change", onScopeChange);
+      namedInsuredDropdownMenu.addEventListener("change", () => {
+        updateDropdownLabel(
+          namedInsuredDropdownLabel,
+          selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu),
+          "All named insureds",
+          "named insured"
+        );
+        onScopeChange();
+      });
+      for (const el of [exposureStartInput, exposureEndInput, applySirInput, lossInput]) {
+        el.addEventListener("change", recalculate);
+      }
+      lossInput.addEventListener("input", () => {
+        window.clearTimeout(lossInput._debounceTimer);
+        lossInput._debounceTimer = window.setTimeout(recalculate, 200);
+      });
+      exportCsvBtn.addEventListener("click", exportAllocationCSV);
+      exportPdfBtn.addEventListener("click", exportAllocationPDF);
+    }
+
+    init().catch((err) => {
+      console.error(err);
+      renderEmpty("Failed to load allocation data.");
+      setStatus(`Failed to load data: ${err?.message || err}`, true);
+    });
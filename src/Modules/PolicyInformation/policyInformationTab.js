@@ -1,4 +1,4 @@
-import { fetchCSV, getBy, toNum } from "../shared/js/core/data.js";
+import { fetchJSON, toNum } from "../shared/js/core/data.js";
 import { money, formatDate as formatDateUS, toDateStamp, sanitizeFilePart } from "../shared/js/core/format.js";
 import { ensureJSPdf } from "../shared/js/core/external.js";
 import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
@@ -10,6 +10,7 @@ import {
   updateDropdownLabel
 } from "../shared/js/ui/multiSelect.js";
 import { setupSortableTable } from "../shared/js/ui/tableSort.js";
+import { downloadXlsxWorkbook } from "../shared/js/coverage/reportExport.js";
 
     const THEME_STORAGE_KEY = "coverageChartTheme";
     const SELECTED_POLICY_STORAGE_KEY = "coverageChartSelectedPolicy";
@@ -24,6 +25,8 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
     const carrierGroupDropdownMenu = document.getElementById("carrierGroupDropdownMenu");
     const carrierDropdownLabel = document.getElementById("carrierDropdownLabel");
     const carrierGroupDropdownLabel = document.getElementById("carrierGroupDropdownLabel");
+    const namedInsuredDropdownMenu = document.getElementById("namedInsuredDropdownMenu");
+    const namedInsuredDropdownLabel = document.getElementById("namedInsuredDropdownLabel");
     const startDateFilter = document.getElementById("startDateFilter");
     const endDateFilter = document.getElementById("endDateFilter");
     const minLimitFilter = document.getElementById("minLimitFilter");
@@ -33,7 +36,11 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
     const policyResultsCount = document.getElementById("policyResultsCount");
     const policyResultsList = document.getElementById("policyResultsList");
 
+    const policyExportMenu = document.getElementById("policyExportMenu");
+    const policyExportBtn = document.getElementById("policyExportBtn");
+    const policyExportMenuPanel = document.getElementById("policyExportMenuPanel");
     const exportPolicyReportBtn = document.getElementById("exportPolicyReportBtn");
+    const exportPolicyXlsxBtn = document.getElementById("exportPolicyXlsxBtn");
     const policyExportStatus = document.getElementById("policyExportStatus");
 
     const policyOverviewMeta = document.getElementById("policyOverviewMeta");
@@ -107,77 +114,6 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       }
     }
 
-    function buildPolicyData({ policyRows, dateRows, limitRows, carrierRows, carrierGroupRows, programRows, limitTypeRows }) {
-      const dateByPolicyId = new Map(dateRows.map((r) => [String(getBy(r, "PolicyID")), r]));
-      const carrierById = new Map(carrierRows.map((r) => [String(getBy(r, "CarrierID")), r]));
-      const groupById = new Map(carrierGroupRows.map((r) => [String(getBy(r, "CarrierGroupID")), r]));
-      const programById = new Map(programRows.map((r) => [String(getBy(r, "InsuranceProgramID")), r]));
-      const limitTypeById = new Map(limitTypeRows.map((r) => [String(getBy(r, "PolicyLimitTypeID")), r]));
-
-      const limitsByPolicyId = new Map();
-      for (const row of limitRows) {
-        const policyId = String(getBy(row, "PolicyID") || "").trim();
-        if (!policyId) continue;
-        if (!limitsByPolicyId.has(policyId)) limitsByPolicyId.set(policyId, []);
-        const attach = toNum(getBy(row, "AttachmentPoint", "Attachment Point"));
-        const layer = toNum(getBy(row, "LayerPerOccLimit", "Layer Per Occ Limit", "PerOccLimit", "Per Occ Limit"));
-        const perOcc = toNum(getBy(row, "PerOccLimit", "Per Occ Limit"));
-        const aggregate = toNum(getBy(row, "AggregateLimit", "Aggregate Limit"));
-        const typeId = String(getBy(row, "PolicyLimitTypeID", "Policy Limit Type ID"));
-        const typeRow = limitTypeById.get(typeId) || {};
-        const typeName = String(getBy(typeRow, "PolicyLimitTypeName", "PolicyLimitType", "Policy Limit Type") || typeId).trim();
-        limitsByPolicyId.get(policyId).push({
-          typeName,
-          attach,
-          layer,
-          perOcc,
-          aggregate,
-          top: attach + layer
-        });
-      }
-
-      const policies = [];
-      for (const p of policyRows) {
-        const policyId = String(getBy(p, "PolicyID") || "").trim();
-        if (!policyId) continue;
-
-        const dateRow = dateByPolicyId.get(policyId) || {};
-        const carrier = carrierById.get(String(getBy(p, "CarrierID") || "")) || {};
-        const groupId = String(getBy(carrier, "CarrierGroupID", "Carrier Group ID", "CarrierGroupId") || getBy(p, "CarrierGroupID", "Carrier Group ID") || "").trim();
-        const group = groupById.get(groupId) || {};
-        const program = programById.get(String(getBy(p, "InsuranceProgramID") || "")) || {};
-
-        const limits = (limitsByPolicyId.get(policyId) || []).sort((a, b) => a.attach - b.attach || a.layer - b.layer);
-        const maxLayerLimit = limits.reduce((m, l) => Math.max(m, Number(l.layer || 0)), 0);
-
-        const startDate = String(getBy(dateRow, "PStartDate", "PolicyStartDate", "StartDate") || "").trim();
-        const endDate = String(getBy(dateRow, "PEndDate", "PolicyEndDate", "EndDate") || "").trim();
-        const startMs = startDate ? new Date(`${startDate}T00:00:00Z`).getTime() : 0;
-        const endMs = endDate ? new Date(`${endDate}T23:59:59Z`).getTime() : 0;
-
-        policies.push({
-          policyId,
-          policyNumber: String(getBy(p, "PolicyNum", "PolicyNo", "policy_no", "Policy Number") || "").trim(),
-          carrier: String(getBy(carrier, "CarrierName", "Carrier") || "(unknown carrier)").trim(),
-          carrierGroup: String(getBy(group, "CarrierGroupName", "CarrierGroup", "Carrier Group") || "(unknown group)").trim(),
-          insuranceProgram: String(getBy(program, "InsuranceProgram", "Program", "Name") || "(unknown program)").trim(),
-          startDate,
-          endDate,
-          startMs,
-          endMs,
-          annualPeriod: String(getBy(dateRow, "AnnualPeriod") || "").trim(),
-          layer: String(getBy(p, "Layer") || "").trim(),
-          notes: String(getBy(p, "PolicyNotes") || "").trim(),
-          sirPerOcc: toNum(getBy(p, "SIRPerOcc", "SIR Per Occ", "SIR")),
-          sirAggregate: toNum(getBy(p, "SIRAggregate", "SIR Aggregate")),
-          limits,
-          maxLayerLimit
-        });
-      }
-
-      return policies;
-    }
-
     function populateFilterOptions(policies) {
       const programs = Array.from(new Set(policies.map((p) => p.insuranceProgram))).sort((a, b) => a.localeCompare(b));
       const limitTypes = Array.from(
@@ -187,6 +123,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       ).sort((a, b) => a.localeCompare(b));
       const carriers = Array.from(new Set(policies.map((p) => p.carrier))).sort((a, b) => a.localeCompare(b));
       const groups = Array.from(new Set(policies.map((p) => p.carrierGroup))).sort((a, b) => a.localeCompare(b));
+      const namedInsureds = Array.from(new Set(policies.map((p) => p.namedInsured).filter(Boolean))).sort((a, b) => a.localeCompare(b));
 
       for (const program of programs) {
         const opt = document.createElement("option");
@@ -202,6 +139,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       }
       buildCheckboxMenu(carrierDropdownMenu, carriers, "policy_carrier_filter", "Search carriers...");
       buildCheckboxMenu(carrierGroupDropdownMenu, groups, "policy_group_filter", "Search carrier groups...");
+      buildCheckboxMenu(namedInsuredDropdownMenu, namedInsureds, "policy_named_insured_filter", "Search named insureds...");
     }
 
     function getActiveLimitFilters() {
@@ -286,9 +224,12 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       const carriers = selectedValuesFromCheckboxMenu(carrierDropdownMenu);
       const groups = selectedValuesFromCheckboxMenu(carrierGroupDropdownMenu);
       const carrierSet = new Set(carriers);
+      const namedInsureds = selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu);
       const groupSet = new Set(groups);
+      const namedInsuredSet = new Set(namedInsureds);
       updateDropdownLabel(carrierDropdownLabel, carriers, "All carriers", "carrier");
       updateDropdownLabel(carrierGroupDropdownLabel, groups, "All carrier groups", "group");
+      updateDropdownLabel(namedInsuredDropdownLabel, namedInsureds, "All named insureds", "named insured");
 
       const startDate = startDateFilter.value ? new Date(`${startDateFilter.value}T00:00:00Z`).getTime() : Number.NEGATIVE_INFINITY;
       const endDate = endDateFilter.value ? new Date(`${endDateFilter.value}T23:59:59Z`).getTime() : Number.POSITIVE_INFINITY;
@@ -306,6 +247,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
         if (selectedProgram && p.insuranceProgram !== selectedProgram) return false;
         if (carrierSet.size > 0 && !carrierSet.has(p.carrier)) return false;
         if (groupSet.size > 0 && !groupSet.has(p.carrierGroup)) return false;
+        if (namedInsuredSet.size > 0 && !namedInsuredSet.has(p.namedInsured)) return false;
         if (p.startMs > endDate || p.endMs < startDate) return false;
         if (!getVisiblePolicyLimits(p, limitFilters).length) return false;
 
@@ -420,6 +362,10 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
               <span class="policyOverviewFieldLabel">Program:</span>
               <span class="policyOverviewFieldValue">${policy.insuranceProgram || "N/A"}</span>
             </div>
+            <div class="policyOverviewField">
+              <span class="policyOverviewFieldLabel">Named Insured:</span>
+              <span class="policyOverviewFieldValue">${policy.namedInsured || "N/A"}</span>
+            </div>
             <div class="policyOverviewField">
               <span class="policyOverviewFieldLabel">Policy Number:</span>
               <span class="policyOverviewFieldValue policyOverviewFieldValue--long">${policy.policyNumber || "N/A"}</span>
@@ -577,6 +523,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
         const overviewRows = [
           ["Policy Number", policy.policyNumber || "N/A"],
           ["Insurance Program", policy.insuranceProgram || "N/A"],
+          ["Named Insured", policy.namedInsured || "N/A"],
           ["Carrier", policy.carrier || "N/A"],
           ["Carrier Group", policy.carrierGroup || "N/A"],
           ["Policy Period", `${formatDate(policy.startDate)} - ${formatDate(policy.endDate)}`],
@@ -756,6 +703,119 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       }
     }
 
+    function getPolicyFilterRows() {
+      const listOrAll = (values) => (values.length ? values.join(", ") : "All");
+      return [
+        ["Policy Number", String(policyNumberSearch.value || "").trim() || "All"],
+        ["Insurance Program", String(insuranceProgramSelect.value || "").trim() || "All"],
+        ["Policy Limit Type", String(policyLimitTypeSelect.value || "").trim() || "All"],
+        ["Carriers", listOrAll(selectedValuesFromCheckboxMenu(carrierDropdownMenu))],
+        ["Carrier Groups", listOrAll(selectedValuesFromCheckboxMenu(carrierGroupDropdownMenu))],
+        ["Named Insureds", listOrAll(selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu))],
+        ["Start Date", startDateFilter.value || "All"],
+        ["End Date", endDateFilter.value || "All"],
+        ["Min Layer Limit", String(minLimitFilter.value || "").trim() || "All"],
+        ["Max Layer Limit", String(maxLimitFilter.value || "").trim() || "All"],
+        ["Generated", new Date().toLocaleString()]
+      ].map(([Filter, Value]) => ({ Filter, Value }));
+    }
+
+    async function exportPolicySchedule() {
+      if (!filteredPolicies.length) {
+        setPolicyExportStatus("No policies match the current filters.", true);
+        return;
+      }
+
+      const limitFilters = getActiveLimitFilters();
+      const policyRows = filteredPolicies.map((p) => ({
+        PolicyNumber: p.policyNumber,
+        InsuranceProgram: p.insuranceProgram,
+        NamedInsured: p.namedInsured,
+        Carrier: p.carrier,
+        CarrierGroup: p.carrierGroup,
+        CarrierSolvency: p.carrierSolvency,
+        StartDate: p.startDate,
+        EndDate: p.endDate,
+        AnnualPeriod: p.annualPeriod,
+        SIRPerOcc: p.sirPerOcc,
+        SIRAggregate: p.sirAggregate,
+        PolicyID: p.policyId
+      }));
+      const limitRows = filteredPolicies.flatMap((p) =>
+        getVisiblePolicyLimits(p, limitFilters).map((l) => ({
+          PolicyNumber: p.policyNumber,
+          PolicyLimitType: l.typeName,
+          Attachment: l.attach,
+          LayerLimit: l.layer,
+          TopOfLayer: l.top,
+          PerOccLimit: l.perOcc,
+          AggregateLimit: l.aggregate,
+          PaidToDate: l.paidToDate,
+          RemainingAggregate: l.remainingAggregate,
+          ErosionStatus: l.erosionStatus,
+          PolicyID: p.policyId
+        }))
+      );
+      const currencyColumn = (key) => ({ key, format: "currency", width: 16 });
+
+      const fileName = `PolicySchedule_${toDateStamp()}.xlsx`;
+      setPolicyExportStatus("Building policy schedule workbook...");
+      try {
+        await downloadXlsxWorkbook(
+          [
+            {
+              name: "Policies",
+              columns: [
+                { key: "PolicyNumber", width: 28 },
+                { key: "InsuranceProgram", width: 22 },
+                { key: "NamedInsured", width: 22 },
+                { key: "Carrier", width: 34 },
+                { key: "CarrierGroup", width: 26 },
+                { key: "CarrierSolvency" },
+                { key: "StartDate" },
+                { key: "EndDate" },
+                { key: "AnnualPeriod" },
+                currencyColumn("SIRPerOcc"),
+                currencyColumn("SIRAggregate"),
+                { key: "PolicyID" }
+              ],
+              rows: policyRows
+            },
+            {
+              name: "Limits",
+              columns: [
+                { key: "PolicyNumber", width: 28 },
+                { key: "PolicyLimitType", width: 20 },
+                currencyColumn("Attachment"),
+                currencyColumn("LayerLimit"),
+                currencyColumn("TopOfLayer"),
+                currencyColumn("PerOccLimit"),
+                currencyColumn("AggregateLimit"),
+                currencyColumn("PaidToDate"),
+                currencyColumn("RemainingAggregate"),
+                { key: "ErosionStatus" },
+                { key: "PolicyID" }
+              ],
+              rows: limitRows
+            },
+            {
+              name: "Filters",
+              columns: [
+                { key: "Filter", width: 20 },
+                { key: "Value", width: 60 }
+              ],
+              rows: getPolicyFilterRows()
+            }
+          ],
+          fileName
+        );
+        setPolicyExportStatus(`Policy schedule exported: ${fileName}`);
+      } catch (err) {
+        console.error(err);
+        setPolicyExportStatus(`Failed to export policy schedule: ${err?.message || err}`, true);
+      }
+    }
+
     function resetFilters() {
       initialUrlPolicyNumber = "";
       initialUrlPolicyLimitType = "";
@@ -765,10 +825,13 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       policyLimitTypeSelect.value = "";
       clearCheckboxMenu(carrierDropdownMenu);
       clearCheckboxMenu(carrierGroupDropdownMenu);
+      clearCheckboxMenu(namedInsuredDropdownMenu);
       resetCheckboxMenuSearch(carrierDropdownMenu);
       resetCheckboxMenuSearch(carrierGroupDropdownMenu);
+      resetCheckboxMenuSearch(namedInsuredDropdownMenu);
       updateDropdownLabel(carrierDropdownLabel, [], "All carriers", "carrier");
       updateDropdownLabel(carrierGroupDropdownLabel, [], "All carrier groups", "group");
+      updateDropdownLabel(namedInsuredDropdownLabel, [], "All named insureds", "named insured");
       startDateFilter.value = "";
       endDateFilter.value = "";
       minLimitFilter.value = "";
@@ -785,25 +848,8 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
         applyThemeToPage(next, { themeLabelEl: themeLabel, themeToggleBtn });
       });
 
-      const [policyRows, dateRows, limitRows, carrierRows, carrierGroupRows, programRows, limitTypeRows] = await Promise.all([
-        fetchCSV("/data/OriginalFiles/tblPolicy.csv"),
-        fetchCSV("/data/OriginalFiles/tblPolicyDates.csv"),
-        fetchCSV("/data/OriginalFiles/tblPolicyLimits.csv"),
-        fetchCSV("/data/OriginalFiles/tblCarrier.csv"),
-        fetchCSV("/data/OriginalFiles/tblCarrierGroup.csv"),
-        fetchCSV("/data/OriginalFiles/tblInsuranceProgram.csv"),
-        fetchCSV("/data/OriginalFiles/tblPolicyLimitType.csv")
-      ]);
-
-      allPolicies = buildPolicyData({
-        policyRows,
-        dateRows,
-        limitRows,
-        carrierRows,
-        carrierGroupRows,
-        programRows,
-        limitTypeRows
-      });
+      const payload = await fetchJSON("/api/policies");
+      allPolicies = Array.isArray(payload?.policies) ? payload.policies : [];
 
       populateFilterOptions(allPolicies);
 
@@ -863,13 +909,32 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       }
 
       resetPolicyFiltersBtn.addEventListener("click", resetFilters);
-      exportPolicyReportBtn.addEventListener("click", exportPolicyReport);
+      const closeExportMenu = () => {
+        policyExportMenuPanel.hidden = true;
+        policyExportBtn.setAttribute("aria-expanded", "false");
+      };
+      policyExportBtn.addEventListener("click", () => {
+        policyExportMenuPanel.hidden = !policyExportMenuPanel.hidden;
+        policyExportBtn.setAttribute("aria-expanded", String(!policyExportMenuPanel.hidden));
+      });
+      document.addEventListener("click", (evt) => {
+        if (!policyExportMenu.contains(evt.target)) closeExportMenu();
+      });
+      exportPolicyReportBtn.addEventListener("click", async () => {
+        await exportPolicyReport();
+        closeExportMenu();
+      });
+      exportPolicyXlsxBtn.addEventListener("click", async () => {
+        await exportPolicySchedule();
+        closeExportMenu();
+      });
 
       for (const el of [policyNumberSearch, insuranceProgramSelect, policyLimitTypeSelect, startDateFilter, endDateFilter, minLimitFilter, maxLimitFilter]) {
         el.addEventListener("change", applyPolicyFilters);
       }
       carrierDropdownMenu.addEventListener("change", applyPolicyFilters);
       carrierGroupDropdownMenu.addEventListener("change", applyPolicyFilters);
+      namedInsuredDropdownMenu.addEventListener("change", applyPolicyFilters);
       policyNumberSearch.addEventListener("input", () => {
         window.clearTimeout(policyNumberSearch._debounceTimer);
         policyNumberSearch._debounceTimer = window.setTimeout(applyPolicyFilters, 120);
@@ -1,4 +1,4 @@
-import { fetchCSV, getBy, normalizeISODate, toNum } from "../shared/js/core/data.js";
+import { fetchJSON, toNum } from "../shared/js/core/data.js";
 import { money, formatDate, toDateStamp, sanitizeFilePart } from "../shared/js/core/format.js";
 import { ensureJSPdf } from "../shared/js/core/external.js";
 import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
@@ -11,6 +11,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
 
     const languageTopicSelect = document.getElementById("languageTopicSelect");
     const languageProgramSelect = document.getElementById("languageProgramSelect");
+    const languageNamedInsuredSelect = document.getElementById("languageNamedInsuredSelect");
     const languageStartDateFilter = document.getElementById("languageStartDateFilter");
     const languageEndDateFilter = document.getElementById("languageEndDateFilter");
     const languageMinLayerLimitFilter = document.getElementById("languageMinLayerLimitFilter");
@@ -112,60 +113,34 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       })[0];
     }
 
-    function buildPolicyRowsFromDataset({ policyRows, dateRows, limitRows, carrierRows, carrierGroupRows, programRows }) {
-      const dateByPolicyId = new Map(dateRows.map((row) => [String(getBy(row, "PolicyID")).trim(), row]));
-      const carrierById = new Map(carrierRows.map((row) => [String(getBy(row, "CarrierID")).trim(), row]));
-      const carrierGroupById = new Map(carrierGroupRows.map((row) => [String(getBy(row, "CarrierGroupID")).trim(), row]));
-      const programById = new Map(programRows.map((row) => [String(getBy(row, "InsuranceProgramID")).trim(), row]));
-
-      const limitsByPolicyId = new Map();
-      for (const row of limitRows) {
-        const policyId = String(getBy(row, "PolicyID")).trim();
-        if (!policyId) continue;
-        if (!limitsByPolicyId.has(policyId)) limitsByPolicyId.set(policyId, []);
-        limitsByPolicyId.get(policyId).push({
-          attachmentPoint: toNum(getBy(row, "AttachmentPoint", "Attachment Point")),
-          perOccLimit: toNum(getBy(row, "PerOccLimit", "Per Occ Limit")),
-          aggregateLimit: toNum(getBy(row, "AggregateLimit", "Aggregate Limit")),
-          layerLimit: toNum(getBy(row, "LayerPerOccLimit", "Layer Per Occ Limit", "PerOccLimit", "Per Occ Limit"))
-        });
-      }
+    function buildPolicyRowsFromRecords(records) {
+      const policies = records.map((record) => {
+        const representativeLimit = pickRepresentativeLimit(
+          (record.limits || []).map((limit) => ({
+            attachmentPoint: Number(limit.attach || 0),
+            perOccLimit: Number(limit.perOcc || 0),
+            aggregateLimit: Number(limit.aggregate || 0),
+            layerLimit: Number(limit.layer || 0)
+          }))
+        );
 
-      const policies = [];
-      for (const row of policyRows) {
-        const policyId = String(getBy(row, "PolicyID")).trim();
-        if (!policyId) continue;
-
-        const dateRow = dateByPolicyId.get(policyId) || {};
-        const carrierRow = carrierById.get(String(getBy(row, "CarrierID")).trim()) || {};
-        const carrierGroupId = String(
-          getBy(carrierRow, "CarrierGroupID", "Carrier Group ID", "CarrierGroupId") ||
-          getBy(row, "CarrierGroupID", "Carrier Group ID")
-        ).trim();
-        const carrierGroupRow = carrierGroupById.get(carrierGroupId) || {};
-        const programRow = programById.get(String(getBy(row, "InsuranceProgramID")).trim()) || {};
-        const representativeLimit = pickRepresentativeLimit(limitsByPolicyId.get(policyId) || []);
-
-        const startDate = normalizeISODate(getBy(dateRow, "PStartDate", "PolicyStartDate", "StartDate") || getBy(row, "MinPStartDate"));
-        const endDate = normalizeISODate(getBy(dateRow, "PEndDate", "PolicyEndDate", "EndDate"));
-        const annualPeriod = String(getBy(dateRow, "AnnualPeriod") || (startDate ? startDate.slice(0, 4) : "")).trim();
-
-        policies.push({
-          policyId,
-          policyNumber: String(getBy(row, "PolicyNum", "PolicyNo", "policy_no", "Policy Number") || `Policy ${policyId}`).trim(),
-          carrier: String(getBy(carrierRow, "CarrierName", "Carrier") || "(unknown carrier)").trim(),
-          carrierGroup: String(getBy(carrierGroupRow, "CarrierGroupName", "CarrierGroup", "Carrier Group") || "(unknown group)").trim(),
-          insuranceProgram: String(getBy(programRow, "InsuranceProgram", "Program", "Name") || "(unknown program)").trim(),
-          startDate,
-          endDate,
-          annualPeriod,
-          sirPerOcc: toNum(getBy(row, "SIRPerOcc", "SIR Per Occ", "SIR")),
+        return {
+          policyId: String(record.policyId || "").trim(),
+          policyNumber: String(record.policyNumber || `Policy ${record.policyId}`).trim(),
+          carrier: String(record.carrier || "(unknown carrier)").trim(),
+          carrierGroup: String(record.carrierGroup || "(unknown group)").trim(),
+          insuranceProgram: String(record.insuranceProgram || "(unknown program)").trim(),
+          namedInsured: String(record.namedInsured || "(unknown named insured)").trim(),
+          startDate: String(record.startDate || "").trim(),
+          endDate: String(record.endDate || "").trim(),
+          annualPeriod: String(record.annualPeriod || "").trim(),
+          sirPerOcc: Number(record.sirPerOcc || 0),
           attachmentPoint: Number(representativeLimit.attachmentPoint || 0),
           perOccLimit: Number(representativeLimit.perOccLimit || 0),
           aggregateLimit: Number(representativeLimit.aggregateLimit || 0),
           layerLimit: Number(representativeLimit.layerLimit || 0)
-        });
-      }
+        };
+      });
 
       return policies.sort((a, b) =>
         String(a.startDate || "").localeCompare(String(b.startDate || "")) ||
@@ -200,22 +175,8 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
     }
 
     async function loadLanguageTopicsFromDataset() {
-      const [policyRows, dateRows, limitRows, carrierRows, carrierGroupRows, programRows] = await Promise.all([
-        fetchCSV("/data/OriginalFiles/tblPolicy.csv"),
-        fetchCSV("/data/OriginalFiles/tblPolicyDates.csv"),
-        fetchCSV("/data/OriginalFiles/tblPolicyLimits.csv"),
-        fetchCSV("/data/OriginalFiles/tblCarrier.csv"),
-        fetchCSV("/data/OriginalFiles/tblCarrierGroup.csv"),
-        fetchCSV("/data/OriginalFiles/tblInsuranceProgram.csv")
-      ]);
-      const policies = buildPolicyRowsFromDataset({
-        policyRows,
-        dateRows,
-        limitRows,
-        carrierRows,
-        carrierGroupRows,
-        programRows
-      });
+      const payload = await fetchJSON("/api/policies");
+      const policies = buildPolicyRowsFromRecords(Array.isArray(payload?.policies) ? payload.policies : []);
       return buildLanguageTopicsFromPolicies(policies);
     }
 
@@ -269,32 +230,40 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       }
     }
 
-    function fillProgramOptions(topic, keepCurrent = false) {
-      const prior = keepCurrent ? String(languageProgramSelect.value || "") : "";
-      const programs = Array.from(
-        new Set(topic.entries.map((entry) => String(entry.insuranceProgram || "").trim()).filter(Boolean))
-      ).sort((a, b) => a.localeCompare(b));
+    function fillEntrySelect(selectEl, values, allText, keepCurrent) {
+      const prior = keepCurrent ? String(selectEl.value || "") : "";
 
-      languageProgramSelect.innerHTML = "";
+      selectEl.innerHTML = "";
       const allOpt = document.createElement("option");
       allOpt.value = "";
-      allOpt.textContent = "All programs";
-      languageProgramSelect.appendChild(allOpt);
+      allOpt.textContent = allText;
+      selectEl.appendChild(allOpt);
 
-      for (const program of programs) {
+      for (const value of values) {
         const opt = document.createElement("option");
-        opt.value = program;
-        opt.textContent = program;
-        languageProgramSelect.appendChild(opt);
+        opt.value = value;
+        opt.textContent = value;
+        selectEl.appendChild(opt);
       }
 
-      if (prior && programs.includes(prior)) {
-        languageProgramSelect.value = prior;
+      if (prior && values.includes(prior)) {
+        selectEl.value = prior;
       } else {
-        languageProgramSelect.value = "";
+        selectEl.value = "";
       }
     }
 
+    function distinctEntryValues(topic, field) {
+      return Array.from(
+        new Set(topic.entries.map((entry) => String(entry[field] || "").trim()).filter(Boolean))
+      ).sort((a, b) => a.localeCompare(b));
+    }
+
+    function fillScopeOptions(topic, keepCurrent = false) {
+      fillEntrySelect(languageProgramSelect, distinctEntryValues(topic, "insuranceProgram"), "All programs", keepCurrent);
+      fillEntrySelect(languageNamedInsuredSelect, distinctEntryValues(topic, "namedInsured"), "All named insureds", keepCurrent);
+    }
+
     function dateInputToMs(value, endOfDay = false) {
       if (!value) return endOfDay ? Number.POSITIVE_INFINITY : Number.NEGATIVE_INFINITY;
       const stamp = Date.parse(`${value}T${endOfDay ? "23:59:59" : "00:00:00"}Z`);
@@ -303,6 +272,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
 
     function getFilteredEntries(topic) {
       const selectedProgram = String(languageProgramSelect.value || "").trim();
+      const selectedNamedInsured = String(languageNamedInsuredSelect.value || "").trim();
       const startFromMs = dateInputToMs(languageStartDateFilter.value, false);
       const startToMs = dateInputToMs(languageEndDateFilter.value, true);
       const minLayer = String(languageMinLayerLimitFilter.value || "").trim() === ""
@@ -314,6 +284,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
 
       return topic.entries.filter((entry) => {
         if (selectedProgram && entry.insuranceProgram !== selectedProgram) return false;
+        if (selectedNamedInsured && entry.namedInsured !== selectedNamedInsured) return false;
         if (entry.startMs < startFromMs || entry.startMs > startToMs) return false;
         if (Number(entry.layerLimit || 0) < minLayer || Number(entry.layerLimit || 0) > maxLayer) return false;
         return true;
@@ -650,6 +621,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
             policyNumber: String(entry.policyNumber || "").trim(),
             carrier: String(entry.carrier || "").trim(),
             insuranceProgram: String(entry.insuranceProgram || "").trim(),
+            namedInsured: String(entry.namedInsured || "").trim(),
             startDate: String(entry.startDate || "").trim(),
             endDate: String(entry.endDate || "").trim(),
             annualPeriod: String(entry.annualPeriod || "").trim(),
@@ -729,6 +701,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
         };
 
         const filterProgram = String(languageProgramSelect.value || "").trim() || "All programs";
+        const filterNamedInsured = String(languageNamedInsuredSelect.value || "").trim() || "All named insureds";
         const filterStartFrom = String(languageStartDateFilter.value || "").trim() || "All";
         const filterStartTo = String(languageEndDateFilter.value || "").trim() || "All";
         const filterMinLayer = String(languageMinLayerLimitFilter.value || "").trim() || "All";
@@ -750,6 +723,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
         const summaryRows = [
           `Topic filter: ${topic.summaryLabel}`,
           `Program filter: ${filterProgram}`,
+          `Named insured filter: ${filterNamedInsured}`,
           `Policy start-date filter: ${filterStartFrom} to ${filterStartTo}`,
           `Layer limit filter: ${filterMinLayer} to ${filterMaxLayer}`,
           `Rows exported: ${entries.length}`,
@@ -768,6 +742,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
             ["Policy ID", policy.policyId || "N/A"],
             ["Carrier", policy.carrier || "N/A"],
             ["Insurance Program", policy.insuranceProgram || "N/A"],
+            ["Named Insured", policy.namedInsured || "N/A"],
             ["Policy Period", `${formatDate(policy.startDate)} - ${formatDate(policy.endDate)}`],
             ["Annual Period", policy.annualPeriod || "N/A"],
             ["SIR", money(policy.sirPerOcc)],
@@ -828,6 +803,7 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
 
     function resetFilters() {
       languageProgramSelect.value = "";
+      languageNamedInsuredSelect.value = "";
       languageStartDateFilter.value = "";
       languageEndDateFilter.value = "";
       languageMinLayerLimitFilter.value = "";
@@ -844,13 +820,18 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
         languageTopicSelect.value = topicId;
       }
 
-      fillProgramOptions(getTopicContext(languageTopicSelect.value), false);
+      fillScopeOptions(getTopicContext(languageTopicSelect.value), false);
 
       const program = String(params.get("program") || "").trim();
       if (program && Array.from(languageProgramSelect.options).some((opt) => opt.value === program)) {
         languageProgramSelect.value = program;
       }
 
+      const namedInsured = String(params.get("namedInsured") || "").trim();
+      if (namedInsured && Array.from(languageNamedInsuredSelect.options).some((opt) => opt.value === namedInsured)) {
+        languageNamedInsuredSelect.value = namedInsured;
+      }
+
       const startFrom = String(params.get("startFrom") || "").trim();
       const startTo = String(params.get("startTo") || "").trim();
       if (/^\\d{4}-\\d{2}-\\d{2}$/.test(startFrom)) languageStartDateFilter.value = startFrom;
@@ -905,10 +886,11 @@ import { setupSortableTable } from "../shared/js/ui/tableSort.js";
       renderAll();
 
       languageTopicSelect.addEventListener("change", () => {
-        fillProgramOptions(getTopicContext(languageTopicSelect.value), false);
+        fillScopeOptions(getTopicContext(languageTopicSelect.value), false);
         renderAll();
       });
       languageProgramSelect.addEventListener("change", renderAll);
+      languageNamedInsuredSelect.addEventListener("change", renderAll);
       languageStartDateFilter.addEventListener("change", renderAll);
       languageEndDateFilter.addEventListener("change", renderAll);
       languageMinLayerLimitFilter.addEventListener("change", renderAll);
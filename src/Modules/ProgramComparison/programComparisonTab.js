@@ -0,0 +1,302 @@
+import { fetchJSON } from "../shared/js/core/data.js";
+import { money } from "../shared/js/core/format.js";
+import { getPreferredTheme, applyThemeToPage } from "../shared/js/core/theme.js";
+import {
+  buildCheckboxMenu,
+  selectedValuesFromCheckboxMenu,
+  setCheckboxMenuValues,
+  updateDropdownLabel
+} from "../shared/js/ui/multiSelect.js";
+
+    const THEME_STORAGE_KEY = "coverageChartTheme";
+    const ENGINE_URL = "/Modules/shared/js/coverage/coverageChartEngine.js";
+    const MAX_TOWERS = 4;
+
+    const themeLabel = document.getElementById("themeLabel");
+    const themeToggleBtn = document.getElementById("themeToggleBtn");
+
+    const viewSelect = document.getElementById("comparisonViewSelect");
+    const programDropdownMenu = document.getElementById("comparisonProgramDropdownMenu");
+    const programDropdownLabel = document.getElementById("comparisonProgramDropdownLabel");
+    const startYearSelect = document.getElementById("comparisonStartYearSelect");
+    const endYearSelect = document.getElementById("comparisonEndYearSelect");
+    const limitTypeSelect = document.getElementById("comparisonLimitTypeSelect");
+    const namedInsuredDropdownMenu = document.getElementById("comparisonNamedInsuredDropdownMenu");
+    const namedInsuredDropdownLabel = document.getElementById("comparisonNamedInsuredDropdownLabel");
+    const statusEl = document.getElementById("comparisonStatus");
+    const grid = document.getElementById("comparisonGrid");
+    const summaryHead = document.getElementById("comparisonSummaryHead");
+    const summaryBody = document.getElementById("comparisonSummaryBody");
+    const summaryNote = document.getElementById("comparisonSummaryNote");
+
+    // One entry per chart slot: { slot, engine, panel, title, viewport, program }.
+    const towers = [];
+    let activeCount = 0;
+    let syncingScroll = false;
+
+    function showError(err) {
+      const box = document.getElementById("errorBox");
+      box.style.display = "block";
+      box.textContent = "ERROR:\n" + (err?.stack || err?.message || String(err));
+    }
+
+    function setStatus(message, isError = false) {
+      statusEl.textContent = message || "";
+      statusEl.classList.toggle("isError", !!isError);
+    }
+
+    function escapeHtml(value) {
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    const yearFromSelect = (selectEl) => {
+      const n = Number.parseInt(String(selectEl.value ?? ""), 10);
+      return Number.isFinite(n) ? n : null;
+    };
+
+    const signedMoney = (v) => (v > 0 ? `+${money(v)}` : v < 0 ? `-${money(-v)}` : money(0));
+
+    /* ================================
+       Chart slots
+    ================================ */
+
+    function createTowerPanel(slot) {
+      const panel = document.createElement("article");
+      panel.className = "chartWrap comparisonPanel";
+      panel.innerHTML = `
+        <h2 class="comparisonPanelTitle"></h2>
+        <div class="chartFrame comparisonChartFrame">
+          <div class="chartViewport">
+            <div class="chartSurface">
+              <canvas id="comparisonCanvas${slot}"></canvas>
+            </div>
+          </div>
+        </div>`;
+      grid.appendChild(panel);
+      return {
+        panel,
+        title: panel.querySelector(".comparisonPanelTitle"),
+        viewport: panel.querySelector(".chartViewport"),
+        canvasId: `comparisonCanvas${slot}`
+      };
+    }
+
+    async function ensureTowers(count) {
+      while (towers.length < count) {
+        const slot = towers.length;
+        const refs = createTowerPanel(slot);
+        // The engine keeps its chart in module state, one chart per module instance, so each
+        // slot imports its own copy (a distinct URL is a distinct module to the browser).
+        const engine = await import(`${ENGINE_URL}?tower=${slot}`);
+        await engine.renderCoverageChart({
+          canvasId: refs.canvasId,
+          initialView: viewSelect.value,
+          barThickness: "flex",
+          categorySpacing: 1.0,
+          tooltipMaxParticipants: 50
+        });
+        engine.setHoverYearListener((year) => linkHoveredYear(slot, year));
+        refs.viewport.addEventListener("scroll", () => syncScroll(slot));
+        towers.push({ slot, engine, program: "", ...refs });
+      }
+    }
+
+    // Linked tooltips: the year under the pointer in one chart is marked, with its totals, in the others.
+    function linkHoveredYear(sourceSlot, year) {
+      for (const t of towers.slice(0, activeCount)) t.engine.setLinkedYear(t.slot === sourceSlot ? null : year);
+      for (const row of summaryBody.querySelectorAll("tr[data-year]")) {
+        row.classList.toggle("isLinked", year !== null && row.dataset.year === String(year));
+      }
+    }
+
+    function syncScroll(sourceSlot) {
+      if (syncingScroll) return;
+      syncingScroll = true;
+      const left = towers[sourceSlot].viewport.scrollLeft;
+      for (const t of towers.slice(0, activeCount)) {
+        if (t.slot !== sourceSlot) t.viewport.scrollLeft = left;
+      }
+      syncingScroll = false;
+    }
+
+    /* ================================
+       Apply filters
+    ================================ */
+
+    async function applyComparison() {
+      const programs = selectedValuesFromCheckboxMenu(programDropdownMenu).slice(0, MAX_TOWERS);
+      updateDropdownLabel(programDropdownLabel, programs, "Select programs", "program");
+      if (programs.length < 2) {
+        setStatus("Select at least two insurance programs to compare.", true);
+      } else if (selectedValuesFromCheckboxMenu(programDropdownMenu).length > MAX_TOWERS) {
+        setStatus(`Comparing the first ${MAX_TOWERS} selected programs.`);
+      } else {
+        setStatus("");
+      }
+
+      await ensureTowers(programs.length);
+      activeCount = programs.length;
+      towers.forEach((t, i) => {
+        t.panel.hidden = i >= activeCount;
+      });
+
+      const active = towers.slice(0, activeCount);
+      const namedInsureds = selectedValuesFromCheckboxMenu(namedInsuredDropdownMenu);
+      updateDropdownLabel(namedInsuredDropdownLabel, namedInsureds, "All named insureds", "named insured");
+      const startYear = yearFromSelect(startYearSelect);
+      const endYear = yearFromSelect(endYearSelect);
+      active.forEach((t, i) => {
+        t.program = programs[i];
+        t.title.textContent = programs[i];
+        t.engine.setView(viewSelect.value);
+        t.engine.setInsuranceProgramFilter(programs[i]);
+        t.engine.setNamedInsuredFilter(namedInsureds);
+        t.engine.setPolicyLimitTypeFilter(limitTypeSelect.value);
+        if (startYear === null && endYear === null) t.engine.resetYearRange();
+        else t.engine.setYearRange(startYear, endYear);
+        t.engine.setYearAxisRange(null, null);
+        t.engine.setLinkedYear(null);
+      });
+
+      // Shared year axis: the union of the years any of the towers covers.
+      const ranges = active.map((t) => t.engine.getDataYearRange()).filter((r) => r.minYear !== null);
+      const minYear = ranges.length ? Math.min(...ranges.map((r) => r.minYear)) : null;
+      const maxYear = ranges.length ? Math.max(...ranges.map((r) => r.maxYear)) : null;
+      // Shared y-scale: every chart tops out at the tallest tower.
+      const top = Math.max(0, ...active.map((t) => t.engine.getTowerTopLimit()));
+      for (const t of active) {
+        t.engine.setYearAxisRange(minYear, maxYear);
+        if (top > 0) t.engine.setZoomRange(0, top);
+        else t.engine.resetZoomRange();
+      }
+
+      renderDifferenceSummary(active);
+    }
+
+    /* ================================
+       Difference summary
+    ================================ */
+
+    function renderDifferenceSummary(active) {
+      if (!active.length) {
+        summaryHead.innerHTML = "";
+        summaryBody.innerHTML = `<tr><td>Select programs to compare.</td></tr>`;
+        summaryNote.textContent = "";
+        return;
+      }
+
+      const base = active[0];
+      const others = active.slice(1);
+      const totalsBySlot = new Map(active.map((t) => [t.slot, new Map(t.engine.getYearLimitTotals().map((r) => [r.year, r]))]));
+      const years = [...new Set(active.flatMap((t) => [...totalsBySlot.get(t.slot).keys()]))].sort((a, b) => a - b);
+      const valueAt = (t, year) => totalsBySlot.get(t.slot).get(year) || { totalLimit: 0, availableLimit: 0 };
+
+      summaryNote.textContent = others.length ? `Differences are measured against ${base.program}` : "";
+      summaryHead.innerHTML = `
+        <tr>
+          <th>Year</th>
+          ${active.map((t) => `<th>${escapeHtml(t.program)} Total</th><th>${escapeHtml(t.program)} Available</th>`).join("")}
+          ${others.map((t) => `<th>Δ Total (${escapeHtml(t.program)})</th><th>Δ Available (${escapeHtml(t.program)})</th>`).join("")}
+        </tr>`;
+
+      if (!years.length) {
+        summaryBody.innerHTML = `<tr><td colspan="${1 + active.length * 2 + others.length * 2}">No coverage in the selected years.</td></tr>`;
+        return;
+      }
+
+      const deltaCell = (value) => {
+        const cls = value > 0 ? " comparisonDelta--up" : value < 0 ? " comparisonDelta--down" : "";
+        return `<td class="comparisonDelta${cls}">${escapeHtml(signedMoney(value))}</td>`;
+      };
+
+      summaryBody.innerHTML = years
+        .map((year) => {
+          const baseValue = valueAt(base, year);
+          return `
+        <tr data-year="${year}">
+          <td>${year}</td>
+          ${active
+            .map((t) => {
+              const v = valueAt(t, year);
+              return `<td>${escapeHtml(money(v.totalLimit))}</td><td>${escapeHtml(money(v.availableLimit))}</td>`;
+            })
+            .join("")}
+          ${others
+            .map((t) => {
+              const v = valueAt(t, year);
+              return deltaCell(v.totalLimit - baseValue.totalLimit) + deltaCell(v.availableLimit - baseValue.availableLimit);
+            })
+            .join("")}
+        </tr>`;
+        })
+        .join("");
+    }
+
+    /* ================================
+       Init
+    ================================ */
+
+    function fillYearSelect(selectEl, minYear, maxYear) {
+      for (let year = minYear; year <= maxYear; year++) {
+        const opt = document.createElement("option");
+        opt.value = String(year);
+        opt.textContent = String(year);
+        selectEl.appendChild(opt);
+      }
+    }
+
+    async function init() {
+      applyThemeToPage(getPreferredTheme(THEME_STORAGE_KEY), { themeLabelEl: themeLabel, themeToggleBtn });
+      themeToggleBtn.addEventListener("click", () => {
+        const current = document.documentElement.dataset.theme === "light" ? "light" : "dark";
+        const next = current === "light" ? "dark" : "light";
+        localStorage.setItem(THEME_STORAGE_KEY, next);
+        applyThemeToPage(next, { themeLabelEl: themeLabel, themeToggleBtn });
+        for (const t of towers) t.engine.setChartTheme(next);
+      });
+
+      setStatus("Loading programs...");
+      const lookups = await fetchJSON("/api/lookups");
+      const programs = lookups.programs.map((p) => p.name).filter(Boolean);
+      buildCheckboxMenu(programDropdownMenu, programs, "comparison_program", "Search programs...");
+      setCheckboxMenuValues(programDropdownMenu, programs.slice(0, 2));
+
+      const limitTypes = lookups.policyLimitTypes.map((t) => t.name).filter(Boolean);
+      for (const name of limitTypes) {
+        const opt = document.createElement("option");
+        opt.value = name;
+        opt.textContent = name;
+        limitTypeSelect.appendChild(opt);
+      }
+      limitTypeSelect.value = limitTypes.find((t) => t.toLowerCase() === "bodily injury") || limitTypes[0] || "";
+
+      const namedInsureds = lookups.namedInsureds.map((n) => n.name).filter(Boolean);
+      buildCheckboxMenu(namedInsuredDropdownMenu, namedInsureds, "comparison_named_insured", "Search named insureds...");
+
+      if (lookups.years.min !== null && lookups.years.max !== null) {
+        fillYearSelect(startYearSelect, lookups.years.min, lookups.years.max);
+        fillYearSelect(endYearSelect, lookups.years.min, lookups.years.max);
+      }
+
+      await applyComparison();
+
+      // Changes queue up so a slow first load of a chart slot can't be started twice.
+      let pending = Promise.resolve();
+      const reapply = () => {
+        pending = pending.then(applyComparison).catch(showError);
+      };
+      programDropdownMenu.addEventListener("change", reapply);
+      namedInsuredDropdownMenu.addEventListener("change", reapply);
+      for (const el of [viewSelect, startYearSelect, endYearSelect, limitTypeSelect]) el.addEventListener("change", reapply);
+    }
+
+    init().catch((err) => {
+      console.error(err);
+      setStatus(`Failed to load data: ${err?.message || err}`, true);
+      showError(err);
+    });
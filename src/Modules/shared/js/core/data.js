@@ -82,3 +82,22 @@ export function normalizeISODate(raw) {
   if (/^\d{4}\/\d{2}\/\d{2}$/.test(value)) return value.replace(/\//g, "-");
   return "";
 }
+
+export async function fetchJSON(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load JSON: ${url}`);
+  return res.json();
+}
+
+// POST/DELETE counterpart to fetchJSON. Error responses surface the server's { error } message.
+export async function sendJSON(url, { method = "POST", body } = {}) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const payload = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) throw new Error(payload?.error || `Request failed (${res.status}): ${method} ${url}`);
+  return payload;
+}
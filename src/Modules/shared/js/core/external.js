@@ -1,24 +1,43 @@
+// Browser libraries are served by server.js from node_modules (src/api/vendorAssets.js).
+export const VENDOR_SCRIPTS = {
+  chartJs: "/vendor/chart.umd.min.js",
+  jsPDF: "/vendor/jspdf.umd.min.js",
+  html2canvas: "/vendor/html2canvas.min.js",
+  excelJS: "/vendor/exceljs.min.js",
+  svg2pdf: "/vendor/svg2pdf.umd.min.js"
+};
+
+function scriptLoadError(src) {
+  const isVendor = Object.values(VENDOR_SCRIPTS).includes(src);
+  return new Error(
+    isVendor
+      ? `Failed to load ${src}. The library is served from the server's node_modules; run "npm install" there and restart it.`
+      : `Failed to load script: ${src}`
+  );
+}
+
 export function loadScriptOnce(src, isReady) {
   if (isReady()) return Promise.resolve();
   return new Promise((resolve, reject) => {
-    const existing = Array.from(document.querySelectorAll("script")).find((s) => s.src === src);
+    const url = new URL(src, document.baseURI).href;
+    const existing = Array.from(document.querySelectorAll("script")).find((s) => s.src === url);
     if (existing) {
       existing.addEventListener("load", () => resolve(), { once: true });
-      existing.addEventListener("error", () => reject(new Error(`Failed to load script: ${src}`)), { once: true });
+      existing.addEventListener("error", () => reject(scriptLoadError(src)), { once: true });
       return;
     }
     const script = document.createElement("script");
     script.src = src;
     script.async = true;
     script.onload = () => resolve();
-    script.onerror = () => reject(new Error(`Failed to load script: ${src}`));
+    script.onerror = () => reject(scriptLoadError(src));
     document.head.appendChild(script);
   });
 }
 
 export async function ensureJSPdf() {
   await loadScriptOnce(
-    "https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js",
+    VENDOR_SCRIPTS.jsPDF,
     () => !!window.jspdf?.jsPDF
   );
 }
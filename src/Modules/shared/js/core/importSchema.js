@@ -0,0 +1,390 @@
+// Modules/shared/js/core/importSchema.js
+// Canonical fields for the Import page and the conversion of one flat client schedule
+// (one row per policy layer) into rows for the tbl*.csv tables.
+//
+// Shared by the browser (column mapping + preview) and src/api/importApi.js (write),
+// so both sides agree on what a valid import is.
+//  - guessImportMapping(): source header -> canonical field, using the same aliases getBy tolerates.
+//  - normalizeImportRows(): mapped source rows -> typed records + row-level issues.
+//  - buildImportTables(): records + existing tables -> merged tables with new IDs + issues.
+
+import { toNum, normalizeISODate } from "./data.js";
+import { parseParticipationPercent } from "./participation.js";
+
+export const IMPORT_FIELDS = [
+  { key: "PolicyNumber", label: "Policy Number", required: true, aliases: ["PolicyNum", "PolicyNo", "policy_no", "Policy #"] },
+  { key: "PolicyID", label: "Policy ID", aliases: ["Policy ID"] },
+  { key: "InsuranceProgram", label: "Insurance Program", aliases: ["Program", "Program Name"] },
+  { key: "NamedInsured", label: "Named Insured", aliases: ["Insured", "Named Insured Name"] },
+  { key: "Carrier", label: "Carrier", required: true, aliases: ["CarrierName", "Carrier Name", "Insurer"] },
+  { key: "CarrierGroup", label: "Carrier Group", aliases: ["CarrierGroupName", "Carrier Group Name", "Group"] },
+  { key: "CarrierSolvency", label: "Carrier Solvency", aliases: ["Solvency"] },
+  { key: "StartDate", label: "Start Date", required: true, type: "date", aliases: ["PStartDate", "PolicyStartDate", "Effective Date", "Inception Date"] },
+  { key: "EndDate", label: "End Date", required: true, type: "date", aliases: ["PEndDate", "PolicyEndDate", "Expiration Date", "Expiry Date"] },
+  { key: "AnnualPeriod", label: "Annual Period", aliases: ["Policy Year", "Year"] },
+  { key: "PolicyLimitType", label: "Policy Limit Type", aliases: ["PolicyLimitTypeName", "Limit Type", "Coverage Type"] },
+  { key: "AttachmentPoint", label: "Attachment Point", type: "money", aliases: ["Attachment", "Excess Of"] },
+  { key: "LayerPerOccLimit", label: "Layer Limit", type: "money", aliases: ["Layer Per Occ Limit", "Layer Limit"] },
+  { key: "PerOccLimit", label: "Per Occurrence Limit", type: "money", aliases: ["Per Occ Limit", "Occurrence Limit"] },
+  { key: "AggregateLimit", label: "Aggregate Limit", type: "money", aliases: ["Aggregate"] },
+  { key: "ParticipationPercent", label: "Participation %", type: "percent", aliases: ["Participation", "Share %", "Share"] },
+  { key: "QuotaShareGroupID", label: "Quota Share Group", aliases: ["Quota Share Group ID", "QuotaShareGroup"] },
+  { key: "Layer", label: "Layer Number", aliases: ["Layer No", "LayerNo"] },
+  { key: "SIRPerOcc", label: "SIR Per Occurrence", type: "money", aliases: ["SIR Per Occ", "SIR"] },
+  { key: "SIRAggregate", label: "SIR Aggregate", type: "money", aliases: ["SIR Agg"] },
+  { key: "PolicyNotes", label: "Policy Notes", aliases: ["Notes"] }
+];
+
+// Column order written for each table (matches the shipped files).
+export const IMPORT_TABLE_COLUMNS = {
+  policyRows: ["PolicyID", "MinPStartDate", "Layer", "CarrierID", "NamedInsuredID", "InsuranceProgramID", "PolicyNum", "PolicyNotes", "SIRPerOcc", "SIRAggregate"],
+  dateRows: ["PolicyDateID", "PolicyID", "PStartDate", "PEndDate", "AnnualPeriod"],
+  limitRows: ["PolicyLimitsID", "PolicyID", "AttachmentPoint", "PerOccLimit", "AggregateLimit", "LayerPerOccLimit", "PolicyLimitTypeID", "ParticipationPercent", "QuotaShareGroupID"],
+  carrierRows: ["CarrierID", "CarrierName", "CarrierSolvency", "CarrierGroupID", "InsolvencyDate", "RecoveryPercent", "RecoveryEffectiveDate", "RecoveryEndDate"],
+  carrierGroupRows: ["CarrierGroupID", "CarrierGroupName"],
+  programRows: ["InsuranceProgramID", "InsuranceProgram"],
+  limitTypeRows: ["PolicyLimitTypeID", "PolicyLimitTypeName"],
+  namedInsuredRows: ["NamedInsuredID", "NamedInsured"]
+};
+
+const DEFAULT_LIMIT_TYPE = "Bodily Injury";
+
+const headerKey = (h) => String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Best-guess mapping { fieldKey: sourceHeader } for the headers of an uploaded sheet.
+ * A header is used for at most one field.
+ */
+export function guessImportMapping(headers = []) {
+  const byKey = new Map();
+  for (const h of headers) {
+    const k = headerKey(h);
+    if (k && !byKey.has(k)) byKey.set(k, h);
+  }
+  const used = new Set();
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const candidates = [field.key, field.label, ...field.aliases].map(headerKey);
+    const hit = candidates.map((c) => byKey.get(c)).find((h) => h !== undefined && !used.has(h));
+    if (hit !== undefined) {
+      mapping[field.key] = hit;
+      used.add(hit);
+    }
+  }
+  return mapping;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * Dates arrive as ISO text, US M/D/YYYY text, Date objects (from .xlsx) or Excel
+ * serial day numbers. Returns YYYY-MM-DD, or "" when unreadable.
+ */
+export function parseImportDate(raw) {
+  if (raw instanceof Date) {
+    return Number.isFinite(raw.getTime())
+      ? `${raw.getUTCFullYear()}-${pad2(raw.getUTCMonth() + 1)}-${pad2(raw.getUTCDate())}`
+      : "";
+  }
+  if (typeof raw === "number" && raw > 0 && raw < 2958466) {
+    return parseImportDate(new Date(Date.UTC(1899, 11, 30) + Math.round(raw) * 86400000));
+  }
+  const value = String(raw ?? "").trim();
+  const iso = normalizeISODate(value);
+  if (iso) return validIso(iso);
+  const us = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (us) return validIso(`${us[3]}-${pad2(us[1])}-${pad2(us[2])}`);
+  return "";
+}
+
+function validIso(iso) {
+  const ms = Date.parse(`${iso}T00:00:00Z`);
+  return Number.isFinite(ms) && new Date(ms).toISOString().slice(0, 10) === iso ? iso : "";
+}
+
+const isBlank = (v) => v === null || v === undefined || String(v).trim() === "";
+const textOf = (v) => (isBlank(v) ? "" : String(v).trim());
+
+/**
+ * Apply a column mapping to raw source rows.
+ * `defaults` fills fields the sheet doesn't carry: { insuranceProgram, namedInsured, policyLimitType }.
+ * Row numbers in issues are spreadsheet rows (the header is row 1).
+ */
+export function normalizeImportRows(rows = [], mapping = {}, defaults = {}) {
+  const issues = [];
+  const records = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const raw = (key) => (mapping[key] ? row?.[mapping[key]] : "");
+    const rowIssues = [];
+    const flag = (field, message, severity = "error") => rowIssues.push({ severity, row: rowNumber, field, message });
+
+    const money = (key) => {
+      const v = raw(key);
+      if (isBlank(v)) return null;
+      if (typeof v === "number") return v;
+      if (!/\d/.test(String(v))) {
+        flag(key, `"${textOf(v)}" is not a number.`);
+        return null;
+      }
+      return toNum(v);
+    };
+
+    // Same 0-100 scale the engine and Data Quality use.
+    const participation = parseParticipationPercent(raw("ParticipationPercent"));
+    const record = {
+      rowNumber,
+      policyNumber: textOf(raw("PolicyNumber")),
+      policyId: textOf(raw("PolicyID")),
+      insuranceProgram: textOf(raw("InsuranceProgram")) || textOf(defaults.insuranceProgram),
+      namedInsured: "",
+      carrier: textOf(raw("Carrier")),
+      carrierGroup: textOf(raw("CarrierGroup")),
+      carrierSolvency: textOf(raw("CarrierSolvency")),
+      startDate: parseImportDate(raw("StartDate")),
+      endDate: parseImportDate(raw("EndDate")),
+      annualPeriod: textOf(raw("AnnualPeriod")),
+      policyLimitType: textOf(raw("PolicyLimitType")) || textOf(defaults.policyLimitType) || DEFAULT_LIMIT_TYPE,
+      attachmentPoint: money("AttachmentPoint") ?? 0,
+      layerLimit: money("LayerPerOccLimit"),
+      perOccLimit: money("PerOccLimit"),
+      aggregateLimit: money("AggregateLimit"),
+      participationPercent: participation.percent,
+      quotaShareGroupId: textOf(raw("QuotaShareGroupID")),
+      layer: textOf(raw("Layer")),
+      sirPerOcc: money("SIRPerOcc") ?? 0,
+      sirAggregate: money("SIRAggregate") ?? 0,
+      notes: textOf(raw("PolicyNotes"))
+    };
+    record.namedInsured = textOf(raw("NamedInsured")) || textOf(defaults.namedInsured) || record.insuranceProgram;
+    if (!record.annualPeriod && record.startDate) record.annualPeriod = record.startDate.slice(0, 4);
+    // Either limit column can stand in for the other, as in buildSlices.
+    if (record.layerLimit === null) record.layerLimit = record.perOccLimit;
+    if (record.perOccLimit === null) record.perOccLimit = record.layerLimit;
+
+    if (!record.policyNumber) flag("PolicyNumber", "Policy number is missing.");
+    if (!record.insuranceProgram) flag("InsuranceProgram", "No insurance program; map a column or enter a program name.");
+    if (!record.carrier) flag("Carrier", "Carrier is missing.");
+    for (const key of ["StartDate", "EndDate"]) {
+      const field = key === "StartDate" ? "startDate" : "endDate";
+      if (!record[field]) {
+        flag(key, isBlank(raw(key)) ? `${key === "StartDate" ? "Start" : "End"} date is missing.` : `"${textOf(raw(key))}" is not a readable date.`);
+      }
+    }
+    if (record.startDate && record.endDate && record.endDate < record.startDate) {
+      flag("EndDate", `End date ${record.endDate} is before start date ${record.startDate}.`);
+    }
+    if (!(Number(record.layerLimit) > 0)) flag("LayerPerOccLimit", "Layer limit is zero or missing; map Layer Limit or Per Occurrence Limit.");
+    if (record.attachmentPoint < 0) flag("AttachmentPoint", "Attachment point is negative.");
+    if (participation.error) {
+      flag("ParticipationPercent", participation.error);
+    } else if (record.quotaShareGroupId && record.participationPercent === null) {
+      flag("ParticipationPercent", "Quota share layer has no participation percent.", "warning");
+    }
+
+    issues.push(...rowIssues);
+    if (!rowIssues.some((i) => i.severity === "error")) records.push(record);
+  });
+
+  return { records, issues };
+}
+
+/* ================================
+   Records -> tables
+================================ */
+
+function nextIdFrom(rows, key) {
+  let max = 0;
+  for (const r of rows) {
+    const n = Number(r?.[key]);
+    if (Number.isFinite(n) && n > max) max = n;
+  }
+  return () => String(++max);
+}
+
+// Find-or-create a lookup row by name (case-insensitive).
+function lookupTable(rows, idKey, nameKey) {
+  const byName = new Map(rows.map((r) => [String(r[nameKey] ?? "").trim().toLowerCase(), r]));
+  const nextId = nextIdFrom(rows, idKey);
+  const added = [];
+  return {
+    existing: (name) => byName.get(String(name).trim().toLowerCase()) || null,
+    idFor(name, extra = {}) {
+      const key = String(name).trim().toLowerCase();
+      if (!byName.has(key)) {
+        const row = { [idKey]: nextId(), [nameKey]: String(name).trim(), ...extra };
+        byName.set(key, row);
+        added.push(row);
+      }
+      return byName.get(key)[idKey];
+    },
+    added
+  };
+}
+
+const numText = (v) => (v === null || v === undefined ? "" : String(v));
+
+/**
+ * Merge normalized records into copies of the existing tables.
+ * Rows with the same policy (PolicyID when mapped, else policy number) within a program
+ * become one policy with one limit row per record. Imports only add programs: a program
+ * that already has policies is refused so a re-upload can't double the tower.
+ * Returns { tables, added: { tableKey: count }, newPolicyIds, issues }.
+ */
+export function buildImportTables(tables = {}, records = []) {
+  const issues = [];
+  const out = {};
+  for (const key of Object.keys(IMPORT_TABLE_COLUMNS)) out[key] = [...(tables[key] || [])];
+
+  const programs = lookupTable(out.programRows, "InsuranceProgramID", "InsuranceProgram");
+  const namedInsureds = lookupTable(out.namedInsuredRows, "NamedInsuredID", "NamedInsured");
+  const groups = lookupTable(out.carrierGroupRows, "CarrierGroupID", "CarrierGroupName");
+  const carriers = lookupTable(out.carrierRows, "CarrierID", "CarrierName");
+  const limitTypes = lookupTable(out.limitTypeRows, "PolicyLimitTypeID", "PolicyLimitTypeName");
+
+  const policyCountByProgramId = new Map();
+  for (const r of out.policyRows) {
+    const id = String(r.InsuranceProgramID ?? "").trim();
+    policyCountByProgramId.set(id, (policyCountByProgramId.get(id) || 0) + 1);
+  }
+  for (const name of new Set(records.map((r) => r.insuranceProgram))) {
+    const row = programs.existing(name);
+    const count = row ? policyCountByProgramId.get(String(row.InsuranceProgramID)) || 0 : 0;
+    if (count) {
+      issues.push({
+        severity: "error",
+        row: "",
+        field: "InsuranceProgram",
+        message: `Program "${name}" already has ${count} policies. Imports add new programs; use a different program name.`
+      });
+    }
+  }
+
+  const existingPolicyIds = new Set(out.policyRows.map((r) => String(r.PolicyID ?? "").trim()));
+  const policies = new Map();
+  for (const rec of records) {
+    const key = `${rec.insuranceProgram.toLowerCase()}||${rec.policyId || rec.policyNumber}`;
+    if (!policies.has(key)) {
+      policies.set(key, { first: rec, records: [] });
+    } else {
+      const first = policies.get(key).first;
+      for (const [field, label] of [["carrier", "carrier"], ["startDate", "start date"], ["endDate", "end date"], ["policyNumber", "policy number"]]) {
+        if (rec[field] !== first[field]) {
+          issues.push({
+            severity: "error",
+            row: rec.rowNumber,
+            field,
+            message: `Policy ${first.policyId || first.policyNumber} has ${label} "${first[field]}" on row ${first.rowNumber} but "${rec[field]}" here.`
+          });
+        }
+      }
+    }
+    policies.get(key).records.push(rec);
+  }
+
+  const nextPolicyId = nextIdFrom(out.policyRows, "PolicyID");
+  const nextDateId = nextIdFrom(out.dateRows, "PolicyDateID");
+  const nextLimitId = nextIdFrom(out.limitRows, "PolicyLimitsID");
+  const added = { policyRows: 0, dateRows: 0, limitRows: 0 };
+  const newPolicyIds = [];
+
+  for (const { first, records: policyRecords } of policies.values()) {
+    let policyId = first.policyId;
+    if (policyId && existingPolicyIds.has(policyId)) {
+      issues.push({ severity: "error", row: first.rowNumber, field: "PolicyID", message: `PolicyID ${policyId} already exists in tblPolicy.` });
+      continue;
+    }
+    if (!policyId) {
+      do policyId = nextPolicyId();
+      while (existingPolicyIds.has(policyId));
+    }
+    existingPolicyIds.add(policyId);
+    newPolicyIds.push(policyId);
+
+    let carrierId;
+    const existingCarrier = carriers.existing(first.carrier);
+    if (existingCarrier) {
+      carrierId = existingCarrier.CarrierID;
+      const groupRow = [...out.carrierGroupRows, ...groups.added].find(
+        (g) => String(g.CarrierGroupID) === String(existingCarrier.CarrierGroupID ?? "")
+      );
+      const existingGroupName = String(groupRow?.CarrierGroupName ?? "").trim();
+      if (first.carrierGroup && existingGroupName.toLowerCase() !== first.carrierGroup.toLowerCase()) {
+        issues.push({
+          severity: "warning",
+          row: first.rowNumber,
+          field: "CarrierGroup",
+          message: `${first.carrier} is already filed under "${existingGroupName || "(no group)"}"; that group is kept.`
+        });
+      }
+    } else {
+      if (!first.carrierGroup) {
+        issues.push({
+          severity: "warning",
+          row: first.rowNumber,
+          field: "CarrierGroup",
+          message: `New carrier ${first.carrier} has no carrier group and will show as "(unknown group)"; map a Carrier Group column to set one.`
+        });
+      }
+      carrierId = carriers.idFor(first.carrier, {
+        CarrierSolvency: first.carrierSolvency || "Solvent",
+        CarrierGroupID: first.carrierGroup ? groups.idFor(first.carrierGroup) : "",
+        InsolvencyDate: "",
+        RecoveryPercent: "",
+        RecoveryEffectiveDate: "",
+        RecoveryEndDate: ""
+      });
+    }
+
+    out.policyRows.push({
+      PolicyID: policyId,
+      MinPStartDate: first.startDate,
+      Layer: first.layer,
+      CarrierID: carrierId,
+      NamedInsuredID: namedInsureds.idFor(first.namedInsured),
+      InsuranceProgramID: programs.idFor(first.insuranceProgram),
+      PolicyNum: first.policyNumber,
+      PolicyNotes: first.notes,
+      SIRPerOcc: numText(first.sirPerOcc),
+      SIRAggregate: numText(first.sirAggregate)
+    });
+    out.dateRows.push({
+      PolicyDateID: nextDateId(),
+      PolicyID: policyId,
+      PStartDate: first.startDate,
+      PEndDate: first.endDate,
+      AnnualPeriod: first.annualPeriod
+    });
+    added.policyRows++;
+    added.dateRows++;
+
+    for (const rec of policyRecords) {
+      out.limitRows.push({
+        PolicyLimitsID: nextLimitId(),
+        PolicyID: policyId,
+        AttachmentPoint: numText(rec.attachmentPoint),
+        PerOccLimit: numText(rec.perOccLimit),
+        AggregateLimit: numText(rec.aggregateLimit),
+        LayerPerOccLimit: numText(rec.layerLimit),
+        PolicyLimitTypeID: limitTypes.idFor(rec.policyLimitType),
+        ParticipationPercent: numText(rec.participationPercent),
+        QuotaShareGroupID: rec.quotaShareGroupId
+      });
+      added.limitRows++;
+    }
+  }
+
+  for (const [key, table] of [
+    ["programRows", programs],
+    ["namedInsuredRows", namedInsureds],
+    ["carrierGroupRows", groups],
+    ["carrierRows", carriers],
+    ["limitTypeRows", limitTypes]
+  ]) {
+    out[key].push(...table.added);
+    added[key] = table.added.length;
+  }
+
+  return { tables: out, added, newPolicyIds, issues };
+}
@@ -0,0 +1,116 @@
+import { getBy, toNum, normalizeISODate } from "./data.js";
+
+/* ================================
+   Payments (tblPayments.csv)
+================================ */
+
+export function erosionKey(policyId, policyLimitTypeId) {
+  return `${String(policyId ?? "").trim()}|${String(policyLimitTypeId ?? "").trim()}`;
+}
+
+/**
+ * Normalize raw payment rows. Rows without a policy, a valid date or a positive amount are dropped.
+ */
+export function buildPaymentRecords(paymentRows = []) {
+  const payments = [];
+  for (const row of paymentRows) {
+    const policyId = String(getBy(row, "PolicyID", "Policy ID") || "").trim();
+    const paymentDate = normalizeISODate(getBy(row, "PaymentDate", "Payment Date"));
+    const amount = toNum(getBy(row, "Amount", "PaymentAmount", "Payment Amount"));
+    if (!policyId || !paymentDate || !(amount > 0)) continue;
+    payments.push({
+      policyId,
+      policyLimitTypeId: String(getBy(row, "PolicyLimitTypeID", "Policy Limit Type ID") || "").trim(),
+      paymentDate,
+      paymentMs: Date.parse(`${paymentDate}T00:00:00Z`),
+      amount,
+      claimRef: String(getBy(row, "ClaimRef", "Claim Ref", "ClaimReference") || "").trim()
+    });
+  }
+  return payments.sort((a, b) => a.paymentMs - b.paymentMs);
+}
+
+/**
+ * Sum payments per policy + limit type, using only payments on or before `asOfDate`
+ * (YYYY-MM-DD). A blank date counts every payment on file.
+ */
+export function buildErosionIndex({ payments = [], asOfDate = "" } = {}) {
+  const asOf = normalizeISODate(asOfDate);
+  const cutoffMs = asOf ? Date.parse(`${asOf}T23:59:59.999Z`) : Number.POSITIVE_INFINITY;
+  const index = new Map();
+  for (const p of payments) {
+    if (!(p.paymentMs <= cutoffMs)) continue;
+    const key = erosionKey(p.policyId, p.policyLimitTypeId);
+    if (!index.has(key)) index.set(key, { paid: 0, paymentCount: 0, claimRefs: new Set(), lastPaymentDate: "" });
+    const e = index.get(key);
+    e.paid += p.amount;
+    e.paymentCount += 1;
+    if (p.claimRef) e.claimRefs.add(p.claimRef);
+    if (p.paymentDate > e.lastPaymentDate) e.lastPaymentDate = p.paymentDate;
+  }
+  return index;
+}
+
+/* ================================
+   Remaining limits
+================================ */
+
+/**
+ * Remaining capacity of one layer after aggregate erosion.
+ * A layer without an aggregate limit is never eroded by payments.
+ */
+export function erodeLayer({ layerLimit, aggregateLimit, paid }) {
+  const layer = Math.max(0, Number(layerLimit || 0));
+  const aggregate = Math.max(0, Number(aggregateLimit || 0));
+  const paidToDate = Math.max(0, Number(paid || 0));
+  const remainingAggregate = aggregate > 0 ? Math.max(0, aggregate - paidToDate) : null;
+  const remaining = remainingAggregate === null ? layer : Math.min(layer, remainingAggregate);
+  const exhausted = layer - remaining;
+  return {
+    paidToDate,
+    remainingAggregate,
+    remaining,
+    exhausted,
+    status: erosionStatus({ layer, exhausted })
+  };
+}
+
+/**
+ * Erosion of one chart slice. Payments erode the policy's own layer and aggregate limits;
+ * the result is then prorated to the slice, which may carry only part of that layer
+ * (layerLimit defaults to the slice limit when the two are the same).
+ */
+export function erodeSlice({ sliceLimit, layerLimit, aggregateLimit, paid }) {
+  const policyLayer = Math.max(0, Number(layerLimit ?? sliceLimit ?? 0));
+  const eroded = erodeLayer({ layerLimit: policyLayer, aggregateLimit, paid });
+  const share = policyLayer > 0 ? Math.max(0, Number(sliceLimit || 0)) / policyLayer : 0;
+  return { ...eroded, remaining: eroded.remaining * share, exhausted: eroded.exhausted * share };
+}
+
+export function erosionStatus({ layer, exhausted }) {
+  if (!(exhausted > 0)) return "Intact";
+  if (exhausted >= layer) return "Exhausted";
+  return "Partially Eroded";
+}
+
+/**
+ * Attach paid-to-date and remaining aggregate to each limit on policy records
+ * (see buildPolicyRecords).
+ */
+export function applyErosionToPolicies(policies = [], index = new Map()) {
+  return policies.map((p) => ({
+    ...p,
+    limits: (p.limits || []).map((l) => {
+      const e = index.get(erosionKey(p.policyId, l.typeId));
+      const eroded = erodeLayer({ layerLimit: l.layer, aggregateLimit: l.aggregate, paid: e?.paid });
+      return {
+        ...l,
+        paidToDate: eroded.paidToDate,
+        remainingAggregate: eroded.remainingAggregate,
+        remainingLayer: eroded.remaining,
+        erosionStatus: eroded.status,
+        claimRefs: e ? Array.from(e.claimRefs) : []
+      };
+    })
+  }));
+}
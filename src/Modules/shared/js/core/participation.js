@@ -0,0 +1,15 @@
+// Modules/shared/js/core/participation.js
+// ParticipationPercent is stored on one scale everywhere: a percentage from 0 to 100
+// (40 means 40%; 0.4 means 0.4%, not 40%). The engine, Data Quality and the importer all
+// read the column through parseParticipationPercent so a value is either valid for all
+// of them or rejected by all of them.
+
+// { percent, error }: percent is null when the cell is blank or invalid; error explains why.
+export function parseParticipationPercent(raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { percent: null, error: "" };
+  const n = Number(text.replace(/[%,\s]/g, ""));
+  if (!Number.isFinite(n)) return { percent: null, error: `Participation "${text}" is not a number.` };
+  if (!(n > 0 && n <= 100)) return { percent: null, error: `Participation ${n}% is outside 0-100%.` };
+  return { percent: n, error: "" };
+}
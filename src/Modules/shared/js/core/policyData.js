@@ -0,0 +1,101 @@
+import { getBy, toNum, normalizeISODate } from "./data.js";
+
+/**
+ * Join the raw policy tables into one record per policy.
+ * Used by the server API and by any tab that still loads CSVs directly.
+ */
+export function buildPolicyRecords({
+  policyRows = [],
+  dateRows = [],
+  limitRows = [],
+  carrierRows = [],
+  carrierGroupRows = [],
+  programRows = [],
+  limitTypeRows = [],
+  namedInsuredRows = []
+}) {
+  const dateByPolicyId = new Map(dateRows.map((r) => [String(getBy(r, "PolicyID")).trim(), r]));
+  const carrierById = new Map(carrierRows.map((r) => [String(getBy(r, "CarrierID")).trim(), r]));
+  const groupById = new Map(carrierGroupRows.map((r) => [String(getBy(r, "CarrierGroupID")).trim(), r]));
+  const programById = new Map(programRows.map((r) => [String(getBy(r, "InsuranceProgramID")).trim(), r]));
+  const limitTypeById = new Map(limitTypeRows.map((r) => [String(getBy(r, "PolicyLimitTypeID")).trim(), r]));
+  const namedInsuredById = new Map(namedInsuredRows.map((r) => [String(getBy(r, "NamedInsuredID")).trim(), r]));
+
+  const limitsByPolicyId = new Map();
+  for (const row of limitRows) {
+    const policyId = String(getBy(row, "PolicyID") || "").trim();
+    if (!policyId) continue;
+    if (!limitsByPolicyId.has(policyId)) limitsByPolicyId.set(policyId, []);
+    const attach = toNum(getBy(row, "AttachmentPoint", "Attachment Point", "Attatchment Point"));
+    const layer = toNum(getBy(row, "LayerPerOccLimit", "Layer Per Occ Limit", "PerOccLimit", "Per Occ Limit"));
+    const typeId = String(getBy(row, "PolicyLimitTypeID", "Policy Limit Type ID")).trim();
+    const typeRow = limitTypeById.get(typeId) || {};
+    limitsByPolicyId.get(policyId).push({
+      policyLimitsId: String(getBy(row, "PolicyLimitsID") || "").trim(),
+      typeId,
+      typeName: String(getBy(typeRow, "PolicyLimitTypeName", "PolicyLimitType", "Policy Limit Type") || typeId).trim(),
+      attach,
+      layer,
+      perOcc: toNum(getBy(row, "PerOccLimit", "Per Occ Limit")),
+      aggregate: toNum(getBy(row, "AggregateLimit", "Aggregate Limit")),
+      top: attach + layer
+    });
+  }
+
+  const policies = [];
+  for (const p of policyRows) {
+    const policyId = String(getBy(p, "PolicyID") || "").trim();
+    if (!policyId) continue;
+
+    const dateRow = dateByPolicyId.get(policyId) || {};
+    const carrierId = String(getBy(p, "CarrierID") || "").trim();
+    const carrier = carrierById.get(carrierId) || {};
+    const carrierGroupId = String(
+      getBy(carrier, "CarrierGroupID", "Carrier Group ID", "CarrierGroupId") ||
+      getBy(p, "CarrierGroupID", "Carrier Group ID") ||
+      ""
+    ).trim();
+    const group = groupById.get(carrierGroupId) || {};
+    const insuranceProgramId = String(getBy(p, "InsuranceProgramID") || "").trim();
+    const program = programById.get(insuranceProgramId) || {};
+    const namedInsuredId = String(getBy(p, "NamedInsuredID") || "").trim();
+
+    const limits = (limitsByPolicyId.get(policyId) || []).sort((a, b) => a.attach - b.attach || a.layer - b.layer);
+    const maxLayerLimit = limits.reduce((m, l) => Math.max(m, Number(l.layer || 0)), 0);
+
+    const startDate = normalizeISODate(getBy(dateRow, "PStartDate", "PolicyStartDate", "StartDate") || getBy(p, "MinPStartDate"));
+    const endDate = normalizeISODate(getBy(dateRow, "PEndDate", "PolicyEndDate", "EndDate"));
+    const startMs = startDate ? new Date(`${startDate}T00:00:00Z`).getTime() : 0;
+    const endMs = endDate ? new Date(`${endDate}T23:59:59Z`).getTime() : 0;
+
+    policies.push({
+      policyId,
+      policyNumber: String(getBy(p, "PolicyNum", "PolicyNo", "policy_no", "Policy Number") || "").trim(),
+      carrierId,
+      carrier: String(getBy(carrier, "CarrierName", "Carrier") || "(unknown carrier)").trim(),
+      carrierSolvency: String(getBy(carrier, "CarrierSolvency", "Solvency") || "").trim(),
+      carrierGroupId,
+      carrierGroup: String(getBy(group, "CarrierGroupName", "CarrierGroup", "Carrier Group") || "(unknown group)").trim(),
+      insuranceProgramId,
+      insuranceProgram: String(getBy(program, "InsuranceProgram", "Program", "Name") || "(unknown program)").trim(),
+      namedInsuredId,
+      namedInsured: String(
+        getBy(namedInsuredById.get(namedInsuredId) || {}, "NamedInsured", "Named Insured", "Name") ||
+        (namedInsuredId ? `Named Insured ${namedInsuredId}` : "(unknown named insured)")
+      ).trim(),
+      startDate,
+      endDate,
+      startMs,
+      endMs,
+      annualPeriod: String(getBy(dateRow, "AnnualPeriod") || (startDate ? startDate.slice(0, 4) : "")).trim(),
+      layer: String(getBy(p, "Layer") || "").trim(),
+      notes: String(getBy(p, "PolicyNotes") || "").trim(),
+      sirPerOcc: toNum(getBy(p, "SIRPerOcc", "SIR Per Occ", "SIR")),
+      sirAggregate: toNum(getBy(p, "SIRAggregate", "SIR Aggregate")),
+      limits,
+      maxLayerLimit
+    });
+  }
+
+  return policies;
+}
@@ -0,0 +1,511 @@
+// Modules/shared/js/coverage/allocationEngine.js
+// Loss allocation over coverage slices (see buildSlices in coverageChartEngine.js).
+//
+// Pro rata by time on risk:
+//  - The loss is spread evenly across every day of the exposure window.
+//  - The window is cut into segments wherever a policy starts/ends or a calendar year turns,
+//    so each segment has one stable tower of active slices.
+//  - Each segment's share is absorbed bottom-up: the primary SIR first (if enabled), then each
+//    attachment band in order. Quota-share participants split a band by remaining limit.
+//  - Limits and retentions are tracked per policy year, so a layer exhausted by earlier
+//    segments drops the remainder to the next band. Gaps and amounts above the tower fall
+//    to the insured as uninsured.
+//
+// All sums (targeted tender) over a chosen set of policy years:
+//  - Vertical exhaustion: each year's tower is exhausted bottom to top (SIR, then bands,
+//    gaps uninsured) before the remainder moves on to the next selected year.
+//  - Horizontal exhaustion: every selected year's SIR is retained first, then each level is
+//    exhausted across all selected years pro rata before moving up a level. Gaps in a tower
+//    are levels too: their share falls to the insured as uninsured, never to a layer above.
+//
+// Amounts paid by an insolvent or partially recovering carrier are split by the slice's
+// collectible fraction (see collectibility.js); the rest is reported as unavailable.
+
+import { collectibleFraction } from "./collectibility.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseISODateMs(value, endOfDay = false) {
+  const s = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return NaN;
+  const ms = Date.parse(`${s}T00:00:00Z`);
+  if (!Number.isFinite(ms)) return NaN;
+  return endOfDay ? ms + DAY_MS - 1 : ms;
+}
+
+function sliceYear(slice) {
+  const y = Number.isFinite(slice?.year) ? Number(slice.year) : Number(slice?.x);
+  return Number.isFinite(y) ? Math.trunc(y) : null;
+}
+
+function sliceSpanMs(slice) {
+  const start = Number(slice?.yearOverlapStartMs ?? slice?.policyStartMs);
+  const end = Number(slice?.yearOverlapEndMs ?? slice?.policyEndMs);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return null;
+  return { start, endExclusive: end + 1 };
+}
+
+function sliceCapacityKey(slice) {
+  return [slice.PolicyID, slice.policyLimitTypeId || slice.policyLimitType || "", slice.attach, sliceYear(slice)].join("|");
+}
+
+function pct(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+/**
+ * Split the window into day-accurate segments with their active slices.
+ * Shared by the allocation modes so they see the same towers.
+ */
+export function buildExposureSegments({ slices, windowStartMs, windowEndMs }) {
+  const windowEndExclusive = windowEndMs + 1;
+  const spans = [];
+  const bounds = new Set([windowStartMs, windowEndExclusive]);
+
+  for (const s of slices || []) {
+    const span = sliceSpanMs(s);
+    if (!span) continue;
+    if (!(Number(s?.sliceLimit) > 0)) continue;
+    const start = Math.max(span.start, windowStartMs);
+    const endExclusive = Math.min(span.endExclusive, windowEndExclusive);
+    if (endExclusive <= start) continue;
+    spans.push({ slice: s, start, endExclusive });
+    bounds.add(start);
+    bounds.add(endExclusive);
+  }
+
+  const firstYear = new Date(windowStartMs).getUTCFullYear();
+  const lastYear = new Date(windowEndMs).getUTCFullYear();
+  for (let y = firstYear + 1; y <= lastYear; y++) bounds.add(Date.UTC(y, 0, 1));
+
+  const sorted = Array.from(bounds).sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const start = sorted[i];
+    const endExclusive = sorted[i + 1];
+    if (!(endExclusive > start)) continue;
+    segments.push({
+      start,
+      endExclusive,
+      year: new Date(start).getUTCFullYear(),
+      active: spans.filter((sp) => sp.start < endExclusive && sp.endExclusive > start).map((sp) => sp.slice)
+    });
+  }
+  return segments;
+}
+
+/**
+ * Group a segment's active slices into attachment bands (ascending).
+ */
+export function buildAttachmentBands(activeSlices) {
+  const byAttach = new Map();
+  for (const s of activeSlices || []) {
+    const attach = Number(s?.attach || 0);
+    if (!byAttach.has(attach)) byAttach.set(attach, []);
+    byAttach.get(attach).push(s);
+  }
+  return Array.from(byAttach.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([attach, participants]) => ({
+      attach,
+      limit: participants.reduce((sum, s) => sum + Number(s?.sliceLimit || 0), 0),
+      participants
+    }));
+}
+
+function createLedger() {
+  const capacityUsed = new Map();
+  const retentionUsedByPolicyYear = new Map();
+  const retentionUsedByPolicy = new Map();
+  const paidBySlice = new Map();
+
+  const remainingCapacity = (slice) =>
+    Math.max(0, Number(slice?.sliceLimit || 0) - (capacityUsed.get(sliceCapacityKey(slice)) || 0));
+
+  const pay = (slice, amount) => {
+    if (!(amount > 0)) return;
+    const key = sliceCapacityKey(slice);
+    capacityUsed.set(key, (capacityUsed.get(key) || 0) + amount);
+    if (!paidBySlice.has(key)) paidBySlice.set(key, { slice, paid: 0 });
+    paidBySlice.get(key).paid += amount;
+  };
+
+  const remainingRetention = (slice) => {
+    const perOcc = Number(slice?.sirPerOcc || 0);
+    if (!(perOcc > 0)) return 0;
+    const yearKey = `${slice.PolicyID}|${sliceYear(slice)}`;
+    let remaining = perOcc - (retentionUsedByPolicyYear.get(yearKey) || 0);
+    const aggregate = Number(slice?.sirAggregate || 0);
+    if (aggregate > 0) remaining = Math.min(remaining, aggregate - (retentionUsedByPolicy.get(String(slice.PolicyID)) || 0));
+    return Math.max(0, remaining);
+  };
+
+  const retain = (slice, amount) => {
+    if (!(amount > 0)) return;
+    const yearKey = `${slice.PolicyID}|${sliceYear(slice)}`;
+    const policyKey = String(slice.PolicyID);
+    retentionUsedByPolicyYear.set(yearKey, (retentionUsedByPolicyYear.get(yearKey) || 0) + amount);
+    retentionUsedByPolicy.set(policyKey, (retentionUsedByPolicy.get(policyKey) || 0) + amount);
+  };
+
+  return { remainingCapacity, pay, remainingRetention, retain, paidBySlice };
+}
+
+/**
+ * Charge the insured's SIR on the primary band before any insurer pays.
+ * Returns the amount retained.
+ */
+function retainPrimarySir({ amount, bands, ledger }) {
+  if (!(amount > 0) || !bands.length) return 0;
+  const primary = bands[0].participants
+    .map((s) => ({ slice: s, available: ledger.remainingRetention(s) }))
+    .sort((a, b) => b.available - a.available)[0];
+  if (!primary || !(primary.available > 0)) return 0;
+  const retention = Math.min(amount, primary.available);
+  ledger.retain(primary.slice, retention);
+  return retention;
+}
+
+/**
+ * Pay one amount across a set of participants pro rata by remaining limit.
+ * Returns the amount actually paid.
+ */
+function payProRata({ amount, participants, ledger }) {
+  const caps = participants.map((s) => ({ slice: s, cap: ledger.remainingCapacity(s) }));
+  const totalCap = caps.reduce((sum, c) => sum + c.cap, 0);
+  if (!(amount > 0) || !(totalCap > 0)) return 0;
+  const take = Math.min(amount, totalCap);
+  for (const c of caps) ledger.pay(c.slice, take * (c.cap / totalCap));
+  return take;
+}
+
+/**
+ * Push one amount up a segment tower. Returns { retention, insurers, uninsured, overflow }.
+ * `uninsured` covers gaps inside the tower; `overflow` is whatever is left above it.
+ */
+function absorbIntoTower({ amount, bands, ledger, applySir }) {
+  let remaining = amount;
+  let insurers = 0;
+  let uninsured = 0;
+
+  const retention = applySir ? retainPrimarySir({ amount: remaining, bands, ledger }) : 0;
+  remaining -= retention;
+
+  let cursor = 0;
+  for (const band of bands) {
+    if (remaining <= 0) break;
+    const gap = Math.max(0, band.attach - cursor);
+    if (gap > 0) {
+      const gapTake = Math.min(remaining, gap);
+      uninsured += gapTake;
+      remaining -= gapTake;
+      if (remaining <= 0) break;
+    }
+    cursor = Math.max(cursor, band.attach + band.limit);
+
+    const take = payProRata({ amount: remaining, participants: band.participants, ledger });
+    insurers += take;
+    remaining -= take;
+  }
+
+  return { retention, insurers, uninsured, overflow: Math.max(0, remaining) };
+}
+
+/**
+ * Roll slice-level payments into policy, carrier and carrier-group tables.
+ */
+export function summarizeAllocation({ paidBySlice, lossAmount }) {
+  const byPolicy = new Map();
+  for (const { slice, paid } of paidBySlice.values()) {
+    const key = String(slice.PolicyID);
+    if (!byPolicy.has(key)) {
+      byPolicy.set(key, {
+        PolicyID: key,
+        policyNumber: slice.policy_no || "",
+        carrier: slice.carrier || "(unknown carrier)",
+        carrierGroup: slice.carrierGroup || "(unknown group)",
+        availability: slice.availability || "",
+        policyLimitType: slice.policyLimitType || "",
+        attach: Number(slice.attach || 0),
+        years: new Set(),
+        allocated: 0,
+        unavailable: 0
+      });
+    }
+    const row = byPolicy.get(key);
+    row.attach = Math.min(row.attach, Number(slice.attach || 0));
+    const y = sliceYear(slice);
+    if (y !== null) row.years.add(y);
+    row.allocated += paid;
+    row.unavailable += paid * (1 - collectibleFraction(slice));
+  }
+
+  const policyRows = Array.from(byPolicy.values())
+    .filter((r) => r.allocated > 0)
+    .map((r) => {
+      const years = Array.from(r.years).sort((a, b) => a - b);
+      const yearSpan = !years.length ? "" : years[0] === years[years.length - 1] ? String(years[0]) : `${years[0]}-${years[years.length - 1]}`;
+      return {
+        PolicyID: r.PolicyID,
+        policyNumber: r.policyNumber,
+        carrier: r.carrier,
+        carrierGroup: r.carrierGroup,
+        availability: r.availability,
+        policyLimitType: r.policyLimitType,
+        yearSpan,
+        attach: r.attach,
+        allocated: r.allocated,
+        unavailable: r.unavailable,
+        share: pct(r.allocated, lossAmount)
+      };
+    })
+    .sort((a, b) => b.allocated - a.allocated || a.policyNumber.localeCompare(b.policyNumber));
+
+  const rollUp = (keyOf, seed) => {
+    const map = new Map();
+    for (const r of policyRows) {
+      const key = keyOf(r);
+      if (!map.has(key)) map.set(key, { ...seed(r), policies: new Set(), carriers: new Set(), allocated: 0, unavailable: 0 });
+      const row = map.get(key);
+      row.policies.add(r.PolicyID);
+      row.carriers.add(r.carrier);
+      row.allocated += r.allocated;
+      row.unavailable += r.unavailable;
+    }
+    return Array.from(map.values())
+      .map(({ policies, carriers, ...row }) => ({
+        ...row,
+        policyCount: policies.size,
+        carrierCount: carriers.size,
+        share: pct(row.allocated, lossAmount)
+      }))
+      .sort((a, b) => b.allocated - a.allocated);
+  };
+
+  const carrierRows = rollUp(
+    (r) => r.carrier,
+    (r) => ({ carrier: r.carrier, carrierGroup: r.carrierGroup })
+  );
+  const carrierGroupRows = rollUp(
+    (r) => r.carrierGroup,
+    (r) => ({ carrierGroup: r.carrierGroup })
+  );
+
+  return { policyRows, carrierRows, carrierGroupRows };
+}
+
+/**
+ * Allocate a loss pro rata by time on risk across the coverage slices.
+ */
+export function allocateProRata({ slices, lossAmount, exposureStart, exposureEnd, applySir = true }) {
+  const loss = Number(lossAmount);
+  if (!Number.isFinite(loss) || loss <= 0) throw new Error("Loss amount must be greater than zero.");
+  const windowStartMs = parseISODateMs(exposureStart);
+  const windowEndMs = parseISODateMs(exposureEnd, true);
+  if (!Number.isFinite(windowStartMs) || !Number.isFinite(windowEndMs)) {
+    throw new Error("Exposure start and end dates are required (YYYY-MM-DD).");
+  }
+  if (windowEndMs < windowStartMs) throw new Error("Exposure end date must be on or after the start date.");
+
+  const windowMs = windowEndMs + 1 - windowStartMs;
+  const segments = buildExposureSegments({ slices, windowStartMs, windowEndMs });
+  const ledger = createLedger();
+  const byYear = new Map();
+
+  for (const seg of segments) {
+    const segMs = seg.endExclusive - seg.start;
+    const amount = loss * (segMs / windowMs);
+    const result = absorbIntoTower({
+      amount,
+      bands: buildAttachmentBands(seg.active),
+      ledger,
+      applySir
+    });
+
+    if (!byYear.has(seg.year)) {
+      byYear.set(seg.year, { year: seg.year, days: 0, share: 0, retention: 0, insurers: 0, uninsured: 0 });
+    }
+    const row = byYear.get(seg.year);
+    row.days += segMs / DAY_MS;
+    row.share += amount;
+    row.retention += result.retention;
+    row.insurers += result.insurers;
+    row.uninsured += result.uninsured + result.overflow;
+  }
+
+  const yearRows = Array.from(byYear.values())
+    .map((r) => ({ ...r, days: Math.round(r.days) }))
+    .sort((a, b) => a.year - b.year);
+  const { policyRows, carrierRows, carrierGroupRows } = summarizeAllocation({
+    paidBySlice: ledger.paidBySlice,
+    lossAmount: loss
+  });
+
+  const insurers = yearRows.reduce((sum, r) => sum + r.insurers, 0);
+  const unavailable = policyRows.reduce((sum, r) => sum + r.unavailable, 0);
+
+  return {
+    mode: "proRata",
+    lossAmount: loss,
+    exposureStart: String(exposureStart),
+    exposureEnd: String(exposureEnd),
+    exposureDays: Math.round(windowMs / DAY_MS),
+    applySir: !!applySir,
+    totals: {
+      loss,
+      retention: yearRows.reduce((sum, r) => sum + r.retention, 0),
+      uninsured: yearRows.reduce((sum, r) => sum + r.uninsured, 0),
+      insurers,
+      available: insurers - unavailable,
+      unavailable
+    },
+    yearRows,
+    policyRows,
+    carrierRows,
+    carrierGroupRows
+  };
+}
+
+/**
+ * Simulate an all-sums tender across per-year layer stacks.
+ *
+ * `stacks` is `[{ year, layers: [{ ref, attach, participants }] }]` where participants are
+ * slice-like rows (PolicyID, policyLimitType, attach, year, sliceLimit, sirPerOcc, sirAggregate,
+ * carrier, carrierGroup, availability, policy_no). A participant listed on several layers in the
+ * same year shares one limit. `ref` is opaque and keys the per-layer result.
+ */
+export function simulateAllSums({ stacks, lossAmount, rule = "vertical", applySir = true }) {
+  const loss = Number(lossAmount);
+  if (!Number.isFinite(loss) || loss <= 0) throw new Error("Loss amount must be greater than zero.");
+  const exhaustion = rule === "horizontal" ? "horizontal" : "vertical";
+
+  const ledger = createLedger();
+  const years = [];
+  const refsByKey = new Map();
+
+  for (const stack of (stacks || []).slice().sort((a, b) => a.year - b.year)) {
+    const unique = new Map();
+    for (const layer of stack.layers || []) {
+      for (const p of layer.participants || []) {
+        if (!(Number(p?.sliceLimit) > 0)) continue;
+        const slice = { ...p, attach: Number(layer.attach || 0), year: stack.year };
+        const key = sliceCapacityKey(slice);
+        if (!unique.has(key)) unique.set(key, slice);
+        if (!refsByKey.has(key)) refsByKey.set(key, []);
+        refsByKey.get(key).push(layer.ref);
+      }
+    }
+    const bands = buildAttachmentBands(Array.from(unique.values()));
+    years.push({
+      year: stack.year,
+      bands,
+      towerLimit: bands.reduce((sum, b) => sum + b.limit, 0),
+      retention: 0,
+      insurers: 0,
+      uninsured: 0
+    });
+  }
+
+  let remaining = loss;
+
+  if (exhaustion === "vertical") {
+    for (const y of years) {
+      if (remaining <= 0) break;
+      const result = absorbIntoTower({ amount: remaining, bands: y.bands, ledger, applySir });
+      y.retention += result.retention;
+      y.insurers += result.insurers;
+      y.uninsured += result.uninsured;
+      remaining = result.overflow;
+    }
+  } else {
+    if (applySir) {
+      for (const y of years) {
+        if (remaining <= 0) break;
+        const retained = retainPrimarySir({ amount: remaining, bands: y.bands, ledger });
+        y.retention += retained;
+        remaining -= retained;
+      }
+    }
+
+    // Each year's tower as levels keyed by their bottom: attachment bands, plus the gaps
+    // between them. A gap takes its pro rata share of a level like a band, but the insured
+    // keeps it (uninsured), as in vertical exhaustion.
+    const levels = new Map();
+    const addLevel = (bottom, entry) => {
+      if (!levels.has(bottom)) levels.set(bottom, []);
+      levels.get(bottom).push(entry);
+    };
+    for (const y of years) {
+      let cursor = 0;
+      for (const band of y.bands) {
+        if (band.attach > cursor) addLevel(cursor, { y, gap: { open: band.attach - cursor } });
+        addLevel(band.attach, { y, band });
+        cursor = Math.max(cursor, band.attach + band.limit);
+      }
+    }
+    const capacityOf = (e) =>
+      e.gap ? e.gap.open : e.band.participants.reduce((sum, s) => sum + ledger.remainingCapacity(s), 0);
+    for (const bottom of Array.from(levels.keys()).sort((a, b) => a - b)) {
+      if (remaining <= 0) break;
+      const entries = levels.get(bottom);
+      const caps = entries.map(capacityOf);
+      const totalCap = caps.reduce((sum, c) => sum + c, 0);
+      if (!(totalCap > 0)) continue;
+      const take = Math.min(remaining, totalCap);
+      entries.forEach((e, i) => {
+        const share = take * (caps[i] / totalCap);
+        if (e.gap) {
+          e.gap.open -= share;
+          e.y.uninsured += share;
+        } else {
+          e.y.insurers += payProRata({ amount: share, participants: e.band.participants, ledger });
+        }
+      });
+      remaining -= take;
+    }
+  }
+
+  const overflow = Math.max(0, remaining);
+
+  // Spread each participant-year payment evenly over the layers that list it.
+  const layerPaid = new Map();
+  for (const [key, { slice, paid }] of ledger.paidBySlice.entries()) {
+    const refs = refsByKey.get(key) || [];
+    if (!refs.length) continue;
+    for (const ref of refs) {
+      if (!layerPaid.has(ref)) layerPaid.set(ref, new Map());
+      const byYear = layerPaid.get(ref);
+      byYear.set(slice.year, (byYear.get(slice.year) || 0) + paid / refs.length);
+    }
+  }
+
+  const yearRows = years.map(({ bands, ...row }) => row);
+  const { policyRows, carrierRows, carrierGroupRows } = summarizeAllocation({
+    paidBySlice: ledger.paidBySlice,
+    lossAmount: loss
+  });
+  const insurers = yearRows.reduce((sum, r) => sum + r.insurers, 0);
+  const unavailable = policyRows.reduce((sum, r) => sum + r.unavailable, 0);
+
+  return {
+    mode: "allSums",
+    rule: exhaustion,
+    lossAmount: loss,
+    years: yearRows.map((r) => r.year),
+    applySir: !!applySir,
+    totals: {
+      loss,
+      retention: yearRows.reduce((sum, r) => sum + r.retention, 0),
+      uninsured: yearRows.reduce((sum, r) => sum + r.uninsured, 0) + overflow,
+      overflow,
+      insurers,
+      available: insurers - unavailable,
+      unavailable
+    },
+    yearRows,
+    layerPaid,
+    policyRows,
+    carrierRows,
+    carrierGroupRows
+  };
+}
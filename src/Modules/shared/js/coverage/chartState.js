@@ -0,0 +1,124 @@
+// Modules/shared/js/coverage/chartState.js
+// Coverage Chart filter + view state <-> query string, so a chart can be shared as a link.
+// Where a filter also exists on /api/slices the parameter name is the same (program,
+// namedInsured, carrier, carrierGroup, limitType, startYear, endYear, asOf). Multi-value filters
+// repeat the parameter (carrier=A&carrier=B) because carrier names can contain commas; the order of
+// repeated program values is kept, since it is the bottom-up order of a combined tower.
+
+export const CHART_VIEWS = ["carrier", "carrierGroup", "availability", "remaining", "program", "namedInsured"];
+export const SIR_MODES = ["off", "perOcc", "aggregate"];
+
+const LIST_PARAMS = {
+  insurancePrograms: "program",
+  namedInsureds: "namedInsured",
+  carriers: "carrier",
+  carrierGroups: "carrierGroup",
+  legendCarriers: "legendCarrier",
+  legendCarrierGroups: "legendCarrierGroup"
+};
+
+const SCALAR_PARAMS = {
+  view: "view",
+  policyLimitType: "limitType",
+  startYear: "startYear",
+  endYear: "endYear",
+  zoomMin: "zoomMin",
+  zoomMax: "zoomMax",
+  asOfDate: "asOf",
+  sirMode: "sir",
+  annualized: "annualized"
+};
+
+export function defaultChartState() {
+  return {
+    view: "carrier",
+    insurancePrograms: [],
+    namedInsureds: [],
+    policyLimitType: "",
+    startYear: null,
+    endYear: null,
+    zoomMin: null,
+    zoomMax: null,
+    carriers: [],
+    carrierGroups: [],
+    annualized: false,
+    sirMode: "off",
+    asOfDate: "",
+    legendCarriers: [],
+    legendCarrierGroups: []
+  };
+}
+
+const toIntOrNull = (v) => {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const n = Number.parseInt(s, 10);
+  return Number.isFinite(n) ? n : null;
+};
+
+const toNumOrNull = (v) => {
+  const s = String(v ?? "").replace(/[$,\s]/g, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+};
+
+const cleanList = (values) => [...new Set((values || []).map((v) => String(v ?? "").trim()).filter(Boolean))];
+
+/**
+ * True when the query string carries any chart state (so a bare URL keeps the page defaults).
+ */
+export function hasChartState(search) {
+  const params = new URLSearchParams(search);
+  return [...Object.values(SCALAR_PARAMS), ...Object.values(LIST_PARAMS)].some((key) => params.has(key));
+}
+
+/**
+ * Parse a query string into a full chart state; missing parameters fall back to defaultChartState().
+ */
+export function parseChartState(search) {
+  const params = new URLSearchParams(search);
+  const state = defaultChartState();
+  const get = (key) => String(params.get(SCALAR_PARAMS[key]) ?? "").trim();
+
+  const view = get("view");
+  if (CHART_VIEWS.includes(view)) state.view = view;
+  state.policyLimitType = get("policyLimitType");
+  state.startYear = toIntOrNull(get("startYear"));
+  state.endYear = toIntOrNull(get("endYear"));
+  state.zoomMin = toNumOrNull(get("zoomMin"));
+  state.zoomMax = toNumOrNull(get("zoomMax"));
+  state.asOfDate = /^\d{4}-\d{2}-\d{2}$/.test(get("asOfDate")) ? get("asOfDate") : "";
+  const sirMode = get("sirMode");
+  if (SIR_MODES.includes(sirMode)) state.sirMode = sirMode;
+  state.annualized = ["1", "true", "on"].includes(get("annualized").toLowerCase());
+
+  for (const [key, param] of Object.entries(LIST_PARAMS)) state[key] = cleanList(params.getAll(param));
+  return state;
+}
+
+/**
+ * Serialize a chart state. Defaults are left out to keep links short.
+ */
+export function serializeChartState(state = {}) {
+  const s = { ...defaultChartState(), ...state };
+  const params = new URLSearchParams();
+  const setIf = (key, value) => {
+    if (value !== null && value !== undefined && String(value).trim() !== "") params.set(SCALAR_PARAMS[key], String(value));
+  };
+
+  if (s.view !== "carrier") setIf("view", s.view);
+  setIf("policyLimitType", s.policyLimitType);
+  setIf("startYear", s.startYear);
+  setIf("endYear", s.endYear);
+  setIf("zoomMin", s.zoomMin);
+  setIf("zoomMax", s.zoomMax);
+  setIf("asOfDate", s.asOfDate);
+  if (s.sirMode !== "off") setIf("sirMode", s.sirMode);
+  if (s.annualized) params.set(SCALAR_PARAMS.annualized, "1");
+
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    for (const value of cleanList(s[key])) params.append(param, value);
+  }
+  return params;
+}
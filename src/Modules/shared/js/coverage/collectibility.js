@@ -0,0 +1,26 @@
+// Modules/shared/js/coverage/collectibility.js
+// Expected recovery on a coverage slice. The engine resolves every slice at the as-of date
+// (resolveCollectibility in coverageChartEngine.js) and stores collectibleLimit: the slice limit
+// times the carrier's recovery percent, so a partially solvent estate counts only its dividend.
+// Totals, KPIs and allocations read the amount through here rather than testing the status text,
+// which would treat "Partially Available" as fully collectible.
+
+const optionalNum = (v) => (v === null || v === undefined || String(v).trim() === "" ? NaN : Number(v));
+
+export function isUnavailableStatus(availability) {
+  return String(availability || "").toLowerCase().includes("unavail");
+}
+
+// Collectible share of a slice, falling back to all-or-nothing for slices built without it.
+export function collectibleLimit(slice) {
+  const collectible = optionalNum(slice?.collectibleLimit);
+  if (Number.isFinite(collectible)) return collectible;
+  return isUnavailableStatus(slice?.availability) ? 0 : Number(slice?.sliceLimit || 0);
+}
+
+// collectibleLimit as a fraction of the slice limit (0-1); used to split paid amounts.
+export function collectibleFraction(slice) {
+  const limit = Number(slice?.sliceLimit || 0);
+  if (!(limit > 0)) return isUnavailableStatus(slice?.availability) ? 0 : 1;
+  return Math.min(1, Math.max(0, collectibleLimit(slice) / limit));
+}
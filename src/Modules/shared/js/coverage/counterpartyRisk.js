@@ -0,0 +1,109 @@
+// Modules/shared/js/coverage/counterpartyRisk.js
+// Counterparty risk measures over coverage slices (see buildSlices in coverageChartEngine.js).
+//
+// Concentration:
+//  - Herfindahl-Hirschman index (HHI) of gross limits by carrier or carrier group: the sum of
+//    squared percentage shares, from near 0 (many small shares) to 10,000 (one counterparty).
+//  - Bands follow the usual antitrust reading: below 1,500 unconcentrated, 1,500-2,500
+//    moderately concentrated, above 2,500 highly concentrated.
+//
+// Ratings (tblCarrierRating.csv: CarrierID, RatingAgency, Rating, RatingDate):
+//  - S&P / Fitch, Moody's and AM Best grades are folded into one set of bands.
+//  - A carrier's current rating is its most recent row; on the same date the weaker grade wins.
+//  - Each band carries a weight used to discount available limits (rating-weighted exposure).
+
+import { getBy, normalizeISODate } from "../core/data.js";
+
+export const RATING_BANDS = [
+  { key: "aa", label: "AA or better", weight: 1 },
+  { key: "a", label: "A", weight: 0.95 },
+  { key: "bbb", label: "BBB", weight: 0.85 },
+  { key: "belowBbb", label: "Below BBB", weight: 0.6 },
+  { key: "notRated", label: "Not rated", weight: 0.5 }
+];
+
+const RATING_BAND_BY_KEY = new Map(RATING_BANDS.map((band) => [band.key, band]));
+
+// Grade patterns per scale, tested in band order. AM Best reuses S&P-looking letters with other
+// meanings (A+ is its second-best grade), so it gets its own scale.
+const STANDARD_SCALE = [
+  ["aa", /^(AAA|AA[+-]?)$/],
+  ["a", /^A[+-]?$/],
+  ["bbb", /^BBB[+-]?$/],
+  ["belowBbb", /^(BB|B|CCC|CC|C)[+-]?$|^(D|SD|RD)$/]
+];
+const MOODYS_SCALE = [
+  ["aa", /^(Aaa|Aa[1-3])$/],
+  ["a", /^A[1-3]$/],
+  ["bbb", /^Baa[1-3]$/],
+  ["belowBbb", /^(Ba|B|Caa|Ca)[1-3]?$|^C$/]
+];
+const BEST_SCALE = [
+  ["aa", /^A\+\+?$/],
+  ["a", /^A-?$/],
+  ["bbb", /^B\+\+?$/],
+  ["belowBbb", /^(B-?|C\+\+?|C-?|D|E|F|S)$/]
+];
+const NOT_RATED = /^(NR|N\/R|WD|WR|NA|N\/A)$/i;
+
+function matchScale(scale, rating) {
+  const hit = scale.find(([, pattern]) => pattern.test(rating));
+  return hit ? hit[0] : null;
+}
+
+/**
+ * Band key for an agency grade, "notRated" for NR/withdrawn, or null when the grade is not
+ * recognised (the Data Quality tab reports those; the panel treats them as not rated).
+ */
+export function classifyRating(agency, rating) {
+  const value = String(rating || "").trim();
+  if (!value || NOT_RATED.test(value)) return "notRated";
+  const agencyName = String(agency || "").trim().toLowerCase();
+  if (agencyName.includes("best")) return matchScale(BEST_SCALE, value);
+  if (agencyName.includes("moody")) return matchScale(MOODYS_SCALE, value);
+  return matchScale(STANDARD_SCALE, value) || matchScale(MOODYS_SCALE, value);
+}
+
+export function getRatingBand(key) {
+  return RATING_BAND_BY_KEY.get(key) || RATING_BAND_BY_KEY.get("notRated");
+}
+
+/**
+ * Current rating per CarrierID: Map carrierId -> { agency, rating, ratingDate, band }.
+ * Rows without a CarrierID or a valid RatingDate are skipped.
+ */
+export function buildCarrierRatingIndex(ratingRows = []) {
+  const bandRank = (key) => RATING_BANDS.findIndex((band) => band.key === key);
+  const index = new Map();
+  for (const row of ratingRows) {
+    const carrierId = String(getBy(row, "CarrierID", "Carrier ID") || "").trim();
+    const ratingDate = normalizeISODate(getBy(row, "RatingDate", "Rating Date"));
+    if (!carrierId || !ratingDate) continue;
+    const agency = String(getBy(row, "RatingAgency", "Rating Agency", "Agency") || "").trim();
+    const rating = String(getBy(row, "Rating") || "").trim();
+    const entry = { agency, rating, ratingDate, band: getRatingBand(classifyRating(agency, rating)) };
+
+    const current = index.get(carrierId);
+    const isNewer = !current || ratingDate > current.ratingDate;
+    const isWeakerSameDay =
+      current && ratingDate === current.ratingDate && bandRank(entry.band.key) > bandRank(current.band.key);
+    if (isNewer || isWeakerSameDay) index.set(carrierId, entry);
+  }
+  return index;
+}
+
+/**
+ * HHI of a list of amounts (0-10,000). Zero or negative amounts are ignored.
+ */
+export function herfindahlIndex(amounts = []) {
+  const values = amounts.map(Number).filter((v) => Number.isFinite(v) && v > 0);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (!(total > 0)) return 0;
+  return values.reduce((sum, v) => sum + ((v / total) * 100) ** 2, 0);
+}
+
+export function classifyHhi(hhi) {
+  if (hhi > 2500) return "Highly concentrated";
+  if (hhi >= 1500) return "Moderately concentrated";
+  return "Unconcentrated";
+}
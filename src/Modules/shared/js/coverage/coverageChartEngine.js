@@ -0,0 +1,6108 @@
+// Modules/CoverageChart/coverageChartEngine.js
+// Floating "coverage tower" renderer with 6 Views:
+//   - carrier
+//   - carrierGroup
+//   - availability
+//   - remaining (aggregate erosion from tblPayments.csv)
+//   - program (one color per insurance program in a combined tower)
+//   - namedInsured (one color per named insured, names from tblNamedInsured.csv)
+//
+// Several programs (or named insureds) can be selected at once; on the year axis the selected
+// towers are stacked into one combined tower, see stackCombinedTowers(). With no selection
+// ("All programs") nothing is stacked.
+//
+// setAsOfDate() replays the tower at a past date: later payments are not counted and
+// carriers insolvent after that date (tblCarrier.InsolvencyDate) still show as available.
+// Carriers with rows in tblCarrierSolvencyEvents.csv follow that dated history instead
+// (status, estate dividend and estate name in effect at the as-of date). The events table is
+// the source of truth: for those carriers the tblCarrier InsolvencyDate / Recovery* columns are
+// ignored (Data Quality flags carriers that fill in both).
+//
+// On the year axis, uncovered bands (gaps) and double-covered bands (overlaps) in each
+// tower are hatched over the chart, with their own legend entries; see findCoverageGaps().
+//
+// Several charts can be linked (Program Comparison): setYearAxisRange() pins a shared year
+// axis, setLinkedYear() marks another chart's hovered year, getYearLimitTotals() feeds the
+// per-year difference summary.
+//
+// buildChartSVG() redraws the rendered chart as vector shapes (bars, axes, legend, SIR line,
+// year totals) from the live Chart.js layout; the SVG export and the PDF report both use it.
+//
+// Key quota share behavior:
+//  - A (Year, Attachment) is considered a quota share layer if there are >=2 distinct PolicyIDs at that (x, attach).
+//  - In Carrier view, quota share layers are forced into a single dataset labeled "Quota share" (prevents gaps).
+//  - Tooltip title: quota layers show "Quota share" instead of "(unknown group)".
+
+import {
+  csvCell,
+  triggerDownload,
+  triggerBlobDownload,
+  ensurePdfLibs,
+  createPdfReportWriter,
+  downloadXlsxWorkbook,
+  SVG_MIME,
+  svgEscape,
+  svgElement,
+  addSvgToPdf
+} from "./reportExport.js";
+import { simulateAllSums } from "./allocationEngine.js";
+import { collectibleLimit } from "./collectibility.js";
+import { parseParticipationPercent } from "../core/participation.js";
+import { CHART_VIEWS } from "./chartState.js";
+import { buildCoverageNarrative } from "./narrative.js";
+import {
+  buildPaymentRecords,
+  buildErosionIndex,
+  erosionKey,
+  erodeSlice
+} from "../core/limitErosion.js";
+
+let chart = null;
+let currentView = "carrier";
+let _legendSelectionListener = null;
+let _hoverYearListener = null;
+let _responsiveResizeBound = false;
+let _responsiveResizeTimer = null;
+// Load counts, export notes and skipped optional tables reach the console only when turned on
+// (renderCoverageChart({ diagnostics: true }) or setDiagnostics), so servers and the CLI stay quiet.
+let _diagnostics = false;
+
+function diag(level, ...args) {
+  if (_diagnostics) console[level](...args);
+}
+
+let _cache = {
+  allSlices: [],
+  allXLabels: [],
+  slices: [],
+  xLabels: [],
+  options: null,
+  quotaKeySet: new Set(), // `${x}||${attach}`
+  quotaShareIssues: [],
+  coverageGaps: [],
+  coverageGapHover: null,
+  hiddenCoverageGapKinds: new Set(),
+  yearAxisRange: null,
+  dataYearRange: { minYear: null, maxYear: null },
+  yearLimitTotals: null,
+  linkedYear: null,
+  hoverYear: null,
+  payments: [],
+  erosion: null,
+  useYearAxis: true,
+  xZoom: 1,
+  dom: {
+    canvas: null,
+    viewport: null,
+    surface: null
+  },
+  _wheelBound: false,
+  hiddenLegendCarriers: new Set(),
+  hiddenLegendCarrierGroups: new Set(),
+  legendSelections: {
+    carrier: new Set(),
+    carrierGroup: new Set()
+  },
+  showCoverageTotals: true,
+  allSums: {
+    years: [],
+    lossAmount: 0,
+    rule: "vertical",
+    applySir: true,
+    results: null
+  },
+  filters: {
+    startYear: null,
+    endYear: null,
+    startDate: null,
+    endDate: null,
+    zoomMin: null,
+    zoomMax: null,
+    sirMode: "off",
+    insurancePrograms: [],
+    namedInsureds: [],
+    policyLimitType: "",
+    policyLimitTypes: [],
+    annualized: false,
+    asOfDate: "",
+    carriers: [],
+    carrierGroups: []
+  }
+};
+
+/* ================================
+   Utilities
+================================ */
+
+const num = (v) => {
+  if (v === null || v === undefined || v === "") return 0;
+  const cleaned = String(v).replace(/[^0-9.-]/g, "");
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const firstPresentNum = (...vals) => {
+  for (const v of vals) {
+    if (v === null || v === undefined) continue;
+    const s = String(v).trim();
+    if (s === "") continue;
+    return num(s);
+  }
+  return 0;
+};
+
+const yearOf = (v) => {
+  const s = String(v ?? "").trim();
+  const m = s.match(/(\d{4})/);
+  return m ? +m[1] : null;
+};
+
+const parseDateToUTC = (v) => {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const startOfYearUTC = (y) => Date.UTC(y, 0, 1, 0, 0, 0, 0);
+const endOfYearUTC = (y) => Date.UTC(y, 11, 31, 23, 59, 59, 999);
+const startOfNextYearUTC = (y) => Date.UTC(y + 1, 0, 1, 0, 0, 0, 0);
+
+function msToYearAxisValue(ms) {
+  const t = Number(ms);
+  if (!Number.isFinite(t)) return NaN;
+  const d = new Date(t);
+  const y = d.getUTCFullYear();
+  const yearStart = startOfYearUTC(y);
+  const nextYearStart = startOfNextYearUTC(y);
+  const span = nextYearStart - yearStart;
+  if (!(span > 0)) return y;
+  const frac = clamp((t - yearStart) / span, 0, 1);
+  // Center each calendar year on its integer tick:
+  // Jan 1 -> (year - 0.5), Dec 31 -> (~year + 0.5).
+  return y - 0.5 + frac;
+}
+
+function getYearAxisBounds(xLabels) {
+  const years = (xLabels || [])
+    .map((lbl) => Number(lbl))
+    .filter((y) => Number.isFinite(y))
+    .sort((a, b) => a - b);
+  if (!years.length) return { min: 0, max: 1 };
+  return {
+    min: years[0] - 0.5,
+    max: years[years.length - 1] + 0.5
+  };
+}
+
+function yearLabelFromAxisValue(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return "";
+  return String(Math.floor(n + 0.5));
+}
+
+const money = (v) => `$${Number(v || 0).toLocaleString()}`;
+const formatPercent = (v) => `${Number(Number(v || 0).toFixed(2))}%`;
+
+function compactMoney(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return "$0";
+  const abs = Math.abs(n);
+  const sign = n < 0 ? "-" : "";
+  const units = [
+    { value: 1e12, suffix: "T" },
+    { value: 1e9, suffix: "B" },
+    { value: 1e6, suffix: "M" },
+    { value: 1e3, suffix: "K" }
+  ];
+
+  for (const u of units) {
+    if (abs >= u.value) {
+      const scaled = abs / u.value;
+      const digits = scaled >= 100 ? 0 : scaled >= 10 ? 1 : 2;
+      const text = Number(scaled.toFixed(digits)).toString();
+      return `$${sign}${text}${u.suffix}`;
+    }
+  }
+
+  return `$${sign}${Math.round(abs).toLocaleString()}`;
+}
+
+function formatFullDateUTC(value) {
+  const ms = Number(value);
+  if (!Number.isFinite(ms)) return "";
+  const d = new Date(ms);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC"
+  });
+}
+
+const normKey = (k) =>
+  String(k ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const normalizeLegendValue = (v) =>
+  String(v || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+const normalizeLegendSelectionSet = (items) => {
+  const out = new Set();
+  for (const item of items || []) {
+    const value = normalizeLegendValue(item);
+    if (value) out.add(value);
+  }
+  return out;
+};
+const getLegendSelectionSet = (view = currentView) => {
+  if (view === "carrier") {
+    _cache.legendSelections = _cache.legendSelections || {};
+    _cache.legendSelections.carrier = _cache.legendSelections.carrier || new Set();
+    return _cache.legendSelections.carrier;
+  }
+  if (view === "carrierGroup") {
+    _cache.legendSelections = _cache.legendSelections || {};
+    _cache.legendSelections.carrierGroup = _cache.legendSelections.carrierGroup || new Set();
+    return _cache.legendSelections.carrierGroup;
+  }
+  return new Set();
+};
+const pruneLegendSelectionSet = (view, availableValues) => {
+  const selected = getLegendSelectionSet(view);
+  if (!selected.size) return;
+  const available = new Set((availableValues || []).map((v) => normalizeLegendValue(v)).filter(Boolean));
+  for (const value of Array.from(selected)) {
+    if (!available.has(value)) selected.delete(value);
+  }
+};
+function colorWithAlpha(color, alpha = 1) {
+  const a = clamp(Number(alpha), 0, 1);
+  const raw = String(color || "").trim();
+  if (!raw) return `rgba(255,255,255,${a})`;
+
+  const hex = raw.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const v = hex[1];
+    const full = v.length === 3 ? v.split("").map((ch) => ch + ch).join("") : v;
+    const n = Number.parseInt(full, 16);
+    const r = (n >> 16) & 255;
+    const g = (n >> 8) & 255;
+    const b = n & 255;
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+
+  const rgb = raw.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)(?:\s*,\s*([\d.]+))?\s*\)$/i);
+  if (rgb) {
+    const r = Number(rgb[1]);
+    const g = Number(rgb[2]);
+    const b = Number(rgb[3]);
+    const baseAlpha = rgb[4] === undefined ? 1 : clamp(Number(rgb[4]), 0, 1);
+    return `rgba(${r}, ${g}, ${b}, ${baseAlpha * a})`;
+  }
+
+  return raw;
+}
+const legendTitleForView = (view) => {
+  if (view === "carrierGroup") return "Carrier Group";
+  if (view === "carrier") return "Carrier";
+  if (view === "availability") return "Availability";
+  if (view === "remaining") return "Remaining Limits";
+  if (view === "program") return "Program";
+  if (view === "namedInsured") return "Named Insured";
+  return "Legend";
+};
+const summarizeFilterSelection = (items, singular, pluralAll) => {
+  const list = normalizeStringList(items);
+  if (!list.length) return pluralAll;
+  if (list.length === 1) return list[0];
+  return `${list.length} ${singular}s`;
+};
+function getLegendFilterLines() {
+  const f = _cache?.filters || {};
+  const yearsText =
+    f.startDate || f.endDate
+      ? `${String(f.startDate || "All")} to ${String(f.endDate || "All")}`
+      : Number.isFinite(f.startYear) || Number.isFinite(f.endYear)
+      ? `${Number.isFinite(f.startYear) ? f.startYear : "All"} to ${Number.isFinite(f.endYear) ? f.endYear : "All"}`
+      : "All years";
+  const zoomText =
+    Number.isFinite(f.zoomMin) || Number.isFinite(f.zoomMax)
+      ? `${Number.isFinite(f.zoomMin) ? compactMoney(f.zoomMin) : "Auto"} to ${Number.isFinite(f.zoomMax) ? compactMoney(f.zoomMax) : "Auto"}`
+      : "Auto";
+  return [
+    `Programs: ${summarizeFilterSelection(f.insurancePrograms, "program", "All programs")}`,
+    `Named Insureds: ${summarizeFilterSelection(f.namedInsureds, "named insured", "All named insureds")}`,
+    `Policy Limit Type: ${describePolicyLimitTypes(f) || "(none)"}`,
+    `Annualized: ${f.annualized ? "On" : "Off"}`,
+    `Years: ${yearsText}`,
+    `Carriers: ${summarizeFilterSelection(f.carriers, "carrier", "All carriers")}`,
+    `Carrier Groups: ${summarizeFilterSelection(f.carrierGroups, "group", "All groups")}`,
+    `Zoom: ${zoomText}`
+  ];
+}
+
+function roundedRectPath(ctx, x, y, w, h, r) {
+  const radius = Math.max(0, Math.min(r, w / 2, h / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + w, y, x + w, y + h, radius);
+  ctx.arcTo(x + w, y + h, x, y + h, radius);
+  ctx.arcTo(x, y + h, x, y, radius);
+  ctx.arcTo(x, y, x + w, y, radius);
+  ctx.closePath();
+}
+
+const getThemeName = () =>
+  document?.documentElement?.dataset?.theme === "light" ? "light" : "dark";
+
+const getChartThemeColors = (themeName = getThemeName()) => {
+  if (themeName === "light") {
+    return {
+      outline: "rgba(30, 41, 59, 0.32)",
+      legendText: "rgba(15, 23, 42, 0.92)",
+      xGrid: "rgba(15, 23, 42, 0.12)",
+      yGrid: "rgba(15, 23, 42, 0.14)",
+      axisTicks: "rgba(15, 23, 42, 0.92)",
+      yTitle: "rgba(15, 23, 42, 0.95)"
+    };
+  }
+
+  return {
+    outline: "rgba(15,23,42,0.42)",
+    legendText: "rgba(255,255,255,0.95)",
+    xGrid: "rgba(255,255,255,0.06)",
+    yGrid: "rgba(255,255,255,0.08)",
+    axisTicks: "rgba(255,255,255,0.92)",
+    yTitle: "rgba(255,255,255,0.95)"
+  };
+};
+
+function getResponsiveMode() {
+  const w = Number(typeof window !== "undefined" ? window.innerWidth : 1600);
+  return Number.isFinite(w) && w <= 1200 ? "small" : "large";
+}
+
+function applyResponsiveChartSettings(updateMode = "none") {
+  if (!chart) return;
+  const mode = getResponsiveMode();
+  const isSmall = mode === "small";
+  const legend = chart.options?.plugins?.legend;
+  const x = chart.options?.scales?.x;
+  const y = chart.options?.scales?.y;
+
+  if (legend) {
+    legend.position = isSmall ? "bottom" : "right";
+    legend.align = "start";
+    legend.maxWidth = isSmall ? undefined : 300;
+    legend.maxHeight = isSmall ? 140 : 560;
+    legend.labels = {
+      ...(legend.labels || {}),
+      boxWidth: isSmall ? 8 : 9,
+      boxHeight: isSmall ? 8 : 9,
+      padding: isSmall ? 8 : 10,
+      font: { size: isSmall ? 10 : 11 }
+    };
+    if (legend.title) {
+      legend.title.font = { size: isSmall ? 11 : 12, weight: "600" };
+      legend.title.padding = isSmall ? 6 : 8;
+    }
+  }
+
+  if (x?.ticks) {
+    x.ticks.font = { size: isSmall ? 10 : 12 };
+    x.ticks.autoSkip = isSmall;
+    x.ticks.maxTicksLimit = isSmall ? 10 : undefined;
+    x.ticks.maxRotation = isSmall ? 28 : 0;
+    x.ticks.minRotation = isSmall ? 18 : 0;
+  }
+  if (y?.ticks) {
+    y.ticks.font = { size: isSmall ? 10 : 12 };
+    y.ticks.autoSkip = true;
+    y.ticks.maxTicksLimit = isSmall ? 6 : 9;
+  }
+
+  chart.resize();
+  chart.update(updateMode);
+}
+
+function bindResponsiveResizeHandler() {
+  if (_responsiveResizeBound || typeof window === "undefined") return;
+  window.addEventListener(
+    "resize",
+    () => {
+      if (_responsiveResizeTimer) window.clearTimeout(_responsiveResizeTimer);
+      _responsiveResizeTimer = window.setTimeout(() => {
+        applyResponsiveChartSettings("none");
+      }, 100);
+    },
+    { passive: true }
+  );
+  _responsiveResizeBound = true;
+}
+
+const getBy = (obj, ...candidates) => {
+  if (!obj) return "";
+  const map = {};
+  for (const k of Object.keys(obj)) map[normKey(k)] = obj[k];
+  for (const c of candidates) {
+    const v = map[normKey(c)];
+    if (v !== undefined && String(v).trim() !== "") return v;
+  }
+  return "";
+};
+
+function normalizeHeader(h) {
+  return String(h ?? "").trim().replace(/\s+/g, " ");
+}
+
+const _colorSpecByKey = new Map();
+const _distinctPaletteDark = [
+  "#4E79A7", "#F28E2B", "#E15759", "#76B7B2", "#59A14F", "#EDC948",
+  "#B07AA1", "#FF9DA7", "#9C755F", "#BAB0AC", "#2F4B7C", "#A05195",
+  "#D45087", "#FF7C43", "#665191", "#003F5C", "#EF5675", "#FFA600",
+  "#1F77B4", "#17BECF", "#9467BD", "#8C564B", "#BCBD22", "#E377C2",
+  "#2CA02C", "#D62728", "#8DD3C7", "#FB8072", "#80B1D3", "#FDB462"
+];
+const _distinctPaletteLight = [
+  "#2F5D8A", "#A95E16", "#B04747", "#2E7F7A", "#3D7B35", "#8D7420",
+  "#7A5A86", "#B86473", "#6F533F", "#5F6368", "#233A60", "#6D3F73",
+  "#A13E6A", "#B85A2C", "#4F3E7A", "#1D3852", "#A9466A", "#B06F00",
+  "#215F97", "#187A94", "#6E55A2", "#6D4D3F", "#7A7B1E", "#9A4D94",
+  "#2C7A2C", "#A83E3E", "#3A8A84", "#B05A56", "#4E6EA2", "#A87739"
+];
+
+const normalizeHue = (h) => {
+  const n = Number(h);
+  if (!Number.isFinite(n)) return 0;
+  const m = n % 360;
+  return m < 0 ? m + 360 : m;
+};
+
+const hueDistance = (a, b) => {
+  const d = Math.abs(normalizeHue(a) - normalizeHue(b));
+  return Math.min(d, 360 - d);
+};
+
+const hashString = (s) => {
+  let hash = 2166136261 >>> 0;
+  for (let i = 0; i < s.length; i++) {
+    hash ^= s.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash >>> 0;
+};
+
+function colorFromString(str) {
+  const s = String(str ?? "").trim().toLowerCase() || "(blank)";
+  if (!_colorSpecByKey.has(s)) {
+    const hash = hashString(s);
+    const paletteSize = _distinctPaletteDark.length;
+    const usedSlots = new Set(Array.from(_colorSpecByKey.values()).map((v) => Number(v?.slot)));
+    const seedSlot = hash % paletteSize;
+    // Probe across the palette with a coprime step so active keys avoid
+    // collisions as long as there are remaining free slots.
+    const step = 7;
+    let chosenSlot = seedSlot;
+    for (let i = 0; i < paletteSize; i++) {
+      const candidate = (seedSlot + i * step) % paletteSize;
+      if (!usedSlots.has(candidate)) {
+        chosenSlot = candidate;
+        break;
+      }
+    }
+    _colorSpecByKey.set(s, { slot: chosenSlot });
+  }
+
+  const spec = _colorSpecByKey.get(s) || { slot: 0 };
+  const isLight = getThemeName() === "light";
+  const slot = clamp(Number(spec.slot || 0), 0, _distinctPaletteDark.length - 1);
+  return isLight ? _distinctPaletteLight[slot] : _distinctPaletteDark[slot];
+}
+
+/* ================================
+   Outline plugin
+================================ */
+
+const outlineBarsPlugin = {
+  id: "outlineBars",
+  afterDatasetsDraw(chart, args, pluginOptions) {
+    const { ctx, chartArea } = chart;
+    const opts = pluginOptions || {};
+    const lineWidth = Number(opts.lineWidth ?? 1);
+    const strokeStyle = opts.color ?? "rgba(0,0,0,1)";
+    if (!chartArea) return;
+
+    ctx.save();
+    // Keep custom outlines inside the plotting area so zoom/filter clipping
+    // does not paint over the legend/title region.
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = strokeStyle;
+
+    chart.data.datasets.forEach((ds, di) => {
+      const meta = chart.getDatasetMeta(di);
+      if (meta.hidden) return;
+
+      meta.data.forEach((bar) => {
+        const props = bar.getProps(["x", "y", "base", "width"], false);
+        if (![props.x, props.y, props.base, props.width].every(Number.isFinite)) return;
+        const left = props.x - props.width / 2;
+        const top = Math.min(props.y, props.base);
+        const height = Math.abs(props.base - props.y);
+
+        ctx.strokeRect(
+          Math.round(left) + 0.5,
+          Math.round(top) + 0.5,
+          Math.round(props.width),
+          Math.round(height)
+        );
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+const quotaShareGuidesPlugin = {
+  id: "quotaShareGuides",
+  afterDatasetsDraw(chart) {
+    const { ctx, scales, chartArea } = chart;
+    const yScale = scales?.y;
+    if (!yScale || !chartArea) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.setLineDash([3, 2]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(0,0,0,0.95)";
+
+    chart.data.datasets.forEach((ds, di) => {
+      const meta = chart.getDatasetMeta(di);
+      if (meta.hidden) return;
+
+      meta.data.forEach((bar, pi) => {
+        const raw = ds.data?.[pi];
+        if (!raw || !raw.isQuotaShare) return;
+
+        const hideUnavailable = isUnavailableLegendHidden(chart);
+        const parts = (Array.isArray(raw.participants) ? raw.participants : [])
+          .filter((p) => !hideUnavailable || !String(p?.availability || "").toLowerCase().includes("unavail"));
+        if (parts.length < 2) return;
+
+        const props = bar.getProps(["x", "width"], false);
+        const left = props.x - props.width / 2;
+        const right = props.x + props.width / 2;
+
+        let cumulative = Number(raw.attach || 0);
+        for (let i = 0; i < parts.length - 1; i++) {
+          cumulative += Number(parts[i]?.sliceLimit || 0);
+          const py = yScale.getPixelForValue(cumulative);
+          ctx.beginPath();
+          ctx.moveTo(left, py);
+          ctx.lineTo(right, py);
+          ctx.stroke();
+        }
+
+        // Participant share labels, only where they stay legible.
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.font = "600 10px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillStyle = "rgba(255,255,255,0.94)";
+        ctx.strokeStyle = "rgba(11,17,27,0.8)";
+        ctx.lineWidth = 2;
+        let base = Number(raw.attach || 0);
+        for (const p of parts) {
+          const lim = Number(p?.sliceLimit || 0);
+          const share = Number(p?.sharePercent);
+          const yBottom = yScale.getPixelForValue(base);
+          const yTop = yScale.getPixelForValue(base + lim);
+          base += lim;
+          if (!Number.isFinite(share) || Math.abs(yBottom - yTop) < 14) continue;
+          const label = formatPercent(share);
+          if (ctx.measureText(label).width > props.width - 6) continue;
+          ctx.strokeText(label, props.x, (yTop + yBottom) / 2);
+          ctx.fillText(label, props.x, (yTop + yBottom) / 2);
+        }
+        ctx.restore();
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+const insolventHatchOverlayPlugin = {
+  id: "insolventHatchOverlay",
+  afterDatasetsDraw(chartInstance) {
+    const { ctx, scales, chartArea } = chartInstance;
+    const yScale = scales?.y;
+    if (!ctx || !yScale || !chartArea) return;
+
+    const theme = getThemeName();
+    const hatchStroke = theme === "light" ? "rgba(127, 29, 29, 0.88)" : "rgba(255, 255, 255, 0.76)";
+    const hatchStep = 7;
+    const hideUnavailable = isUnavailableLegendHidden(chartInstance);
+
+    const drawHatchSegment = (left, right, bottomValue, topValue) => {
+      const yBottom = yScale.getPixelForValue(Number(bottomValue));
+      const yTop = yScale.getPixelForValue(Number(topValue));
+      if (!Number.isFinite(yBottom) || !Number.isFinite(yTop)) return;
+      const top = Math.min(yTop, yBottom);
+      const bottom = Math.max(yTop, yBottom);
+      const width = Math.max(0, right - left);
+      const height = Math.max(0, bottom - top);
+      if (width < 1 || height < 1) return;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(left, top, width, height);
+      ctx.clip();
+      ctx.strokeStyle = hatchStroke;
+      ctx.lineWidth = 1;
+      for (let x = left - height; x < right + height; x += hatchStep) {
+        ctx.beginPath();
+        ctx.moveTo(x, bottom);
+        ctx.lineTo(x + height, top);
+        ctx.stroke();
+      }
+      ctx.restore();
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+
+    chartInstance.data.datasets.forEach((ds, di) => {
+      if (!ds || ds?.datasetId === "sirOverlay" || ds?.type === "line") return;
+      const meta = chartInstance.getDatasetMeta(di);
+      if (!meta || meta.hidden) return;
+
+      meta.data.forEach((bar, pi) => {
+        const raw = ds?.data?.[pi];
+        if (!raw) return;
+        const props = bar.getProps(["x", "width"], false);
+        const x = Number(props?.x);
+        const width = Number(props?.width);
+        if (!Number.isFinite(x) || !Number.isFinite(width) || width <= 0) return;
+        const left = x - width / 2;
+        const right = x + width / 2;
+
+        if (raw?.isQuotaShare) {
+          const parts = (Array.isArray(raw?.participants) ? raw.participants : [])
+            .filter((p) => !hideUnavailable || !String(p?.availability || "").toLowerCase().includes("unavail"));
+          if (!parts.length) return;
+          let cumulative = Number(raw?.attach || 0);
+          for (const p of parts) {
+            const lim = Number(p?.sliceLimit || 0);
+            if (!Number.isFinite(lim) || lim <= 0) continue;
+            const next = cumulative + lim;
+            if (String(p?.availability || "").toLowerCase().includes("unavail")) {
+              drawHatchSegment(left, right, cumulative, next);
+            }
+            cumulative = next;
+          }
+          return;
+        }
+
+        const isUnavailableLayer =
+          /unavail/i.test(String(raw?.group || ds?.label || "")) ||
+          (Array.isArray(raw?.participants)
+            && raw.participants.some((p) => String(p?.availability || "").toLowerCase().includes("unavail")));
+        if (!isUnavailableLayer) return;
+
+        const attach = Number(raw?.attach || 0);
+        const top = Number(raw?.top || 0);
+        if (!Number.isFinite(attach) || !Number.isFinite(top) || top <= attach) return;
+        drawHatchSegment(left, right, attach, top);
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+/* ================================
+   Remaining limits (aggregate erosion)
+================================ */
+
+function getErosionIndex() {
+  const asOfDate = String(_cache.filters?.asOfDate || "");
+  const cached = _cache.erosion;
+  if (!cached || cached.asOfDate !== asOfDate || cached.payments !== _cache.payments) {
+    _cache.erosion = {
+      asOfDate,
+      payments: _cache.payments,
+      index: buildErosionIndex({ payments: _cache.payments || [], asOfDate })
+    };
+  }
+  return _cache.erosion.index;
+}
+
+const limitErosionOverlayPlugin = {
+  id: "limitErosionOverlay",
+  afterDatasetsDraw(chartInstance) {
+    if (currentView !== "remaining") return;
+    const { ctx, scales, chartArea } = chartInstance;
+    const yScale = scales?.y;
+    if (!ctx || !yScale || !chartArea) return;
+
+    const theme = getThemeName();
+    const fill = theme === "light" ? "rgba(15, 23, 42, 0.42)" : "rgba(2, 6, 23, 0.58)";
+    const edge = theme === "light" ? "rgba(15, 23, 42, 0.9)" : "rgba(248, 250, 252, 0.85)";
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+
+    chartInstance.data.datasets.forEach((ds, di) => {
+      if (!ds || ds?.datasetId === "sirOverlay" || ds?.type === "line") return;
+      const meta = chartInstance.getDatasetMeta(di);
+      if (!meta || meta.hidden) return;
+
+      meta.data.forEach((bar, pi) => {
+        const raw = ds?.data?.[pi];
+        const exhausted = Number(raw?.exhaustedLimit || 0);
+        if (!(exhausted > 0)) return;
+        const props = bar.getProps(["x", "width"], false);
+        const x = Number(props?.x);
+        const width = Number(props?.width);
+        if (!Number.isFinite(x) || !Number.isFinite(width) || width <= 0) return;
+
+        // Erosion eats the layer from the top down: the remaining limit stays anchored at the attachment.
+        const top = Number(raw.top || 0);
+        const attach = Number(raw.attach || 0);
+        const erodedFrom = Math.max(attach, top - exhausted);
+        const yTop = yScale.getPixelForValue(top);
+        const yCut = yScale.getPixelForValue(erodedFrom);
+        if (!Number.isFinite(yTop) || !Number.isFinite(yCut) || yCut - yTop < 1) return;
+
+        ctx.fillStyle = fill;
+        ctx.fillRect(x - width / 2, yTop, width, yCut - yTop);
+        ctx.strokeStyle = edge;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x - width / 2, yCut);
+        ctx.lineTo(x + width / 2, yCut);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+/* ================================
+   Partial recovery (collectible vs uncollectible)
+================================ */
+
+const collectibilityOverlayPlugin = {
+  id: "collectibilityOverlay",
+  afterDatasetsDraw(chartInstance) {
+    if (currentView !== "availability") return;
+    const { ctx, scales, chartArea } = chartInstance;
+    const yScale = scales?.y;
+    if (!ctx || !yScale || !chartArea) return;
+
+    const theme = getThemeName();
+    const fill = theme === "light" ? "rgba(136, 136, 136, 0.78)" : "rgba(136, 136, 136, 0.82)";
+    const edge = theme === "light" ? "rgba(15, 23, 42, 0.9)" : "rgba(248, 250, 252, 0.85)";
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+
+    chartInstance.data.datasets.forEach((ds, di) => {
+      if (!ds || ds?.datasetId === "sirOverlay" || ds?.type === "line") return;
+      if (String(ds?.label || "").toLowerCase().includes("unavail")) return;
+      const meta = chartInstance.getDatasetMeta(di);
+      if (!meta || meta.hidden) return;
+
+      meta.data.forEach((bar, pi) => {
+        const raw = ds?.data?.[pi];
+        const uncollectible = Number(raw?.uncollectibleLimit || 0);
+        if (!(uncollectible > 0)) return;
+        const props = bar.getProps(["x", "width"], false);
+        const x = Number(props?.x);
+        const width = Number(props?.width);
+        if (!Number.isFinite(x) || !Number.isFinite(width) || width <= 0) return;
+
+        // Collectible share sits on the attachment; the uncollectible remainder is shaded above it.
+        const top = Number(raw.top || 0);
+        const attach = Number(raw.attach || 0);
+        const cutAt = Math.max(attach, top - uncollectible);
+        const yTop = yScale.getPixelForValue(top);
+        const yCut = yScale.getPixelForValue(cutAt);
+        if (!Number.isFinite(yTop) || !Number.isFinite(yCut) || yCut - yTop < 1) return;
+
+        ctx.fillStyle = fill;
+        ctx.fillRect(x - width / 2, yTop, width, yCut - yTop);
+        ctx.strokeStyle = edge;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 2]);
+        ctx.beginPath();
+        ctx.moveTo(x - width / 2, yCut);
+        ctx.lineTo(x + width / 2, yCut);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+/* ================================
+   Coverage gaps and overlaps
+================================ */
+
+// Layers active in one stretch of a tower: quota participants stack into a single layer.
+function collapseTowerLayers(slices, quotaKeySet) {
+  const layers = new Map();
+  for (const s of slices) {
+    const qk = quotaGroupKey(s);
+    const isQuota = !!quotaKeySet?.has(qk);
+    const key = isQuota ? `quota||${qk}` : `policy||${s.PolicyID}||${s.attach}`;
+    if (!layers.has(key)) layers.set(key, { attach: Number(s.attach || 0), limit: 0, isQuota, policies: [] });
+    const layer = layers.get(key);
+    layer.limit += Number(s.sliceLimit || 0);
+    layer.policies.push({ PolicyID: s.PolicyID, policy_no: s.policy_no, carrier: s.carrier });
+  }
+  return Array.from(layers.values())
+    .filter((l) => l.limit > 0)
+    .map((l) => ({ ...l, top: l.attach + l.limit }))
+    .sort((a, b) => a.attach - b.attach || a.top - b.top);
+}
+
+/**
+ * Find uncovered bands (gaps) and double-covered bands (overlaps) per tower
+ * (program / named insured / limit type) on the year axis.
+ *
+ * Each calendar year is cut at every policy start/end, like the day-accurate
+ * bucketMap segmentation in buildDatasetsForView, and at the year's own bounds.
+ * Within a segment, a gap is any band between the year's lowest attachment and
+ * the year's tower top that no layer covers (a missing layer, or a policy that
+ * ends mid-year with no successor, up to a whole tower). Stretches before the
+ * tower's first policy or after its last are not gaps. An overlap is a band
+ * covered by two layers at once that are not quota-share participants of the
+ * same layer.
+ */
+export function findCoverageGaps(slices = [], quotaKeySet = new Set()) {
+  const towers = new Map();
+  const spans = new Map(); // program / named insured / limit type -> first start, last end across years
+  for (const s of slices) {
+    const startMs = Number(s?.yearOverlapStartMs);
+    const endMs = Number(s?.yearOverlapEndMs);
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || !(Number(s?.sliceLimit) > 0)) continue;
+    const seriesKey = [s.insuranceProgram, s.namedInsuredId, s.policyLimitType].join("||");
+    const key = `${seriesKey}||${s.year}`;
+    if (!towers.has(key)) towers.set(key, []);
+    towers.get(key).push(s);
+    const span = spans.get(seriesKey);
+    spans.set(seriesKey, {
+      startMs: Math.min(span?.startMs ?? startMs, startMs),
+      endMsExclusive: Math.max(span?.endMsExclusive ?? endMs + 1, endMs + 1)
+    });
+  }
+
+  const regions = [];
+  const open = new Map(); // tower + signature -> region still growing across adjacent segments
+  for (const [towerKey, towerSlices] of towers.entries()) {
+    const first = towerSlices[0];
+    const scope = {
+      insuranceProgram: first.insuranceProgram || "",
+      policyLimitType: first.policyLimitType || "",
+      year: Number(first.year)
+    };
+    const towerBottom = Math.min(...towerSlices.map((s) => Number(s.attach || 0)));
+    const towerTop = Math.max(...towerSlices.map((s) => Number(s.attach || 0) + Number(s.sliceLimit || 0)));
+    const endExclusive = (s) => Number(s.yearOverlapEndMs) + 1;
+    const span = spans.get([first.insuranceProgram, first.namedInsuredId, first.policyLimitType].join("||"));
+    const yearStartMs = Math.max(Date.UTC(scope.year, 0, 1), span.startMs);
+    const yearEndMs = Math.min(Date.UTC(scope.year + 1, 0, 1), span.endMsExclusive);
+    const cuts = [
+      ...new Set([yearStartMs, yearEndMs, ...towerSlices.flatMap((s) => [Number(s.yearOverlapStartMs), endExclusive(s)])])
+    ].sort((a, b) => a - b);
+
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const segStartMs = cuts[i];
+      const segEndMs = cuts[i + 1];
+      const active = towerSlices.filter((s) => Number(s.yearOverlapStartMs) < segEndMs && endExclusive(s) > segStartMs);
+      const layers = collapseTowerLayers(active, quotaKeySet);
+      const found = [];
+
+      let covered = towerBottom;
+      let below = null;
+      for (const layer of layers) {
+        if (layer.attach > covered) {
+          found.push({ kind: "gap", bottom: covered, top: layer.attach, policies: [], below, above: layer });
+        }
+        if (layer.top > covered) {
+          covered = layer.top;
+          below = layer;
+        }
+      }
+      if (covered < towerTop) found.push({ kind: "gap", bottom: covered, top: towerTop, policies: [], below, above: null });
+
+      for (let a = 0; a < layers.length; a++) {
+        for (let b = a + 1; b < layers.length; b++) {
+          const bottom = Math.max(layers[a].attach, layers[b].attach);
+          const top = Math.min(layers[a].top, layers[b].top);
+          if (!(top > bottom)) continue;
+          found.push({ kind: "overlap", bottom, top, policies: [...layers[a].policies, ...layers[b].policies] });
+        }
+      }
+
+      for (const f of found) {
+        const policyIds = f.kind === "gap"
+          ? [...(f.below?.policies || []), ...(f.above?.policies || [])].map((p) => p.PolicyID)
+          : f.policies.map((p) => p.PolicyID);
+        const signature = `${towerKey}##${f.kind}||${f.bottom}||${f.top}||${policyIds.sort().join(",")}`;
+        const prev = open.get(signature);
+        if (prev && prev.endMsExclusive === segStartMs) {
+          prev.endMsExclusive = segEndMs;
+          continue;
+        }
+        const region = {
+          ...scope,
+          kind: f.kind,
+          startMs: segStartMs,
+          endMsExclusive: segEndMs,
+          bottom: f.bottom,
+          top: f.top,
+          policies: f.policies,
+          below: f.below ? f.below.policies : null,
+          above: f.above ? f.above.policies : null
+        };
+        open.set(signature, region);
+        regions.push(region);
+      }
+    }
+  }
+
+  return regions.map(({ endMsExclusive, ...r }) => ({
+    ...r,
+    endMs: endMsExclusive - 1,
+    xStartValue: msToYearAxisValue(r.startMs),
+    xEndValue: msToYearAxisValue(endMsExclusive)
+  }));
+}
+
+const coverageGapPolicyList = (policies) =>
+  [...new Set((policies || []).map((p) => p.policy_no || `Policy ${p.PolicyID}`))].join(", ");
+
+// Which policies bound the band: the layers either side of a gap, or the layers sharing an overlap.
+function coverageGapDetail(region) {
+  if (region.kind === "overlap") return coverageGapPolicyList(region.policies);
+  const below = region.below ? coverageGapPolicyList(region.below) : "lowest attachment";
+  const above = region.above ? coverageGapPolicyList(region.above) : "tower top";
+  return `Below: ${below}; Above: ${above}`;
+}
+
+function describeCoverageGap(region) {
+  const band = `${money(region.bottom)} to ${money(region.top)}`;
+  if (region.kind === "overlap") return `${band} covered by more than one layer: ${coverageGapDetail(region)}`;
+  if (!region.above && !region.below) return `${band} uncovered: no policy in force`;
+  if (!region.above) return `${band} uncovered below the tower top${region.below ? ` (above ${coverageGapPolicyList(region.below)})` : ""}`;
+  return `${band} uncovered between ${region.below ? coverageGapPolicyList(region.below) : "the lowest attachment"} and ${coverageGapPolicyList(region.above)}`;
+}
+
+function getCoverageGapRegions(kind) {
+  const regions = _cache.coverageGaps || [];
+  return kind ? regions.filter((r) => r.kind === kind) : regions;
+}
+
+function isCoverageGapKindHidden(kind) {
+  return !!_cache.hiddenCoverageGapKinds?.has(kind);
+}
+
+const COVERAGE_GAP_LEGEND = {
+  gap: { text: "Coverage gap", light: "rgba(220, 38, 38, 0.9)", dark: "rgba(248, 113, 113, 0.95)" },
+  overlap: { text: "Overlapping coverage", light: "rgba(147, 51, 234, 0.9)", dark: "rgba(216, 180, 254, 0.95)" }
+};
+
+function coverageGapStroke(kind) {
+  const entry = COVERAGE_GAP_LEGEND[kind];
+  return getThemeName() === "light" ? entry.light : entry.dark;
+}
+
+// Hatched swatch for the legend box (falls back to a flat colour where canvas patterns are unavailable).
+function coverageGapLegendFill(kind) {
+  const stroke = coverageGapStroke(kind);
+  const swatch = document.createElement("canvas");
+  swatch.width = 8;
+  swatch.height = 8;
+  const sctx = swatch.getContext?.("2d");
+  if (!sctx) return stroke;
+  sctx.strokeStyle = stroke;
+  sctx.lineWidth = 1.5;
+  sctx.beginPath();
+  sctx.moveTo(0, 8);
+  sctx.lineTo(8, 0);
+  if (kind === "overlap") {
+    sctx.moveTo(0, 0);
+    sctx.lineTo(8, 8);
+  }
+  sctx.stroke();
+  return sctx.createPattern?.(swatch, "repeat") || stroke;
+}
+
+function withCoverageGapLegendItems(labels) {
+  for (const kind of ["gap", "overlap"]) {
+    if (!getCoverageGapRegions(kind).length) continue;
+    const hidden = isCoverageGapKindHidden(kind);
+    labels.push({
+      text: COVERAGE_GAP_LEGEND[kind].text,
+      fillStyle: coverageGapLegendFill(kind),
+      strokeStyle: coverageGapStroke(kind),
+      lineWidth: 1,
+      hidden,
+      datasetIndex: -1,
+      index: -1,
+      _coverageGapKind: kind
+    });
+  }
+  return labels;
+}
+
+function coverageGapRegionAt(chartInstance, px, py) {
+  const xScale = chartInstance?.scales?.x;
+  const yScale = chartInstance?.scales?.y;
+  if (!xScale || !yScale) return null;
+  const xValue = xScale.getValueForPixel(px);
+  const yValue = yScale.getValueForPixel(py);
+  if (!Number.isFinite(xValue) || !Number.isFinite(yValue)) return null;
+  // Gaps first: they sit where there is no bar to hover.
+  return (
+    ["gap", "overlap"]
+      .filter((kind) => !isCoverageGapKindHidden(kind))
+      .flatMap((kind) => getCoverageGapRegions(kind))
+      .find((r) => xValue >= r.xStartValue && xValue <= r.xEndValue && yValue >= r.bottom && yValue <= r.top) || null
+  );
+}
+
+function showCoverageGapTooltip(chartInstance, region, caretX, caretY) {
+  const tooltipEl = getOrCreateHtmlTooltip(chartInstance);
+  const title = `${region.year} — ${COVERAGE_GAP_LEGEND[region.kind].text}`;
+  const lines = [
+    `Band: ${money(region.bottom)} to ${money(region.top)} (${money(region.top - region.bottom)})`,
+    `Period: ${formatFullDateUTC(region.startMs)} to ${formatFullDateUTC(region.endMs)}`,
+    `Program: ${region.insuranceProgram || "N/A"}`,
+    describeCoverageGap(region)
+  ];
+  tooltipEl.innerHTML = `
+    <div style="font-size:13px; font-weight:700; margin-bottom:5px;">${escapeHtml(title)}</div>
+    <div style="display:grid; gap:2px; font-size:12px; font-weight:500;">${lines.map((ln) => `<div>${escapeHtml(ln)}</div>`).join("")}</div>
+  `;
+  positionHtmlTooltip(chartInstance, tooltipEl, caretX, caretY);
+}
+
+const coverageGapsOverlayPlugin = {
+  id: "coverageGapsOverlay",
+  afterDatasetsDraw(chartInstance) {
+    const { ctx, scales, chartArea } = chartInstance;
+    const xScale = scales?.x;
+    const yScale = scales?.y;
+    if (!ctx || !xScale || !yScale || !chartArea || !_cache.useYearAxis) return;
+
+    const hatchStep = 6;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+
+    for (const kind of ["gap", "overlap"]) {
+      if (isCoverageGapKindHidden(kind)) continue;
+      const stroke = coverageGapStroke(kind);
+      for (const region of getCoverageGapRegions(kind)) {
+        const left = xScale.getPixelForValue(region.xStartValue);
+        const right = xScale.getPixelForValue(region.xEndValue);
+        const yTop = yScale.getPixelForValue(region.top);
+        const yBottom = yScale.getPixelForValue(region.bottom);
+        if (![left, right, yTop, yBottom].every(Number.isFinite)) continue;
+        const width = right - left;
+        const height = yBottom - yTop;
+        if (width < 1 || height < 1) continue;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, yTop, width, height);
+        ctx.clip();
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 1;
+        for (let x = left - height; x < right + height; x += hatchStep) {
+          ctx.beginPath();
+          ctx.moveTo(x, yBottom);
+          ctx.lineTo(x + height, yTop);
+          if (kind === "overlap") {
+            ctx.moveTo(x, yTop);
+            ctx.lineTo(x + height, yBottom);
+          }
+          ctx.stroke();
+        }
+        ctx.restore();
+
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(kind === "gap" ? [5, 3] : []);
+        ctx.strokeRect(left, yTop, width, height);
+        ctx.setLineDash([]);
+      }
+    }
+
+    ctx.restore();
+  },
+  afterEvent(chartInstance, args) {
+    const event = args?.event;
+    if (!event || !_cache.useYearAxis) return;
+    if (event.type === "mouseout") {
+      if (_cache.coverageGapHover) hideCoverageGapTooltip(chartInstance);
+      return;
+    }
+    if (event.type !== "mousemove") return;
+    // Bars keep their own tooltip; gap regions only answer hovers over empty plot area.
+    const overBar = (chartInstance.getActiveElements?.() || []).length > 0;
+    const region = overBar ? null : coverageGapRegionAt(chartInstance, event.x, event.y);
+    if (region) {
+      _cache.coverageGapHover = region;
+      showCoverageGapTooltip(chartInstance, region, event.x, event.y);
+    } else if (_cache.coverageGapHover) {
+      hideCoverageGapTooltip(chartInstance);
+    }
+  }
+};
+
+function hideCoverageGapTooltip(chartInstance) {
+  _cache.coverageGapHover = null;
+  const tooltipEl = getOrCreateHtmlTooltip(chartInstance);
+  if (tooltipEl.dataset.locked === "1") return;
+  tooltipEl.style.opacity = "0";
+  tooltipEl.style.pointerEvents = "none";
+}
+
+/* ================================
+   Year limit totals + linked year marker
+================================ */
+
+/**
+ * Limits in force per year on the year axis. Each tower counts the largest stack written
+ * at any one moment of the year, so a mid-year renewal is not counted twice; available is
+ * the collectible share of that stack. Carrier and carrier-group filters apply.
+ */
+function computeYearLimitTotals() {
+  const selection = getSelectionSets();
+  const towers = new Map();
+  for (const s of _cache.slices || []) {
+    if (!sliceMatchesSelection(s, selection)) continue;
+    const startMs = Number(s?.yearOverlapStartMs);
+    const endMs = Number(s?.yearOverlapEndMs);
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || !(Number(s?.sliceLimit) > 0)) continue;
+    const key = [s.insuranceProgram, s.namedInsuredId, s.policyLimitType, s.year].join("||");
+    if (!towers.has(key)) towers.set(key, []);
+    towers.get(key).push(s);
+  }
+
+  const byYear = new Map();
+  for (const label of _cache.xLabels || []) {
+    const year = Number(label);
+    if (Number.isFinite(year)) byYear.set(year, { year, totalLimit: 0, availableLimit: 0 });
+  }
+  for (const towerSlices of towers.values()) {
+    const year = Number(towerSlices[0].year);
+    const endExclusive = (s) => Number(s.yearOverlapEndMs) + 1;
+    const cuts = [...new Set(towerSlices.flatMap((s) => [Number(s.yearOverlapStartMs), endExclusive(s)]))].sort((a, b) => a - b);
+    let peakTotal = 0;
+    let peakAvailable = 0;
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const active = towerSlices.filter((s) => Number(s.yearOverlapStartMs) < cuts[i + 1] && endExclusive(s) > cuts[i]);
+      peakTotal = Math.max(peakTotal, active.reduce((sum, s) => sum + Number(s.sliceLimit || 0), 0));
+      peakAvailable = Math.max(peakAvailable, active.reduce((sum, s) => sum + collectibleLimit(s), 0));
+    }
+    if (!byYear.has(year)) byYear.set(year, { year, totalLimit: 0, availableLimit: 0 });
+    const entry = byYear.get(year);
+    entry.totalLimit += peakTotal;
+    entry.availableLimit += peakAvailable;
+  }
+  return Array.from(byYear.values()).sort((a, b) => a.year - b.year);
+}
+
+function getYearLimitTotalsCached() {
+  if (!_cache.yearLimitTotals) _cache.yearLimitTotals = computeYearLimitTotals();
+  return _cache.yearLimitTotals;
+}
+
+function yearAtPixel(chartInstance, px) {
+  const xScale = chartInstance?.scales?.x;
+  const area = chartInstance?.chartArea;
+  if (!xScale || !area || !_cache.useYearAxis || xScale.type !== "linear") return null;
+  if (!Number.isFinite(px) || px < area.left || px > area.right) return null;
+  const year = Math.round(Number(xScale.getValueForPixel(px)));
+  return (_cache.xLabels || []).some((lbl) => Number(lbl) === year) ? year : null;
+}
+
+// Another chart's hovered year: a band over the column with that year's totals pinned on top.
+const linkedYearPlugin = {
+  id: "linkedYear",
+  afterDatasetsDraw(chartInstance) {
+    const { ctx, scales, chartArea } = chartInstance;
+    const xScale = scales?.x;
+    const year = _cache.linkedYear;
+    if (!ctx || !xScale || !chartArea || year === null || !_cache.useYearAxis) return;
+    const left = Math.max(chartArea.left, xScale.getPixelForValue(year - 0.5));
+    const right = Math.min(chartArea.right, xScale.getPixelForValue(year + 0.5));
+    if (!(right > left)) return;
+
+    const theme = getThemeName();
+    const totals = getYearLimitTotalsCached().find((t) => t.year === year);
+    const lines = [
+      String(year),
+      `Total: ${compactMoney(totals?.totalLimit || 0)}`,
+      `Available: ${compactMoney(totals?.availableLimit || 0)}`
+    ];
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.fillStyle = theme === "light" ? "rgba(37, 99, 235, 0.1)" : "rgba(96, 165, 250, 0.14)";
+    ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    ctx.strokeStyle = theme === "light" ? "rgba(37, 99, 235, 0.75)" : "rgba(147, 197, 253, 0.8)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    ctx.setLineDash([]);
+
+    ctx.font = "600 11px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    const lineH = 14;
+    const boxW = Math.max(...lines.map((ln) => ctx.measureText(ln).width)) + 12;
+    const boxH = lines.length * lineH + 8;
+    const boxLeft = clamp((left + right) / 2 - boxW / 2, chartArea.left + 2, Math.max(chartArea.left + 2, chartArea.right - boxW - 2));
+    const boxTop = chartArea.top + 4;
+    roundedRectPath(ctx, boxLeft, boxTop, boxW, boxH, 6);
+    ctx.fillStyle = theme === "light" ? "rgba(255, 255, 255, 0.94)" : "rgba(2, 6, 23, 0.9)";
+    ctx.fill();
+    ctx.strokeStyle = theme === "light" ? "rgba(15, 23, 42, 0.2)" : "rgba(148, 163, 184, 0.35)";
+    ctx.stroke();
+    ctx.fillStyle = theme === "light" ? "rgba(15, 23, 42, 0.96)" : "rgba(248, 250, 252, 0.96)";
+    lines.forEach((ln, i) => ctx.fillText(ln, boxLeft + 6, boxTop + 4 + i * lineH));
+    ctx.restore();
+  },
+  afterEvent(chartInstance, args) {
+    const event = args?.event;
+    if (!_hoverYearListener || !event) return;
+    if (event.type !== "mousemove" && event.type !== "mouseout") return;
+    const year = event.type === "mousemove" ? yearAtPixel(chartInstance, event.x) : null;
+    if (year === _cache.hoverYear) return;
+    _cache.hoverYear = year;
+    _hoverYearListener(year);
+  }
+};
+
+/* ================================
+   All sums (targeted tender) overlay
+================================ */
+
+function yearsCoveredByBar(raw, years) {
+  const xs = Number(raw?.xStart);
+  const xe = Number(raw?.xEnd);
+  if (!Number.isFinite(xs) || !Number.isFinite(xe)) return [];
+  const eps = 1e-9;
+  return years.filter((y) => xs < y + 0.5 - eps && xe > y - 0.5 + eps);
+}
+
+// Per-year layer stacks from the bars already on the chart, so the simulation
+// sees exactly the attachments and limits the user is looking at.
+function buildAllSumsStacks(datasets, years) {
+  const byYear = new Map(years.map((y) => [y, []]));
+  for (const ds of datasets || []) {
+    if (!ds || ds?.datasetId === "sirOverlay" || ds?.type === "line") continue;
+    for (const raw of ds.data || []) {
+      if (!raw) continue;
+      for (const year of yearsCoveredByBar(raw, years)) {
+        byYear.get(year).push({
+          ref: raw,
+          attach: Number(raw.attach || 0),
+          participants: (raw.participants || []).map((p) => ({
+            PolicyID: p?.pid,
+            policy_no: p?.policy_no,
+            carrier: p?.carrier,
+            carrierGroup: p?.carrierGroup,
+            availability: p?.availability,
+            policyLimitType: p?.policyLimitType,
+            sliceLimit: Number(p?.sliceLimit || 0),
+            collectibleLimit: p?.collectibleLimit,
+            collectiblePercent: p?.collectiblePercent,
+            sirPerOcc: Number(p?.sirPerOcc || 0),
+            sirAggregate: Number(p?.sirAggregate || 0)
+          }))
+        });
+      }
+    }
+  }
+  return Array.from(byYear.entries()).map(([year, layers]) => ({ year, layers }));
+}
+
+function recomputeAllSums(datasets = chart?.data?.datasets) {
+  const state = _cache.allSums;
+  state.results = null;
+  if (!_cache.useYearAxis || !state.years.length || !(state.lossAmount > 0)) return;
+
+  const stacks = buildAllSumsStacks(datasets, state.years);
+  state.results = {
+    vertical: simulateAllSums({ stacks, lossAmount: state.lossAmount, rule: "vertical", applySir: state.applySir }),
+    horizontal: simulateAllSums({ stacks, lossAmount: state.lossAmount, rule: "horizontal", applySir: state.applySir })
+  };
+}
+
+const allSumsOverlayPlugin = {
+  id: "allSumsOverlay",
+  beforeDatasetsDraw(chartInstance) {
+    const { ctx, scales, chartArea } = chartInstance;
+    const xScale = scales?.x;
+    const years = _cache.allSums?.years || [];
+    if (!ctx || !xScale || !chartArea || !years.length || !_cache.useYearAxis) return;
+
+    const theme = getThemeName();
+    ctx.save();
+    ctx.fillStyle = theme === "light" ? "rgba(37, 99, 235, 0.08)" : "rgba(96, 165, 250, 0.1)";
+    for (const y of years) {
+      const left = Math.max(chartArea.left, xScale.getPixelForValue(y - 0.5));
+      const right = Math.min(chartArea.right, xScale.getPixelForValue(y + 0.5));
+      if (!(right > left)) continue;
+      ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    }
+    ctx.restore();
+  },
+  afterDatasetsDraw(chartInstance) {
+    const { ctx, scales, chartArea } = chartInstance;
+    const xScale = scales?.x;
+    const yScale = scales?.y;
+    const state = _cache.allSums;
+    const result = state?.results?.[state.rule];
+    if (!ctx || !xScale || !yScale || !chartArea || !result) return;
+
+    const theme = getThemeName();
+    const fill = theme === "light" ? "rgba(5, 150, 105, 0.42)" : "rgba(52, 211, 153, 0.45)";
+    const stroke = theme === "light" ? "rgba(4, 120, 87, 0.95)" : "rgba(167, 243, 208, 0.95)";
+    const textColor = theme === "light" ? "rgba(6, 78, 59, 0.98)" : "rgba(236, 253, 245, 0.98)";
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.font = "700 10px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    chartInstance.data.datasets.forEach((ds, di) => {
+      if (!ds || ds?.datasetId === "sirOverlay" || ds?.type === "line") return;
+      const meta = chartInstance.getDatasetMeta(di);
+      if (!meta || meta.hidden) return;
+
+      meta.data.forEach((bar, pi) => {
+        const raw = ds?.data?.[pi];
+        const byYear = raw ? result.layerPaid.get(raw) : null;
+        if (!byYear) return;
+        const props = bar.getProps(["x", "width"], false);
+        const barLeft = Number(props?.x) - Number(props?.width) / 2;
+        const barRight = Number(props?.x) + Number(props?.width) / 2;
+        if (!Number.isFinite(barLeft) || !Number.isFinite(barRight)) return;
+
+        const attach = Number(raw.attach || 0);
+        const top = Number(raw.top || 0);
+        for (const [year, paid] of byYear.entries()) {
+          if (!(paid > 0)) continue;
+          const left = Math.max(barLeft, xScale.getPixelForValue(year - 0.5));
+          const right = Math.min(barRight, xScale.getPixelForValue(year + 0.5));
+          const yBottom = yScale.getPixelForValue(attach);
+          const yTop = yScale.getPixelForValue(Math.min(top, attach + paid));
+          if (!(right - left >= 1) || !Number.isFinite(yBottom) || !Number.isFinite(yTop)) continue;
+
+          ctx.fillStyle = fill;
+          ctx.fillRect(left, yTop, right - left, yBottom - yTop);
+          ctx.strokeStyle = stroke;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.moveTo(left, yTop);
+          ctx.lineTo(right, yTop);
+          ctx.stroke();
+
+          if (right - left >= 34 && yBottom - yTop >= 12) {
+            ctx.fillStyle = textColor;
+            ctx.fillText(compactMoney(paid), (left + right) / 2, (yTop + yBottom) / 2);
+          }
+        }
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+function isUnavailableLegendHidden(chartInstance) {
+  if (!chartInstance || !Array.isArray(chartInstance?.data?.datasets)) return false;
+  const dsIndex = chartInstance.data.datasets.findIndex((d) => String(d?.label || "") === "Unavailable");
+  if (dsIndex < 0) return false;
+  const meta = chartInstance.getDatasetMeta(dsIndex);
+  return !!meta?.hidden;
+}
+
+const legendTitleBadgePlugin = {
+  id: "legendTitleBadge",
+  afterDraw(chartInstance) {
+    const legend = chartInstance?.legend;
+    const titleOpts = chartInstance?.options?.plugins?.legend?.title;
+    const text = String(titleOpts?.text || "").trim();
+    if (!legend || !titleOpts?.display || !text) return;
+
+    const ctx = chartInstance.ctx;
+    const theme = getThemeName();
+    const fill = theme === "light" ? "rgba(30, 64, 175, 0.12)" : "rgba(96, 165, 250, 0.17)";
+    const stroke = theme === "light" ? "rgba(30, 64, 175, 0.45)" : "rgba(147, 197, 253, 0.45)";
+    const textColor = theme === "light" ? "rgba(15, 23, 42, 0.95)" : "rgba(255,255,255,0.96)";
+
+    const fontSize = 12;
+    const fontWeight = "600";
+    const fontFamily = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    const hPad = 10;
+    const vPad = 4;
+    const radius = 8;
+
+    ctx.save();
+    ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+    const textWidth = Math.ceil(ctx.measureText(text).width);
+    const badgeW = textWidth + hPad * 2;
+    const badgeH = fontSize + vPad * 2;
+    const x = Math.round(legend.left + (legend.width - badgeW) / 2);
+    const y = Math.round(legend.top + 3);
+
+    roundedRectPath(ctx, x, y, badgeW, badgeH, radius);
+    ctx.fillStyle = fill;
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = 1;
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = textColor;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(text, x + badgeW / 2, y + badgeH / 2 + 0.5);
+    ctx.restore();
+  }
+};
+
+const legendFiltersPanelPlugin = {
+  id: "legendFiltersPanel",
+  afterDraw(chartInstance) {
+    const legend = chartInstance?.legend;
+    if (!legend || legend.options?.display === false) return;
+    const lines = getLegendFilterLines();
+    if (!lines.length) return;
+
+    const ctx = chartInstance.ctx;
+    const theme = getThemeName();
+    const boxFill = theme === "light" ? "rgba(239, 246, 255, 0.97)" : "rgba(10, 25, 47, 0.97)";
+    const boxStroke = theme === "light" ? "rgba(30, 64, 175, 0.30)" : "rgba(148, 163, 184, 0.30)";
+    const textColor = theme === "light" ? "rgba(15, 23, 42, 0.95)" : "rgba(241, 245, 249, 0.95)";
+
+    const fontSize = 10.5;
+    const lineHeight = 14;
+    const hPad = 8;
+    const vPad = 7;
+    const radius = 10;
+
+    ctx.save();
+    ctx.font = `500 ${fontSize}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+    const contentW = Math.ceil(Math.max(...lines.map((l) => ctx.measureText(l).width)));
+    const panelW = Math.max(legend.width - 4, contentW + hPad * 2);
+    const panelH = lines.length * lineHeight + vPad * 2;
+    const x = Math.round(legend.left + 2);
+    const y = Math.round(Math.min(
+      chartInstance.height - panelH - 8,
+      legend.top + legend.height + 10
+    ));
+
+    roundedRectPath(ctx, x, y, panelW, panelH, radius);
+    ctx.fillStyle = boxFill;
+    ctx.strokeStyle = boxStroke;
+    ctx.lineWidth = 1;
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = textColor;
+    ctx.textBaseline = "top";
+    for (let i = 0; i < lines.length; i++) {
+      ctx.fillText(lines[i], x + hPad, y + vPad + i * lineHeight);
+    }
+    ctx.restore();
+  }
+};
+
+const boxValueLabelsPlugin = {
+  id: "boxValueLabels",
+  afterDatasetsDraw(chartInstance) {
+    // Temporarily disabled: per-layer value labels add too much visual noise.
+    return;
+    const { ctx } = chartInstance;
+    const xScale = chartInstance.scales?.x;
+    const yScale = chartInstance.scales?.y;
+    if (!xScale || !yScale) return;
+
+    ctx.save();
+    ctx.font = "600 10px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "rgba(255,255,255,0.94)";
+    ctx.strokeStyle = "rgba(11,17,27,0.8)";
+    ctx.lineWidth = 2;
+
+    chartInstance.data.datasets.forEach((ds, di) => {
+      if (!ds || ds.datasetId === "sirOverlay" || ds.type === "line") return;
+      const meta = chartInstance.getDatasetMeta(di);
+      if (!meta || meta.hidden) return;
+
+      meta.data.forEach((bar, idx) => {
+        const raw = ds.data?.[idx];
+        if (!raw) return;
+        const attach = Number(raw.attach || 0);
+        const top = Number(raw.top || 0);
+        const lim = Number(raw.sumLimit ?? Math.max(0, top - attach));
+        if (!Number.isFinite(lim) || lim <= 0) return;
+
+        const props = bar.getProps(["x", "width"], false);
+        const yTop = yScale.getPixelForValue(top);
+        const yBottom = yScale.getPixelForValue(attach);
+        const boxHeight = Math.abs(yBottom - yTop);
+        const boxWidth = Number(props?.width || 0);
+
+        // Keep labels only where they are likely to remain legible.
+        if (boxHeight < 15 || boxWidth < 34) return;
+
+        const label = compactMoney(lim);
+        const maxTextWidth = Math.max(0, boxWidth - 8);
+        const textWidth = ctx.measureText(label).width;
+        if (textWidth > maxTextWidth) return;
+
+        const x = Number(props.x || 0);
+        const y = (yTop + yBottom) / 2;
+        ctx.strokeText(label, x, y);
+        ctx.fillText(label, x, y);
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+function applyXRangeBarGeometry(chartInstance) {
+  if (!chartInstance || !_cache.useYearAxis) return;
+  const xScale = chartInstance?.scales?.x;
+  if (!xScale) return;
+
+  chartInstance.data.datasets.forEach((ds, di) => {
+    if (!ds || ds.datasetId === "sirOverlay" || ds.type === "line") return;
+    const meta = chartInstance.getDatasetMeta(di);
+    if (!meta || meta.hidden) return;
+
+    meta.data.forEach((bar, idx) => {
+      const raw = ds.data?.[idx];
+      const xStart = Number(raw?.xStart);
+      const xEnd = Number(raw?.xEnd);
+      if (!Number.isFinite(xStart) || !Number.isFinite(xEnd) || !(xEnd > xStart)) return;
+
+      const pxStart = xScale.getPixelForValue(xStart);
+      const pxEnd = xScale.getPixelForValue(xEnd);
+      if (!Number.isFinite(pxStart) || !Number.isFinite(pxEnd)) return;
+
+      const left = Math.min(pxStart, pxEnd);
+      const right = Math.max(pxStart, pxEnd);
+      const width = Math.max(1, right - left);
+      const center = (left + right) / 2;
+
+      // Mutate bar element geometry so draw + hitbox reflect the true day span.
+      bar.x = center;
+      bar.width = width;
+    });
+  });
+}
+
+const xRangeBarsPlugin = {
+  id: "xRangeBars",
+  afterDatasetsUpdate(chartInstance) {
+    applyXRangeBarGeometry(chartInstance);
+  },
+  beforeDatasetsDraw(chartInstance) {
+    applyXRangeBarGeometry(chartInstance);
+  }
+};
+
+const yearAvailableTotalsPlugin = {
+  id: "yearAvailableTotals",
+  afterDatasetsDraw(chartInstance) {
+    // Totals are rendered in page-level UI above the chart (outside canvas).
+    return;
+    if (_cache.showCoverageTotals === false) return;
+    const xScale = chartInstance?.scales?.x;
+    const yScale = chartInstance?.scales?.y;
+    const chartArea = chartInstance?.chartArea;
+    if (!xScale || !yScale || !chartArea) return;
+
+    const selection = getSelectionSets();
+    const byX = new Map(); // x -> { total, top }
+
+    for (const s of _cache.slices || []) {
+      const x = String(s?.x ?? "");
+      if (!x) continue;
+      if (!sliceMatchesSelection(s, selection)) continue;
+      if (String(s?.availability || "").toLowerCase().includes("unavail")) continue;
+
+      const limit = Number(s?.sliceLimit || 0);
+      const attach = Number(s?.attach || 0);
+      const top = attach + limit;
+      if (!Number.isFinite(limit) || limit <= 0) continue;
+      if (!Number.isFinite(top)) continue;
+
+      if (!byX.has(x)) byX.set(x, { total: 0, top: 0 });
+      const e = byX.get(x);
+      e.total += collectibleLimit(s);
+      e.top = Math.max(e.top, top);
+    }
+
+    if (!byX.size) return;
+
+    const theme = getThemeName();
+    const textColor = theme === "light" ? "rgba(15, 23, 42, 0.96)" : "rgba(241, 245, 249, 0.96)";
+    const pillBg = theme === "light" ? "rgba(255,255,255,0.88)" : "rgba(15,23,42,0.72)";
+    const pillBorder = theme === "light" ? "rgba(15, 23, 42, 0.2)" : "rgba(241,245,249,0.24)";
+
+    const ctx = chartInstance.ctx;
+    ctx.save();
+    ctx.font = "700 10px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    const entries = Array.from(byX.entries())
+      .map(([x, stat]) => ({
+        stat,
+        px: xScale.getPixelForValue(x),
+        pyTop: yScale.getPixelForValue(Number(stat?.top || 0))
+      }))
+      .filter((e) => Number.isFinite(e.px) && Number.isFinite(e.pyTop))
+      .sort((a, b) => a.px - b.px);
+
+    let lastRight = Number.NEGATIVE_INFINITY;
+    for (const { stat, px, pyTop } of entries) {
+      if (!Number.isFinite(stat.total) || stat.total <= 0) continue;
+      const label = compactMoney(stat.total);
+      const textW = ctx.measureText(label).width;
+      const padX = 4;
+      const pillW = textW + padX * 2;
+      const pillH = 14;
+      const yCenter = Math.max(chartArea.top + pillH / 2 + 2, pyTop - 8);
+      const left = px - pillW / 2;
+      const right = px + pillW / 2;
+
+      // Skip cramped labels to avoid unreadable overlaps.
+      if (left <= lastRight + 6) continue;
+      lastRight = right;
+
+      roundedRectPath(ctx, left, yCenter - pillH / 2, pillW, pillH, 4);
+      ctx.fillStyle = pillBg;
+      ctx.fill();
+      ctx.strokeStyle = pillBorder;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      ctx.fillStyle = textColor;
+      ctx.fillText(label, px, yCenter);
+    }
+
+    ctx.restore();
+  }
+};
+
+/* ================================
+   CSV Parser (robust)
+================================ */
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (char === '"' && next === '"') {
+      cur += '"';
+      i++;
+      continue;
+    }
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    if (char === "," && !inQuotes) {
+      row.push(cur.trim());
+      cur = "";
+      continue;
+    }
+    if (char === "\n" && !inQuotes) {
+      row.push(cur.trim());
+      rows.push(row);
+      row = [];
+      cur = "";
+      continue;
+    }
+    if (char !== "\r") cur += char;
+  }
+
+  if (cur.length || row.length) {
+    row.push(cur.trim());
+    rows.push(row);
+  }
+
+  const rawHeaders = rows.shift() || [];
+  const headers = rawHeaders.map(normalizeHeader);
+
+  return rows
+    .filter((r) => r.some((cell) => String(cell ?? "").trim() !== ""))
+    .map((r) => {
+      const obj = {};
+      headers.forEach((h, i) => (obj[h] = (r[i] ?? "").trim()));
+
+      // Known typo support
+      if (obj["Attatchment Point"] && !obj["Attachment Point"]) {
+        obj["Attachment Point"] = obj["Attatchment Point"];
+      }
+
+      return obj;
+    });
+}
+
+async function fetchCSV(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error("Failed to load CSV: " + url);
+  return parseCSV(await res.text());
+}
+
+async function fetchOptionalCSV(url) {
+  if (!url) return [];
+  try {
+    return await fetchCSV(url);
+  } catch (err) {
+    diag("warn", `[CoverageChart] Optional table not loaded: ${url}`);
+    return [];
+  }
+}
+
+async function fetchInsuranceProgramRows(primaryUrl) {
+  try {
+    return await fetchCSV(primaryUrl);
+  } catch (err) {
+    const fallbackUrl = "/data/OriginalFiles/tblInsuranceprogramid.csv";
+    if (String(primaryUrl) === fallbackUrl) throw err;
+    return await fetchCSV(fallbackUrl);
+  }
+}
+
+/* ================================
+   Availability classifier (heuristic)
+================================ */
+
+// "" when the text doesn't read as a solvency status.
+function classifySolvencyStatus(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s) return "";
+
+  // "solvent" / "insolvent"
+  if (s.includes("insolv") || s.includes("bankrupt") || s.includes("liquidat") || s.includes("receivership")) {
+    return "Unavailable";
+  }
+  if (s.includes("solvent") || s.includes("active") || s.includes("good")) return "Available";
+
+  // Sometimes people encode as 0/1
+  if (s === "0" || s === "false" || s === "no" || s === "n") return "Unavailable";
+  if (s === "1" || s === "true" || s === "yes" || s === "y") return "Available";
+  return "";
+}
+
+// `solvencyEvent` is a dated row from tblCarrierSolvencyEvents.csv; its Status stands in for
+// the carrier's current CarrierSolvency while that event is in effect.
+function classifyAvailability(policyRow, carrierRow, solvencyEvent = null) {
+  // 1) A dated solvency event wins over the carrier's current status
+  const fromEvent = classifySolvencyStatus(solvencyEvent?.status);
+  if (fromEvent) return fromEvent;
+
+  // 2) Otherwise prefer an explicit solvency field from the carrier table if present
+  // Accept a few common field names, but DO NOT rely on generic "Status" unless it clearly looks like solvency.
+  const fromCarrier = classifySolvencyStatus(
+    getBy(carrierRow, "CarrierSolvency", "Solvency", "SolvencyStatus", "FinancialStatus")
+  );
+  if (fromCarrier) return fromCarrier;
+
+  // 3) Policy-level collectible flag overrides (if present)
+  const collectible = String(getBy(policyRow, "Collectible", "IsCollectible", "bcollectible")).trim();
+  if (collectible !== "") {
+    const v = collectible.toLowerCase();
+    if (v === "0" || v === "false" || v === "no" || v === "n") return "Unavailable";
+    if (v === "1" || v === "true" || v === "yes" || v === "y") return "Available";
+  }
+
+  // 4) Policy-level insolvent flags
+  const insolvent = String(getBy(policyRow, "Insolvent", "IsInsolvent", "binsolvent")).trim();
+  if (insolvent !== "") {
+    const v = insolvent.toLowerCase();
+    if (v === "1" || v === "true" || v === "yes" || v === "y") return "Unavailable";
+  }
+
+  // 5) Free-text hints in policy row
+  const status = String(getBy(policyRow, "Status", "Availability", "AvailStatus")).toLowerCase();
+  if (status.includes("insolv") || status.includes("bankrupt") || status.includes("unavail"))
+    return "Unavailable";
+
+  // 6) Free-text hints in carrier row (only if they look like solvency-ish text)
+  const cstatus = String(getBy(carrierRow, "Status", "Availability")).toLowerCase();
+  if (cstatus.includes("insolv") || cstatus.includes("bankrupt") || cstatus.includes("unavail"))
+    return "Unavailable";
+
+  return "Available";
+}
+
+const optionalNum = (v) => (v === null || v === undefined || String(v).trim() === "" ? NaN : Number(v));
+
+function availabilityLabelForPercent(percent) {
+  if (percent >= 100) return "Available";
+  if (percent <= 0) return "Unavailable";
+  return "Partially Available";
+}
+
+/**
+ * Index tblCarrierSolvencyEvents.csv rows by CarrierID, oldest first.
+ * Rows without a CarrierID or a parseable EffectiveDate are skipped (Data Quality reports them).
+ */
+function buildSolvencyEventIndex(rows = []) {
+  const byCarrier = {};
+  for (const r of rows) {
+    const carrierId = String(getBy(r, "CarrierID", "Carrier Id")).trim();
+    const effective = parseDateToUTC(getBy(r, "EffectiveDate", "Effective Date", "EventDate"));
+    if (!carrierId || !effective) continue;
+    const recoveryRaw = String(getBy(r, "RecoveryPercent", "Recovery Percent", "RecoveryPct", "DividendPercent")).trim();
+    if (!byCarrier[carrierId]) byCarrier[carrierId] = [];
+    byCarrier[carrierId].push({
+      effectiveMs: effective.getTime(),
+      status: String(getBy(r, "Status", "Solvency", "SolvencyStatus")).trim(),
+      recoveryPercent: recoveryRaw === "" ? null : num(recoveryRaw),
+      estateName: String(getBy(r, "EstateName", "Estate Name", "Estate")).trim()
+    });
+  }
+  for (const events of Object.values(byCarrier)) events.sort((a, b) => a.effectiveMs - b.effectiveMs);
+  return byCarrier;
+}
+
+// One policy's view of its carrier's events. insolventSinceMs is the start of the unbroken run
+// of unavailable events an entry belongs to (the insolvency date shown in the tooltip).
+function buildSolvencyHistory(policyRow, carrierRow, events) {
+  let runStartMs = null;
+  return events.map((ev) => {
+    const availability = classifyAvailability(policyRow, carrierRow, ev);
+    const unavailable = availability === "Unavailable";
+    runStartMs = unavailable ? runStartMs ?? ev.effectiveMs : null;
+    return {
+      effectiveMs: ev.effectiveMs,
+      availability,
+      recoveryPercent: ev.recoveryPercent,
+      estateName: ev.estateName,
+      insolventSinceMs: runStartMs
+    };
+  });
+}
+
+// Latest history entry at or before refMs; null before the carrier's first event.
+function solvencyEventAt(history, refMs) {
+  let current = null;
+  for (const ev of history) {
+    if (ev.effectiveMs > refMs) break;
+    current = ev;
+  }
+  return current;
+}
+
+// Expected recovery on a slice at `refMs`:
+//  - with a dated solvency history, the event in effect decides (fully collectible before the
+//    first event; its RecoveryPercent when declared, otherwise all or nothing by status);
+//  - a carrier that went insolvent after refMs was still fully collectible then;
+//  - a declared RecoveryPercent (estate dividend) applies inside its effective window;
+//  - otherwise the solvency classification decides (all or nothing).
+function resolveCollectibility(slice, refMs) {
+  const limit = Math.max(0, Number(slice?.sliceLimit || 0));
+  const insolvencyMs = optionalNum(slice?.insolvencyMs);
+  const declared = optionalNum(slice?.recoveryPercent);
+  const startMs = optionalNum(slice?.recoveryStartMs);
+  const endMs = optionalNum(slice?.recoveryEndMs);
+  const carrierAvailability = String(slice?.carrierAvailability ?? slice?.availability ?? "");
+  const history = Array.isArray(slice?.solvencyHistory) ? slice.solvencyHistory : [];
+
+  let percent = carrierAvailability.toLowerCase().includes("unavail") ? 0 : 100;
+  let insolventSinceMs = null;
+  let estateName = "";
+  if (history.length) {
+    const event = solvencyEventAt(history, refMs);
+    const eventDeclared = optionalNum(event?.recoveryPercent);
+    if (!event) percent = 100;
+    else if (Number.isFinite(eventDeclared)) percent = clamp(eventDeclared, 0, 100);
+    else percent = event.availability === "Unavailable" ? 0 : 100;
+    insolventSinceMs = event?.insolventSinceMs ?? null;
+    estateName = event?.estateName || "";
+  } else if (Number.isFinite(insolvencyMs) && refMs < insolvencyMs) {
+    percent = 100;
+  } else if (
+    Number.isFinite(declared) &&
+    (!Number.isFinite(startMs) || refMs >= startMs) &&
+    (!Number.isFinite(endMs) || refMs <= endMs)
+  ) {
+    percent = clamp(declared, 0, 100);
+  }
+  if (!history.length && Number.isFinite(insolvencyMs) && refMs >= insolvencyMs) insolventSinceMs = insolvencyMs;
+
+  const collectible = limit * (percent / 100);
+  return {
+    availability: availabilityLabelForPercent(percent),
+    collectiblePercent: percent,
+    collectibleLimit: collectible,
+    uncollectibleLimit: limit - collectible,
+    insolventSinceMs,
+    estateName
+  };
+}
+
+const endOfDayMs = (d) => d.getTime() + (24 * 60 * 60 * 1000 - 1);
+
+function getAsOfMs() {
+  const d = parseDateToUTC(_cache.filters?.asOfDate);
+  return d ? endOfDayMs(d) : NaN;
+}
+
+/* ================================
+   Build base "slices"
+================================ */
+
+function buildSlices({
+  limitsRows,
+  datesRows,
+  policyRows,
+  carrierRows,
+  carrierGroupRows,
+  insuranceProgramRows,
+  policyLimitTypeRows,
+  namedInsuredRows,
+  solvencyEventRows,
+  useYearAxis
+}) {
+  const policyDateMap = {};
+  let minYear = Infinity;
+  let maxYear = -Infinity;
+
+  for (const row of datesRows) {
+    const pid = String(getBy(row, "PolicyID", "Policy Id", "ID")).trim();
+    if (!pid) continue;
+
+    const start = String(getBy(row, "PStartDate", "PolicyStartDate", "StartDate")).trim();
+    const end = String(getBy(row, "PEndDate", "PolicyEndDate", "EndDate")).trim();
+    policyDateMap[pid] = { start, end };
+
+    const startDate = parseDateToUTC(start);
+    const endDate = parseDateToUTC(end);
+    const startYear = startDate ? startDate.getUTCFullYear() : yearOf(start);
+    const endYear = endDate ? endDate.getUTCFullYear() : yearOf(end);
+    if (Number.isFinite(startYear)) {
+      minYear = Math.min(minYear, startYear);
+      maxYear = Math.max(maxYear, startYear);
+    }
+    if (Number.isFinite(endYear)) {
+      minYear = Math.min(minYear, endYear);
+      maxYear = Math.max(maxYear, endYear);
+    }
+  }
+
+  const carrierRowById = {};
+  const carrierNameById = {};
+  for (const r of carrierRows) {
+    const id = String(getBy(r, "CarrierID", "Carrier Id", "ID")).trim();
+    if (!id) continue;
+    carrierRowById[id] = r;
+    const nm = String(getBy(r, "Carrier", "CarrierName", "Name", "Insurer", "Company")).trim();
+    if (nm) carrierNameById[id] = nm;
+  }
+
+  const solvencyEventsByCarrier = buildSolvencyEventIndex(solvencyEventRows || []);
+
+  const carrierGroupNameById = {};
+  for (const r of carrierGroupRows) {
+    const id = String(getBy(r, "CarrierGroupID", "Carrier Group ID", "ID")).trim();
+    if (!id) continue;
+    const nm = String(getBy(r, "CarrierGroup", "CarrierGroupName", "Name", "Group")).trim();
+    if (nm) carrierGroupNameById[id] = nm;
+  }
+
+  const insuranceProgramNameById = {};
+  for (const r of insuranceProgramRows || []) {
+    const id = String(getBy(r, "InsuranceProgramID", "Insurance Program ID", "ID")).trim();
+    if (!id) continue;
+    const nm = String(getBy(r, "InsuranceProgram", "Program", "Name")).trim();
+    if (nm) insuranceProgramNameById[id] = nm;
+  }
+
+  const namedInsuredNameById = {};
+  for (const r of namedInsuredRows || []) {
+    const id = String(getBy(r, "NamedInsuredID", "Named Insured ID", "ID")).trim();
+    if (!id) continue;
+    const nm = String(getBy(r, "NamedInsured", "Named Insured", "NamedInsuredName", "Name")).trim();
+    if (nm) namedInsuredNameById[id] = nm;
+  }
+
+  const policyLimitTypeNameById = {};
+  for (const r of policyLimitTypeRows || []) {
+    const id = String(
+      getBy(r, "PolicyLimitTypeID", "Policy Limit Type ID", "Policy Limit ID", "ID", "Policy ID")
+    ).trim();
+    if (!id) continue;
+    const nm = String(
+      getBy(
+        r,
+        "PolicyLimitTypeName",
+        "PolicyLimitType",
+        "Policy Limit Type",
+        "Policy Limity Type",
+        "Type",
+        "Name"
+      )
+    ).trim();
+    if (nm) policyLimitTypeNameById[id] = nm;
+  }
+
+  const policyInfoById = {};
+  for (const r of policyRows) {
+    const pid = String(getBy(r, "PolicyID", "Policy Id", "ID")).trim();
+    if (!pid) continue;
+
+        const carrierId = String(getBy(r, "CarrierID", "Carrier Id")).trim();
+        let carrierGroupId = String(getBy(r, "CarrierGroupID", "Carrier Group ID")).trim();
+
+        // If Policy row lacks CarrierGroupID, try to get it from Carrier row
+        if (!carrierGroupId && carrierId && carrierRowById[carrierId]) {
+          carrierGroupId = String(getBy(carrierRowById[carrierId], "CarrierGroupID", "Carrier Group ID")).trim();
+        }
+
+        const carrierName =
+          String(getBy(r, "Carrier", "CarrierName", "Insurer", "Company")).trim() ||
+          (carrierId ? carrierNameById[carrierId] || "" : "");
+
+        let carrierGroupName =
+          String(getBy(r, "CarrierGroup", "Carrier Group", "CarrierGroupName")).trim();
+        if (!carrierGroupName && carrierGroupId) {
+          carrierGroupName = carrierGroupNameById[carrierGroupId] || "";
+        }
+
+        const policyNo = String(
+          getBy(r, "policy_no", "PolicyNo", "Policy Number", "PolicyNumber", "PolicyNum")
+        ).trim();
+        const insuranceProgramId = String(
+          getBy(r, "InsuranceProgramID", "Insurance Program ID")
+        ).trim();
+        const namedInsuredId = String(
+          getBy(r, "NamedInsuredID", "Named Insured ID")
+        ).trim();
+        const insuranceProgram =
+          String(getBy(r, "InsuranceProgram", "Program", "ProgramName")).trim() ||
+          (insuranceProgramId ? insuranceProgramNameById[insuranceProgramId] || "" : "");
+        const sirPerOcc = num(getBy(r, "SIRPerOcc", "SIR Per Occ", "SIR"));
+        const sirAggregate = num(getBy(r, "SIRAggregate", "SIR Aggregate"));
+
+        const cRow = carrierId ? carrierRowById[carrierId] : null;
+        const availability = classifyAvailability(r, cRow);
+        const solvencyEvents = carrierId ? solvencyEventsByCarrier[carrierId] : null;
+        // Dated solvency events win; the tblCarrier columns only describe carriers without them.
+        const columnsRow = solvencyEvents ? null : cRow;
+        const insolvencyDate = parseDateToUTC(
+          getBy(columnsRow, "InsolvencyDate", "Insolvency Date", "InsolventDate")
+        );
+        const recoveryRaw = String(getBy(columnsRow, "RecoveryPercent", "Recovery Percent", "RecoveryPct", "DividendPercent")).trim();
+        const recoveryStart = parseDateToUTC(getBy(columnsRow, "RecoveryEffectiveDate", "Recovery Effective Date", "RecoveryStartDate"));
+        const recoveryEnd = parseDateToUTC(getBy(columnsRow, "RecoveryEndDate", "Recovery End Date"));
+
+        policyInfoById[pid] = {
+          policy_no: policyNo,
+          carrierId,
+          carrier: carrierName || "(unknown carrier)",
+          carrierGroupId,
+          carrierGroup: carrierGroupName || "(unknown group)",
+          insuranceProgramId,
+          insuranceProgram: insuranceProgram || "(unknown program)",
+          namedInsuredId,
+          namedInsured: namedInsuredNameById[namedInsuredId] || (namedInsuredId ? `Named Insured ${namedInsuredId}` : "(unknown named insured)"),
+          sirPerOcc,
+          sirAggregate,
+          availability,
+          insolvencyMs: insolvencyDate ? insolvencyDate.getTime() : null,
+          recoveryPercent: recoveryRaw === "" ? null : num(recoveryRaw),
+          recoveryStartMs: recoveryStart ? recoveryStart.getTime() : null,
+          recoveryEndMs: recoveryEnd ? endOfDayMs(recoveryEnd) : null,
+          solvencyHistory: solvencyEvents ? buildSolvencyHistory(r, cRow, solvencyEvents) : null
+        };
+  }
+
+  const slices = [];
+  for (const r of limitsRows) {
+    const pid = String(getBy(r, "PolicyID", "Policy Id", "ID")).trim();
+    if (!pid) continue;
+
+    const dates = policyDateMap[pid];
+    if (!dates || !dates.start || !dates.end) continue;
+
+    const startDate = parseDateToUTC(dates.start);
+    const endDate = parseDateToUTC(dates.end);
+    const startYear = startDate ? startDate.getUTCFullYear() : yearOf(dates.start);
+    const endYear = endDate ? endDate.getUTCFullYear() : yearOf(dates.end);
+    if (!Number.isFinite(startYear) || !Number.isFinite(endYear)) continue;
+    const policyStartYear = Math.min(startYear, endYear);
+    const policyEndYear = Math.max(startYear, endYear);
+    const rawStartMs = startDate
+      ? startDate.getTime()
+      : startOfYearUTC(policyStartYear);
+    const rawEndMs = endDate
+      ? endDate.getTime() + (24 * 60 * 60 * 1000 - 1)
+      : endOfYearUTC(policyEndYear);
+    const policyStartMs = Math.min(rawStartMs, rawEndMs);
+    const policyEndMs = Math.max(rawStartMs, rawEndMs);
+
+    const attachRaw = firstPresentNum(
+      getBy(r, "Attachment Point", "AttachmentPoint", "attach", "Attatchment Point")
+    );
+
+    const sliceLimitRaw = firstPresentNum(
+      getBy(r, "LayerPerOccLimit", "Layer Per Occ Limit", "layerperocclim"),
+      getBy(r, "PerOccLimit", "Per Occ Limit", "perocclim")
+    );
+    const aggregateLimit = firstPresentNum(getBy(r, "AggregateLimit", "Aggregate Limit", "aggregatelim"));
+    // Out-of-range values are left undeclared here; Data Quality reports them.
+    const { percent: participationPercent } = parseParticipationPercent(
+      getBy(r, "ParticipationPercent", "Participation Percent", "ParticipationPct", "QuotaSharePercent")
+    );
+    const quotaShareGroupId = String(
+      getBy(r, "QuotaShareGroupID", "Quota Share Group ID", "QuotaShareGroup", "QuotaGroupID")
+    ).trim();
+    // Optional: limit rows of one policy that share a single limit across limit types.
+    const sharedLimitGroupId = String(
+      getBy(r, "SharedLimitGroupID", "Shared Limit Group ID", "SharedLimitGroup")
+    ).trim();
+
+    if (sliceLimitRaw <= 0) continue;
+
+    const attach = Math.round(attachRaw);
+    const policyLimitTypeId = String(
+      getBy(r, "PolicyLimitTypeID", "Policy Limit Type ID", "Policy Limit ID")
+    ).trim();
+    const policyLimitType = policyLimitTypeNameById[policyLimitTypeId] || policyLimitTypeId;
+
+    const info = policyInfoById[pid] || {
+      policy_no: "",
+      carrierId: "",
+      carrier: "(unknown carrier)",
+      carrierGroupId: "",
+      carrierGroup: "(unknown group)",
+      insuranceProgramId: "",
+      insuranceProgram: "(unknown program)",
+      namedInsuredId: "",
+      namedInsured: "(unknown named insured)",
+      sirPerOcc: 0,
+      sirAggregate: 0,
+      availability: "Available",
+      insolvencyMs: null,
+      recoveryPercent: null,
+      recoveryStartMs: null,
+      recoveryEndMs: null,
+      solvencyHistory: null
+    };
+
+    const baseSlice = {
+      policyStartYear,
+      policyEndYear,
+      policyStartMs,
+      policyEndMs,
+      attach,
+      PolicyID: pid,
+      policy_no: info.policy_no,
+      carrierId: info.carrierId,
+      carrier: info.carrier,
+      carrierGroupId: info.carrierGroupId,
+      carrierGroup: info.carrierGroup,
+      insuranceProgramId: info.insuranceProgramId,
+      insuranceProgram: info.insuranceProgram,
+      namedInsuredId: info.namedInsuredId,
+      namedInsured: info.namedInsured,
+      sirPerOcc: Number(info.sirPerOcc || 0),
+      sirAggregate: Number(info.sirAggregate || 0),
+      policyLimitTypeId,
+      policyLimitType,
+      // The policy's own layer limit; erosion is computed on it before prorating to a slice.
+      policyLayerLimit: sliceLimitRaw,
+      aggregateLimit,
+      participationPercent,
+      quotaShareGroupId,
+      sharedLimitGroupId,
+      carrierAvailability: info.availability,
+      availability: info.availability,
+      insolvencyMs: info.insolvencyMs,
+      recoveryPercent: info.recoveryPercent,
+      recoveryStartMs: info.recoveryStartMs,
+      recoveryEndMs: info.recoveryEndMs,
+      solvencyHistory: info.solvencyHistory
+    };
+
+    if (useYearAxis) {
+      // Emit one slice per covered calendar year.
+      // Keep full layer limit in each overlapped year so attachment stacks remain
+      // continuous (no artificial vertical gaps from limit-proration).
+      for (let y = policyStartYear; y <= policyEndYear; y++) {
+        const yStartMs = startOfYearUTC(y);
+        const yEndMs = endOfYearUTC(y);
+        const yNextStartMs = startOfNextYearUTC(y);
+        const overlapStart = Math.max(policyStartMs, yStartMs);
+        const overlapEnd = Math.min(policyEndMs, yEndMs);
+        if (overlapEnd < overlapStart) continue;
+        const overlapMs = overlapEnd - overlapStart + 1;
+        const yearSpanMs = yEndMs - yStartMs + 1;
+        const overlapEndExclusive = Math.min(overlapEnd + 1, yNextStartMs);
+        const xStartValue = msToYearAxisValue(overlapStart);
+        const xEndValue = msToYearAxisValue(overlapEndExclusive);
+        const xMidValue = (xStartValue + xEndValue) / 2;
+        if (!Number.isFinite(xStartValue) || !Number.isFinite(xEndValue) || !(xEndValue > xStartValue)) continue;
+
+        slices.push({
+          ...baseSlice,
+          sliceLimit: sliceLimitRaw,
+          yearOverlapStartMs: overlapStart,
+          yearOverlapEndMs: overlapEnd,
+          yearOverlapRatio: yearSpanMs > 0 ? overlapMs / yearSpanMs : 0,
+          xStartValue,
+          xEndValue,
+          xMidValue,
+          x: String(y),
+          year: y
+        });
+      }
+    } else {
+      slices.push({
+        ...baseSlice,
+        sliceLimit: sliceLimitRaw,
+        x: `${dates.start} to ${dates.end}`,
+        year: policyStartYear
+      });
+    }
+  }
+
+  let xLabels = [];
+  if (useYearAxis && Number.isFinite(minYear) && Number.isFinite(maxYear) && minYear <= maxYear) {
+    for (let y = minYear; y <= maxYear; y++) xLabels.push(String(y));
+  } else {
+    xLabels = [...new Set(slices.map((s) => s.x))].sort();
+  }
+
+  const nowMs = Date.now();
+  for (const s of slices) Object.assign(s, resolveCollectibility(s, nowMs));
+
+  return { slices, xLabels };
+}
+
+/* ================================
+   Quota-share detection
+================================ */
+
+export function quotaGroupKey(s) {
+  // Quota-share is scoped within the same program/layer/type (+ named insured)
+  // AND the same covered date span. This prevents sequential half-year policies
+  // in one calendar year from being mislabeled as quota share.
+  const program = String(s?.insuranceProgramId || s?.insuranceProgram || "").trim();
+  const year = Number.isFinite(s?.year) ? String(s.year) : String(s?.x || "").trim();
+  // Stacked (multi-program) slices keep their own attachment in programAttach.
+  const attach = String(s?.programAttach ?? s?.attach ?? "").trim();
+  const limitType = String(s?.policyLimitTypeId || "").trim();
+  const namedInsured = String(s?.namedInsuredId || "").trim();
+  // An explicit QuotaShareGroupID wins over the date-span match.
+  const groupId = String(s?.quotaShareGroupId || "").trim();
+  if (groupId) return `${program}||${year}||${attach}||${limitType}||${namedInsured}||group:${groupId}`;
+  const spanStart = Number.isFinite(Number(s?.yearOverlapStartMs))
+    ? Number(s.yearOverlapStartMs)
+    : Number(s?.policyStartMs || 0);
+  const spanEnd = Number.isFinite(Number(s?.yearOverlapEndMs))
+    ? Number(s.yearOverlapEndMs)
+    : Number(s?.policyEndMs || 0);
+  return `${program}||${year}||${attach}||${limitType}||${namedInsured}||${spanStart}||${spanEnd}`;
+}
+
+/**
+ * Layers declared through QuotaShareGroupID / ParticipationPercent are always quota share.
+ * Otherwise two or more policies at the same key count only when `inferFromOverlap` is set.
+ */
+function buildQuotaKeySet(slices, { inferFromOverlap = true } = {}) {
+  const byQuotaKey = new Map(); // quotaGroupKey -> { policies, explicit, partial }
+  for (const s of slices) {
+    const k = quotaGroupKey(s);
+    if (!byQuotaKey.has(k)) byQuotaKey.set(k, { policies: new Set(), explicit: false, partial: false });
+    const e = byQuotaKey.get(k);
+    e.policies.add(String(s.PolicyID));
+    const pct = s?.participationPercent;
+    if (s?.quotaShareGroupId || (pct !== null && pct !== undefined)) e.explicit = true;
+    if (pct !== null && pct !== undefined && Number(pct) < 100) e.partial = true;
+  }
+  const quotaKeySet = new Set();
+  for (const [k, e] of byQuotaKey.entries()) {
+    if (e.policies.size > 1 && (e.explicit || inferFromOverlap)) quotaKeySet.add(k);
+    else if (e.explicit && e.partial) quotaKeySet.add(k);
+  }
+  return quotaKeySet;
+}
+
+const PARTICIPATION_TOLERANCE = 0.5;
+
+/**
+ * Quota-share layers whose declared participation does not add up to 100%
+ * (or where only some participants declare a share). One entry per layer, across years.
+ */
+export function findQuotaShareIssues(slices = [], quotaKeySet = new Set()) {
+  const byLayer = new Map();
+  for (const s of slices) {
+    const key = quotaGroupKey(s);
+    if (!quotaKeySet.has(key)) continue;
+    if (!byLayer.has(key)) byLayer.set(key, new Map());
+    byLayer.get(key).set(String(s.PolicyID), s);
+  }
+
+  const issues = new Map();
+  for (const members of byLayer.values()) {
+    const parts = Array.from(members.values());
+    const declared = parts.filter((p) => p.participationPercent !== null && p.participationPercent !== undefined);
+    if (!declared.length) continue;
+    const totalPercent = declared.reduce((sum, p) => sum + Number(p.participationPercent || 0), 0);
+    const missing = parts.length - declared.length;
+    if (!missing && Math.abs(totalPercent - 100) <= PARTICIPATION_TOLERANCE) continue;
+
+    const first = parts[0];
+    const signature = [
+      parts.map((p) => p.PolicyID).sort().join(","),
+      first.policyLimitTypeId,
+      first.attach
+    ].join("||");
+    if (!issues.has(signature)) {
+      issues.set(signature, {
+        quotaShareGroupId: String(first.quotaShareGroupId || ""),
+        insuranceProgram: first.insuranceProgram || "",
+        namedInsured: first.namedInsured || "",
+        policyLimitType: first.policyLimitType || first.policyLimitTypeId || "",
+        attach: Number(first.attach || 0),
+        years: [],
+        totalPercent,
+        missingCount: missing,
+        participants: parts.map((p) => ({
+          PolicyID: p.PolicyID,
+          policy_no: p.policy_no,
+          carrier: p.carrier,
+          participationPercent: p.participationPercent ?? null
+        }))
+      });
+    }
+    const year = String(first.year ?? first.x ?? "");
+    const issue = issues.get(signature);
+    if (year && !issue.years.includes(year)) issue.years.push(year);
+  }
+  return Array.from(issues.values());
+}
+
+function hasExplicitQuotaShareEvidence({ limitsRows, policyRows }) {
+  const rowSets = [limitsRows || [], policyRows || []];
+  const keyHint = /(quota|share|coinsur|co-insur|participation|participat|percent|pct)/i;
+  const valueHint = /(quota|share|co-?insur)/i;
+  const explicitQuotaPhrase = /quota\s*share/i;
+
+  const looksLikeQuotaPercent = (v) => {
+    if (v === null || v === undefined) return false;
+    const s = String(v).trim();
+    if (!s) return false;
+    const n = Number(s.replace(/[^0-9.-]/g, ""));
+    if (!Number.isFinite(n)) return false;
+    return (n > 0 && n <= 1) || (n > 0 && n <= 100);
+  };
+
+  for (const rows of rowSets) {
+    if (!rows.length) continue;
+    for (const r of rows) {
+      if (!r || typeof r !== "object") continue;
+      for (const [k, v] of Object.entries(r)) {
+        const sv = String(v ?? "").trim();
+        // Accept explicit quota-share phrases in values regardless of column name
+        // (common when stored in fields like PolicyNotes).
+        if (sv && explicitQuotaPhrase.test(sv)) return true;
+
+        if (!keyHint.test(String(k || ""))) continue;
+        if (!sv) continue;
+        if (looksLikeQuotaPercent(sv) || valueHint.test(sv)) return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Join the raw source tables into chart slices plus the quota-share key set.
+ * Pure data step shared by the browser renderer and the server API.
+ */
+export function buildCoverageDataset({
+  limitsRows,
+  datesRows,
+  policyRows,
+  carrierRows,
+  carrierGroupRows,
+  insuranceProgramRows,
+  policyLimitTypeRows,
+  namedInsuredRows,
+  solvencyEventRows,
+  useYearAxis = true
+}) {
+  const built = buildSlices({
+    limitsRows: limitsRows || [],
+    datesRows: datesRows || [],
+    policyRows: policyRows || [],
+    carrierRows: carrierRows || [],
+    carrierGroupRows: carrierGroupRows || [],
+    insuranceProgramRows,
+    policyLimitTypeRows,
+    namedInsuredRows,
+    solvencyEventRows,
+    useYearAxis
+  });
+  const quotaKeySet = buildQuotaKeySet(built.slices, {
+    inferFromOverlap: hasExplicitQuotaShareEvidence({ limitsRows, policyRows })
+  });
+  return { slices: built.slices, xLabels: built.xLabels, quotaKeySet };
+}
+
+async function fetchDatasetJSON(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error("Failed to load dataset: " + url);
+  const payload = await res.json();
+  return {
+    slices: Array.isArray(payload?.slices) ? payload.slices : [],
+    xLabels: Array.isArray(payload?.xLabels) ? payload.xLabels.map(String) : [],
+    quotaKeySet: new Set(Array.isArray(payload?.quotaKeys) ? payload.quotaKeys : [])
+  };
+}
+
+function applyFiltersToCache() {
+  const { allSlices, allXLabels, useYearAxis, filters } = _cache;
+  const startYear = Number.isFinite(filters.startYear) ? filters.startYear : null;
+  const endYear = Number.isFinite(filters.endYear) ? filters.endYear : null;
+  const startDate = parseDateToUTC(filters.startDate);
+  const endDate = parseDateToUTC(filters.endDate);
+  const selectedPrograms = new Set(normalizeStringList(filters.insurancePrograms));
+  const selectedNamedInsureds = new Set(normalizeStringList(filters.namedInsureds));
+  const selectedPolicyLimitTypes = new Set(normalizeStringList(filters.policyLimitTypes));
+  let selectedPolicyLimitType = String(filters.policyLimitType || "").trim();
+  if (!selectedPolicyLimitType && !selectedPolicyLimitTypes.size) {
+    const availableTypes = Array.from(
+      new Set((allSlices || []).map((s) => String(s?.policyLimitType || "").trim()).filter(Boolean))
+    ).sort((a, b) => a.localeCompare(b));
+    const bodilyInjury =
+      availableTypes.find((t) => String(t || "").trim().toLowerCase() === "bodily injury") || "";
+    selectedPolicyLimitType = bodilyInjury || String(availableTypes[0] || "").trim();
+    filters.policyLimitType = selectedPolicyLimitType;
+  }
+
+  let filteredSlices = allSlices.slice();
+  if (useYearAxis && (startYear !== null || endYear !== null || startDate || endDate)) {
+    const filterStartMs = startDate
+      ? startDate.getTime()
+      : startYear !== null
+      ? startOfYearUTC(startYear)
+      : Number.NEGATIVE_INFINITY;
+    const filterEndMs = endDate
+      ? endDate.getTime() + (24 * 60 * 60 * 1000 - 1)
+      : endYear !== null
+      ? endOfYearUTC(endYear)
+      : Number.POSITIVE_INFINITY;
+    filteredSlices = filteredSlices.filter((s) => {
+      const policyStartMs = Number(s?.policyStartMs);
+      const policyEndMs = Number(s?.policyEndMs);
+      if (!Number.isFinite(policyStartMs) || !Number.isFinite(policyEndMs)) return false;
+      return policyStartMs <= filterEndMs && policyEndMs >= filterStartMs;
+    });
+  }
+
+  if (selectedPrograms.size) {
+    filteredSlices = filteredSlices.filter((s) => selectedPrograms.has(String(s?.insuranceProgram || "").trim()));
+  }
+
+  if (selectedNamedInsureds.size) {
+    filteredSlices = filteredSlices.filter((s) => selectedNamedInsureds.has(String(s?.namedInsured || "").trim()));
+  }
+
+  if (selectedPolicyLimitTypes.size) {
+    filteredSlices = filteredSlices.filter((s) => selectedPolicyLimitTypes.has(String(s?.policyLimitType || "").trim()));
+  } else if (selectedPolicyLimitType) {
+    filteredSlices = filteredSlices.filter(
+      (s) => String(s?.policyLimitType || "").trim() === selectedPolicyLimitType
+    );
+  }
+
+  let filteredXLabels = allXLabels.slice();
+  if (useYearAxis && filteredSlices.length > 0) {
+    const minSliceYear = Math.min(
+      ...filteredSlices
+        .map((s) => Number(s?.policyStartYear))
+        .filter((y) => Number.isFinite(y))
+    );
+    const maxSliceYear = Math.max(
+      ...filteredSlices
+        .map((s) => Number(s?.policyEndYear))
+        .filter((y) => Number.isFinite(y))
+    );
+    if (Number.isFinite(minSliceYear) && Number.isFinite(maxSliceYear) && minSliceYear <= maxSliceYear) {
+      filteredXLabels = [];
+      for (let y = minSliceYear; y <= maxSliceYear; y++) filteredXLabels.push(String(y));
+    } else if (startYear !== null || endYear !== null) {
+      filteredXLabels = [];
+    }
+  } else if (useYearAxis && (startYear !== null || endYear !== null || startDate || endDate)) {
+    filteredXLabels = [];
+  }
+
+  // Linked charts share one year axis: the lock replaces the data-driven range, which is kept
+  // so the page can work out the union across charts.
+  const labelYears = filteredXLabels.map(Number).filter(Number.isFinite);
+  _cache.dataYearRange = labelYears.length
+    ? { minYear: Math.min(...labelYears), maxYear: Math.max(...labelYears) }
+    : { minYear: null, maxYear: null };
+  const lock = _cache.yearAxisRange;
+  if (useYearAxis && lock) {
+    filteredXLabels = [];
+    for (let y = lock.minYear; y <= lock.maxYear; y++) filteredXLabels.push(String(y));
+  }
+
+  if (useYearAxis) filteredSlices = stackCombinedTowers(filteredSlices, filters);
+
+  const asOfMs = getAsOfMs();
+  if (Number.isFinite(asOfMs)) {
+    filteredSlices = filteredSlices.map((s) => ({ ...s, ...resolveCollectibility(s, asOfMs) }));
+  }
+
+  _cache.slices = filteredSlices;
+  _cache.xLabels = filteredXLabels;
+  _cache.coverageGaps = useYearAxis ? findCoverageGaps(filteredSlices, _cache.quotaKeySet) : [];
+  _cache.yearLimitTotals = null;
+}
+
+/* ================================
+   Combined towers (multi-program)
+================================ */
+
+const towerKeyOf = (s) => `${String(s?.insuranceProgram || "")}||${String(s?.namedInsured || "")}`;
+
+// "ABC Company", or "ABC Company / XYZ Company" when the chart spans several named insureds.
+function towerLabelOf(s, splitNamedInsureds = false) {
+  const program = String(s?.insuranceProgram || "(unknown program)");
+  const namedInsured = String(s?.namedInsured || "").trim();
+  return splitNamedInsureds && namedInsured ? `${program} / ${namedInsured}` : program;
+}
+
+/**
+ * Stack the towers of several programs / named insureds into one combined tower per year.
+ * Towers go bottom-up in the order the programs were selected; each one sits on the top
+ * of the towers below it in that year. `attach` becomes the stacked position, the slice's
+ * own attachment is kept as `programAttach` (quota keys and exports use that one).
+ */
+function stackCombinedTowers(slices, filters = {}) {
+  const programOrder = (filters.insurancePrograms || []).map((p) => String(p ?? "").trim());
+  const namedInsuredOrder = (filters.namedInsureds || []).map((n) => String(n ?? "").trim());
+  // Only an explicit pick of several programs / named insureds combines towers; the default
+  // "All programs" view keeps every policy at its own attachment.
+  if (new Set(programOrder).size < 2 && new Set(namedInsuredOrder).size < 2) return slices;
+
+  const towerKeys = [...new Set(slices.map(towerKeyOf))];
+  if (towerKeys.length < 2) return slices;
+  const rank = (order, value) => {
+    const i = order.indexOf(value);
+    return i < 0 ? order.length : i;
+  };
+  const keyRank = new Map(
+    towerKeys
+      .map((key) => {
+        const [program, namedInsured] = key.split("||");
+        return { key, program, namedInsured };
+      })
+      .sort(
+        (a, b) =>
+          rank(programOrder, a.program) - rank(programOrder, b.program) ||
+          a.program.localeCompare(b.program) ||
+          rank(namedInsuredOrder, a.namedInsured) - rank(namedInsuredOrder, b.namedInsured) ||
+          a.namedInsured.localeCompare(b.namedInsured)
+      )
+      .map((t, i) => [t.key, i])
+  );
+
+  // year -> towerKey -> tower top (own attachment + limit)
+  const topsByYear = new Map();
+  for (const s of slices) {
+    const year = Number(s?.year);
+    if (!topsByYear.has(year)) topsByYear.set(year, new Map());
+    const tops = topsByYear.get(year);
+    const key = towerKeyOf(s);
+    tops.set(key, Math.max(tops.get(key) || 0, Number(s?.attach || 0) + Number(s?.sliceLimit || 0)));
+  }
+
+  const offsetsByYear = new Map();
+  for (const [year, tops] of topsByYear.entries()) {
+    const offsets = new Map();
+    let base = 0;
+    for (const key of [...tops.keys()].sort((a, b) => keyRank.get(a) - keyRank.get(b))) {
+      offsets.set(key, base);
+      base += tops.get(key);
+    }
+    offsetsByYear.set(year, offsets);
+  }
+
+  return slices.map((s) => {
+    const stackOffset = offsetsByYear.get(Number(s?.year))?.get(towerKeyOf(s)) || 0;
+    const programAttach = Number(s?.attach || 0);
+    return { ...s, programAttach, stackOffset, attach: programAttach + stackOffset };
+  });
+}
+
+function describePolicyLimitTypes(f) {
+  return normalizeStringList(f.policyLimitTypes).join(", ") || String(f.policyLimitType || "").trim();
+}
+
+function normalizeStringList(values) {
+  if (!Array.isArray(values)) return [];
+  return [...new Set(values.map((v) => String(v ?? "").trim()).filter(Boolean))].sort((a, b) =>
+    a.localeCompare(b)
+  );
+}
+
+function getSelectionSets() {
+  const carriers = new Set(normalizeStringList(_cache.filters?.carriers));
+  const carrierGroups = new Set(normalizeStringList(_cache.filters?.carrierGroups));
+  return { carriers, carrierGroups, active: carriers.size > 0 || carrierGroups.size > 0 };
+}
+
+function sliceMatchesSelection(slice, selection) {
+  if (!selection?.active) return true;
+  const carrierOk = selection.carriers.size === 0 || selection.carriers.has(String(slice?.carrier || ""));
+  const groupOk =
+    selection.carrierGroups.size === 0 || selection.carrierGroups.has(String(slice?.carrierGroup || ""));
+  return carrierOk && groupOk;
+}
+
+
+function getChartSurfaceWidthPx() {
+  const viewport = _cache.dom?.viewport;
+  const labels = Array.isArray(_cache.xLabels) ? _cache.xLabels.length : 0;
+  const baseViewportWidth = Math.max(320, viewport?.clientWidth || 0);
+  const pxPerLabel = Math.max(20, 20 * (_cache.xZoom || 1));
+  const target = Math.max(baseViewportWidth, labels * pxPerLabel + 80);
+  return Math.round(target);
+}
+
+function syncChartViewportWidth({ anchorClientX } = {}) {
+  const surface = _cache.dom?.surface;
+  const viewport = _cache.dom?.viewport;
+  if (!surface || !viewport) return;
+
+  const prevWidth = surface.getBoundingClientRect().width || surface.clientWidth || 1;
+  const nextWidth = getChartSurfaceWidthPx();
+  const prevScrollLeft = viewport.scrollLeft;
+
+  let anchorRatio = null;
+  if (Number.isFinite(anchorClientX)) {
+    const rect = viewport.getBoundingClientRect();
+    const xInViewport = anchorClientX - rect.left;
+    anchorRatio = (prevScrollLeft + xInViewport) / prevWidth;
+  }
+
+  surface.style.width = `${nextWidth}px`;
+
+  if (anchorRatio !== null) {
+    const rect = viewport.getBoundingClientRect();
+    const xInViewport = anchorClientX - rect.left;
+    const nextScroll = anchorRatio * nextWidth - xInViewport;
+    viewport.scrollLeft = clamp(nextScroll, 0, Math.max(0, nextWidth - viewport.clientWidth));
+  } else if (nextWidth <= viewport.clientWidth) {
+    viewport.scrollLeft = 0;
+  } else {
+    viewport.scrollLeft = clamp(prevScrollLeft, 0, Math.max(0, nextWidth - viewport.clientWidth));
+  }
+}
+
+function bindViewportInteractions() {
+  const viewport = _cache.dom?.viewport;
+  const canvas = _cache.dom?.canvas;
+  if (!viewport || !canvas || _cache._wheelBound) return;
+
+  const onWheel = (e) => {
+    // Shift + wheel: horizontal scroll.
+    if (e.shiftKey && Math.abs(e.deltaY) >= Math.abs(e.deltaX)) {
+      e.preventDefault();
+      viewport.scrollLeft += e.deltaY;
+      return;
+    }
+
+    // Default wheel: zoom x-axis around cursor.
+    e.preventDefault();
+    const delta = Math.abs(e.deltaY) > 0 ? e.deltaY : e.deltaX;
+    const factor = Math.exp(-delta * 0.0015);
+    _cache.xZoom = clamp((_cache.xZoom || 1) * factor, 0.45, 4);
+    syncChartViewportWidth({ anchorClientX: e.clientX });
+  };
+
+  // Bind to both container and canvas for browser consistency.
+  viewport.addEventListener("wheel", onWheel, { passive: false });
+  canvas.addEventListener("wheel", onWheel, { passive: false });
+
+  _cache._wheelBound = true;
+}
+
+function rebuildChart() {
+  if (!chart || !_cache.options) return;
+
+  const { barThickness, categorySpacing } = _cache.options;
+
+  chart.data.labels = _cache.xLabels;
+  const barDatasets = buildDatasetsForView({
+    slices: _cache.slices,
+    xLabels: _cache.xLabels,
+    view: currentView,
+    barThickness,
+    categorySpacing,
+    quotaKeySet: _cache.quotaKeySet
+  });
+  const sirDataset = buildSirDataset({
+    slices: _cache.slices,
+    xLabels: _cache.xLabels,
+    sirMode: _cache.filters?.sirMode
+  });
+  chart.data.datasets = sirDataset ? [...barDatasets, sirDataset] : barDatasets;
+  recomputeAllSums(barDatasets);
+
+  const y = chart.options?.scales?.y;
+  if (y) {
+    y.min = Number.isFinite(_cache.filters.zoomMin) ? _cache.filters.zoomMin : undefined;
+    y.max = Number.isFinite(_cache.filters.zoomMax) ? _cache.filters.zoomMax : undefined;
+  }
+  const x = chart.options?.scales?.x;
+  if (x && _cache.useYearAxis && x.type === "linear") {
+    const bounds = getYearAxisBounds(_cache.xLabels);
+    x.min = bounds.min;
+    x.max = bounds.max;
+  }
+  if (chart.options?.plugins?.legend?.title) {
+    chart.options.plugins.legend.title.text = legendTitleForView(currentView);
+  }
+
+  applyResponsiveChartSettings("none");
+  syncChartViewportWidth();
+}
+
+function applyChartTheme(themeName = getThemeName()) {
+  if (!chart) return;
+  const c = getChartThemeColors(themeName);
+  chart.options.plugins.outlineBars.color = c.outline;
+  chart.options.plugins.legend.labels.color = c.legendText;
+  chart.options.plugins.legend.title.color = c.legendText;
+  chart.options.scales.x.grid.color = c.xGrid;
+  chart.options.scales.x.ticks.color = c.axisTicks;
+  chart.options.scales.x.title.color = c.yTitle;
+  chart.options.scales.y.grid.color = c.yGrid;
+  chart.options.scales.y.ticks.color = c.axisTicks;
+  chart.options.scales.y.title.color = c.yTitle;
+  const sirDs = chart.data.datasets?.find((ds) => ds?.datasetId === "sirOverlay");
+  if (sirDs) {
+    const sirColor = _cache.filters?.sirMode === "aggregate" ? "#f97316" : "#facc15";
+    sirDs.borderColor = sirColor;
+    sirDs.pointBackgroundColor = sirColor;
+    sirDs.pointBorderColor = sirColor;
+  }
+  applyResponsiveChartSettings("none");
+}
+
+/* ================================
+   View aggregation -> datasets
+================================ */
+
+function buildDatasetsForView({ slices, xLabels, view, barThickness, categorySpacing, quotaKeySet }) {
+  const qaKey = (s) => quotaGroupKey(s);
+  const isQuotaSlice = (s) => quotaKeySet && quotaKeySet.has(qaKey(s));
+  const isUnavailable = (s) => String(s?.availability || "").toLowerCase().includes("unavail");
+  const selection = getSelectionSets();
+  const usingYearAxis = !!_cache.useYearAxis;
+  const annualized = !!_cache.filters?.annualized;
+  const legendSelection = getLegendSelectionSet(view);
+  const erosionIndex = getErosionIndex();
+  const erosionOf = (s) => {
+    const e = erosionIndex.get(erosionKey(s?.PolicyID, s?.policyLimitTypeId));
+    return erodeSlice({
+      sliceLimit: s?.sliceLimit,
+      layerLimit: s?.policyLayerLimit,
+      aggregateLimit: s?.aggregateLimit,
+      paid: e?.paid
+    });
+  };
+
+  const splitNamedInsureds = new Set(slices.map((s) => String(s?.namedInsured || ""))).size > 1;
+  const keyOf = (s) => {
+    // Remaining-limits view groups by erosion status as of the selected date.
+    if (view === "remaining") return erosionOf(s).status;
+    // Program view: one legend entry per tower of a combined (multi-program) chart.
+    if (view === "program") return towerLabelOf(s, splitNamedInsureds);
+    if (view === "namedInsured") return s.namedInsured || "(unknown named insured)";
+    if (view === "carrier" || view === "carrierGroup") {
+      // Keep quota-share rollup for both carrier and carrier-group views so
+      // concurrent quota participants do not overdraw each other.
+      if (isQuotaSlice(s)) return "Quota share";
+      // Non-quota unavailable slices are still collapsed into one dataset.
+      if (isUnavailable(s)) return "Unavailable";
+      return view === "carrier" ? (s.carrier || "(unknown carrier)") : (s.carrierGroup || "(unknown group)");
+    }
+    // For non-carrier views, keep unavailable layers grouped.
+    if (isUnavailable(s)) return "Unavailable";
+    return s.availability || "Available";
+  };
+
+  // Carrier -> CarrierGroup mapping for coloring (only for non-quota datasets)
+  const carrierToGroup = {};
+  if (view === "carrier") {
+    for (const s of slices) {
+      const c = s.carrier || "(unknown carrier)";
+      if (!carrierToGroup[c]) carrierToGroup[c] = s.carrierGroup || "(unknown group)";
+    }
+  }
+
+  const layerMap = new Map(); // Non-quota: one layer per policy. Quota-share: grouped by quota key.
+  const groups = new Set();
+
+  if (usingYearAxis) {
+    const bucketMap = new Map();
+    for (const s of slices) {
+      const group = keyOf(s);
+      groups.add(group);
+
+      const sliceQuotaKey = qaKey(s);
+      const xStartValue = Number(s?.xStartValue);
+      const xEndValue = Number(s?.xEndValue);
+      if (!Number.isFinite(xStartValue) || !Number.isFinite(xEndValue) || !(xEndValue > xStartValue)) continue;
+      const xMidValue = (xStartValue + xEndValue) / 2;
+      const yearLabel = yearLabelFromAxisValue(xMidValue);
+      const quotaGroupKey =
+        (view === "carrier" || view === "carrierGroup") && isQuotaSlice(s)
+          ? sliceQuotaKey
+          : "";
+      // Year-mode day-accurate bucket: (group, attachment, quotaGroupKey).
+      const k = `${group}||${s.attach}||${quotaGroupKey}`;
+      if (!bucketMap.has(k)) {
+        bucketMap.set(k, {
+          group,
+          attach: Number(s?.attach || 0),
+          quotaGroupKey,
+          slices: []
+        });
+      }
+
+      bucketMap.get(k).slices.push({
+        source: s,
+        sliceQuotaKey,
+        limit: Number(s?.sliceLimit || 0),
+        xStartValue,
+        xEndValue
+      });
+    }
+
+    for (const bucket of bucketMap.values()) {
+      const bounds = Array.from(
+        new Set(
+          bucket.slices.flatMap((row) => [Number(row?.xStartValue), Number(row?.xEndValue)])
+        )
+      )
+        .filter((v) => Number.isFinite(v))
+        .sort((a, b) => a - b);
+
+      const rawSegments = [];
+      for (let i = 0; i < bounds.length - 1; i++) {
+        const segStart = bounds[i];
+        const segEnd = bounds[i + 1];
+        if (!Number.isFinite(segStart) || !Number.isFinite(segEnd) || !(segEnd > segStart)) continue;
+
+        const activeRows = bucket.slices.filter((row) => {
+          const xs = Number(row?.xStartValue);
+          const xe = Number(row?.xEndValue);
+          return Number.isFinite(xs) && Number.isFinite(xe) && xs < segEnd && xe > segStart;
+        });
+        if (!activeRows.length) continue;
+
+        const participants = [];
+        let segLimit = 0;
+        let hasSelectionMatch = false;
+
+        for (const row of activeRows) {
+          const limit = Number(row?.limit || 0);
+          if (!Number.isFinite(limit) || limit <= 0) continue;
+          segLimit += limit;
+          const src = row?.source || {};
+          if (sliceMatchesSelection(src, selection)) hasSelectionMatch = true;
+          const erosion = erosionOf(src);
+          const collectiblePercent = Number(src?.collectiblePercent ?? 100);
+          participants.push({
+            pid: src?.PolicyID,
+            carrier: src?.carrier,
+            carrierGroup: src?.carrierGroup,
+            insuranceProgram: src?.insuranceProgram,
+            namedInsured: src?.namedInsured,
+            stackOffset: Number(src?.stackOffset || 0),
+            availability: src?.availability,
+            insolventSinceMs: src?.insolventSinceMs ?? null,
+            estateName: src?.estateName || "",
+            policy_no: src?.policy_no,
+            policyLimitType: String(src?.policyLimitType || src?.policyLimitTypeId || ""),
+            policyStartMs: Number(src?.policyStartMs || 0),
+            policyEndMs: Number(src?.policyEndMs || 0),
+            segmentStartMs: Number(src?.yearOverlapStartMs || src?.policyStartMs || 0),
+            segmentEndMs: Number(src?.yearOverlapEndMs || src?.policyEndMs || 0),
+            sliceLimit: limit,
+            xStartValue: segStart,
+            xEndValue: segEnd,
+            sirPerOcc: Number(src?.sirPerOcc || 0),
+            sirAggregate: Number(src?.sirAggregate || 0),
+            policyLimitTypeId: String(src?.policyLimitTypeId || ""),
+            aggregateLimit: Number(src?.aggregateLimit || 0),
+            paidToDate: erosion.paidToDate,
+            remainingLimit: Math.min(limit, erosion.remaining),
+            collectiblePercent,
+            collectibleLimit: limit * (collectiblePercent / 100),
+            participationPercent: src?.participationPercent ?? null,
+            quotaGroupKey: bucket.quotaGroupKey ? row?.sliceQuotaKey : ""
+          });
+        }
+        if (!(segLimit > 0)) continue;
+
+        const signature = participants
+          .map((p) => `${String(p?.pid || "")}||${Number(p?.sliceLimit || 0)}||${String(p?.quotaGroupKey || "")}`)
+          .sort()
+          .join("##");
+        rawSegments.push({
+          segStart,
+          segEnd,
+          segLimit,
+          participants,
+          hasSelectionMatch,
+          signature
+        });
+      }
+
+      const finalSegments = [];
+      if (annualized) {
+        for (const seg of rawSegments) finalSegments.push({ ...seg });
+      } else {
+        // Merge adjacent segments when the active participant set is unchanged.
+        const eps = 1e-9;
+        for (const seg of rawSegments) {
+          const prev = finalSegments[finalSegments.length - 1];
+          if (
+            prev &&
+            Math.abs(Number(prev.segEnd) - Number(seg.segStart)) < eps &&
+            prev.signature === seg.signature &&
+            Math.abs(Number(prev.segLimit) - Number(seg.segLimit)) < eps
+          ) {
+            prev.segEnd = seg.segEnd;
+            prev.hasSelectionMatch = prev.hasSelectionMatch || seg.hasSelectionMatch;
+          } else {
+            finalSegments.push({ ...seg });
+          }
+        }
+      }
+
+      for (const seg of finalSegments) {
+        const segMid = (Number(seg.segStart) + Number(seg.segEnd)) / 2;
+        const yearLabel = yearLabelFromAxisValue(segMid);
+        const layerKey = `${bucket.group}||${bucket.attach}||${Number(seg.segStart).toFixed(9)}||${Number(seg.segEnd).toFixed(9)}||${bucket.quotaGroupKey}`;
+        layerMap.set(layerKey, {
+          group: bucket.group,
+          x: yearLabel,
+          yearLabel,
+          xStartValue: Number(seg.segStart),
+          xEndValue: Number(seg.segEnd),
+          xMidValue: segMid,
+          attach: bucket.attach,
+          quotaGroupKey: bucket.quotaGroupKey,
+          sumLimit: Number(seg.segLimit),
+          participants: seg.participants,
+          hasSelectionMatch: !!seg.hasSelectionMatch
+        });
+      }
+    }
+
+    /*
+      Legacy event-based aggregation retained for reference:
+      The boundary-segmentation above provides exact day-level rendering by
+      attachment and avoids year-bucket overcounting.
+    */
+    /*
+    for (const bucket of bucketMap.values()) {
+      const events = [];
+      for (const row of bucket.slices) {
+        const lim = Number(row.limit || 0);
+        if (!Number.isFinite(lim) || lim <= 0) continue;
+        const startMs = Number(row.overlapStartMs);
+        const endMs = Number(row.overlapEndMs);
+        if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) continue;
+        const lo = Math.min(startMs, endMs);
+        const hi = Math.max(startMs, endMs);
+        const endExclusive = hi + 1;
+        const token = `${String(row.source?.PolicyID || "")}||${lo}||${hi}||${lim}`;
+        events.push({ t: lo, delta: +lim, token, row });
+        events.push({ t: endExclusive, delta: -lim, token, row });
+      }
+      if (!events.length) continue;
+
+      // At equal timestamps process removals before adds so adjacent periods
+      // do not count as concurrent overlap.
+      events.sort((a, b) => (a.t - b.t) || (a.delta - b.delta));
+
+      let running = 0;
+      let maxRunning = 0;
+      const active = new Map();
+      let peakParticipants = [];
+      let hasSelectionMatch = false;
+
+      for (const ev of events) {
+        if (ev.delta < 0) {
+          const existing = active.get(ev.token);
+          if (existing) {
+            running = Math.max(0, running - Number(existing?.sliceLimit || 0));
+            active.delete(ev.token);
+          }
+        } else {
+          const p = {
+            pid: ev.row.source?.PolicyID,
+            carrier: ev.row.source?.carrier,
+            carrierGroup: ev.row.source?.carrierGroup,
+            availability: ev.row.source?.availability,
+            insolventSinceMs: ev.row.source?.insolventSinceMs ?? null,
+            estateName: ev.row.source?.estateName || "",
+            policy_no: ev.row.source?.policy_no,
+            policyStartMs: Number(ev.row.source?.policyStartMs || 0),
+            policyEndMs: Number(ev.row.source?.policyEndMs || 0),
+            sliceLimit: Number(ev.row.limit || 0),
+            xStartValue: Number(bucket.xStartValue),
+            xEndValue: Number(bucket.xEndValue),
+            sirPerOcc: Number(ev.row.source?.sirPerOcc || 0),
+            sirAggregate: Number(ev.row.source?.sirAggregate || 0),
+            quotaGroupKey: ev.row.sliceQuotaKey
+          };
+          active.set(ev.token, p);
+          running += p.sliceLimit;
+        }
+
+        if (running > maxRunning) {
+          maxRunning = running;
+          peakParticipants = Array.from(active.values());
+          hasSelectionMatch = peakParticipants.some((p) =>
+            sliceMatchesSelection(
+              { carrier: p.carrier, carrierGroup: p.carrierGroup },
+              selection
+            )
+          );
+        }
+      }
+
+      if (!(maxRunning > 0)) continue;
+      layerMap.set(`${bucket.group}||${bucket.yearLabel}||${bucket.attach}||${bucket.quotaGroupKey}`, {
+        group: bucket.group,
+        x: bucket.x,
+        yearLabel: bucket.yearLabel,
+        xStartValue: bucket.xStartValue,
+        xEndValue: bucket.xEndValue,
+        xMidValue: bucket.xMidValue,
+        attach: bucket.attach,
+        quotaGroupKey: bucket.quotaGroupKey,
+        sumLimit: maxRunning,
+        participants: peakParticipants,
+        hasSelectionMatch
+      });
+    }
+    */
+  } else {
+    for (const s of slices) {
+      const group = keyOf(s);
+      groups.add(group);
+
+      const sliceQuotaKey = qaKey(s);
+      const quotaGroupKey =
+        (view === "carrier" || view === "carrierGroup") && isQuotaSlice(s)
+          ? sliceQuotaKey
+          : "";
+      const k = `${group}||${s.x}||${s.attach}||${quotaGroupKey}`;
+      if (!layerMap.has(k)) {
+        layerMap.set(k, {
+          group,
+          x: s.x,
+          yearLabel: String(s?.x ?? ""),
+          xStartValue: null,
+          xEndValue: null,
+          xMidValue: null,
+          attach: s.attach,
+          quotaGroupKey,
+          sumLimit: 0,
+          participants: [],
+          hasSelectionMatch: false
+        });
+      }
+
+      const e = layerMap.get(k);
+      e.sumLimit += Number(s?.sliceLimit || 0);
+      if (sliceMatchesSelection(s, selection)) e.hasSelectionMatch = true;
+      const erosion = erosionOf(s);
+      e.participants.push({
+        pid: s.PolicyID,
+        carrier: s.carrier,
+        carrierGroup: s.carrierGroup,
+        insuranceProgram: s.insuranceProgram,
+        namedInsured: s.namedInsured,
+        availability: s.availability,
+        insolventSinceMs: s.insolventSinceMs ?? null,
+        estateName: s.estateName || "",
+        policy_no: s.policy_no,
+        policyLimitType: String(s?.policyLimitType || s?.policyLimitTypeId || ""),
+        policyStartMs: Number(s.policyStartMs || 0),
+        policyEndMs: Number(s.policyEndMs || 0),
+        sliceLimit: Number(s?.sliceLimit || 0),
+        xStartValue: null,
+        xEndValue: null,
+        sirPerOcc: Number(s.sirPerOcc || 0),
+        sirAggregate: Number(s.sirAggregate || 0),
+        policyLimitTypeId: String(s?.policyLimitTypeId || ""),
+        aggregateLimit: Number(s?.aggregateLimit || 0),
+        paidToDate: erosion.paidToDate,
+        remainingLimit: erosion.remaining,
+        collectiblePercent: Number(s?.collectiblePercent ?? 100),
+        collectibleLimit: collectibleLimit(s),
+        participationPercent: s?.participationPercent ?? null,
+        quotaGroupKey: sliceQuotaKey
+      });
+    }
+  }
+
+  const groupList = Array.from(groups);
+  if (view === "remaining") {
+    const order = ["Intact", "Partially Eroded", "Exhausted"];
+    groupList.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  } else if (view === "availability") {
+    groupList.sort((a, b) => {
+      const order = (v) => {
+        const s = String(v).toLowerCase();
+        if (s.includes("unavail")) return 2;
+        return s.includes("partial") ? 1 : 0;
+      };
+      return order(a) - order(b);
+    });
+  } else if (view === "carrier" || view === "carrierGroup") {
+    groupList.sort((a, b) => {
+      if (a === "Quota share" && b !== "Quota share") return -1;
+      if (b === "Quota share" && a !== "Quota share") return 1;
+      return String(a).localeCompare(String(b));
+    });
+  } else {
+    groupList.sort((a, b) => String(a).localeCompare(String(b)));
+  }
+
+  const labelIndex = new Map(xLabels.map((lbl, i) => [lbl, i]));
+
+  const requestedBarThickness = Number(barThickness);
+  const useFlexBarWidth = !Number.isFinite(requestedBarThickness);
+  // Chart.js can produce NaN bar widths for floating + non-grouped bars when using
+  // `barThickness: "flex"` (especially after responsive width changes).
+  // Use a stable numeric fallback instead and size it to the visible category slot.
+  const liveXScaleWidth = Number(chart?.scales?.x?.width);
+  const approxSurfaceWidth = getChartSurfaceWidthPx();
+  const approxPlotWidth = Math.max(120, approxSurfaceWidth - 360);
+  const slotWidth = xLabels.length
+    ? (Number.isFinite(liveXScaleWidth) ? liveXScaleWidth / xLabels.length : approxPlotWidth / xLabels.length)
+    : 20;
+  // Fill the category slot so columns touch, while avoiding overflow from rounding.
+  const autoBarThickness = Math.max(8, Math.floor(slotWidth));
+  const barThicknessPx = useFlexBarWidth ? autoBarThickness : requestedBarThickness;
+  const quotaGradientForCarrierView = (context, pointRaw) => {
+    const hideUnavailable = isUnavailableLegendHidden(context?.chart);
+    const parts = (Array.isArray(pointRaw?.participants) ? pointRaw.participants : [])
+      .filter((p) => !hideUnavailable || !String(p?.availability || "").toLowerCase().includes("unavail"));
+    const weightedParts = parts
+      .map((p) => ({
+        limit: Number(p?.sliceLimit || 0),
+        color: String(p?.availability || "").toLowerCase().includes("unavail")
+          ? "#94a3b8"
+          : colorFromString(p?.carrier || "Quota share")
+      }))
+      .filter((p) => Number.isFinite(p.limit) && p.limit > 0);
+    if (!weightedParts.length) return colorFromString("Quota share");
+
+    const total = weightedParts.reduce((sum, p) => sum + p.limit, 0);
+    if (!Number.isFinite(total) || total <= 0) return weightedParts[0].color;
+
+    const chartInstance = context?.chart;
+    const yScale = chartInstance?.scales?.y;
+    const canvasCtx = chartInstance?.ctx;
+    if (!yScale || !canvasCtx) return weightedParts[0].color;
+
+    const top = Number(pointRaw?.top || 0);
+    const attach = Number(pointRaw?.attach || 0);
+    const yTop = yScale.getPixelForValue(top);
+    const yBottom = yScale.getPixelForValue(attach);
+    if (!Number.isFinite(yTop) || !Number.isFinite(yBottom)) return weightedParts[0].color;
+    if (yTop === yBottom) return weightedParts[0].color;
+    const gradient = canvasCtx.createLinearGradient(0, yBottom, 0, yTop);
+
+    let running = 0;
+    for (const p of weightedParts) {
+      const start = clamp(running / total, 0, 1);
+      running += p.limit;
+      const end = clamp(running / total, 0, 1);
+      gradient.addColorStop(start, p.color);
+      gradient.addColorStop(end, p.color);
+    }
+
+    return gradient;
+  };
+  const quotaGradientForCarrierGroupView = (context, pointRaw) => {
+    const hideUnavailable = isUnavailableLegendHidden(context?.chart);
+    const parts = (Array.isArray(pointRaw?.participants) ? pointRaw.participants : [])
+      .filter((p) => !hideUnavailable || !String(p?.availability || "").toLowerCase().includes("unavail"));
+    const weightedParts = parts
+      .map((p) => ({
+        limit: Number(p?.sliceLimit || 0),
+        color: String(p?.availability || "").toLowerCase().includes("unavail")
+          ? "#94a3b8"
+          : colorFromString(p?.carrierGroup || "Quota share")
+      }))
+      .filter((p) => Number.isFinite(p.limit) && p.limit > 0);
+    if (!weightedParts.length) return colorFromString(String(pointRaw?.group || "Quota share"));
+
+    const total = weightedParts.reduce((sum, p) => sum + p.limit, 0);
+    if (!Number.isFinite(total) || total <= 0) return weightedParts[0].color;
+
+    const chartInstance = context?.chart;
+    const yScale = chartInstance?.scales?.y;
+    const canvasCtx = chartInstance?.ctx;
+    if (!yScale || !canvasCtx) return weightedParts[0].color;
+
+    const top = Number(pointRaw?.top || 0);
+    const attach = Number(pointRaw?.attach || 0);
+    const yTop = yScale.getPixelForValue(top);
+    const yBottom = yScale.getPixelForValue(attach);
+    if (!Number.isFinite(yTop) || !Number.isFinite(yBottom)) return weightedParts[0].color;
+    if (yTop === yBottom) return weightedParts[0].color;
+    const gradient = canvasCtx.createLinearGradient(0, yBottom, 0, yTop);
+
+    let running = 0;
+    for (const p of weightedParts) {
+      const start = clamp(running / total, 0, 1);
+      running += p.limit;
+      const end = clamp(running / total, 0, 1);
+      gradient.addColorStop(start, p.color);
+      gradient.addColorStop(end, p.color);
+    }
+
+    return gradient;
+  };
+  const quotaGradientForCarrierViewWithOpacity = (context, pointRaw, opacity = 1) => {
+    const hideUnavailable = isUnavailableLegendHidden(context?.chart);
+    const hasLegendSelection = legendSelection.size > 0;
+    const applyParticipantIsolation = hasLegendSelection && opacity >= 0.999;
+    if (!applyParticipantIsolation && !(opacity < 1)) {
+      return quotaGradientForCarrierView(context, pointRaw);
+    }
+    const parts = (Array.isArray(pointRaw?.participants) ? pointRaw.participants : [])
+      .filter((p) => !hideUnavailable || !String(p?.availability || "").toLowerCase().includes("unavail"));
+    const weightedParts = parts
+      .map((p) => ({
+        limit: Number(p?.sliceLimit || 0),
+        color: colorWithAlpha(
+          String(p?.availability || "").toLowerCase().includes("unavail")
+            ? "#94a3b8"
+            : colorFromString(p?.carrier || "Quota share"),
+          opacity * (
+            applyParticipantIsolation
+              ? (legendSelection.has(normalizeLegendValue(p?.carrier)) ? 1 : 0.2)
+              : 1
+          )
+        )
+      }))
+      .filter((p) => Number.isFinite(p.limit) && p.limit > 0);
+    if (!weightedParts.length) return colorWithAlpha(colorFromString("Quota share"), opacity);
+    const total = weightedParts.reduce((sum, p) => sum + p.limit, 0);
+    if (!Number.isFinite(total) || total <= 0) return weightedParts[0].color;
+    const chartInstance = context?.chart;
+    const yScale = chartInstance?.scales?.y;
+    const canvasCtx = chartInstance?.ctx;
+    if (!yScale || !canvasCtx) return weightedParts[0].color;
+    const top = Number(pointRaw?.top || 0);
+    const attach = Number(pointRaw?.attach || 0);
+    const yTop = yScale.getPixelForValue(top);
+    const yBottom = yScale.getPixelForValue(attach);
+    if (!Number.isFinite(yTop) || !Number.isFinite(yBottom) || yTop === yBottom) return weightedParts[0].color;
+    const gradient = canvasCtx.createLinearGradient(0, yBottom, 0, yTop);
+    let running = 0;
+    for (const p of weightedParts) {
+      const start = clamp(running / total, 0, 1);
+      running += p.limit;
+      const end = clamp(running / total, 0, 1);
+      gradient.addColorStop(start, p.color);
+      gradient.addColorStop(end, p.color);
+    }
+    return gradient;
+  };
+  const quotaGradientForCarrierGroupViewWithOpacity = (context, pointRaw, opacity = 1) => {
+    const hideUnavailable = isUnavailableLegendHidden(context?.chart);
+    const hasLegendSelection = legendSelection.size > 0;
+    const applyParticipantIsolation = hasLegendSelection && opacity >= 0.999;
+    if (!applyParticipantIsolation && !(opacity < 1)) {
+      return quotaGradientForCarrierGroupView(context, pointRaw);
+    }
+    const parts = (Array.isArray(pointRaw?.participants) ? pointRaw.participants : [])
+      .filter((p) => !hideUnavailable || !String(p?.availability || "").toLowerCase().includes("unavail"));
+    const weightedParts = parts
+      .map((p) => ({
+        limit: Number(p?.sliceLimit || 0),
+        color: colorWithAlpha(
+          String(p?.availability || "").toLowerCase().includes("unavail")
+            ? "#94a3b8"
+            : colorFromString(p?.carrierGroup || "Quota share"),
+          opacity * (
+            applyParticipantIsolation
+              ? (legendSelection.has(normalizeLegendValue(p?.carrierGroup)) ? 1 : 0.2)
+              : 1
+          )
+        )
+      }))
+      .filter((p) => Number.isFinite(p.limit) && p.limit > 0);
+    if (!weightedParts.length) return colorWithAlpha(colorFromString(String(pointRaw?.group || "Quota share")), opacity);
+    const total = weightedParts.reduce((sum, p) => sum + p.limit, 0);
+    if (!Number.isFinite(total) || total <= 0) return weightedParts[0].color;
+    const chartInstance = context?.chart;
+    const yScale = chartInstance?.scales?.y;
+    const canvasCtx = chartInstance?.ctx;
+    if (!yScale || !canvasCtx) return weightedParts[0].color;
+    const top = Number(pointRaw?.top || 0);
+    const attach = Number(pointRaw?.attach || 0);
+    const yTop = yScale.getPixelForValue(top);
+    const yBottom = yScale.getPixelForValue(attach);
+    if (!Number.isFinite(yTop) || !Number.isFinite(yBottom) || yTop === yBottom) return weightedParts[0].color;
+    const gradient = canvasCtx.createLinearGradient(0, yBottom, 0, yTop);
+    let running = 0;
+    for (const p of weightedParts) {
+      const start = clamp(running / total, 0, 1);
+      running += p.limit;
+      const end = clamp(running / total, 0, 1);
+      gradient.addColorStop(start, p.color);
+      gradient.addColorStop(end, p.color);
+    }
+    return gradient;
+  };
+  const pointMatchesLegendSelection = (datasetGroup, rawPoint) => {
+    const hasLegendSelection = legendSelection.size > 0;
+    if (!hasLegendSelection || !(view === "carrier" || view === "carrierGroup")) return true;
+    if (legendSelection.has(normalizeLegendValue(datasetGroup))) return true;
+    const parts = Array.isArray(rawPoint?.participants) ? rawPoint.participants : [];
+    for (const p of parts) {
+      const value = view === "carrier" ? normalizeLegendValue(p?.carrier) : normalizeLegendValue(p?.carrierGroup);
+      if (value && legendSelection.has(value)) return true;
+    }
+    return false;
+  };
+
+  return groupList.map((group) => {
+    const points = [];
+
+    for (const e of layerMap.values()) {
+      if (e.group !== group) continue;
+
+      const top = e.attach + e.sumLimit;
+
+      e.participants.sort((a, b) => {
+        if (b.sliceLimit !== a.sliceLimit) return b.sliceLimit - a.sliceLimit;
+        return String(a.carrier || "").localeCompare(String(b.carrier || ""));
+      });
+
+      const isQuotaShare = !!(e.quotaGroupKey && quotaKeySet && quotaKeySet.has(e.quotaGroupKey));
+      // Share of the layer per participant: declared participation, else its slice of the stacked limit.
+      let participationTotal = null;
+      if (isQuotaShare) {
+        const declared = e.participants.filter((p) => p.participationPercent !== null && p.participationPercent !== undefined);
+        if (declared.length) participationTotal = declared.reduce((sum, p) => sum + Number(p.participationPercent || 0), 0);
+        for (const p of e.participants) {
+          p.sharePercent = p.participationPercent ?? (e.sumLimit > 0 ? (Number(p.sliceLimit || 0) / e.sumLimit) * 100 : 0);
+        }
+      }
+      const exhaustedLimit = e.participants.reduce(
+        (sum, p) => sum + Math.max(0, Number(p?.sliceLimit || 0) - Number(p?.remainingLimit ?? p?.sliceLimit ?? 0)),
+        0
+      );
+      const uncollectibleLimit = e.participants.reduce(
+        (sum, p) => sum + Math.max(0, Number(p?.sliceLimit || 0) - Number(p?.collectibleLimit ?? p?.sliceLimit ?? 0)),
+        0
+      );
+
+      points.push({
+        x: usingYearAxis && Number.isFinite(Number(e.xMidValue)) ? Number(e.xMidValue) : e.x,
+        xStart: usingYearAxis && Number.isFinite(Number(e.xStartValue)) ? Number(e.xStartValue) : null,
+        xEnd: usingYearAxis && Number.isFinite(Number(e.xEndValue)) ? Number(e.xEndValue) : null,
+        yearLabel: e.yearLabel || String(e.x ?? ""),
+        y: [e.attach, top],
+        attach: e.attach,
+        top,
+        sumLimit: e.sumLimit,
+        exhaustedLimit,
+        uncollectibleLimit,
+        participationTotal,
+        participants: e.participants,
+        group,
+        annualized,
+        isQuotaShare,
+        quotaGroupKey: e.quotaGroupKey || "",
+        isHighlighted: !selection.active || !!e.hasSelectionMatch
+      });
+    }
+
+    points.sort((a, b) => {
+      if (usingYearAxis) {
+        const ax = Number(a?.xStart);
+        const bx = Number(b?.xStart);
+        if (Number.isFinite(ax) && Number.isFinite(bx) && ax !== bx) return ax - bx;
+        const aend = Number(a?.xEnd);
+        const bend = Number(b?.xEnd);
+        if (Number.isFinite(aend) && Number.isFinite(bend) && aend !== bend) return aend - bend;
+        return a.attach - b.attach;
+      }
+      const ax = labelIndex.get(a.x) ?? 1e9;
+      const bx = labelIndex.get(b.x) ?? 1e9;
+      if (ax !== bx) return ax - bx;
+      return a.attach - b.attach;
+    });
+
+    let bg;
+    if (view === "remaining") {
+      bg = group === "Exhausted" ? "#ef4444" : group === "Partially Eroded" ? "#f59e0b" : "#22c55e";
+    } else if (group === "Unavailable") {
+      bg = "#94a3b8";
+    } else if (view === "availability") {
+      if (String(group).toLowerCase().includes("unavail")) bg = "#888888";
+      else bg = String(group).toLowerCase().includes("partial") ? "#84cc16" : "#22c55e";
+    } else if (view === "carrier") {
+      if (group === "Quota share") {
+        bg = colorFromString("Quota share");
+      } else {
+        bg = colorFromString(group);
+      }
+    } else if (view === "carrierGroup") {
+      bg = colorFromString(group);
+    } else {
+      bg = colorFromString(group);
+    }
+
+    const mutedFill = "rgba(255,255,255,0.92)";
+    const mutedBorder = "rgba(0,0,0,0.9)";
+    const selectedBorder = getThemeName() === "light" ? "rgba(185, 28, 28, 0.98)" : "rgba(248, 113, 113, 0.98)";
+    const isQuotaDataset = points.some((p) => !!p?.isQuotaShare);
+
+    return {
+      label: group,
+      data: points,
+      parsing: { xAxisKey: "x", yAxisKey: "y" },
+      // Keep quota-share layers visually on top so split-color + dashed guides
+      // are not hidden by same-attachment carrier bars.
+      order: isQuotaDataset ? 100 : 10,
+
+      grouped: false,
+      barThickness: barThicknessPx,
+      maxBarThickness: barThicknessPx,
+
+      categoryPercentage: 1.0,
+      barPercentage: 1.0,
+      inflateAmount: 0.6,
+
+      backgroundColor: (context) => {
+        const raw = context?.raw || null;
+        const pointInFocus = !selection.active || !!raw?.isHighlighted;
+        const legendInFocus = pointMatchesLegendSelection(group, raw);
+        const opacity = legendInFocus ? 1 : 0.2;
+        if (!pointInFocus) return colorWithAlpha(mutedFill, opacity);
+        if (view === "carrier" && isQuotaDataset && raw?.isQuotaShare) {
+          return quotaGradientForCarrierViewWithOpacity(context, raw, opacity);
+        }
+        if (view === "carrierGroup" && isQuotaDataset && raw?.isQuotaShare) {
+          return quotaGradientForCarrierGroupViewWithOpacity(context, raw, opacity);
+        }
+        return colorWithAlpha(bg, opacity);
+      },
+      borderColor: (context) => {
+        const raw = context?.raw || null;
+        const pointInFocus = !selection.active || !!raw?.isHighlighted;
+        const hasLegendSelection = legendSelection.size > 0;
+        const legendInFocus = pointMatchesLegendSelection(group, raw);
+        if (hasLegendSelection && legendInFocus && pointInFocus) return selectedBorder;
+        const opacity = legendInFocus ? 1 : 0.2;
+        const base = pointInFocus ? "rgba(11, 17, 27, 0.62)" : mutedBorder;
+        return colorWithAlpha(base, opacity);
+      },
+      borderWidth: (context) => {
+        const raw = context?.raw || null;
+        const pointInFocus = !selection.active || !!raw?.isHighlighted;
+        const hasLegendSelection = legendSelection.size > 0;
+        const legendInFocus = pointMatchesLegendSelection(group, raw);
+        if (hasLegendSelection && legendInFocus && pointInFocus) return 2.5;
+        return 1;
+      },
+      borderRadius: 2,
+      borderSkipped: false
+    };
+  });
+}
+
+function getSirValueFromSlice(slice, sirMode) {
+  if (sirMode === "aggregate") return Number(slice?.sirAggregate || 0);
+  if (sirMode === "perOcc") return Number(slice?.sirPerOcc || 0);
+  return 0;
+}
+
+function buildSirDataset({ slices, xLabels, sirMode }) {
+  if (!sirMode || sirMode === "off") return null;
+  const mode = sirMode === "aggregate" ? "aggregate" : "perOcc";
+  const usingYearAxis = !!_cache.useYearAxis;
+  const byX = new Map();
+  for (const s of slices || []) {
+    const x = usingYearAxis
+      ? Number.isFinite(Number(s?.year))
+        ? String(Number(s.year))
+        : String(s?.x ?? "")
+      : String(s?.x ?? "");
+    if (!x) continue;
+    const v = getSirValueFromSlice(s, mode);
+    if (!Number.isFinite(v) || v <= 0) continue;
+    byX.set(x, Math.max(byX.get(x) || 0, v));
+  }
+
+  const color = mode === "aggregate" ? "#f97316" : "#facc15";
+  const data = (xLabels || [])
+    .map((x) => {
+      const yearLabel = String(x ?? "");
+      const v = byX.get(yearLabel);
+      if (usingYearAxis) {
+        const yr = Number(yearLabel);
+        if (!Number.isFinite(yr)) return null;
+        return { x: yr, y: Number.isFinite(v) ? v : null, yearLabel };
+      }
+      return { x: yearLabel, y: Number.isFinite(v) ? v : null, yearLabel };
+    })
+    .filter(Boolean);
+
+  return {
+    datasetId: "sirOverlay",
+    type: "line",
+    label: mode === "aggregate" ? "SIR (Aggregate)" : "SIR (Per Occ)",
+    data,
+    parsing: { xAxisKey: "x", yAxisKey: "y" },
+    spanGaps: true,
+    borderColor: color,
+    pointBackgroundColor: color,
+    pointBorderColor: color,
+    borderWidth: 2,
+    pointRadius: 2,
+    pointHoverRadius: 4,
+    tension: 0.2,
+    fill: false,
+    yAxisID: "y",
+    order: 1000
+  };
+}
+
+/* ================================
+   Export helpers
+================================ */
+
+function toDateStamp(d = new Date()) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}${m}${day}`;
+}
+
+function getFilterMeta() {
+  const f = _cache.filters || {};
+  const yearRange =
+    f.startDate || f.endDate
+      ? `${String(f.startDate || "All")} to ${String(f.endDate || "All")}`
+      : Number.isFinite(f.startYear) || Number.isFinite(f.endYear)
+      ? `${Number.isFinite(f.startYear) ? f.startYear : "All"} to ${Number.isFinite(f.endYear) ? f.endYear : "All"}`
+      : "All";
+  const carriers = normalizeStringList(f.carriers);
+  const carrierGroups = normalizeStringList(f.carrierGroups);
+  const summarizeList = (list, allLabel) => {
+    if (!list.length) return allLabel;
+    if (list.length <= 6) return list.join(", ");
+    return `${list.slice(0, 6).join(", ")} +${list.length - 6} more`;
+  };
+  const viewLabel = currentView === "carrierGroup"
+    ? "Carrier Group"
+    : currentView === "availability"
+      ? "Availability"
+      : currentView === "remaining"
+        ? "Remaining Limits"
+        : currentView === "program"
+          ? "Program"
+          : currentView === "namedInsured"
+            ? "Named Insured"
+            : "Carrier";
+  const zoomRange =
+    Number.isFinite(f.zoomMin) || Number.isFinite(f.zoomMax)
+      ? `${Number.isFinite(f.zoomMin) ? money(f.zoomMin) : "Auto"} to ${Number.isFinite(f.zoomMax) ? money(f.zoomMax) : "Auto"}`
+      : "Auto";
+
+  return {
+    viewLabel,
+    view: currentView,
+    // Every selected program is listed (no "+N more"): a combined tower is read program by program.
+    insurancePrograms: normalizeStringList(f.insurancePrograms).join(", ") || "All",
+    namedInsureds: normalizeStringList(f.namedInsureds).join(", ") || "All",
+    policyLimitType: describePolicyLimitTypes(f) || "All",
+    yearRange,
+    asOfDate: String(f.asOfDate || "").trim() || "Current",
+    annualized: f.annualized ? "On" : "Off",
+    zoomRange,
+    carriers: summarizeList(carriers, "All"),
+    carrierGroups: summarizeList(carrierGroups, "All")
+  };
+}
+
+function getExportFilterLines(meta = getFilterMeta()) {
+  return [
+    `View: ${meta.viewLabel} | Annualized: ${meta.annualized} | Zoom Range: ${meta.zoomRange}`,
+    `Insurance Programs: ${meta.insurancePrograms} | Policy Limit Type: ${meta.policyLimitType}`,
+    `Named Insureds: ${meta.namedInsureds}`,
+    `Period: ${meta.yearRange} | As Of: ${meta.asOfDate}`,
+    `Carriers: ${meta.carriers}`,
+    `Carrier Groups: ${meta.carrierGroups}`
+  ];
+}
+
+function getFilteredSliceRows() {
+  const erosionIndex = getErosionIndex();
+  return (_cache.slices || []).map((s) => {
+    const erosion = erodeSlice({
+      sliceLimit: s.sliceLimit,
+      layerLimit: s.policyLayerLimit,
+      aggregateLimit: s.aggregateLimit,
+      paid: erosionIndex.get(erosionKey(s.PolicyID, s.policyLimitTypeId))?.paid
+    });
+    return {
+      Year: Number.isFinite(s.year) ? s.year : s.x,
+      InsuranceProgram: s.insuranceProgram || "",
+      NamedInsured: s.namedInsured || "",
+      NamedInsuredID: s.namedInsuredId || "",
+      PolicyLimitType: s.policyLimitType || s.policyLimitTypeId || "",
+      Carrier: s.carrier || "",
+      CarrierGroup: s.carrierGroup || "",
+      Availability: s.availability || "",
+      Attachment: Number(s.programAttach ?? s.attach ?? 0),
+      StackedAttachment: Number(s.attach || 0),
+      LayerLimit: Number(s.sliceLimit || 0),
+      RecoveryPercent: Number(s.collectiblePercent ?? 100),
+      CollectibleLimit: collectibleLimit(s),
+      InsolvencyDate: Number.isFinite(s.insolventSinceMs) ? new Date(s.insolventSinceMs).toISOString().slice(0, 10) : "",
+      EstateName: s.estateName || "",
+      ParticipationPercent: s.participationPercent ?? "",
+      QuotaShareGroupID: s.quotaShareGroupId || "",
+      AggregateLimit: Number(s.aggregateLimit || 0),
+      PaidToDate: erosion.paidToDate,
+      RemainingLimit: erosion.remaining,
+      PolicyNumber: s.policy_no || "",
+      PolicyID: s.PolicyID || ""
+    };
+  });
+}
+
+function getAggregatedReportRows() {
+  if (!chart?.data?.datasets) return [];
+  const rows = [];
+  for (const ds of chart.data.datasets) {
+    if (ds?.datasetId === "sirOverlay" || ds?.type === "line") continue;
+    const group = String(ds?.label || "");
+    for (const p of ds?.data || []) {
+      const limit = Number(p?.sumLimit ?? (Number(p?.top || 0) - Number(p?.attach || 0)));
+      const participants = Array.isArray(p?.participants) ? p.participants.length : 0;
+      rows.push({
+        Year: p?.yearLabel ?? p?.x ?? "",
+        Group: group,
+        Attachment: Number(p?.attach || 0),
+        TotalLimit: Number.isFinite(limit) ? limit : 0,
+        Participants: participants
+      });
+    }
+  }
+
+  rows.sort((a, b) => {
+    const ay = Number(a.Year);
+    const by = Number(b.Year);
+    if (Number.isFinite(ay) && Number.isFinite(by) && ay !== by) return ay - by;
+    const yCmp = String(a.Year).localeCompare(String(b.Year));
+    if (yCmp !== 0) return yCmp;
+    if (a.Attachment !== b.Attachment) return a.Attachment - b.Attachment;
+    return String(a.Group).localeCompare(String(b.Group));
+  });
+  return rows;
+}
+
+function normalizeAvailabilityLabel(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return "Available";
+  if (/unavail/i.test(s)) return "Unavailable";
+  if (/partial/i.test(s)) return "Partially Available";
+  return s;
+}
+
+function getCoverageReportFacts() {
+  const rows = getFilteredSliceRows();
+  const policySet = new Set();
+  const policyNumberSet = new Set();
+  const carrierSet = new Set();
+  const carrierGroupSet = new Set();
+  const programSet = new Set();
+  const yearMap = new Map();
+  const carrierMap = new Map();
+  const availabilityMap = new Map();
+  const programMap = new Map();
+  const limitTypeMap = new Map();
+
+  let totalLayer = 0;
+  let availableLayer = 0;
+  let unavailableLayer = 0;
+  let minAttachment = Number.POSITIVE_INFINITY;
+  let maxAttachment = Number.NEGATIVE_INFINITY;
+  let minLayer = Number.POSITIVE_INFINITY;
+  let maxLayer = Number.NEGATIVE_INFINITY;
+
+  for (const row of rows) {
+    const policyKey = String(row.PolicyID || row.PolicyNumber || "").trim();
+    if (policyKey) policySet.add(policyKey);
+    const policyNumber = String(row.PolicyNumber || "").trim();
+    if (policyNumber) policyNumberSet.add(policyNumber);
+
+    const carrier = String(row.Carrier || "").trim() || "(unknown carrier)";
+    const carrierGroup = String(row.CarrierGroup || "").trim() || "(unknown group)";
+    const program = String(row.InsuranceProgram || "").trim() || "(unknown program)";
+    const limitType = String(row.PolicyLimitType || "").trim() || "(unknown type)";
+    carrierSet.add(carrier);
+    carrierGroupSet.add(carrierGroup);
+    programSet.add(program);
+
+    const layer = Number(row.LayerLimit || 0);
+    const attach = Number(row.Attachment || 0);
+    totalLayer += layer;
+    if (Number.isFinite(attach)) {
+      minAttachment = Math.min(minAttachment, attach);
+      maxAttachment = Math.max(maxAttachment, attach);
+    }
+    if (Number.isFinite(layer)) {
+      minLayer = Math.min(minLayer, layer);
+      maxLayer = Math.max(maxLayer, layer);
+    }
+
+    const availability = normalizeAvailabilityLabel(row.Availability);
+    availabilityMap.set(availability, (availabilityMap.get(availability) || 0) + 1);
+    const collectible = Number(row.CollectibleLimit || 0);
+    availableLayer += collectible;
+    unavailableLayer += layer - collectible;
+
+    const year = String(row.Year || "Unknown");
+    if (!yearMap.has(year)) yearMap.set(year, { year, rows: 0, layer: 0, available: 0 });
+    const yearAgg = yearMap.get(year);
+    yearAgg.rows += 1;
+    yearAgg.layer += layer;
+    yearAgg.available += collectible;
+
+    if (!carrierMap.has(carrier)) carrierMap.set(carrier, { carrier, rows: 0, policies: new Set(), layer: 0, available: 0 });
+    const carrierAgg = carrierMap.get(carrier);
+    carrierAgg.rows += 1;
+    carrierAgg.layer += layer;
+    carrierAgg.available += collectible;
+    if (policyKey) carrierAgg.policies.add(policyKey);
+
+    if (!programMap.has(program)) programMap.set(program, { program, rows: 0, policies: new Set(), layer: 0 });
+    const programAgg = programMap.get(program);
+    programAgg.rows += 1;
+    programAgg.layer += layer;
+    if (policyKey) programAgg.policies.add(policyKey);
+
+    if (!limitTypeMap.has(limitType)) limitTypeMap.set(limitType, { limitType, rows: 0, policies: new Set(), layer: 0 });
+    const limitTypeAgg = limitTypeMap.get(limitType);
+    limitTypeAgg.rows += 1;
+    limitTypeAgg.layer += layer;
+    if (policyKey) limitTypeAgg.policies.add(policyKey);
+  }
+
+  const yearRows = Array.from(yearMap.values()).sort((a, b) => {
+    const ay = Number(a.year);
+    const by = Number(b.year);
+    if (Number.isFinite(ay) && Number.isFinite(by)) return ay - by;
+    return String(a.year).localeCompare(String(b.year));
+  });
+
+  const carrierRows = Array.from(carrierMap.values())
+    .map((row) => ({
+      carrier: row.carrier,
+      rows: row.rows,
+      policyCount: row.policies.size,
+      layer: row.layer,
+      available: row.available
+    }))
+    .sort((a, b) => b.layer - a.layer || a.carrier.localeCompare(b.carrier));
+
+  const programRows = Array.from(programMap.values())
+    .map((row) => ({
+      program: row.program,
+      rows: row.rows,
+      policyCount: row.policies.size,
+      layer: row.layer
+    }))
+    .sort((a, b) => b.layer - a.layer || a.program.localeCompare(b.program));
+
+  const limitTypeRows = Array.from(limitTypeMap.values())
+    .map((row) => ({
+      limitType: row.limitType,
+      rows: row.rows,
+      policyCount: row.policies.size,
+      layer: row.layer
+    }))
+    .sort((a, b) => b.layer - a.layer || a.limitType.localeCompare(b.limitType));
+
+  const availabilityRows = Array.from(availabilityMap.entries())
+    .map(([availability, count]) => ({ availability, count }))
+    .sort((a, b) => b.count - a.count || a.availability.localeCompare(b.availability));
+
+  return {
+    rowsCount: rows.length,
+    uniquePolicies: policySet.size,
+    uniquePolicyNumbers: policyNumberSet.size,
+    uniqueCarriers: carrierSet.size,
+    uniqueCarrierGroups: carrierGroupSet.size,
+    uniquePrograms: programSet.size,
+    totalLayer,
+    availableLayer,
+    unavailableLayer,
+    minAttachment: Number.isFinite(minAttachment) ? minAttachment : null,
+    maxAttachment: Number.isFinite(maxAttachment) ? maxAttachment : null,
+    minLayer: Number.isFinite(minLayer) ? minLayer : null,
+    maxLayer: Number.isFinite(maxLayer) ? maxLayer : null,
+    yearRows,
+    carrierRows,
+    programRows,
+    limitTypeRows,
+    availabilityRows
+  };
+}
+
+/**
+ * Export chart canvas as PNG using the current filtered/rendered state.
+ */
+export function exportChartAsPNG() {
+  if (!chart) throw new Error("Chart is not initialized");
+  const meta = getFilterMeta();
+  const stamp = toDateStamp();
+  const file = `CoverageTower_${stamp}_${currentView}.png`;
+  const srcCanvas = chart.canvas;
+  const theme = getThemeName();
+  const bg = theme === "light" ? "#ffffff" : "#0f1720";
+  const fg = theme === "light" ? "#0f172a" : "#f8fafc";
+  const subFg = theme === "light" ? "rgba(15,23,42,0.88)" : "rgba(248,250,252,0.9)";
+
+  const width = srcCanvas.width;
+  const scale = Math.max(0.85, Math.min(1.6, width / 1200));
+  const titleSize = Math.round(26 * scale);
+  const textSize = Math.round(14 * scale);
+  const sidePad = Math.round(24 * scale);
+  const topPad = Math.round(20 * scale);
+  const lineGap = Math.round(8 * scale);
+  const metaLines = getExportFilterLines(meta);
+  const headerHeight = Math.round(topPad + titleSize + Math.max(1, metaLines.length) * (textSize + lineGap) + 20 * scale);
+  const outCanvas = document.createElement("canvas");
+  outCanvas.width = width;
+  outCanvas.height = headerHeight + srcCanvas.height;
+  const ctx = outCanvas.getContext("2d");
+
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, outCanvas.width, outCanvas.height);
+  ctx.drawImage(srcCanvas, 0, headerHeight);
+
+  let y = topPad + titleSize;
+  ctx.fillStyle = fg;
+  ctx.font = `700 ${titleSize}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillText("Insurance Program Coverage Tower", sidePad, y);
+
+  ctx.fillStyle = subFg;
+  ctx.font = `500 ${textSize}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+  for (const line of metaLines) {
+    y += lineGap + textSize;
+    ctx.fillText(line, sidePad, y);
+  }
+
+  const dataUrl = outCanvas.toDataURL("image/png", 1);
+  triggerDownload(dataUrl, file);
+  diag("log", `[Export] PNG saved: ${file}`);
+}
+
+/* ================================
+   SVG export
+================================ */
+
+const SVG_FONT = "Helvetica, Arial, sans-serif";
+const _svgPaintCache = new Map();
+let _svgColorProbe = null;
+
+// Canvas colours (hex, rgba(), hsl()) as an SVG colour + opacity pair; PDF converters skip rgba().
+function svgPaint(color) {
+  const key = String(color ?? "").trim();
+  if (_svgPaintCache.has(key)) return _svgPaintCache.get(key);
+  let paint = { color: "none", opacity: 1 };
+  if (key && key !== "transparent") {
+    if (!_svgColorProbe) _svgColorProbe = document.createElement("canvas").getContext("2d");
+    _svgColorProbe.fillStyle = "#000000";
+    _svgColorProbe.fillStyle = key;
+    const normalized = String(_svgColorProbe.fillStyle);
+    const m = normalized.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/);
+    paint = m
+      ? {
+          color: `#${[m[1], m[2], m[3]].map((n) => Number(n).toString(16).padStart(2, "0")).join("")}`,
+          opacity: m[4] === undefined ? 1 : Number(m[4])
+        }
+      : { color: normalized, opacity: 1 };
+  }
+  _svgPaintCache.set(key, paint);
+  return paint;
+}
+
+const svgFill = (color) => {
+  const { color: fill, opacity } = svgPaint(color);
+  return { fill, "fill-opacity": opacity < 1 ? opacity : null };
+};
+
+const svgStroke = (color, width = 1) => {
+  const { color: stroke, opacity } = svgPaint(color);
+  return { stroke, "stroke-width": width, "stroke-opacity": opacity < 1 ? opacity : null };
+};
+
+const svgText = (text, x, y, { size = 11, weight = "normal", color = "#000", anchor = "start", transform } = {}) =>
+  svgElement(
+    "text",
+    { x, y, transform, "font-family": SVG_FONT, "font-size": size, "font-weight": weight, "text-anchor": anchor, ...svgFill(color) },
+    svgEscape(text)
+  );
+
+/**
+ * Bar fill as SVG paint. Quota-share layers are canvas gradients, which can't be read back,
+ * so their scriptable colour is re-run against a context that records the stops instead.
+ */
+function svgBarFill(chartInstance, meta, bar, index, defs) {
+  const resolved = bar.options?.backgroundColor;
+  if (typeof resolved === "string") return svgFill(resolved);
+
+  const ds = chartInstance.data.datasets[meta.index];
+  if (typeof ds?.backgroundColor !== "function") return svgFill("#94a3b8");
+  const recorder = {
+    createLinearGradient(x0, y0, x1, y1) {
+      const stops = [];
+      return { x0, y0, x1, y1, stops, addColorStop: (offset, color) => stops.push({ offset, color }) };
+    }
+  };
+  const fill = ds.backgroundColor({
+    chart: Object.create(chartInstance, { ctx: { value: recorder } }),
+    raw: ds.data?.[index],
+    dataset: ds,
+    datasetIndex: meta.index,
+    dataIndex: index,
+    type: "data"
+  });
+  if (typeof fill === "string") return svgFill(fill);
+  if (!Array.isArray(fill?.stops) || !fill.stops.length) return svgFill("#94a3b8");
+
+  const id = `layerFill${defs.length}`;
+  const stops = fill.stops
+    .map(({ offset, color }) => {
+      const { color: stopColor, opacity } = svgPaint(color);
+      return svgElement("stop", { offset, "stop-color": stopColor, "stop-opacity": opacity < 1 ? opacity : null });
+    })
+    .join("");
+  defs.push(
+    svgElement("linearGradient", { id, gradientUnits: "userSpaceOnUse", x1: fill.x0, y1: fill.y0, x2: fill.x1, y2: fill.y1 }, stops)
+  );
+  return { fill: `url(#${id})` };
+}
+
+function svgBars(chartInstance, defs) {
+  applyXRangeBarGeometry(chartInstance);
+  const outline = chartInstance.options?.plugins?.outlineBars || {};
+  const bars = [];
+  const outlines = [];
+  // Chart.js paints the highest `order` first, so quota-share layers land on top.
+  const metas = chartInstance.getSortedVisibleDatasetMetas().filter((m) => m.type !== "line").reverse();
+  for (const meta of metas) {
+    const ds = chartInstance.data.datasets[meta.index];
+    if (!ds || ds.datasetId === "sirOverlay") continue;
+    meta.data.forEach((bar, index) => {
+      const { x, y, base, width } = bar.getProps(["x", "y", "base", "width"], false);
+      if (![x, y, base, width].every(Number.isFinite)) return;
+      const rect = { x: x - width / 2, y: Math.min(y, base), width, height: Math.abs(base - y) };
+      const borderColor = bar.options?.borderColor;
+      bars.push(
+        svgElement("rect", {
+          ...rect,
+          ...svgBarFill(chartInstance, meta, bar, index, defs),
+          ...(typeof borderColor === "string" ? svgStroke(borderColor, Number(bar.options?.borderWidth ?? 1)) : {})
+        })
+      );
+      outlines.push(svgElement("rect", { ...rect, fill: "none" }));
+    });
+  }
+  const outlineGroup = svgElement(
+    "g",
+    svgStroke(outline.color ?? "rgba(0,0,0,1)", Number(outline.lineWidth ?? 1)),
+    outlines.join("")
+  );
+  return bars.join("") + (outlines.length ? outlineGroup : "");
+}
+
+function svgAxes(chartInstance) {
+  const { chartArea, scales } = chartInstance;
+  const out = [];
+  for (const scale of [scales.x, scales.y]) {
+    if (!scale) continue;
+    const isX = scale.axis === "x";
+    const gridColor = scale.options?.grid?.color;
+    const tickColor = scale.options?.ticks?.color || "#64748b";
+    const fontSize = Number(scale.options?.ticks?.font?.size) || 12;
+    scale.ticks.forEach((tick, i) => {
+      const px = scale.getPixelForTick(i);
+      if (!Number.isFinite(px)) return;
+      if (typeof gridColor === "string") {
+        out.push(
+          svgElement("line", {
+            ...(isX
+              ? { x1: px, y1: chartArea.top, x2: px, y2: chartArea.bottom }
+              : { x1: chartArea.left, y1: px, x2: chartArea.right, y2: px }),
+            ...svgStroke(gridColor, Number(scale.options?.grid?.lineWidth) || 1)
+          })
+        );
+      }
+      const label = Array.isArray(tick.label) ? tick.label.join(" ") : String(tick.label ?? "");
+      if (!label) return;
+      out.push(
+        isX
+          ? svgText(label, px, scale.top + 6 + fontSize, { size: fontSize, color: tickColor, anchor: "middle" })
+          : svgText(label, scale.right - 8, px + fontSize * 0.35, { size: fontSize, color: tickColor, anchor: "end" })
+      );
+    });
+
+    const title = scale.options?.title;
+    if (title?.display && title.text) {
+      const color = title.color || tickColor;
+      out.push(
+        isX
+          ? svgText(title.text, (chartArea.left + chartArea.right) / 2, scale.bottom - 4, { size: 12, color, anchor: "middle" })
+          : svgText(title.text, 0, 0, {
+              size: 12,
+              color,
+              anchor: "middle",
+              transform: `translate(${scale.left + 12} ${(chartArea.top + chartArea.bottom) / 2}) rotate(-90)`
+            })
+      );
+    }
+  }
+  return out.join("");
+}
+
+function svgSirLine(chartInstance) {
+  const out = [];
+  chartInstance.data.datasets.forEach((ds, di) => {
+    if (ds?.datasetId !== "sirOverlay") return;
+    const meta = chartInstance.getDatasetMeta(di);
+    if (!meta || meta.hidden) return;
+    // spanGaps: years without an SIR are skipped rather than breaking the line.
+    const points = meta.data
+      .filter((pt, i) => ds.data?.[i]?.y !== null && Number.isFinite(pt.x) && Number.isFinite(pt.y))
+      .map((pt) => [pt.x, pt.y]);
+    if (!points.length) return;
+    const color = ds.borderColor;
+    out.push(
+      svgElement("polyline", {
+        points: points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(" "),
+        fill: "none",
+        ...svgStroke(color, Number(ds.borderWidth) || 2)
+      })
+    );
+    for (const [x, y] of points) out.push(svgElement("circle", { cx: x, cy: y, r: Number(ds.pointRadius) || 2, ...svgFill(color) }));
+  });
+  return out.join("");
+}
+
+function svgLegend(chartInstance) {
+  const legend = chartInstance.legend;
+  if (!legend?.options?.display || !Array.isArray(legend.legendItems)) return "";
+  const labelOpts = legend.options.labels || {};
+  const boxW = Number(labelOpts.boxWidth) || 9;
+  const boxH = Number(labelOpts.boxHeight) || boxW;
+  const fontSize = Number(labelOpts.font?.size) || 11;
+  const out = [];
+
+  const title = legend.options.title;
+  if (title?.display && title.text) {
+    const titleSize = Number(title.font?.size) || 12;
+    out.push(
+      svgText(title.text, legend.left + legend.width / 2, legend.top + Number(title.padding || 0) + titleSize, {
+        size: titleSize,
+        weight: "bold",
+        color: title.color || labelOpts.color,
+        anchor: "middle"
+      })
+    );
+  }
+
+  legend.legendItems.forEach((item, i) => {
+    const hit = legend.legendHitBoxes?.[i];
+    if (!hit) return;
+    const midY = hit.top + hit.height / 2;
+    // Hatched gap swatches are canvas patterns; fall back to their outline colour.
+    const fill = typeof item.fillStyle === "string" ? item.fillStyle : item.strokeStyle;
+    out.push(
+      svgElement("rect", {
+        x: hit.left,
+        y: midY - boxH / 2,
+        width: boxW,
+        height: boxH,
+        ...svgFill(typeof fill === "string" ? fill : "#94a3b8"),
+        ...(typeof item.strokeStyle === "string" && item.lineWidth ? svgStroke(item.strokeStyle, item.lineWidth) : {})
+      })
+    );
+    const textX = hit.left + boxW + fontSize / 2;
+    const color = item.fontColor || labelOpts.color;
+    out.push(svgText(item.text, textX, midY + fontSize * 0.35, { size: fontSize, color }));
+    if (item.hidden) {
+      out.push(svgElement("line", { x1: textX, y1: midY, x2: hit.left + hit.width, y2: midY, ...svgStroke(color, 1) }));
+    }
+  });
+  return out.join("");
+}
+
+function svgYearTotalsStrip(chartInstance, top, height) {
+  const totals = new Map(getYearLimitTotalsCached().map((t) => [String(t.year), Number(t.availableLimit || 0)]));
+  const textColor = getChartThemeColors().axisTicks;
+  // Label on its own row so it never collides with the first year's value.
+  const out = [svgText("Available Limits", 8, top + 12, { size: 11, weight: "bold", color: textColor })];
+  for (const anchor of getYearLabelAnchors()) {
+    const total = totals.get(String(anchor.x)) || 0;
+    if (!(total > 0)) continue;
+    out.push(svgText(compactMoney(total), anchor.px, top + height - 8, { size: 10, color: textColor, anchor: "middle" }));
+  }
+  return out.join("");
+}
+
+/**
+ * Vector copy of the current chart: floating bars (with quota-share splits), axes, legend,
+ * SIR overlay and the per-year available-limit strip. Returns { markup, width, height }.
+ */
+export function buildChartSVG({ includeHeader = true } = {}) {
+  if (!chart) throw new Error("Chart is not initialized");
+  const theme = getThemeName();
+  const bg = theme === "light" ? "#ffffff" : "#0f1720";
+  const fg = theme === "light" ? "#0f172a" : "#f8fafc";
+  const width = chart.width;
+  const metaLines = includeHeader ? getExportFilterLines(getFilterMeta()) : [];
+  const headerH = includeHeader ? 44 + metaLines.length * 18 : 0;
+  const stripH = _cache.showCoverageTotals === false ? 0 : 36;
+  const chartTop = headerH + stripH;
+  const height = chartTop + chart.height;
+  const { chartArea } = chart;
+  const defs = [];
+
+  const header = includeHeader
+    ? svgText("Insurance Program Coverage Tower", 24, 32, { size: 22, weight: "bold", color: fg }) +
+      metaLines.map((line, i) => svgText(line, 24, 56 + i * 18, { size: 12, color: fg })).join("")
+    : "";
+  const strip = stripH ? svgYearTotalsStrip(chart, headerH, stripH) : "";
+  const bars = svgBars(chart, defs);
+  const plotClip = svgElement(
+    "clipPath",
+    { id: "plotArea" },
+    svgElement("rect", { x: chartArea.left, y: chartArea.top, width: chartArea.right - chartArea.left, height: chartArea.bottom - chartArea.top })
+  );
+  const body =
+    svgAxes(chart) +
+    svgElement("g", { "clip-path": "url(#plotArea)" }, bars + svgSirLine(chart)) +
+    svgLegend(chart);
+
+  const markup = svgElement(
+    "svg",
+    { xmlns: "http://www.w3.org/2000/svg", width, height, viewBox: `0 0 ${width} ${height}` },
+    svgElement("defs", {}, plotClip + defs.join("")) +
+      svgElement("rect", { x: 0, y: 0, width, height, fill: bg }) +
+      header +
+      strip +
+      svgElement("g", { transform: `translate(0 ${chartTop})` }, body)
+  );
+  return { markup, width, height };
+}
+
+export function exportChartAsSVG() {
+  const { markup } = buildChartSVG();
+  const file = `CoverageTower_${toDateStamp()}_${currentView}.svg`;
+  triggerBlobDownload(`<?xml version="1.0" encoding="UTF-8"?>\n${markup}`, file, SVG_MIME);
+  diag("log", `[Export] SVG saved: ${file}`);
+}
+
+// Column order and number formats shared by the CSV and XLSX slice exports.
+const SLICE_ROW_COLUMNS = [
+  { key: "Year" },
+  { key: "InsuranceProgram", width: 22 },
+  { key: "NamedInsured", width: 22 },
+  { key: "NamedInsuredID" },
+  { key: "PolicyLimitType", width: 20 },
+  { key: "Carrier", width: 34 },
+  { key: "CarrierGroup", width: 26 },
+  { key: "Availability" },
+  { key: "Attachment", format: "currency", width: 16 },
+  { key: "StackedAttachment", format: "currency", width: 18 },
+  { key: "LayerLimit", format: "currency", width: 16 },
+  { key: "RecoveryPercent", format: "percent" },
+  { key: "CollectibleLimit", format: "currency", width: 16 },
+  { key: "InsolvencyDate", width: 14 },
+  { key: "EstateName", width: 34 },
+  { key: "ParticipationPercent", format: "percent", width: 20 },
+  { key: "QuotaShareGroupID", width: 18 },
+  { key: "AggregateLimit", format: "currency", width: 16 },
+  { key: "PaidToDate", format: "currency", width: 16 },
+  { key: "RemainingLimit", format: "currency", width: 16 },
+  { key: "PolicyNumber", width: 28 },
+  { key: "PolicyID" }
+];
+
+/**
+ * Export currently filtered slices as CSV rows.
+ */
+export function exportFilteredCSV() {
+  const rows = getFilteredSliceRows();
+  const cols = SLICE_ROW_COLUMNS.map((c) => c.key);
+  const lines = [cols.join(",")];
+  for (const r of rows) lines.push(cols.map((c) => csvCell(r[c])).join(","));
+  const file = `CoverageTower_FilteredData_${toDateStamp()}.csv`;
+  triggerBlobDownload(lines.join("\n"), file, "text/csv;charset=utf-8");
+  diag("log", `[Export] CSV saved: ${file} (rows=${rows.length})`);
+}
+
+function getNarrativeScope(meta) {
+  if (meta.insurancePrograms === "All") return "";
+  return meta.policyLimitType === "All" ? meta.insurancePrograms : `${meta.insurancePrograms} (${meta.policyLimitType})`;
+}
+
+/**
+ * Generated summary paragraphs for the current filters (see narrative.js). The Coverage Chart
+ * page shows them for editing before the PDF export.
+ */
+export function getCoverageNarrative() {
+  const facts = getCoverageReportFacts();
+  return buildCoverageNarrative({
+    scope: getNarrativeScope(getFilterMeta()),
+    years: facts.yearRows.map((row) => ({ year: row.year, gross: row.layer })),
+    totalGross: facts.totalLayer,
+    totalAvailable: facts.availableLayer,
+    policyCount: facts.uniquePolicies,
+    carriers: facts.carrierRows.map((row) => ({ name: row.carrier, gross: row.layer, available: row.available })),
+    gaps: _cache.useYearAxis ? getCoverageGapRegions("gap") : null
+  });
+}
+
+function getSummaryFactRows(facts = getCoverageReportFacts()) {
+  const rows = [
+    { Section: "Overview", Item: "Filtered slice rows", Count: facts.rowsCount, Policies: facts.uniquePolicies, Amount: facts.totalLayer, Available: facts.availableLayer },
+    { Section: "Overview", Item: "Policy numbers", Count: facts.uniquePolicyNumbers },
+    { Section: "Overview", Item: "Carriers", Count: facts.uniqueCarriers },
+    { Section: "Overview", Item: "Carrier groups", Count: facts.uniqueCarrierGroups },
+    { Section: "Overview", Item: "Insurance programs", Count: facts.uniquePrograms },
+    { Section: "Overview", Item: "Unavailable layer limit", Amount: facts.unavailableLayer },
+    { Section: "Overview", Item: "Lowest attachment", Amount: facts.minAttachment ?? "" },
+    { Section: "Overview", Item: "Highest attachment", Amount: facts.maxAttachment ?? "" },
+    { Section: "Overview", Item: "Smallest layer", Amount: facts.minLayer ?? "" },
+    { Section: "Overview", Item: "Largest layer", Amount: facts.maxLayer ?? "" }
+  ];
+  for (const r of facts.yearRows) rows.push({ Section: "By Year", Item: r.year, Count: r.rows, Amount: r.layer, Available: r.available });
+  for (const r of facts.carrierRows) {
+    rows.push({ Section: "By Carrier", Item: r.carrier, Count: r.rows, Policies: r.policyCount, Amount: r.layer, Available: r.available });
+  }
+  for (const r of facts.programRows) rows.push({ Section: "By Program", Item: r.program, Count: r.rows, Policies: r.policyCount, Amount: r.layer });
+  for (const r of facts.limitTypeRows) {
+    rows.push({ Section: "By Limit Type", Item: r.limitType, Count: r.rows, Policies: r.policyCount, Amount: r.layer });
+  }
+  for (const r of facts.availabilityRows) rows.push({ Section: "By Availability", Item: r.availability, Count: r.count });
+  return rows;
+}
+
+const FILTER_META_LABELS = {
+  viewLabel: "View",
+  insurancePrograms: "Insurance Programs",
+  namedInsureds: "Named Insureds",
+  policyLimitType: "Policy Limit Type",
+  yearRange: "Period",
+  asOfDate: "As Of",
+  annualized: "Annualized",
+  zoomRange: "Zoom Range",
+  carriers: "Carriers",
+  carrierGroups: "Carrier Groups"
+};
+
+/**
+ * Build the workbook sheet specs for the current chart state (see buildXlsxWorkbook):
+ * filtered slice rows, aggregated layers, summary facts and filter metadata.
+ * Pages that add their own figures pass them as `extraSheets` (placed first).
+ */
+export function getWorkbookSheets({ extraSheets = [] } = {}) {
+  const meta = getFilterMeta();
+  const filterRows = Object.entries(FILTER_META_LABELS).map(([key, label]) => ({ Filter: label, Value: meta[key] }));
+  filterRows.push({ Filter: "Generated", Value: new Date().toLocaleString() });
+
+  return [
+    ...extraSheets,
+    {
+      name: "Summary",
+      columns: [
+        { key: "Section", width: 16 },
+        { key: "Item", width: 34 },
+        { key: "Count", format: "integer" },
+        { key: "Policies", format: "integer" },
+        { key: "Amount", format: "currency", width: 18 },
+        { key: "Available", format: "currency", width: 18 }
+      ],
+      rows: getSummaryFactRows()
+    },
+    {
+      name: "Layers",
+      columns: [
+        { key: "Year" },
+        { key: "Group", width: 34 },
+        { key: "Attachment", format: "currency", width: 16 },
+        { key: "TotalLimit", format: "currency", width: 16 },
+        { key: "Participants", format: "integer" }
+      ],
+      rows: getAggregatedReportRows()
+    },
+    { name: "Slices", columns: SLICE_ROW_COLUMNS, rows: getFilteredSliceRows() },
+    {
+      name: "Filters",
+      columns: [
+        { key: "Filter", width: 20 },
+        { key: "Value", width: 60 }
+      ],
+      rows: filterRows
+    }
+  ];
+}
+
+/**
+ * Export the current chart state as a multi-sheet .xlsx workbook.
+ */
+export async function exportWorkbookXLSX({ extraSheets = [], filePrefix = "CoverageTower" } = {}) {
+  const sheets = getWorkbookSheets({ extraSheets });
+  const file = `${filePrefix}_Workbook_${toDateStamp()}.xlsx`;
+  await downloadXlsxWorkbook(sheets, file);
+  diag("log", `[Export] XLSX saved: ${file} (sheets=${sheets.length})`);
+}
+
+/**
+ * Export a multi-page PDF report:
+ * page 1 = report scope + key metrics + chart image
+ * page 2+ = totals and filtered schedule tables
+ */
+// Largest box of the given aspect ratio that fits the chart snapshot area.
+function fitChartBox({ x, y, maxWidth, maxHeight }, ratio) {
+  let width = maxWidth;
+  let height = width / (ratio || 1);
+  if (height > maxHeight) {
+    height = maxHeight;
+    width = height * (ratio || 1);
+  }
+  return { x, y, width, height };
+}
+
+function addRasterChart(pdf, box) {
+  const fit = fitChartBox(box, chart.canvas.width / chart.canvas.height);
+  pdf.addImage(chart.toBase64Image("image/png", 1), "PNG", fit.x, fit.y, fit.width, fit.height, undefined, "FAST");
+}
+
+async function addVectorChart(pdf, box) {
+  const chartSvg = buildChartSVG({ includeHeader: false });
+  try {
+    await addSvgToPdf(pdf, chartSvg.markup, fitChartBox(box, chartSvg.width / chartSvg.height));
+  } catch (err) {
+    // Vector embedding needs svg2pdf.js from /vendor; keep the report usable without it.
+    console.warn("[Export] Vector chart failed, embedding a raster snapshot instead.", err);
+    addRasterChart(pdf, box);
+  }
+}
+
+/**
+ * Lay out the coverage report for the current chart and filters as a jsPDF document.
+ * The browser embeds the chart as vector SVG; headless runs (src/cli/report.js) have no
+ * DOM for svg2pdf.js, so they pass vectorChart: false and embed the canvas render.
+ * `narrative` (paragraphs) replaces the generated summary, e.g. after the user edited it.
+ */
+export async function buildReportPDF({ jsPDF, vectorChart = true, narrative = getCoverageNarrative() }) {
+  if (!chart) throw new Error("Chart is not initialized");
+
+  const meta = getFilterMeta();
+  const facts = getCoverageReportFacts();
+  const filteredRows = getFilteredSliceRows();
+  const aggregatedRows = getAggregatedReportRows();
+  const stamp = toDateStamp();
+  const filename = `CoverageTower_Report_${stamp}.pdf`;
+
+  const pdf = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
+  const writer = createPdfReportWriter(pdf, { orientation: "landscape" });
+  const { pageW, pageH, margin, state: pageState, addSectionTitle, drawWrappedFactLine, drawGridTable, addParagraphs } = writer;
+
+  // Page 1: report scope + key metrics + chart
+  writer.addReportTitle("Insurance Program Coverage Tower Report");
+
+  addSectionTitle("Report Scope");
+  writer.addTextLines(getExportFilterLines(meta));
+  pageState.y += 3;
+
+  const numericYears = facts.yearRows
+    .map((row) => Number(row.year))
+    .filter((year) => Number.isFinite(year));
+  const yearSpan = numericYears.length
+    ? `${Math.min(...numericYears)} to ${Math.max(...numericYears)}`
+    : "N/A";
+  const availabilitySummary = facts.availabilityRows.length
+    ? facts.availabilityRows.map((row) => `${row.availability}: ${row.count}`).join(", ")
+    : "N/A";
+  const metricLines = [
+    ["Filtered Slice Rows", String(facts.rowsCount)],
+    ["Unique Policies", String(facts.uniquePolicies)],
+    ["Distinct Policy Numbers", String(facts.uniquePolicyNumbers)],
+    ["Unique Carriers", String(facts.uniqueCarriers)],
+    ["Unique Carrier Groups", String(facts.uniqueCarrierGroups)],
+    ["Unique Programs", String(facts.uniquePrograms)],
+    ["Policy Year Span", yearSpan],
+    ["Total Layer Limit", money(facts.totalLayer)],
+    ["Collectible Layer Limit", money(facts.availableLayer)],
+    ["Uncollectible Layer Limit", money(facts.unavailableLayer)],
+    [
+      "Attachment Range",
+      facts.minAttachment === null ? "N/A" : `${money(facts.minAttachment)} to ${money(facts.maxAttachment)}`
+    ],
+    [
+      "Layer Range",
+      facts.minLayer === null ? "N/A" : `${money(facts.minLayer)} to ${money(facts.maxLayer)}`
+    ],
+    ["Availability Buckets", availabilitySummary],
+    [
+      "Coverage Gaps / Overlaps",
+      `${getCoverageGapRegions("gap").length} / ${getCoverageGapRegions("overlap").length}`
+    ]
+  ];
+  addSectionTitle("Key Facts");
+  for (const [label, value] of metricLines) drawWrappedFactLine(label, value);
+
+  if (narrative?.length) {
+    pageState.y += 3;
+    addSectionTitle("Summary");
+    addParagraphs(narrative);
+  }
+
+  if (pageState.y > pageH - margin - 160) writer.newPage();
+  addSectionTitle("Chart Snapshot");
+  const chartBox = {
+    x: margin,
+    y: pageState.y,
+    maxWidth: pageW - margin * 2,
+    maxHeight: Math.max(120, pageH - pageState.y - 40)
+  };
+  if (vectorChart) await addVectorChart(pdf, chartBox);
+  else addRasterChart(pdf, chartBox);
+
+  // Page 2+: totals by key groupings
+  writer.newPage();
+  writer.addPageTitle("Filtered Data Totals");
+
+  drawGridTable({
+    title: "Year Totals",
+    columns: [
+      { label: "Year", width: 92 },
+      { label: "Rows", width: 72, align: "right" },
+      { label: "Layer Limit", width: 130, align: "right" },
+      { label: "Available Layer", width: 140, align: "right" }
+    ],
+    rows: facts.yearRows,
+    rowToCells: (row) => [String(row.year), String(row.rows), money(row.layer), money(row.available)]
+  });
+
+  drawGridTable({
+    title: "Program Totals",
+    columns: [
+      { label: "Program", width: 260 },
+      { label: "Policies", width: 80, align: "right" },
+      { label: "Rows", width: 70, align: "right" },
+      { label: "Layer Limit", width: 130, align: "right" }
+    ],
+    rows: facts.programRows,
+    rowToCells: (row) => [row.program, String(row.policyCount), String(row.rows), money(row.layer)]
+  });
+
+  drawGridTable({
+    title: "Policy Limit Type Totals",
+    columns: [
+      { label: "Limit Type", width: 260 },
+      { label: "Policies", width: 80, align: "right" },
+      { label: "Rows", width: 70, align: "right" },
+      { label: "Layer Limit", width: 130, align: "right" }
+    ],
+    rows: facts.limitTypeRows,
+    rowToCells: (row) => [row.limitType, String(row.policyCount), String(row.rows), money(row.layer)]
+  });
+
+  drawGridTable({
+    title: "Carrier Totals (Top 30 by Layer Limit)",
+    columns: [
+      { label: "Carrier", width: 260 },
+      { label: "Policies", width: 80, align: "right" },
+      { label: "Rows", width: 70, align: "right" },
+      { label: "Layer Limit", width: 130, align: "right" },
+      { label: "Available Layer", width: 140, align: "right" }
+    ],
+    rows: facts.carrierRows.slice(0, 30),
+    rowToCells: (row) => [row.carrier, String(row.policyCount), String(row.rows), money(row.layer), money(row.available)]
+  });
+
+  // Aggregated layer summary page
+  writer.newPage();
+  writer.addPageTitle("Aggregated Layer Summary");
+
+  drawGridTable({
+    title: "Layer Stack by Year and Group",
+    columns: [
+      { label: "Year", width: 72 },
+      { label: "Group", width: 320 },
+      { label: "Attachment", width: 120, align: "right" },
+      { label: "Total Limit", width: 120, align: "right" },
+      { label: "Participants", width: 110, align: "right" }
+    ],
+    rows: aggregatedRows,
+    rowToCells: (row) => [
+      String(row.Year),
+      String(row.Group),
+      money(row.Attachment),
+      money(row.TotalLimit),
+      String(row.Participants)
+    ]
+  });
+
+  // Coverage gaps and overlaps
+  writer.newPage();
+  writer.addPageTitle("Coverage Gaps and Overlaps");
+  const gapRegions = [...getCoverageGapRegions()].sort(
+    (a, b) =>
+      a.year - b.year ||
+      String(a.insuranceProgram).localeCompare(String(b.insuranceProgram)) ||
+      a.startMs - b.startMs ||
+      a.bottom - b.bottom
+  );
+  if (!gapRegions.length) {
+    writer.addTextLines([_cache.useYearAxis ? "No gaps or overlaps in the filtered towers." : "Gap detection requires the year axis."]);
+  } else {
+    drawGridTable({
+      title: "Uncovered and Double-Covered Bands",
+      columns: [
+        { label: "Year", width: 40 },
+        { label: "Type", width: 58 },
+        { label: "Program", width: 96 },
+        { label: "Period", width: 150 },
+        { label: "Band", width: 150 },
+        { label: "Policies", width: 276 }
+      ],
+      rows: gapRegions,
+      rowToCells: (row) => [
+        String(row.year),
+        row.kind === "gap" ? "Gap" : "Overlap",
+        String(row.insuranceProgram || ""),
+        `${formatFullDateUTC(row.startMs)} to ${formatFullDateUTC(row.endMs)}`,
+        `${money(row.bottom)} to ${money(row.top)}`,
+        coverageGapDetail(row)
+      ]
+    });
+  }
+
+  // Filtered policy schedule page(s)
+  writer.newPage();
+  writer.addPageTitle("Filtered Policy Schedule");
+
+  const scheduleRows = [...filteredRows].sort((a, b) => {
+    const ay = Number(a.Year);
+    const by = Number(b.Year);
+    if (Number.isFinite(ay) && Number.isFinite(by) && ay !== by) return ay - by;
+    const yearCmp = String(a.Year).localeCompare(String(b.Year));
+    if (yearCmp !== 0) return yearCmp;
+    if (Number(a.Attachment || 0) !== Number(b.Attachment || 0)) return Number(a.Attachment || 0) - Number(b.Attachment || 0);
+    const carrierCmp = String(a.Carrier || "").localeCompare(String(b.Carrier || ""));
+    if (carrierCmp !== 0) return carrierCmp;
+    return String(a.PolicyNumber || "").localeCompare(String(b.PolicyNumber || ""));
+  });
+
+  drawGridTable({
+    title: "Policy Rows Matching Current Filters",
+    columns: [
+      { label: "Year", width: 42 },
+      { label: "Policy #", width: 82 },
+      { label: "Carrier", width: 124 },
+      { label: "Carrier Group", width: 104 },
+      { label: "Program", width: 86 },
+      { label: "Limit Type", width: 78 },
+      { label: "Availability", width: 70 },
+      { label: "Attachment", width: 86, align: "right" },
+      { label: "Layer Limit", width: 86, align: "right" }
+    ],
+    rows: scheduleRows,
+    rowToCells: (row) => [
+      String(row.Year || ""),
+      String(row.PolicyNumber || ""),
+      String(row.Carrier || ""),
+      String(row.CarrierGroup || ""),
+      String(row.InsuranceProgram || ""),
+      String(row.PolicyLimitType || ""),
+      normalizeAvailabilityLabel(row.Availability),
+      money(row.Attachment),
+      money(row.LayerLimit)
+    ]
+  });
+
+  writer.addPageFooters();
+
+  return { pdf, filename, tableRows: aggregatedRows.length };
+}
+
+export async function exportReportPDF({ narrative } = {}) {
+  if (!chart || !_cache.dom?.canvas) throw new Error("Chart is not initialized");
+  await ensurePdfLibs();
+  const { pdf, filename, tableRows } = await buildReportPDF({ jsPDF: window.jspdf.jsPDF, narrative });
+  pdf.save(filename);
+  diag("log", `[Export] PDF saved: ${filename} (tableRows=${tableRows})`);
+}
+
+/* ================================
+   Public API
+================================ */
+
+export function setView(view) {
+  const v = String(view || "").trim();
+  if (!CHART_VIEWS.includes(v)) return;
+
+  currentView = v;
+  if (!chart || !_cache.options || !_cache.slices.length) return;
+
+  rebuildChart();
+}
+
+export function getView() {
+  return currentView;
+}
+
+export function setChartTheme(themeName) {
+  const theme = themeName === "light" ? "light" : "dark";
+  // Rebuild so dataset colors are recalculated for the active theme.
+  rebuildChart();
+  applyChartTheme(theme);
+}
+
+export function setCoverageTotalsVisible(visible) {
+  _cache.showCoverageTotals = visible !== false;
+  // No-op for canvas totals; external UI handles visibility.
+  if (chart) chart.update("none");
+}
+
+export function setSIRMode(mode) {
+  const m = String(mode || "").trim();
+  _cache.filters.sirMode = ["off", "perOcc", "aggregate"].includes(m) ? m : "off";
+  rebuildChart();
+}
+
+export function getYearBounds() {
+  const years = _cache.allXLabels
+    .map((lbl) => Number(lbl))
+    .filter((y) => Number.isFinite(y))
+    .sort((a, b) => a - b);
+  const filterStartDate = parseDateToUTC(_cache.filters.startDate);
+  const filterEndDate = parseDateToUTC(_cache.filters.endDate);
+  const selectedStartYear = filterStartDate
+    ? filterStartDate.getUTCFullYear()
+    : Number.isFinite(_cache.filters.startYear)
+    ? _cache.filters.startYear
+    : null;
+  const selectedEndYear = filterEndDate
+    ? filterEndDate.getUTCFullYear()
+    : Number.isFinite(_cache.filters.endYear)
+    ? _cache.filters.endYear
+    : null;
+
+  return {
+    minYear: years.length ? years[0] : null,
+    maxYear: years.length ? years[years.length - 1] : null,
+    startYear: selectedStartYear,
+    endYear: selectedEndYear
+  };
+}
+
+export function getFilterOptions() {
+  const carrierSet = new Set();
+  const carrierGroupSet = new Set();
+  const insuranceProgramSet = new Set();
+  const namedInsuredSet = new Set();
+  const policyLimitTypeSet = new Set();
+  for (const s of _cache.allSlices || []) {
+    const c = String(s?.carrier || "").trim();
+    const g = String(s?.carrierGroup || "").trim();
+    const p = String(s?.insuranceProgram || "").trim();
+    const limitType = String(s?.policyLimitType || "").trim();
+    if (c && c !== "(unknown carrier)") carrierSet.add(c);
+    if (g && g !== "(unknown group)") carrierGroupSet.add(g);
+    if (p && p !== "(unknown program)") insuranceProgramSet.add(p);
+    const ni = String(s?.namedInsured || "").trim();
+    if (ni && ni !== "(unknown named insured)") namedInsuredSet.add(ni);
+    if (limitType) policyLimitTypeSet.add(limitType);
+  }
+
+  return {
+    insurancePrograms: Array.from(insuranceProgramSet).sort((a, b) => a.localeCompare(b)),
+    namedInsureds: Array.from(namedInsuredSet).sort((a, b) => a.localeCompare(b)),
+    policyLimitTypes: Array.from(policyLimitTypeSet).sort((a, b) => a.localeCompare(b)),
+    carriers: Array.from(carrierSet).sort((a, b) => a.localeCompare(b)),
+    carrierGroups: Array.from(carrierGroupSet).sort((a, b) => a.localeCompare(b)),
+    selectedInsurancePrograms: [...(_cache.filters?.insurancePrograms || [])],
+    selectedNamedInsureds: [...(_cache.filters?.namedInsureds || [])],
+    selectedPolicyLimitType: String(_cache.filters?.policyLimitType || "").trim(),
+    selectedPolicyLimitTypes: normalizeStringList(_cache.filters?.policyLimitTypes),
+    selectedCarriers: normalizeStringList(_cache.filters?.carriers),
+    selectedCarrierGroups: normalizeStringList(_cache.filters?.carrierGroups)
+  };
+}
+
+export function getFilteredSlices() {
+  return Array.isArray(_cache.slices) ? _cache.slices.slice() : [];
+}
+
+/**
+ * Carriers in the filtered slices that are insolvent at the as-of date (today without one):
+ * [{ carrier, carrierId, insolventSinceMs, insolvencyDate, estateName, collectiblePercent, availability }],
+ * oldest insolvency first. The availability view lists these under the chart.
+ */
+export function getCarrierInsolvencies() {
+  const byCarrier = new Map();
+  for (const s of _cache.slices || []) {
+    const insolventSinceMs = optionalNum(s?.insolventSinceMs);
+    if (!Number.isFinite(insolventSinceMs)) continue;
+    const carrier = String(s?.carrier || "(unknown carrier)");
+    if (byCarrier.has(carrier)) continue;
+    byCarrier.set(carrier, {
+      carrier,
+      carrierId: String(s?.carrierId || ""),
+      insolventSinceMs,
+      insolvencyDate: new Date(insolventSinceMs).toISOString().slice(0, 10),
+      estateName: String(s?.estateName || ""),
+      collectiblePercent: Number(s?.collectiblePercent ?? 0),
+      availability: String(s?.availability || "")
+    });
+  }
+  return Array.from(byCarrier.values()).sort(
+    (a, b) => a.insolventSinceMs - b.insolventSinceMs || a.carrier.localeCompare(b.carrier)
+  );
+}
+
+export function setDiagnostics(enabled) {
+  _diagnostics = !!enabled;
+}
+
+/**
+ * Quota-share layers whose ParticipationPercent values do not sum to 100% (see findQuotaShareIssues).
+ */
+export function getQuotaShareIssues() {
+  return Array.isArray(_cache.quotaShareIssues) ? _cache.quotaShareIssues.slice() : [];
+}
+
+export function getCoverageGaps() {
+  return getCoverageGapRegions().map((r) => ({ ...r }));
+}
+
+export function getYearLabelAnchors() {
+  const xScale = chart?.scales?.x;
+  if (!xScale || !Array.isArray(_cache.xLabels)) return [];
+  const anchors = [];
+  const isLinearYearAxis = _cache.useYearAxis && xScale.type === "linear";
+  for (const lbl of _cache.xLabels) {
+    const key = String(lbl ?? "");
+    const value = isLinearYearAxis ? Number(key) : key;
+    const px = Number(xScale.getPixelForValue(value));
+    if (!Number.isFinite(px)) continue;
+    anchors.push({ x: key, px });
+  }
+  return anchors;
+}
+
+// Keeps the caller's order (it sets the bottom-up order of a combined tower), minus blanks and repeats.
+const cleanOrderedList = (values) =>
+  [...new Set((Array.isArray(values) ? values : [values]).map((v) => String(v ?? "").trim()).filter(Boolean))];
+
+/**
+ * One program name or a list of them; several programs are drawn as one combined tower.
+ */
+export function setInsuranceProgramFilter(insurancePrograms) {
+  _cache.filters.insurancePrograms = cleanOrderedList(insurancePrograms);
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function resetInsuranceProgramFilter() {
+  _cache.filters.insurancePrograms = [];
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+/**
+ * Limit the chart to named insureds (tblNamedInsured names); like programs, several of them
+ * stack into one tower.
+ */
+export function setNamedInsuredFilter(namedInsureds) {
+  _cache.filters.namedInsureds = cleanOrderedList(namedInsureds);
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function resetNamedInsuredFilter() {
+  _cache.filters.namedInsureds = [];
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+/**
+ * One limit type, or a list of them. A list keeps the slices of every listed type, so the
+ * tower stacks them at the same attachment; the Executive Summary uses it to compare types.
+ */
+export function setPolicyLimitTypeFilter(policyLimitType) {
+  const types = Array.isArray(policyLimitType)
+    ? normalizeStringList(policyLimitType)
+    : [String(policyLimitType || "").trim()].filter(Boolean);
+  _cache.filters.policyLimitType = types[0] || "";
+  _cache.filters.policyLimitTypes = types.length > 1 ? types : [];
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function resetPolicyLimitTypeFilter() {
+  _cache.filters.policyLimitType = "";
+  _cache.filters.policyLimitTypes = [];
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function setAnnualizedMode(enabled) {
+  _cache.filters.annualized = !!enabled;
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function getAnnualizedMode() {
+  return !!_cache.filters?.annualized;
+}
+
+/**
+ * Show the tower as it stood on `date` (YYYY-MM-DD): payments and insolvencies
+ * dated after it are ignored. A blank date shows the current position.
+ */
+export function setAsOfDate(date) {
+  const d = parseDateToUTC(date);
+  _cache.filters.asOfDate = d ? d.toISOString().slice(0, 10) : "";
+  applyFiltersToCache();
+  rebuildChart();
+  return _cache.filters.asOfDate;
+}
+
+export function getAsOfDate() {
+  return String(_cache.filters.asOfDate || "");
+}
+
+/**
+ * Earliest and latest dates worth scrubbing through: policy periods, payments and insolvencies.
+ */
+export function getAsOfDateBounds() {
+  let minMs = Number.POSITIVE_INFINITY;
+  let maxMs = Number.NEGATIVE_INFINITY;
+  const take = (ms) => {
+    const n = ms === null || ms === undefined ? NaN : Number(ms);
+    if (!Number.isFinite(n)) return;
+    minMs = Math.min(minMs, n);
+    maxMs = Math.max(maxMs, n);
+  };
+  for (const s of _cache.allSlices || []) {
+    take(s?.policyStartMs);
+    take(s?.policyEndMs);
+    take(s?.insolvencyMs);
+    for (const ev of s?.solvencyHistory || []) take(ev?.effectiveMs);
+  }
+  for (const p of _cache.payments || []) take(p?.paymentMs);
+  if (!Number.isFinite(minMs) || !Number.isFinite(maxMs)) return { minDate: "", maxDate: "" };
+  const iso = (ms) => new Date(ms).toISOString().slice(0, 10);
+  return { minDate: iso(minMs), maxDate: iso(maxMs) };
+}
+
+export function setEntityFilters({ carriers, carrierGroups } = {}) {
+  _cache.filters.carriers = normalizeStringList(carriers);
+  _cache.filters.carrierGroups = normalizeStringList(carrierGroups);
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function resetEntityFilters() {
+  _cache.filters.carriers = [];
+  _cache.filters.carrierGroups = [];
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function setYearRange(startYear, endYear) {
+  const norm = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.trunc(n) : null;
+  };
+
+  let start = norm(startYear);
+  let end = norm(endYear);
+  if (start !== null && end !== null && start > end) [start, end] = [end, start];
+
+  _cache.filters.startYear = start;
+  _cache.filters.endYear = end;
+  _cache.filters.startDate = null;
+  _cache.filters.endDate = null;
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function resetYearRange() {
+  _cache.filters.startYear = null;
+  _cache.filters.endYear = null;
+  _cache.filters.startDate = null;
+  _cache.filters.endDate = null;
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function setDateRange(startDate, endDate) {
+  let start = parseDateToUTC(startDate);
+  let end = parseDateToUTC(endDate);
+  if (start && end && start.getTime() > end.getTime()) [start, end] = [end, start];
+
+  _cache.filters.startDate = start ? start.toISOString().slice(0, 10) : null;
+  _cache.filters.endDate = end ? end.toISOString().slice(0, 10) : null;
+  _cache.filters.startYear = start ? start.getUTCFullYear() : null;
+  _cache.filters.endYear = end ? end.getUTCFullYear() : null;
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function resetDateRange() {
+  _cache.filters.startDate = null;
+  _cache.filters.endDate = null;
+  _cache.filters.startYear = null;
+  _cache.filters.endYear = null;
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+export function setZoomRange(min, max) {
+  const norm = (v) => {
+    if (v === null || v === undefined || String(v).trim() === "") return null;
+    const n = num(v);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  let zoomMin = norm(min);
+  let zoomMax = norm(max);
+  if (zoomMin !== null && zoomMax !== null && zoomMin > zoomMax) {
+    [zoomMin, zoomMax] = [zoomMax, zoomMin];
+  }
+
+  _cache.filters.zoomMin = zoomMin;
+  _cache.filters.zoomMax = zoomMax;
+  rebuildChart();
+}
+
+export function resetZoomRange() {
+  _cache.filters.zoomMin = null;
+  _cache.filters.zoomMax = null;
+  rebuildChart();
+}
+
+/* ================================
+   Linked charts (program comparison)
+================================ */
+
+export function getYearLimitTotals() {
+  return getYearLimitTotalsCached().map((t) => ({ ...t }));
+}
+
+// First and last year the current filters have coverage in, ignoring any axis lock.
+export function getDataYearRange() {
+  return { ..._cache.dataYearRange };
+}
+
+/**
+ * Pin the year axis to minYear..maxYear so charts side by side line up.
+ * Pass nulls to go back to the range the data spans.
+ */
+export function setYearAxisRange(minYear, maxYear) {
+  let min = Number.isFinite(Number(minYear)) && minYear !== null ? Math.trunc(Number(minYear)) : null;
+  let max = Number.isFinite(Number(maxYear)) && maxYear !== null ? Math.trunc(Number(maxYear)) : null;
+  if (min !== null && max !== null && min > max) [min, max] = [max, min];
+  _cache.yearAxisRange = min !== null && max !== null ? { minYear: min, maxYear: max } : null;
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+// Highest layer top among the filtered slices: what the y axis needs to show everything.
+export function getTowerTopLimit() {
+  return (_cache.slices || []).reduce(
+    (top, s) => Math.max(top, Number(s?.attach || 0) + Number(s?.sliceLimit || 0)),
+    0
+  );
+}
+
+export function setLinkedYear(year) {
+  const y = year === null || year === undefined || year === "" ? NaN : Number(year);
+  const next = Number.isFinite(y) ? Math.trunc(y) : null;
+  if (next === _cache.linkedYear) return;
+  _cache.linkedYear = next;
+  if (chart) chart.draw();
+}
+
+// Called with the year under the pointer (null when it leaves the plot area).
+export function setHoverYearListener(listener) {
+  _hoverYearListener = typeof listener === "function" ? listener : null;
+}
+
+/* ================================
+   State snapshot (shareable links)
+================================ */
+
+export function getLegendSelections() {
+  return {
+    carrier: Array.from(getLegendSelectionSet("carrier")).sort(),
+    carrierGroup: Array.from(getLegendSelectionSet("carrierGroup")).sort()
+  };
+}
+
+// Legend clicks change state inside the chart; the page hears about them here.
+export function setLegendSelectionListener(listener) {
+  _legendSelectionListener = typeof listener === "function" ? listener : null;
+}
+
+/**
+ * Apply a whole state (the shape getChartState() returns) with one redraw.
+ */
+export function setChartState(state = {}) {
+  const f = _cache.filters;
+  const finiteOrNull = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+  const ordered = (a, b) => (a !== null && b !== null && a > b ? [b, a] : [a, b]);
+
+  if (CHART_VIEWS.includes(state.view)) currentView = state.view;
+  f.insurancePrograms = cleanOrderedList(state.insurancePrograms ?? state.insuranceProgram ?? []);
+  f.namedInsureds = cleanOrderedList(state.namedInsureds ?? []);
+  f.policyLimitType = String(state.policyLimitType || "").trim();
+  f.policyLimitTypes = [];
+  const startYear = finiteOrNull(state.startYear);
+  const endYear = finiteOrNull(state.endYear);
+  [f.startYear, f.endYear] = ordered(
+    startYear === null ? null : Math.trunc(startYear),
+    endYear === null ? null : Math.trunc(endYear)
+  );
+  f.startDate = null;
+  f.endDate = null;
+  [f.zoomMin, f.zoomMax] = ordered(finiteOrNull(state.zoomMin), finiteOrNull(state.zoomMax));
+  f.carriers = normalizeStringList(state.carriers);
+  f.carrierGroups = normalizeStringList(state.carrierGroups);
+  f.annualized = !!state.annualized;
+  f.sirMode = ["off", "perOcc", "aggregate"].includes(state.sirMode) ? state.sirMode : "off";
+  const asOf = parseDateToUTC(state.asOfDate);
+  f.asOfDate = asOf ? asOf.toISOString().slice(0, 10) : "";
+  _cache.legendSelections = {
+    carrier: normalizeLegendSelectionSet(state.legendCarriers),
+    carrierGroup: normalizeLegendSelectionSet(state.legendCarrierGroups)
+  };
+
+  applyFiltersToCache();
+  rebuildChart();
+}
+
+/**
+ * Everything needed to redraw the chart as it is now (see chartState.js for the query-string form).
+ */
+export function getChartState() {
+  const f = _cache.filters || {};
+  const legend = getLegendSelections();
+  return {
+    view: currentView,
+    insurancePrograms: [...(f.insurancePrograms || [])],
+    namedInsureds: [...(f.namedInsureds || [])],
+    policyLimitType: String(f.policyLimitType || ""),
+    startYear: Number.isFinite(f.startYear) ? f.startYear : null,
+    endYear: Number.isFinite(f.endYear) ? f.endYear : null,
+    zoomMin: Number.isFinite(f.zoomMin) ? f.zoomMin : null,
+    zoomMax: Number.isFinite(f.zoomMax) ? f.zoomMax : null,
+    carriers: [...(f.carriers || [])],
+    carrierGroups: [...(f.carrierGroups || [])],
+    annualized: !!f.annualized,
+    sirMode: f.sirMode || "off",
+    asOfDate: String(f.asOfDate || ""),
+    legendCarriers: legend.carrier,
+    legendCarrierGroups: legend.carrierGroup
+  };
+}
+
+function pickPolicyParticipant(raw, datasetLabel) {
+  const parts = Array.isArray(raw?.participants) ? raw.participants : [];
+  if (!parts.length) return null;
+
+  const label = String(datasetLabel || "").trim();
+  if (raw?.isQuotaShare && label) {
+    if (currentView === "carrier") {
+      const match = parts.find((p) => String(p?.carrier || "").trim() === label);
+      if (match) return match;
+    } else if (currentView === "carrierGroup") {
+      const match = parts.find((p) => String(p?.carrierGroup || "").trim() === label);
+      if (match) return match;
+    }
+  }
+
+  return parts
+    .slice()
+    .sort((a, b) => Number(b?.sliceLimit || 0) - Number(a?.sliceLimit || 0))[0] || parts[0];
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function policyInfoUrl(policyId, policyNumber = "", policyLimitType = "", insuranceProgram = "") {
+  const params = new URLSearchParams();
+  params.set("policyId", String(policyId || ""));
+  const policyNo = String(policyNumber || "").trim();
+  const limitType = String(policyLimitType || "").trim();
+  const program = String(insuranceProgram || "").trim();
+  if (policyNo) params.set("policyNumber", policyNo);
+  if (limitType) params.set("policyLimitType", limitType);
+  if (program) params.set("insuranceProgram", program);
+  return `/Modules/PolicyInformation/index.html?${params.toString()}`;
+}
+
+function buildTooltipTitle(items) {
+  const raw = items?.[0]?.raw || {};
+  const yr = String(raw.yearLabel ?? raw.x ?? "");
+  const ds = items?.[0]?.dataset || {};
+  if (ds?.datasetId === "sirOverlay") return `${yr} — ${ds.label || "SIR"}`;
+  if (raw.isQuotaShare) return `${yr} — Quota share`;
+  const g = String(raw.group ?? "").trim();
+  return g ? `${yr} — ${g}` : yr;
+}
+
+function buildTooltipLines(ctx, r) {
+  if (ctx?.dataset?.datasetId === "sirOverlay") {
+    const val = Number(ctx?.raw?.y ?? ctx?.parsed?.y ?? 0);
+    return [`${ctx.dataset.label}: ${money(val)}`];
+  }
+
+  const parts = Array.isArray(r.participants) ? r.participants : [];
+  const stackOffset = Number(parts[0]?.stackOffset || 0);
+  const attach = (r.attach ?? 0) - stackOffset;
+  const top = (r.top ?? 0) - stackOffset;
+  const lim = Math.max(0, top - attach);
+
+  const lines = [];
+  // Layers of a combined tower show their own program's figures; the stacked position is noted.
+  if (stackOffset > 0 || currentView === "program" || currentView === "namedInsured") {
+    const listOf = (key) => [...new Set(parts.map((p) => String(p?.[key] || "").trim()).filter(Boolean))].join(", ");
+    if (listOf("insuranceProgram")) lines.push(`Program: ${listOf("insuranceProgram")}`);
+    if (listOf("namedInsured")) lines.push(`Named Insured: ${listOf("namedInsured")}`);
+  }
+  lines.push(`Attach: ${money(attach)}`);
+  lines.push(`Limit: ${money(lim)}`);
+  lines.push(`Top: ${money(top)}`);
+  if (stackOffset > 0) lines.push(`Stacked on: ${money(stackOffset)} (combined tower)`);
+  if (r.annualized) {
+    const segStartVals = parts
+      .map((p) => Number(p?.segmentStartMs || p?.policyStartMs || 0))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    const segEndVals = parts
+      .map((p) => Number(p?.segmentEndMs || p?.policyEndMs || 0))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    if (segStartVals.length && segEndVals.length) {
+      const segStart = Math.min(...segStartVals);
+      const segEnd = Math.max(...segEndVals);
+      lines.push(`Policy Start: ${formatFullDateUTC(segStart)}`);
+      lines.push(`Policy End: ${formatFullDateUTC(segEnd)}`);
+      const isMultiYear = parts.some((p) => {
+        const fullStart = Number(p?.policyStartMs || 0);
+        const fullEnd = Number(p?.policyEndMs || 0);
+        const pSegStart = Number(p?.segmentStartMs || fullStart || 0);
+        const pSegEnd = Number(p?.segmentEndMs || fullEnd || 0);
+        return Number.isFinite(fullStart) &&
+          Number.isFinite(fullEnd) &&
+          Number.isFinite(pSegStart) &&
+          Number.isFinite(pSegEnd) &&
+          (fullStart < pSegStart || fullEnd > pSegEnd);
+      });
+      if (isMultiYear) lines.push("Multi-year policy segment");
+    }
+  } else {
+    const startVals = parts
+      .map((p) => Number(p?.policyStartMs || 0))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    const endVals = parts
+      .map((p) => Number(p?.policyEndMs || 0))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    if (startVals.length && endVals.length) {
+      const minStart = Math.min(...startVals);
+      const maxStart = Math.max(...startVals);
+      const minEnd = Math.min(...endVals);
+      const maxEnd = Math.max(...endVals);
+      if (minStart === maxStart && minEnd === maxEnd) {
+        lines.push(`Policy Start: ${formatFullDateUTC(minStart)}`);
+        lines.push(`Policy End: ${formatFullDateUTC(maxEnd)}`);
+      } else {
+        lines.push(`Policy Start (earliest): ${formatFullDateUTC(minStart)}`);
+        lines.push(`Policy End (latest): ${formatFullDateUTC(maxEnd)}`);
+      }
+    }
+  }
+
+  const isPrimaryLayer = Number(attach) <= 0;
+  if (isPrimaryLayer) {
+    const sirValsPerOcc = parts
+      .map((p) => Number(p?.sirPerOcc || 0))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    const sirValsAgg = parts
+      .map((p) => Number(p?.sirAggregate || 0))
+      .filter((v) => Number.isFinite(v) && v > 0);
+    if (sirValsPerOcc.length) {
+      const min = Math.min(...sirValsPerOcc);
+      const max = Math.max(...sirValsPerOcc);
+      lines.push(`SIR (Per Occ): ${min === max ? money(min) : `${money(min)} - ${money(max)}`}`);
+    }
+    if (sirValsAgg.length) {
+      const min = Math.min(...sirValsAgg);
+      const max = Math.max(...sirValsAgg);
+      lines.push(`SIR (Aggregate): ${min === max ? money(min) : `${money(min)} - ${money(max)}`}`);
+    }
+  }
+
+  if (currentView === "remaining") {
+    const aggregate = parts.reduce((sum, p) => sum + Number(p?.aggregateLimit || 0), 0);
+    const paid = parts.reduce((sum, p) => sum + Number(p?.paidToDate || 0), 0);
+    const asOf = String(_cache.filters?.asOfDate || "").trim();
+    if (aggregate > 0) lines.push(`Aggregate: ${money(aggregate)}`);
+    lines.push(`Paid${asOf ? ` (as of ${asOf})` : " to date"}: ${money(paid)}`);
+    lines.push(`Remaining Limit: ${money(Math.max(0, lim - Number(r.exhaustedLimit || 0)))}`);
+  }
+
+  if (currentView === "availability" && Number(r.uncollectibleLimit || 0) > 0 && lim > 0) {
+    const collectible = Math.max(0, lim - Number(r.uncollectibleLimit || 0));
+    lines.push(`Collectible: ${money(Math.round(collectible))} (${Math.round((collectible / lim) * 100)}%)`);
+    lines.push(`Uncollectible: ${money(Math.round(lim - collectible))}`);
+  }
+
+  const insolvencies = new Map();
+  for (const p of parts) {
+    const carrier = p?.carrier || "(unknown carrier)";
+    if (Number.isFinite(p?.insolventSinceMs) && !insolvencies.has(carrier)) insolvencies.set(carrier, p);
+  }
+  for (const [carrier, p] of insolvencies) {
+    lines.push(`Insolvent: ${carrier} since ${formatFullDateUTC(p.insolventSinceMs)}`);
+    if (p.estateName) lines.push(`Estate: ${p.estateName}`);
+  }
+
+  const quotaParts = r.isQuotaShare && r.quotaGroupKey
+    ? parts.filter((p) => String(p?.quotaGroupKey || "") === String(r.quotaGroupKey))
+    : parts;
+  const hideUnavailable = isUnavailableLegendHidden(ctx?.chart);
+  const shownQuotaParts = hideUnavailable
+    ? quotaParts.filter((p) => !String(p?.availability || "").toLowerCase().includes("unavail"))
+    : quotaParts;
+  const isUnavailableGroup = String(r.group || "").toLowerCase() === "unavailable";
+  const shouldShowParts = !!r.isQuotaShare && shownQuotaParts.length > 1;
+
+  if (isUnavailableGroup && shownQuotaParts.length) {
+    const uniqueCarriers = [...new Set(shownQuotaParts.map((p) => p.carrier || "(unknown carrier)"))];
+    const carrierLine =
+      uniqueCarriers.length === 1
+        ? `Carrier: ${uniqueCarriers[0]}`
+        : `Carriers: ${uniqueCarriers.join(", ")}`;
+    lines.push(carrierLine);
+  }
+
+  if (shouldShowParts && shownQuotaParts.length) {
+    lines.push(`Quota share participants (${shownQuotaParts.length}):`);
+    const tooltipMaxParticipants = Number(_cache.options?.tooltipMaxParticipants || 25);
+    const show = shownQuotaParts.slice(0, tooltipMaxParticipants);
+    for (const p of show) {
+      const carrier = p.carrier || "(unknown carrier)";
+      const status = String(p?.availability || "").trim();
+      const statusSuffix = /unavail/i.test(status) ? " (Unavailable)" : "";
+      const share = Number(p?.sharePercent);
+      const shareText = Number.isFinite(share) ? ` (${formatPercent(share)})` : "";
+      lines.push(`• ${carrier}${statusSuffix}: ${money(p.sliceLimit)}${shareText}`);
+    }
+    if (shownQuotaParts.length > tooltipMaxParticipants) {
+      lines.push(`… +${shownQuotaParts.length - tooltipMaxParticipants} more`);
+    }
+  }
+
+  const participationTotal = r?.participationTotal;
+  if (
+    r.isQuotaShare &&
+    participationTotal !== null &&
+    participationTotal !== undefined &&
+    Math.abs(Number(participationTotal) - 100) > PARTICIPATION_TOLERANCE
+  ) {
+    lines.push(`⚠ Participation totals ${formatPercent(participationTotal)} (expected 100%)`);
+  }
+
+  if (!isCoverageGapKindHidden("overlap")) {
+    const pids = new Set(parts.map((p) => String(p?.pid ?? "")));
+    const xs = Number(r.xStart);
+    const xe = Number(r.xEnd);
+    const overlaps = getCoverageGapRegions("overlap").filter(
+      (g) =>
+        g.policies.some((p) => pids.has(String(p.PolicyID))) &&
+        (!Number.isFinite(xs) || !Number.isFinite(xe) || (g.xStartValue < xe && g.xEndValue > xs))
+    );
+    for (const g of overlaps) lines.push(`⚠ Overlap: ${describeCoverageGap(g)}`);
+  }
+
+  return lines;
+}
+
+function getPolicyLinksForTooltip(ctx, r) {
+  const parts = Array.isArray(r?.participants) ? r.participants : [];
+  if (!parts.length) return [];
+  const hideUnavailable = isUnavailableLegendHidden(ctx?.chart);
+  const quotaParts = r.isQuotaShare && r.quotaGroupKey
+    ? parts.filter((p) => String(p?.quotaGroupKey || "") === String(r.quotaGroupKey))
+    : parts;
+  const shownParts = hideUnavailable
+    ? quotaParts.filter((p) => !String(p?.availability || "").toLowerCase().includes("unavail"))
+    : quotaParts;
+  const source = shownParts.length ? shownParts : quotaParts;
+  if (!source.length) return [];
+
+  if (r.isQuotaShare) {
+    const dedup = new Map();
+    for (const p of source) {
+      const pid = String(p?.pid || "").trim();
+      if (!pid || dedup.has(pid)) continue;
+      const carrier = String(p?.carrier || "(unknown carrier)").trim();
+      const policyNo = String(p?.policy_no || "").trim();
+      const policyLimitType = String(p?.policyLimitType || "").trim();
+      const insuranceProgram = String(p?.insuranceProgram || "").trim();
+      const label = policyNo ? `${carrier} (${policyNo})` : `${carrier} (Policy ${pid})`;
+      dedup.set(pid, { policyId: pid, policyNumber: policyNo, policyLimitType, insuranceProgram, label });
+    }
+    return Array.from(dedup.values());
+  }
+
+  const dsLabel = String(ctx?.dataset?.label || r?.group || "").trim();
+  const picked = pickPolicyParticipant(r, dsLabel);
+  const pid = String(picked?.pid || "").trim();
+  if (!pid) return [];
+  const carrier = String(picked?.carrier || "(unknown carrier)").trim();
+  const policyNo = String(picked?.policy_no || "").trim();
+  const policyLimitType = String(picked?.policyLimitType || "").trim();
+  const insuranceProgram = String(picked?.insuranceProgram || "").trim();
+  const label = policyNo ? `${carrier} (${policyNo})` : `${carrier} (Policy ${pid})`;
+  return [{ policyId: pid, policyNumber: policyNo, policyLimitType, insuranceProgram, label }];
+}
+
+function getOrCreateHtmlTooltip(chartInstance) {
+  let el = document.body.querySelector(".coverageHtmlTooltip");
+  if (el) return el;
+  el = document.createElement("div");
+  el.className = "coverageHtmlTooltip";
+  Object.assign(el.style, {
+    position: "fixed",
+    transform: "translate(0, 0)",
+    background: "rgba(2, 6, 23, 0.94)",
+    color: "rgba(248, 250, 252, 0.96)",
+    border: "1px solid rgba(148, 163, 184, 0.35)",
+    borderRadius: "10px",
+    padding: "10px 12px",
+    font: "600 14px/1.35 ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
+    boxShadow: "0 14px 30px rgba(2, 6, 23, 0.38)",
+    pointerEvents: "none",
+    zIndex: "50",
+    minWidth: "260px",
+    maxWidth: "460px",
+    whiteSpace: "normal",
+    opacity: "0"
+  });
+  el.dataset.locked = "0";
+  el.addEventListener("mouseenter", () => {
+    el.dataset.locked = "1";
+  });
+  el.addEventListener("mouseleave", () => {
+    el.dataset.locked = "0";
+    el.style.opacity = "0";
+    el.style.pointerEvents = "none";
+  });
+  document.body.appendChild(el);
+  return el;
+}
+
+function externalCoverageTooltipHandler(context) {
+  const { chart: chartInstance, tooltip } = context;
+  const tooltipEl = getOrCreateHtmlTooltip(chartInstance);
+  if (!tooltip || tooltip.opacity === 0 || !tooltip.dataPoints?.length) {
+    if (tooltipEl.dataset.locked === "1") return;
+    tooltipEl.style.opacity = "0";
+    tooltipEl.style.pointerEvents = "none";
+    return;
+  }
+  const point = tooltip.dataPoints[0];
+  const r = point?.raw || {};
+  const title = buildTooltipTitle([point]);
+  const lines = buildTooltipLines(point, r);
+  const links = getPolicyLinksForTooltip(point, r);
+
+  const linesHtml = lines.map((ln) => `<div>${escapeHtml(ln)}</div>`).join("");
+  const linksHtml = links.length
+    ? `<div style="margin-top:8px; border-top:1px solid rgba(148,163,184,0.25); padding-top:7px;">
+         <div style="font-weight:700; margin-bottom:4px;">Policy link${links.length > 1 ? "s" : ""}:</div>
+         ${links
+           .map(
+             (l) =>
+               `<div><a href="${policyInfoUrl(l.policyId, l.policyNumber, l.policyLimitType, l.insuranceProgram)}" target="_blank" rel="noopener noreferrer" style="color:#93c5fd; text-decoration:underline;">${escapeHtml(l.label)}</a></div>`
+           )
+           .join("")}
+       </div>`
+    : "";
+
+  tooltipEl.innerHTML = `
+    <div style="font-size:13px; font-weight:700; margin-bottom:5px;">${escapeHtml(title)}</div>
+    <div style="display:grid; gap:2px; font-size:12px; font-weight:500;">${linesHtml}</div>
+    ${linksHtml}
+  `;
+
+  positionHtmlTooltip(chartInstance, tooltipEl, tooltip.caretX, tooltip.caretY);
+}
+
+function positionHtmlTooltip(chartInstance, tooltipEl, caretX, caretY) {
+  const rect = chartInstance.canvas.getBoundingClientRect();
+  const offsetX = 18;
+  const offsetY = 18;
+
+  tooltipEl.style.left = "0px";
+  tooltipEl.style.top = "0px";
+  tooltipEl.style.opacity = "1";
+  tooltipEl.style.pointerEvents = "auto";
+  const tipW = tooltipEl.offsetWidth || 320;
+  const tipH = tooltipEl.offsetHeight || 140;
+
+  const minLeft = 8;
+  const minTop = 8;
+  const maxLeft = window.innerWidth - tipW - 8;
+  const maxTop = window.innerHeight - tipH - 8;
+  const rawLeft = rect.left + caretX + offsetX;
+  const rawTop = rect.top + caretY + offsetY;
+  const left = clamp(rawLeft, minLeft, Math.max(minLeft, maxLeft));
+  const top = clamp(rawTop, minTop, Math.max(minTop, maxTop));
+
+  tooltipEl.style.left = `${left}px`;
+  tooltipEl.style.top = `${top}px`;
+  tooltipEl.style.opacity = "1";
+  tooltipEl.style.pointerEvents = "auto";
+}
+
+export function getPolicySelectionFromEvent(evt) {
+  if (!chart || !evt) return null;
+  const hits = chart.getElementsAtEventForMode(evt, "nearest", { intersect: true }, true);
+  if (!Array.isArray(hits) || !hits.length) return null;
+  const hit = hits[0];
+  const ds = chart.data?.datasets?.[hit.datasetIndex];
+  if (!ds || ds?.datasetId === "sirOverlay") return null;
+  const raw = ds?.data?.[hit.index];
+  if (!raw) return null;
+
+  const participant = pickPolicyParticipant(raw, ds?.label || raw?.group || "");
+  if (!participant) return null;
+
+  const stackOffset = Number(participant?.stackOffset || 0);
+  const attach = Number(raw?.attach || 0) - stackOffset;
+  const top = Number(raw?.top || 0) - stackOffset;
+  const limit = Math.max(0, top - attach);
+
+  return {
+    policyId: String(participant?.pid || ""),
+    policyNumber: String(participant?.policy_no || ""),
+    policyLimitType: String(participant?.policyLimitType || ""),
+    insuranceProgram: String(participant?.insuranceProgram || ""),
+    carrier: String(participant?.carrier || ""),
+    carrierGroup: String(participant?.carrierGroup || ""),
+    availability: String(participant?.availability || ""),
+    policyStartMs: Number(participant?.policyStartMs || 0),
+    policyEndMs: Number(participant?.policyEndMs || 0),
+    segmentStartMs: Number(participant?.segmentStartMs || 0),
+    segmentEndMs: Number(participant?.segmentEndMs || 0),
+    attach,
+    limit,
+    top,
+    yearLabel: String(raw?.yearLabel || raw?.x || ""),
+    isQuotaShare: !!raw?.isQuotaShare,
+    view: currentView
+  };
+}
+
+/**
+ * Set (or partially update) the all-sums scenario drawn over the chart.
+ * Both exhaustion rules are simulated; `rule` picks the one painted on the canvas.
+ */
+export function setAllSumsScenario({ years, lossAmount, rule, applySir } = {}) {
+  const state = _cache.allSums;
+  if (Array.isArray(years)) {
+    state.years = Array.from(
+      new Set(years.map((y) => Number.parseInt(String(y), 10)).filter((y) => Number.isFinite(y)))
+    ).sort((a, b) => a - b);
+  }
+  if (lossAmount !== undefined) {
+    const n = num(lossAmount);
+    state.lossAmount = n > 0 ? n : 0;
+  }
+  if (rule !== undefined) state.rule = rule === "horizontal" ? "horizontal" : "vertical";
+  if (applySir !== undefined) state.applySir = !!applySir;
+
+  recomputeAllSums();
+  if (chart) chart.update("none");
+  return getAllSumsResult();
+}
+
+export function clearAllSumsScenario() {
+  _cache.allSums.years = [];
+  _cache.allSums.results = null;
+  if (chart) chart.update("none");
+}
+
+export function getAllSumsResult() {
+  const state = _cache.allSums;
+  if (!state.results) return null;
+  return {
+    years: state.years.slice(),
+    lossAmount: state.lossAmount,
+    rule: state.rule,
+    applySir: state.applySir,
+    vertical: state.results.vertical,
+    horizontal: state.results.horizontal
+  };
+}
+
+export function getYearFromEvent(evt) {
+  if (!chart || !evt) return null;
+  const rect = chart.canvas.getBoundingClientRect();
+  return yearAtPixel(chart, Number(evt.clientX) - rect.left);
+}
+
+/* ================================
+   Main render function
+================================ */
+
+export async function renderCoverageChart({
+  canvasId,
+  // Pre-joined slices from the server; the default source.
+  datasetUrl = "/api/slices",
+  // Optional: tblPolicyLimits.csv URL. When set, the raw tables below are fetched and joined
+  // in the browser instead (static hosting without the API).
+  csvUrl = "",
+
+  policyDatesUrl = "/data/OriginalFiles/tblPolicyDates.csv",
+  policyUrl = "/data/OriginalFiles/tblPolicy.csv",
+  carrierUrl = "/data/OriginalFiles/tblCarrier.csv",
+  carrierGroupUrl = "/data/OriginalFiles/tblCarrierGroup.csv",
+  insuranceProgramUrl = "/data/OriginalFiles/tblInsuranceProgram.csv",
+  policyLimitTypeUrl = "/data/OriginalFiles/tblPolicyLimitType.csv",
+  // Optional: named insured names for the namedInsured view and filter (missing file = ids only).
+  namedInsuredUrl = "/data/OriginalFiles/tblNamedInsured.csv",
+  // Optional: payments used by the remaining-limits view (missing file = no erosion).
+  paymentsUrl = "/data/OriginalFiles/tblPayments.csv",
+  // Optional: dated carrier solvency history (missing file = tblCarrier's single status).
+  solvencyEventsUrl = "/data/OriginalFiles/tblCarrierSolvencyEvents.csv",
+  // Optional: an already-built dataset (buildCoverageDataset) and payment rows; headless
+  // reports read the tables from disk and pass them in with a canvas element, so nothing is fetched.
+  dataset = null,
+  paymentRows = null,
+  canvas: canvasElement = null,
+
+  useYearAxis = true,
+
+  barThickness = "flex",
+  categorySpacing = 1.0,
+  outlineWidth = 1,
+  tooltipMaxParticipants = 25,
+
+  initialView = "carrier",
+
+  // Console diagnostics (see setDiagnostics); off unless asked for.
+  diagnostics = _diagnostics
+}) {
+  _diagnostics = !!diagnostics;
+  if (!window.Chart) {
+    throw new Error("Chart.js must be loaded before coverageChartEngine.js (/vendor/chart.umd.min.js; run npm install on the server)");
+  }
+
+  const canvas = canvasElement || document.getElementById(canvasId);
+  if (!canvas) throw new Error("Canvas element not found");
+
+  currentView = CHART_VIEWS.includes(initialView)
+    ? initialView
+    : "carrier";
+  const themeColors = getChartThemeColors();
+
+  const paymentRowsPromise = paymentRows ? Promise.resolve(paymentRows) : fetchOptionalCSV(paymentsUrl);
+  let built;
+  if (dataset) {
+    built = dataset;
+  } else if (!csvUrl) {
+    const sep = String(datasetUrl).includes("?") ? "&" : "?";
+    built = await fetchDatasetJSON(`${datasetUrl}${sep}axis=${useYearAxis ? "year" : "policy"}`);
+  } else {
+    const [
+      limitsRows,
+      datesRows,
+      policyRows,
+      carrierRows,
+      carrierGroupRows,
+      insuranceProgramRows,
+      policyLimitTypeRows,
+      namedInsuredRows,
+      solvencyEventRows
+    ] = await Promise.all([
+      fetchCSV(csvUrl),
+      fetchCSV(policyDatesUrl),
+      fetchCSV(policyUrl),
+      fetchCSV(carrierUrl),
+      fetchCSV(carrierGroupUrl),
+      fetchInsuranceProgramRows(insuranceProgramUrl),
+      fetchCSV(policyLimitTypeUrl),
+      fetchOptionalCSV(namedInsuredUrl),
+      fetchOptionalCSV(solvencyEventsUrl)
+    ]);
+
+    built = buildCoverageDataset({
+      limitsRows,
+      datesRows,
+      policyRows,
+      carrierRows,
+      carrierGroupRows,
+      insuranceProgramRows,
+      policyLimitTypeRows,
+      namedInsuredRows,
+      solvencyEventRows,
+      useYearAxis
+    });
+  }
+  const quotaKeySet = built.quotaKeySet;
+  const payments = buildPaymentRecords(await paymentRowsPromise);
+
+  _cache = {
+    allSlices: built.slices,
+    allXLabels: built.xLabels,
+    slices: built.slices,
+    xLabels: built.xLabels,
+    options: { barThickness, categorySpacing, tooltipMaxParticipants },
+    quotaKeySet,
+    quotaShareIssues: findQuotaShareIssues(built.slices, quotaKeySet),
+    payments,
+    erosion: null,
+    useYearAxis,
+    xZoom: _cache.xZoom || 1,
+    dom: {
+      canvas,
+      viewport: canvas.closest(".chartViewport"),
+      surface: canvas.parentElement
+    },
+    _wheelBound: _cache._wheelBound || false,
+    hiddenLegendCarriers: _cache.hiddenLegendCarriers || new Set(),
+    hiddenLegendCarrierGroups: _cache.hiddenLegendCarrierGroups || new Set(),
+    legendSelections: {
+      carrier: normalizeLegendSelectionSet(_cache.legendSelections?.carrier),
+      carrierGroup: normalizeLegendSelectionSet(_cache.legendSelections?.carrierGroup)
+    },
+    showCoverageTotals: typeof _cache.showCoverageTotals === "boolean" ? _cache.showCoverageTotals : true,
+    coverageGaps: [],
+    coverageGapHover: null,
+    hiddenCoverageGapKinds: _cache.hiddenCoverageGapKinds || new Set(),
+    yearAxisRange: _cache.yearAxisRange || null,
+    dataYearRange: { minYear: null, maxYear: null },
+    yearLimitTotals: null,
+    linkedYear: null,
+    hoverYear: null,
+    allSums: _cache.allSums,
+    filters: {
+      startYear: null,
+      endYear: null,
+      startDate: null,
+      endDate: null,
+      zoomMin: null,
+      zoomMax: null,
+      sirMode: _cache.filters?.sirMode || "off",
+      insurancePrograms: [],
+      namedInsureds: [],
+      policyLimitType: "",
+      policyLimitTypes: [],
+      annualized: !!_cache.filters?.annualized,
+      asOfDate: String(_cache.filters?.asOfDate || ""),
+      carriers: [],
+      carrierGroups: []
+    }
+  };
+
+  // Default limit-type filter on first render to avoid stacking multiple
+  // limit types (for example BI + PD) at the same attachment.
+  if (!String(_cache.filters.policyLimitType || "").trim()) {
+    const limitTypeOptions = getFilterOptions().policyLimitTypes || [];
+    const bodilyInjury =
+      limitTypeOptions.find((t) => String(t || "").trim().toLowerCase() === "bodily injury") || "";
+    _cache.filters.policyLimitType = bodilyInjury || String(limitTypeOptions[0] || "").trim();
+  }
+
+  applyFiltersToCache();
+
+  const datasets = buildDatasetsForView({
+    slices: _cache.slices,
+    xLabels: _cache.xLabels,
+    view: currentView,
+    barThickness,
+    categorySpacing,
+    quotaKeySet: _cache.quotaKeySet
+  });
+  const sirDataset = buildSirDataset({
+    slices: _cache.slices,
+    xLabels: _cache.xLabels,
+    sirMode: _cache.filters?.sirMode
+  });
+  const yearAxisBounds = getYearAxisBounds(_cache.xLabels);
+  recomputeAllSums(datasets);
+
+  if (chart) chart.destroy();
+
+  chart = new Chart(canvas.getContext("2d"), {
+    type: "bar",
+    data: {
+      labels: _cache.xLabels,
+      datasets: sirDataset ? [...datasets, sirDataset] : datasets
+    },
+    plugins: [
+      xRangeBarsPlugin,
+      allSumsOverlayPlugin,
+      insolventHatchOverlayPlugin,
+      limitErosionOverlayPlugin,
+      collectibilityOverlayPlugin,
+      coverageGapsOverlayPlugin,
+      outlineBarsPlugin,
+      quotaShareGuidesPlugin,
+      boxValueLabelsPlugin,
+      yearAvailableTotalsPlugin,
+      linkedYearPlugin
+    ],
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: {
+        mode: "nearest",
+        intersect: true
+      },
+      layout: {
+        // Keep bars/outline away from the extreme plot edges without using x.offset,
+        // which can break floating + non-grouped bar geometry in this chart.
+        padding: { top: 8, left: 8, right: 24 }
+      },
+
+      plugins: {
+        outlineBars: {
+          lineWidth: outlineWidth,
+          color: themeColors.outline
+        },
+        legend: {
+          display: true,
+          position: "right",
+          align: "start",
+          onClick: (evt, legendItem, legend) => {
+            const gapKind = legendItem?._coverageGapKind;
+            if (gapKind) {
+              const hidden = _cache.hiddenCoverageGapKinds;
+              if (hidden.has(gapKind)) hidden.delete(gapKind);
+              else hidden.add(gapKind);
+              legend?.chart?.update("none");
+              return;
+            }
+            if (currentView === "carrier" || currentView === "carrierGroup") {
+              const value = normalizeLegendValue(legendItem?.text);
+              if (!value) return;
+              const selected = getLegendSelectionSet(currentView);
+              const e = evt?.native || evt;
+              const multiSelect = !!(e?.ctrlKey || e?.metaKey);
+              if (multiSelect) {
+                if (selected.has(value)) selected.delete(value);
+                else selected.add(value);
+              } else if (selected.size === 1 && selected.has(value)) {
+                selected.clear();
+              } else {
+                selected.clear();
+                selected.add(value);
+              }
+              legend?.chart?.update("none");
+              if (typeof _legendSelectionListener === "function") _legendSelectionListener(getLegendSelections());
+              return;
+            }
+            const defaultClick = Chart?.defaults?.plugins?.legend?.onClick;
+            if (typeof defaultClick === "function") {
+              defaultClick(evt, legendItem, legend);
+            }
+          },
+          title: {
+            display: true,
+            text: legendTitleForView(currentView),
+            color: themeColors.legendText,
+            font: { size: 12, weight: "600" },
+            padding: 8
+          },
+          labels: {
+            color: themeColors.legendText,
+            boxWidth: 9,
+            boxHeight: 9,
+            padding: 10,
+            font: { size: 11 },
+            filter: (legendItem) => {
+              const isQuota = String(legendItem?.text || "").trim().toLowerCase() === "quota share";
+              if (!isQuota) return true;
+              // Hide quota-share legend item in carrier & carrier-group views
+              // (we render quota by participant colors, but legend should list
+              // concrete carriers/groups instead of a quota bucket).
+              return !(currentView === "carrier" || currentView === "carrierGroup");
+            },
+            generateLabels: (chartInstance) => {
+              const base = Chart.defaults.plugins.legend.labels.generateLabels(chartInstance) || [];
+              const labels = (currentView === "carrier" || currentView === "carrierGroup")
+                ? base.filter((item) => String(item?.text || "").trim().toLowerCase() !== "quota share")
+                : base.slice();
+              if (!(currentView === "carrier" || currentView === "carrierGroup")) return withCoverageGapLegendItems(labels);
+
+              const valueKey = currentView === "carrier" ? "carrier" : "carrierGroup";
+              const unknownValue = currentView === "carrier" ? "(unknown carrier)" : "(unknown group)";
+
+              const existing = new Set(
+                labels.map((item) => String(item?.text || "").trim().toLowerCase()).filter(Boolean)
+              );
+              const values = Array.from(
+                new Set(
+                  (_cache.slices || [])
+                    .map((s) => String(s?.[valueKey] || "").trim())
+                    .filter((v) => v && v !== unknownValue)
+                )
+              ).sort((a, b) => a.localeCompare(b));
+
+              for (const value of values) {
+                const key = value.toLowerCase();
+                if (existing.has(key)) continue;
+                labels.push({
+                  text: value,
+                  fillStyle: colorFromString(value),
+                  strokeStyle: colorFromString(value),
+                  lineWidth: 0,
+                  hidden: false,
+                  datasetIndex: -1,
+                  index: -1,
+                  _syntheticCarrier: true
+                });
+              }
+
+              const allValues = labels.map((item) => normalizeLegendValue(item?.text)).filter(Boolean);
+              pruneLegendSelectionSet(currentView, allValues);
+              const selected = getLegendSelectionSet(currentView);
+              const hasSelected = selected.size > 0;
+              const liveLegendText = String(
+                chartInstance?.options?.plugins?.legend?.labels?.color
+                  || getChartThemeColors().legendText
+              );
+              const activeText = liveLegendText;
+              const inactiveText = colorWithAlpha(liveLegendText, 0.55);
+
+              for (const item of labels) {
+                const value = normalizeLegendValue(item?.text);
+                const isSelected = !hasSelected || selected.has(value);
+                const baseFill = item.fillStyle || colorFromString(value);
+                const baseStroke = item.strokeStyle || baseFill;
+                item.hidden = false;
+                item.fillStyle = hasSelected && !isSelected ? colorWithAlpha(baseFill, 0.2) : baseFill;
+                item.strokeStyle = hasSelected && !isSelected ? colorWithAlpha(baseStroke, 0.2) : baseStroke;
+                item.lineWidth = hasSelected && isSelected ? 2 : 1;
+                item.fontColor = hasSelected && !isSelected ? inactiveText : activeText;
+                item.color = hasSelected && !isSelected ? inactiveText : activeText;
+              }
+              return withCoverageGapLegendItems(labels);
+            }
+          }
+        },
+        tooltip: {
+          enabled: false,
+          external: externalCoverageTooltipHandler,
+          displayColors: false,
+          mode: "nearest",
+          intersect: true,
+          filter: (_item, index) => index === 0,
+          callbacks: {
+            title: (items) => buildTooltipTitle(items),
+            label: (ctx) => buildTooltipLines(ctx, ctx.raw || {})
+          }
+        }
+      },
+
+      scales: {
+        x: useYearAxis
+          ? {
+              type: "linear",
+              offset: false,
+              min: yearAxisBounds.min,
+              max: yearAxisBounds.max,
+              grid: {
+                display: true,
+                color: themeColors.xGrid,
+                lineWidth: 1
+              },
+              ticks: {
+                color: themeColors.axisTicks,
+                stepSize: 1,
+                autoSkip: false,
+                maxRotation: 0,
+                minRotation: 0,
+                callback: (v) => {
+                  const n = Number(v);
+                  if (!Number.isFinite(n)) return "";
+                  const yr = Math.round(n);
+                  const hasYear = (_cache.xLabels || []).some((lbl) => Number(lbl) === yr);
+                  return hasYear ? String(yr) : "";
+                }
+              },
+              title: {
+                display: true,
+                text: "Policy Years",
+                color: themeColors.yTitle
+              }
+            }
+          : {
+              type: "category",
+              offset: true,
+              grid: {
+                display: true,
+                color: themeColors.xGrid,
+                lineWidth: 1
+              },
+              ticks: {
+                color: themeColors.axisTicks,
+                autoSkip: false,
+                maxRotation: 0,
+                minRotation: 0
+              },
+              title: {
+                display: true,
+                text: "Policy Years",
+                color: themeColors.yTitle
+              }
+            },
+        y: {
+          beginAtZero: true,
+          grid: {
+            display: true,
+            color: themeColors.yGrid,
+            lineWidth: 1
+          },
+          ticks: {
+            color: themeColors.axisTicks,
+            callback: (v) => compactMoney(v)
+          },
+          title: {
+            display: true,
+            text: "Coverage Limits",
+            color: themeColors.yTitle
+          }
+        }
+      }
+    }
+  });
+
+  bindViewportInteractions();
+  bindResponsiveResizeHandler();
+  // Defer width sync so the viewport has final layout dimensions.
+  requestAnimationFrame(() => {
+    if (!chart) return;
+    applyChartTheme();
+    syncChartViewportWidth();
+    // Rebuild once after first layout so auto bar width can use the real x-scale width
+    // (prevents gaps/overlap when legend placement changes plot width).
+    if (!Number.isFinite(Number(barThickness))) rebuildChart();
+  });
+
+  diag("log", "Rendered X Labels:", _cache.xLabels.length);
+  diag("log", "Rendered Slices:", _cache.slices.length);
+  diag("log", "Quota keys:", _cache.quotaKeySet.size);
+  diag("log", "Current View:", currentView);
+}
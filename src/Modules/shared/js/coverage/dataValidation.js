@@ -0,0 +1,551 @@
+// Modules/shared/js/coverage/dataValidation.js
+// Integrity checks over the raw tbl*.csv tables and the joined slices (see buildCoverageDataset).
+//
+// buildSlices drops or patches bad rows without a word (missing dates, zero limits, unknown
+// carriers). This module reports them instead, as one flat issue list:
+//  - Orphaned keys: a foreign key that points at no row in the parent table.
+//  - Missing data / invalid dates: rows the chart drops or silently repairs.
+//  - Overlapping policies: two policies at the same attachment, at the same time, without
+//    quota-share evidence (they would overdraw each other in the tower).
+//  - Tower gaps and attachment mismatches: per policy year, each attachment point should sit
+//    exactly on top of the layer below it.
+//  - Quota share: declared participation that does not total 100%, or a ParticipationPercent
+//    outside the 0-100 scale (core/participation.js).
+//  - Conflicting data: solvency details in tblCarrier for a carrier that also has dated events
+//    (the events win).
+
+import { getBy, toNum, normalizeISODate } from "../core/data.js";
+import { parseParticipationPercent } from "../core/participation.js";
+import { buildCoverageDataset, findQuotaShareIssues, quotaGroupKey } from "./coverageChartEngine.js";
+import { classifyRating } from "./counterpartyRisk.js";
+
+export const SEVERITY_ORDER = ["error", "warning"];
+
+export const ISSUE_COLUMNS = [
+  "Severity",
+  "Category",
+  "Table",
+  "RecordID",
+  "PolicyID",
+  "PolicyNumber",
+  "InsuranceProgram",
+  "NamedInsured",
+  "PolicyLimitType",
+  "Years",
+  "Message"
+];
+
+const idOf = (row, ...keys) => String(getBy(row, ...keys) || "").trim();
+
+function indexIds(rows, ...keys) {
+  const ids = new Set();
+  for (const r of rows || []) {
+    const id = idOf(r, ...keys);
+    if (id) ids.add(id);
+  }
+  return ids;
+}
+
+function parseDateMs(raw) {
+  const iso = normalizeISODate(raw);
+  if (iso) return Date.parse(`${iso}T00:00:00Z`);
+  const s = String(raw || "").trim();
+  if (!s) return NaN;
+  const ms = Date.parse(s);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+/**
+ * Compress a list of years into ranges: [1980, 1981, 1982, 1985] -> "1980-1982, 1985".
+ */
+export function formatYearList(years = []) {
+  const sorted = [...new Set(years.map(Number).filter(Number.isFinite))].sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    parts.push(i === j ? String(sorted[i]) : `${sorted[i]}-${sorted[j]}`);
+    i = j;
+  }
+  return parts.join(", ");
+}
+
+const money = (v) => `$${Math.round(Number(v || 0)).toLocaleString()}`;
+
+/* ================================
+   Row-level checks (raw tables)
+================================ */
+
+function checkTables(tables, push) {
+  const {
+    policyRows = [],
+    dateRows = [],
+    limitRows = [],
+    carrierRows = [],
+    carrierGroupRows = [],
+    programRows = [],
+    limitTypeRows = [],
+    namedInsuredRows = [],
+    paymentRows = [],
+    solvencyEventRows = [],
+    carrierRatingRows = []
+  } = tables;
+
+  const carrierIds = indexIds(carrierRows, "CarrierID", "Carrier ID");
+  const carrierGroupIds = indexIds(carrierGroupRows, "CarrierGroupID", "Carrier Group ID");
+  const programIds = indexIds(programRows, "InsuranceProgramID", "Insurance Program ID");
+  const limitTypeIds = indexIds(limitTypeRows, "PolicyLimitTypeID", "Policy Limit Type ID");
+  const namedInsuredIds = indexIds(namedInsuredRows, "NamedInsuredID", "Named Insured ID");
+  const namedInsuredNameById = new Map(
+    namedInsuredRows.map((r) => [idOf(r, "NamedInsuredID", "Named Insured ID"), idOf(r, "NamedInsured", "Named Insured")])
+  );
+  const namedInsuredOfRow = (r) => {
+    const id = idOf(r, "NamedInsuredID", "Named Insured ID");
+    return namedInsuredNameById.get(id) || id;
+  };
+  const datedPolicyIds = indexIds(dateRows, "PolicyID", "Policy ID");
+  const limitedPolicyIds = indexIds(limitRows, "PolicyID", "Policy ID");
+
+  const policyById = new Map();
+  for (const r of policyRows) {
+    const policyId = idOf(r, "PolicyID", "Policy ID");
+    const policyNumber = idOf(r, "PolicyNum", "PolicyNo", "policy_no", "Policy Number");
+    const base = { table: "tblPolicy", recordId: policyId, policyId, policyNumber, namedInsured: namedInsuredOfRow(r) };
+    if (!policyId) {
+      push({ ...base, severity: "error", category: "Missing Data", message: "Policy row has no PolicyID." });
+      continue;
+    }
+    if (policyById.has(policyId)) {
+      push({ ...base, severity: "error", category: "Duplicate Key", message: `PolicyID ${policyId} appears more than once.` });
+      continue;
+    }
+    policyById.set(policyId, r);
+
+    const carrierId = idOf(r, "CarrierID", "Carrier ID");
+    if (!carrierId) {
+      push({ ...base, severity: "warning", category: "Missing Data", message: 'No CarrierID; shown as "(unknown carrier)".' });
+    } else if (!carrierIds.has(carrierId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `CarrierID ${carrierId} is not in tblCarrier.` });
+    }
+
+    const programId = idOf(r, "InsuranceProgramID", "Insurance Program ID");
+    if (!programId) {
+      push({ ...base, severity: "warning", category: "Missing Data", message: 'No InsuranceProgramID; shown as "(unknown program)".' });
+    } else if (!programIds.has(programId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `InsuranceProgramID ${programId} is not in tblInsuranceProgram.` });
+    }
+
+    const namedInsuredId = idOf(r, "NamedInsuredID", "Named Insured ID");
+    if (namedInsuredId && namedInsuredIds.size && !namedInsuredIds.has(namedInsuredId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `NamedInsuredID ${namedInsuredId} is not in tblNamedInsured.` });
+    }
+
+    if (!datedPolicyIds.has(policyId)) {
+      push({ ...base, severity: "error", category: "Missing Data", message: "No tblPolicyDates row; policy is dropped from the chart." });
+    }
+    if (!limitedPolicyIds.has(policyId)) {
+      push({ ...base, severity: "warning", category: "Missing Data", message: "No tblPolicyLimits rows; policy has no layers." });
+    }
+  }
+
+  const policyNumberOf = (policyId) => idOf(policyById.get(policyId), "PolicyNum", "PolicyNo", "policy_no", "Policy Number");
+  const namedInsuredOf = (policyId) => (policyById.has(policyId) ? namedInsuredOfRow(policyById.get(policyId)) : "");
+
+  for (const r of dateRows) {
+    const recordId = idOf(r, "PolicyDateID", "Policy Date ID", "ID");
+    const policyId = idOf(r, "PolicyID", "Policy ID");
+    const base = {
+      table: "tblPolicyDates",
+      recordId,
+      policyId,
+      policyNumber: policyNumberOf(policyId),
+      namedInsured: namedInsuredOf(policyId)
+    };
+    if (!policyById.has(policyId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `PolicyID ${policyId || "(blank)"} is not in tblPolicy.` });
+    }
+    const rawStart = getBy(r, "PStartDate", "PolicyStartDate", "StartDate");
+    const rawEnd = getBy(r, "PEndDate", "PolicyEndDate", "EndDate");
+    const startMs = parseDateMs(rawStart);
+    const endMs = parseDateMs(rawEnd);
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) {
+      const which = [!Number.isFinite(startMs) ? "start" : "", !Number.isFinite(endMs) ? "end" : ""].filter(Boolean).join(" and ");
+      push({ ...base, severity: "error", category: "Invalid Dates", message: `Missing or unreadable ${which} date; policy is dropped from the chart.` });
+    } else if (endMs < startMs) {
+      push({
+        ...base,
+        severity: "error",
+        category: "Invalid Dates",
+        message: `End date ${String(rawEnd).trim()} is before start date ${String(rawStart).trim()}; the chart swaps them.`
+      });
+    }
+  }
+
+  for (const r of limitRows) {
+    const recordId = idOf(r, "PolicyLimitsID", "PolicyLimitID", "Policy Limits ID", "ID");
+    const policyId = idOf(r, "PolicyID", "Policy ID");
+    const limitTypeId = idOf(r, "PolicyLimitTypeID", "Policy Limit Type ID");
+    const base = {
+      table: "tblPolicyLimits",
+      recordId,
+      policyId,
+      policyNumber: policyNumberOf(policyId),
+      namedInsured: namedInsuredOf(policyId),
+      policyLimitType: limitTypeId
+    };
+    if (!policyById.has(policyId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `PolicyID ${policyId || "(blank)"} is not in tblPolicy.` });
+    }
+    if (!limitTypeId) {
+      push({ ...base, severity: "warning", category: "Missing Data", message: "No PolicyLimitTypeID." });
+    } else if (limitTypeIds.size && !limitTypeIds.has(limitTypeId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `PolicyLimitTypeID ${limitTypeId} is not in tblPolicyLimitType.` });
+    }
+    const limit = toNum(getBy(r, "LayerPerOccLimit", "Layer Per Occ Limit")) || toNum(getBy(r, "PerOccLimit", "Per Occ Limit"));
+    if (!(limit > 0)) {
+      push({ ...base, severity: "error", category: "Missing Data", message: "Layer limit is zero or missing; layer is dropped from the chart." });
+    }
+    if (String(getBy(r, "AttachmentPoint", "Attachment Point")).trim() === "") {
+      push({ ...base, severity: "warning", category: "Missing Data", message: "No AttachmentPoint; treated as primary ($0)." });
+    }
+    const participation = parseParticipationPercent(getBy(r, "ParticipationPercent", "Participation Percent"));
+    if (participation.error) {
+      push({ ...base, severity: "error", category: "Invalid Value", message: `${participation.error} The share is ignored.` });
+    }
+  }
+
+  const carriersWithEvents = indexIds(solvencyEventRows, "CarrierID", "Carrier ID");
+  const solvencyColumns = ["InsolvencyDate", "RecoveryPercent", "RecoveryEffectiveDate", "RecoveryEndDate"];
+  for (const r of carrierRows) {
+    const carrierId = idOf(r, "CarrierID", "Carrier ID");
+    const groupId = idOf(r, "CarrierGroupID", "Carrier Group ID");
+    const base = { table: "tblCarrier", recordId: carrierId };
+    if (!groupId) {
+      push({ ...base, severity: "warning", category: "Missing Data", message: 'No CarrierGroupID; shown as "(unknown group)".' });
+    } else if (!carrierGroupIds.has(groupId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `CarrierGroupID ${groupId} is not in tblCarrierGroup.` });
+    }
+    const filled = solvencyColumns.filter((col) => idOf(r, col));
+    if (carriersWithEvents.has(carrierId) && filled.length) {
+      push({
+        ...base,
+        severity: "warning",
+        category: "Conflicting Data",
+        message: `${filled.join(", ")} ignored: tblCarrierSolvencyEvents has dated events for this carrier.`
+      });
+    }
+  }
+
+  solvencyEventRows.forEach((r, i) => {
+    const carrierId = idOf(r, "CarrierID", "Carrier ID");
+    const base = { table: "tblCarrierSolvencyEvents", recordId: carrierId ? `${carrierId} @ row ${i + 2}` : `row ${i + 2}` };
+    if (!carrierId) {
+      push({ ...base, severity: "error", category: "Missing Data", message: "Solvency event has no CarrierID; it is ignored." });
+    } else if (!carrierIds.has(carrierId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `CarrierID ${carrierId} is not in tblCarrier.` });
+    }
+    const effective = String(getBy(r, "EffectiveDate", "Effective Date")).trim();
+    if (!Number.isFinite(parseDateMs(effective))) {
+      push({
+        ...base,
+        severity: "error",
+        category: "Invalid Dates",
+        message: effective ? `EffectiveDate "${effective}" is not a date; the event is ignored.` : "No EffectiveDate; the event is ignored."
+      });
+    }
+    const recovery = String(getBy(r, "RecoveryPercent", "Recovery Percent")).trim();
+    if (recovery !== "" && !(Number(recovery) >= 0 && Number(recovery) <= 100)) {
+      push({ ...base, severity: "warning", category: "Invalid Value", message: `RecoveryPercent ${recovery} is outside 0-100.` });
+    }
+  });
+
+  carrierRatingRows.forEach((r, i) => {
+    const carrierId = idOf(r, "CarrierID", "Carrier ID");
+    const base = { table: "tblCarrierRating", recordId: carrierId ? `${carrierId} @ row ${i + 2}` : `row ${i + 2}` };
+    if (!carrierId) {
+      push({ ...base, severity: "error", category: "Missing Data", message: "Rating has no CarrierID; it is ignored." });
+    } else if (!carrierIds.has(carrierId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `CarrierID ${carrierId} is not in tblCarrier.` });
+    }
+    const ratingDate = String(getBy(r, "RatingDate", "Rating Date")).trim();
+    if (!normalizeISODate(ratingDate)) {
+      push({
+        ...base,
+        severity: "error",
+        category: "Invalid Dates",
+        message: ratingDate ? `RatingDate "${ratingDate}" is not a YYYY-MM-DD date; the rating is ignored.` : "No RatingDate; the rating is ignored."
+      });
+    }
+    const agency = String(getBy(r, "RatingAgency", "Rating Agency", "Agency")).trim();
+    const rating = String(getBy(r, "Rating")).trim();
+    if (classifyRating(agency, rating) === null) {
+      push({
+        ...base,
+        severity: "warning",
+        category: "Invalid Value",
+        message: `Rating "${rating}" is not a recognised ${agency || "agency"} grade; treated as not rated.`
+      });
+    }
+  });
+
+  for (const r of paymentRows) {
+    const recordId = idOf(r, "PaymentID", "Payment ID", "ID");
+    const policyId = idOf(r, "PolicyID", "Policy ID");
+    const limitTypeId = idOf(r, "PolicyLimitTypeID", "Policy Limit Type ID");
+    const base = {
+      table: "tblPayments",
+      recordId,
+      policyId,
+      policyNumber: policyNumberOf(policyId),
+      namedInsured: namedInsuredOf(policyId),
+      policyLimitType: limitTypeId
+    };
+    if (!policyById.has(policyId)) {
+      push({ ...base, severity: "error", category: "Orphaned Key", message: `PolicyID ${policyId || "(blank)"} is not in tblPolicy.` });
+    }
+    if (limitTypeId && limitTypeIds.size && !limitTypeIds.has(limitTypeId)) {
+      push({ ...base, severity: "warning", category: "Orphaned Key", message: `PolicyLimitTypeID ${limitTypeId} is not in tblPolicyLimitType.` });
+    }
+  }
+}
+
+/* ================================
+   Tower checks (joined slices)
+================================ */
+
+// Layers active in one stretch of a policy year: quota participants stack into one layer.
+function towerLayers(slices, quotaKeySet) {
+  const layers = new Map();
+  for (const s of slices) {
+    const qk = quotaGroupKey(s);
+    const key = quotaKeySet.has(qk) ? `quota||${qk}` : `policy||${s.PolicyID}||${s.attach}`;
+    if (!layers.has(key)) {
+      layers.set(key, { attach: Number(s.attach || 0), limit: 0, quota: quotaKeySet.has(qk), slices: [] });
+    }
+    const layer = layers.get(key);
+    layer.limit += Number(s.sliceLimit || 0);
+    layer.slices.push(s);
+  }
+  return Array.from(layers.values()).map((l) => ({ ...l, top: l.attach + l.limit }));
+}
+
+const describeLayer = (layer) => {
+  const names = [...new Set(layer.slices.map((s) => s.policy_no || `Policy ${s.PolicyID}`))];
+  return `${names.join(" / ")} (${money(layer.attach)} xs, ${money(layer.limit)} layer)`;
+};
+
+function checkTowers(dataset, push) {
+  const slices = dataset?.slices || [];
+  const quotaKeySet = dataset?.quotaKeySet || new Set();
+
+  const byTower = new Map(); // program / named insured / limit type / year
+  for (const s of slices) {
+    if (!Number.isFinite(Number(s?.year))) continue;
+    const key = [s.insuranceProgramId || s.insuranceProgram, s.namedInsuredId, s.policyLimitTypeId, s.year].join("||");
+    if (!byTower.has(key)) byTower.set(key, []);
+    byTower.get(key).push(s);
+  }
+
+  const merged = new Map(); // signature -> issue (years collected across the tower's years)
+  const record = (signature, issue, year) => {
+    if (!merged.has(signature)) merged.set(signature, { ...issue, years: [] });
+    const entry = merged.get(signature);
+    if (!entry.years.includes(year)) entry.years.push(year);
+  };
+
+  for (const towerSlices of byTower.values()) {
+    const first = towerSlices[0];
+    const year = Number(first.year);
+    const scope = {
+      insuranceProgram: first.insuranceProgram || "",
+      namedInsured: first.namedInsured || "",
+      policyLimitType: first.policyLimitType || first.policyLimitTypeId || ""
+    };
+    const scopeKey = [first.insuranceProgramId || first.insuranceProgram, first.namedInsuredId, first.policyLimitTypeId].join("||");
+
+    // Split the year wherever a policy starts or ends so each stretch has one stable tower.
+    const startOf = (s) => Number(s.yearOverlapStartMs ?? s.policyStartMs);
+    const endOf = (s) => Number(s.yearOverlapEndMs ?? s.policyEndMs) + 1;
+    const cuts = [...new Set(towerSlices.flatMap((s) => [startOf(s), endOf(s)]))].sort((a, b) => a - b);
+
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const segStart = cuts[i];
+      const segEnd = cuts[i + 1];
+      const active = towerSlices.filter((s) => startOf(s) <= segStart && endOf(s) >= segEnd);
+      if (!active.length) continue;
+      const layers = towerLayers(active, quotaKeySet).sort((a, b) => a.attach - b.attach || a.top - b.top);
+
+      // Overlapping policies: two non-quota layers sharing an attachment point at the same time.
+      const byAttach = new Map();
+      for (const layer of layers) {
+        if (layer.quota) continue;
+        if (!byAttach.has(layer.attach)) byAttach.set(layer.attach, []);
+        byAttach.get(layer.attach).push(layer);
+      }
+      for (const [attach, group] of byAttach.entries()) {
+        if (group.length < 2) continue;
+        const policyIds = group.map((l) => String(l.slices[0].PolicyID)).sort();
+        record(
+          `overlap||${scopeKey}||${attach}||${policyIds.join(",")}`,
+          {
+            ...scope,
+            severity: "warning",
+            category: "Overlapping Policies",
+            table: "tblPolicyLimits",
+            policyId: policyIds.join(", "),
+            policyNumber: [...new Set(group.map((l) => l.slices[0].policy_no).filter(Boolean))].join(", "),
+            message: `${group.length} policies attach at ${money(attach)} over the same period with no quota-share evidence: ${group.map(describeLayer).join("; ")}.`
+          },
+          year
+        );
+      }
+
+      // Gaps and mismatched attachment points, bottom-up.
+      let below = null;
+      for (const layer of layers) {
+        if (below && layer.attach !== below.attach) {
+          if (layer.attach > below.top) {
+            record(
+              `gap||${scopeKey}||${below.top}||${layer.attach}`,
+              {
+                ...scope,
+                severity: "warning",
+                category: "Tower Gap",
+                table: "tblPolicyLimits",
+                policyId: String(layer.slices[0].PolicyID),
+                policyNumber: layer.slices[0].policy_no || "",
+                message: `No coverage between ${money(below.top)} and ${money(layer.attach)}: ${describeLayer(layer)} attaches above the top of ${describeLayer(below)}.`
+              },
+              year
+            );
+          } else if (layer.attach < below.top) {
+            record(
+              `attach||${scopeKey}||${layer.attach}||${below.attach}||${below.top}`,
+              {
+                ...scope,
+                severity: "warning",
+                category: "Attachment Mismatch",
+                table: "tblPolicyLimits",
+                policyId: String(layer.slices[0].PolicyID),
+                policyNumber: layer.slices[0].policy_no || "",
+                message: `${describeLayer(layer)} attaches at ${money(layer.attach)}, inside ${describeLayer(below)} which tops out at ${money(below.top)}.`
+              },
+              year
+            );
+          }
+        }
+        if (!below || layer.top >= below.top) below = layer;
+      }
+    }
+  }
+
+  for (const issue of merged.values()) push({ ...issue, years: formatYearList(issue.years) });
+
+  for (const q of findQuotaShareIssues(slices, quotaKeySet)) {
+    const declared = q.participants
+      .map((p) => `${p.carrier} ${p.participationPercent === null ? "(none)" : `${p.participationPercent}%`}`)
+      .join(", ");
+    push({
+      severity: "warning",
+      category: "Quota Share",
+      table: "tblPolicyLimits",
+      recordId: q.quotaShareGroupId,
+      policyId: q.participants.map((p) => p.PolicyID).join(", "),
+      policyNumber: q.participants.map((p) => p.policy_no).filter(Boolean).join(", "),
+      insuranceProgram: q.insuranceProgram,
+      namedInsured: q.namedInsured,
+      policyLimitType: q.policyLimitType,
+      years: formatYearList(q.years),
+      message: q.missingCount
+        ? `${q.missingCount} participant(s) at ${money(q.attach)} have no ParticipationPercent: ${declared}.`
+        : `Participation at ${money(q.attach)} totals ${Number(q.totalPercent.toFixed(2))}% (expected 100%): ${declared}.`
+    });
+  }
+}
+
+/* ================================
+   Entry point
+================================ */
+
+/**
+ * Validate the source tables. `tables` uses the keys of the API data store
+ * (policyRows, dateRows, limitRows, carrierRows, ...). Pass the year-axis
+ * dataset when one is already built to skip rebuilding it.
+ */
+export function validateCoverageTables({ tables = {}, dataset } = {}) {
+  const issues = [];
+  const push = (issue) =>
+    issues.push({
+      severity: issue.severity,
+      category: issue.category,
+      table: issue.table || "",
+      recordId: String(issue.recordId ?? ""),
+      policyId: String(issue.policyId ?? ""),
+      policyNumber: String(issue.policyNumber ?? ""),
+      insuranceProgram: String(issue.insuranceProgram ?? ""),
+      namedInsured: String(issue.namedInsured ?? ""),
+      policyLimitType: String(issue.policyLimitType ?? ""),
+      years: String(issue.years ?? ""),
+      message: issue.message
+    });
+
+  checkTables(tables, push);
+  const towerDataset =
+    dataset ||
+    buildCoverageDataset({
+      limitsRows: tables.limitRows,
+      datesRows: tables.dateRows,
+      policyRows: tables.policyRows,
+      carrierRows: tables.carrierRows,
+      carrierGroupRows: tables.carrierGroupRows,
+      insuranceProgramRows: tables.programRows,
+      policyLimitTypeRows: tables.limitTypeRows,
+      namedInsuredRows: tables.namedInsuredRows,
+      solvencyEventRows: tables.solvencyEventRows,
+      useYearAxis: true
+    });
+  checkTowers(towerDataset, push);
+
+  issues.sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+      a.category.localeCompare(b.category) ||
+      a.table.localeCompare(b.table) ||
+      a.insuranceProgram.localeCompare(b.insuranceProgram) ||
+      a.years.localeCompare(b.years, undefined, { numeric: true }) ||
+      a.recordId.localeCompare(b.recordId, undefined, { numeric: true })
+  );
+
+  const byCategory = new Map();
+  for (const issue of issues) byCategory.set(issue.category, (byCategory.get(issue.category) || 0) + 1);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    counts: {
+      total: issues.length,
+      error: issues.filter((i) => i.severity === "error").length,
+      warning: issues.filter((i) => i.severity === "warning").length
+    },
+    categories: Array.from(byCategory, ([category, count]) => ({ category, count })),
+    issues
+  };
+}
+
+/**
+ * Issue rows keyed by ISSUE_COLUMNS, for CSV export.
+ */
+export function issuesToRows(issues = []) {
+  return issues.map((i) => ({
+    Severity: i.severity === "error" ? "Error" : "Warning",
+    Category: i.category,
+    Table: i.table,
+    RecordID: i.recordId,
+    PolicyID: i.policyId,
+    PolicyNumber: i.policyNumber,
+    InsuranceProgram: i.insuranceProgram,
+    NamedInsured: i.namedInsured,
+    PolicyLimitType: i.policyLimitType,
+    Years: i.years,
+    Message: i.message
+  }));
+}
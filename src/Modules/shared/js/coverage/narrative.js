@@ -0,0 +1,176 @@
+// Modules/shared/js/coverage/narrative.js
+// Rule-based prose for the coverage reports: turns the computed facts into a few short
+// paragraphs (no external service). Callers map their own figures into `facts`:
+//
+//   {
+//     scope,                        optional lead-in, e.g. "ABC Company (Bodily Injury)"
+//     years: [{ year, gross }],     total limits per policy year
+//     totalGross, totalAvailable,   all limits / the part still collectible
+//     policyCount,
+//     carriers: [{ name, gross, available }],
+//     gaps: [{ year, bottom, top }] uncovered bands; null when gaps were not computed
+//   }
+//
+// Paragraphs, in order: coverage span, largest carriers, insolvency share, gaps and notable
+// year-over-year changes. The text is a starting point; both pages let the user edit it before
+// it goes into a PDF.
+
+import { money } from "../core/format.js";
+
+// Year-over-year moves at or above this fraction of the prior year are called out.
+export const NOTABLE_CHANGE = 0.25;
+const MAX_CHANGES = 3;
+const TOP_CARRIERS = 3;
+
+const pct = (fraction) => `${(Number(fraction || 0) * 100).toFixed(1)}%`;
+
+// "A", "A and B", "A, B and C"
+function joinList(items) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+// [1970, 1971, 1972, 1975] -> "1970-1972 and 1975"
+function yearRanges(years) {
+  const sorted = [...new Set(years)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const year of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && year === last[1] + 1) last[1] = year;
+    else ranges.push([year, year]);
+  }
+  return joinList(ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)));
+}
+
+function spanParagraph(facts, years) {
+  const first = years[0].year;
+  const last = years[years.length - 1].year;
+  const count = last - first + 1;
+  const lead = facts.scope ? `For ${facts.scope}, coverage` : "Coverage";
+  const carrierCount = facts.carriers.length;
+  let text =
+    `${lead} spans policy years ${first} to ${last} (${count} year${count === 1 ? "" : "s"}), with ` +
+    `${money(facts.totalGross)} of total limits across ${facts.policyCount.toLocaleString()} ` +
+    `polic${facts.policyCount === 1 ? "y" : "ies"} from ${carrierCount} carrier${carrierCount === 1 ? "" : "s"}.`;
+
+  const covered = new Set(years.map((y) => y.year));
+  const missing = [];
+  for (let year = first; year <= last; year++) if (!covered.has(year)) missing.push(year);
+  if (missing.length) text += ` No coverage was found for ${yearRanges(missing)}.`;
+  return text;
+}
+
+function carrierParagraph(facts) {
+  const carriers = facts.carriers.filter((c) => c.gross > 0).sort((a, b) => b.gross - a.gross);
+  if (!carriers.length || !(facts.totalGross > 0)) return "";
+  if (carriers.length === 1) return `All limits were written by ${carriers[0].name}.`;
+
+  const top = carriers.slice(0, TOP_CARRIERS);
+  const described = top.map((c) => `${c.name} (${money(c.gross)}, ${pct(c.gross / facts.totalGross)})`);
+  const topShare = top.reduce((sum, c) => sum + c.gross, 0) / facts.totalGross;
+  return (
+    `The largest carriers by limits are ${joinList(described)}` +
+    (carriers.length > top.length ? `, together ${pct(topShare)} of the total.` : ".")
+  );
+}
+
+function insolvencyParagraph(facts) {
+  const uncollectible = facts.totalGross - facts.totalAvailable;
+  if (!(facts.totalGross > 0)) return "";
+  if (!(uncollectible > 0.5)) return "All limits in scope are with carriers that are solvent and available.";
+
+  const affected = facts.carriers
+    .map((c) => ({ name: c.name, lost: c.gross - c.available }))
+    .filter((c) => c.lost > 0.5)
+    .sort((a, b) => b.lost - a.lost);
+  const names = affected.slice(0, TOP_CARRIERS).map((c) => c.name);
+  const more = affected.length - names.length;
+  return (
+    `${money(uncollectible)} (${pct(uncollectible / facts.totalGross)} of total limits) is not collectible ` +
+    `because the issuing carrier is insolvent or otherwise unavailable, chiefly ` +
+    `${joinList(more > 0 ? [...names, `${more} other${more === 1 ? "" : "s"}`] : names)}. ` +
+    `${money(facts.totalAvailable)} (${pct(facts.totalAvailable / facts.totalGross)}) remains available.`
+  );
+}
+
+function gapParagraph(facts) {
+  if (!Array.isArray(facts.gaps)) return "";
+  if (!facts.gaps.length) return "No gaps were found between layers in the towers.";
+  const widest = facts.gaps.reduce((best, g) => (g.top - g.bottom > best.top - best.bottom ? g : best));
+  const gapYears = facts.gaps.map((g) => Number(g.year)).filter(Number.isFinite);
+  const yearCount = new Set(gapYears).size;
+  return (
+    `The towers contain ${facts.gaps.length} gap${facts.gaps.length === 1 ? "" : "s"} between layers in ` +
+    `${yearCount} policy year${yearCount === 1 ? "" : "s"} (${yearRanges(gapYears)}). The widest is ` +
+    `${money(widest.top - widest.bottom)}, from ${money(widest.bottom)} to ${money(widest.top)} in ${widest.year}.`
+  );
+}
+
+function changeParagraph(years) {
+  if (years.length < 2) return "";
+  const changes = [];
+  for (let i = 1; i < years.length; i++) {
+    const prev = years[i - 1];
+    const cur = years[i];
+    if (cur.year !== prev.year + 1 || !(prev.gross > 0)) continue;
+    const change = (cur.gross - prev.gross) / prev.gross;
+    if (Math.abs(change) >= NOTABLE_CHANGE) changes.push({ prev, cur, change });
+  }
+  if (!changes.length) {
+    return `Total limits held steady from year to year, with no change of ${pct(NOTABLE_CHANGE)} or more.`;
+  }
+
+  const notable = changes
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, MAX_CHANGES)
+    .sort((a, b) => a.cur.year - b.cur.year)
+    .map(
+      ({ prev, cur, change }) =>
+        `${change > 0 ? "rose" : "fell"} ${pct(Math.abs(change))} from ${money(prev.gross)} in ${prev.year} ` +
+        `to ${money(cur.gross)} in ${cur.year}`
+    );
+  const lead = changes.length > notable.length ? "The largest year-over-year changes" : "Notable year-over-year changes";
+  return `${lead}: total limits ${notable.join("; ")}.`;
+}
+
+/**
+ * Paragraphs (plain strings) describing `facts`; see the module comment for the shape.
+ */
+export function buildCoverageNarrative(facts) {
+  const years = (facts.years || [])
+    .map((y) => ({ year: Math.trunc(Number(y.year)), gross: Number(y.gross || 0) }))
+    .filter((y) => Number.isFinite(y.year) && y.gross > 0)
+    .sort((a, b) => a.year - b.year);
+  if (!years.length) return ["No coverage matches the current filters."];
+
+  const normalized = {
+    ...facts,
+    totalGross: Number(facts.totalGross || 0),
+    totalAvailable: Number(facts.totalAvailable || 0),
+    policyCount: Number(facts.policyCount || 0),
+    carriers: (facts.carriers || []).map((c) => ({
+      name: String(c.name || "(unknown carrier)"),
+      gross: Number(c.gross || 0),
+      available: Number(c.available || 0)
+    }))
+  };
+  return [
+    spanParagraph(normalized, years),
+    carrierParagraph(normalized),
+    insolvencyParagraph(normalized),
+    gapParagraph(normalized),
+    changeParagraph(years)
+  ].filter(Boolean);
+}
+
+// The editors show paragraphs separated by blank lines.
+export function narrativeToText(paragraphs = []) {
+  return paragraphs.join("\n\n");
+}
+
+export function narrativeFromText(text) {
+  return String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/\s*\n\s*/g, " ").trim())
+    .filter(Boolean);
+}
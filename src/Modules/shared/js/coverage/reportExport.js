@@ -0,0 +1,373 @@
+import { loadScriptOnce, VENDOR_SCRIPTS } from "../core/external.js";
+
+/* ================================
+   CSV / download helpers
+================================ */
+
+export function csvCell(v) {
+  const s = String(v ?? "");
+  if (!/[",\n]/.test(s)) return s;
+  return `"${s.replace(/"/g, "\"\"")}"`;
+}
+
+export function buildCSV(cols, rows) {
+  const lines = [cols.join(",")];
+  for (const r of rows) lines.push(cols.map((c) => csvCell(r[c])).join(","));
+  return lines.join("\n");
+}
+
+export function triggerDownload(href, filename) {
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+export function triggerBlobDownload(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  triggerDownload(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function ensurePdfLibs() {
+  await loadScriptOnce(
+    VENDOR_SCRIPTS.html2canvas,
+    () => typeof window.html2canvas === "function"
+  );
+  await loadScriptOnce(
+    VENDOR_SCRIPTS.jsPDF,
+    () => !!window.jspdf?.jsPDF
+  );
+}
+
+/* ================================
+   XLSX workbook helpers
+================================ */
+
+export const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+export const XLSX_NUMBER_FORMATS = {
+  currency: "\"$\"#,##0",
+  percent: "0.00\"%\"",
+  integer: "#,##0"
+};
+
+export async function ensureExcelLib() {
+  await loadScriptOnce(
+    VENDOR_SCRIPTS.excelJS,
+    () => !!window.ExcelJS?.Workbook
+  );
+}
+
+// Excel rejects sheet names over 31 characters or containing []:*?/\
+function safeSheetName(name, used) {
+  const base = String(name || "Sheet").replace(/[[\]:*?/\\]/g, " ").replace(/\s+/g, " ").trim().slice(0, 31) || "Sheet";
+  let out = base;
+  for (let n = 2; used.has(out.toLowerCase()); n++) out = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+  used.add(out.toLowerCase());
+  return out;
+}
+
+/**
+ * Build an ExcelJS workbook from plain sheet specs:
+ *   { name, columns: [{ key, header?, width?, format? }], rows }
+ * `format` is a key of XLSX_NUMBER_FORMATS. Header rows are bold and frozen.
+ * Takes the ExcelJS namespace so the same builder runs in the browser and under Node.
+ */
+export function buildXlsxWorkbook(ExcelJS, sheets = []) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const usedNames = new Set();
+
+  for (const sheet of sheets) {
+    const columns = sheet.columns || [];
+    const ws = workbook.addWorksheet(safeSheetName(sheet.name, usedNames), {
+      views: [{ state: "frozen", xSplit: 0, ySplit: 1 }]
+    });
+    ws.columns = columns.map((c) => ({
+      header: c.header || c.key,
+      key: c.key,
+      width: c.width || Math.max(12, String(c.header || c.key).length + 2),
+      style: XLSX_NUMBER_FORMATS[c.format] ? { numFmt: XLSX_NUMBER_FORMATS[c.format] } : {}
+    }));
+    for (const row of sheet.rows || []) {
+      const values = {};
+      for (const c of columns) {
+        const v = row?.[c.key];
+        // Numeric columns keep blanks blank instead of writing 0.
+        values[c.key] = c.format && v !== "" && v !== null && v !== undefined && Number.isFinite(Number(v)) ? Number(v) : v ?? "";
+      }
+      ws.addRow(values);
+    }
+    ws.getRow(1).font = { bold: true };
+    if (columns.length) ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  }
+  return workbook;
+}
+
+export async function downloadXlsxWorkbook(sheets, filename) {
+  await ensureExcelLib();
+  const workbook = buildXlsxWorkbook(window.ExcelJS, sheets);
+  const buffer = await workbook.xlsx.writeBuffer();
+  triggerBlobDownload(buffer, filename, XLSX_MIME);
+}
+
+/* ================================
+   SVG helpers
+================================ */
+
+export const SVG_MIME = "image/svg+xml";
+
+export function svgEscape(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Attributes with null/undefined/"" values are left out; numbers are trimmed to 2 decimals.
+export function svgElement(tag, attrs = {}, children = "") {
+  const attrText = Object.entries(attrs)
+    .filter(([, v]) => v !== null && v !== undefined && v !== "")
+    .map(([k, v]) => ` ${k}="${svgEscape(typeof v === "number" ? Number(v.toFixed(2)) : v)}"`)
+    .join("");
+  return children === "" ? `<${tag}${attrText}/>` : `<${tag}${attrText}>${children}</${tag}>`;
+}
+
+export async function ensureSvgPdfLib() {
+  await ensurePdfLibs();
+  await loadScriptOnce(
+    VENDOR_SCRIPTS.svg2pdf,
+    () => typeof window.svg2pdf?.svg2pdf === "function"
+  );
+}
+
+/**
+ * Draw SVG markup into a jsPDF page as vector shapes (svg2pdf.js).
+ * The element is mounted off-screen while it converts so styles resolve.
+ */
+export async function addSvgToPdf(pdf, markup, { x, y, width, height }) {
+  await ensureSvgPdfLib();
+  const host = document.createElement("div");
+  host.style.cssText = "position:fixed;left:-100000px;top:0;";
+  host.innerHTML = markup;
+  document.body.appendChild(host);
+  try {
+    await window.svg2pdf.svg2pdf(host.querySelector("svg"), pdf, { x, y, width, height });
+  } finally {
+    host.remove();
+  }
+}
+
+/* ================================
+   PDF report layout helpers
+================================ */
+
+/**
+ * Wrap a jsPDF document with the section/table helpers used by the coverage reports.
+ * All helpers share one cursor (`state.y`) and add pages as needed.
+ */
+export function createPdfReportWriter(pdf, { orientation = "landscape", margin = 36, bottomPad = 24 } = {}) {
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const state = { y: margin };
+
+  const ensureSpace = (needed = 18) => {
+    if (state.y + needed <= pageH - margin - bottomPad) return false;
+    pdf.addPage("a4", orientation);
+    state.y = margin;
+    return true;
+  };
+
+  const newPage = () => {
+    pdf.addPage("a4", orientation);
+    state.y = margin;
+  };
+
+  const addReportTitle = (title, subtitle = `Generated: ${new Date().toLocaleString()}`) => {
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(18);
+    pdf.setTextColor(20, 32, 52);
+    pdf.text(title, margin, state.y);
+    state.y += 18;
+
+    if (subtitle) {
+      pdf.setFont("helvetica", "normal");
+      pdf.setFontSize(10);
+      pdf.setTextColor(60, 74, 96);
+      pdf.text(subtitle, margin, state.y);
+      state.y += 14;
+    }
+  };
+
+  const addPageTitle = (title) => {
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(16);
+    pdf.setTextColor(20, 32, 52);
+    pdf.text(title, margin, state.y);
+    state.y += 18;
+  };
+
+  const addSectionTitle = (title) => {
+    ensureSpace(18);
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(13);
+    pdf.setTextColor(22, 34, 54);
+    pdf.text(title, margin, state.y);
+    state.y += 15;
+  };
+
+  const addTextLines = (lines) => {
+    for (const line of lines) {
+      const wrapped = pdf.splitTextToSize(String(line ?? ""), pageW - margin * 2);
+      for (const subLine of wrapped) {
+        ensureSpace(12);
+        pdf.setFont("helvetica", "normal");
+        pdf.setFontSize(9.5);
+        pdf.setTextColor(38, 52, 72);
+        pdf.text(subLine, margin, state.y);
+        state.y += 11;
+      }
+    }
+  };
+
+  const drawWrappedFactLine = (label, value) => addTextLines([`${label}: ${value}`]);
+
+  // Prose (e.g. the generated narrative): wrapped like addTextLines, with a gap between paragraphs.
+  const addParagraphs = (paragraphs) => {
+    for (const paragraph of paragraphs) {
+      addTextLines([paragraph]);
+      state.y += 5;
+    }
+  };
+
+  const drawGridTable = ({ title, columns, rows, rowToCells, emptyText = "No rows for current filters." }) => {
+    const tableW = columns.reduce((sum, col) => sum + col.width, 0);
+    if (title) addSectionTitle(title);
+
+    const drawHeader = () => {
+      ensureSpace(18);
+      const top = state.y;
+      let x = margin;
+      pdf.setFillColor(231, 237, 247);
+      pdf.setDrawColor(188, 198, 214);
+      pdf.setLineWidth(0.4);
+      pdf.rect(margin, top, tableW, 16, "FD");
+      pdf.setFont("helvetica", "bold");
+      pdf.setFontSize(8.5);
+      pdf.setTextColor(30, 40, 58);
+      for (const col of columns) {
+        if (col.align === "right") {
+          pdf.text(col.label, x + col.width - 3, top + 11, { align: "right" });
+        } else {
+          pdf.text(col.label, x + 3, top + 11);
+        }
+        x += col.width;
+        if (x < margin + tableW) pdf.line(x, top, x, top + 16);
+      }
+      state.y += 16;
+    };
+
+    drawHeader();
+
+    if (!rows.length) {
+      ensureSpace(16);
+      pdf.setFont("helvetica", "italic");
+      pdf.setFontSize(9);
+      pdf.setTextColor(72, 84, 102);
+      pdf.text(emptyText, margin + 3, state.y + 11);
+      state.y += 18;
+      return;
+    }
+
+    for (const row of rows) {
+      if (ensureSpace(16)) drawHeader();
+      const top = state.y;
+      let x = margin;
+      const cells = rowToCells(row);
+      pdf.setDrawColor(210, 219, 230);
+      pdf.setLineWidth(0.3);
+      pdf.rect(margin, top, tableW, 16);
+      pdf.setFont("helvetica", "normal");
+      pdf.setFontSize(8.3);
+      pdf.setTextColor(36, 50, 70);
+      for (let i = 0; i < columns.length; i++) {
+        const col = columns[i];
+        const clipped = pdf.splitTextToSize(String(cells[i] ?? ""), col.width - 6)[0] || "";
+        if (col.align === "right") {
+          pdf.text(clipped, x + col.width - 3, top + 11, { align: "right" });
+        } else {
+          pdf.text(clipped, x + 3, top + 11);
+        }
+        x += col.width;
+        if (x < margin + tableW) pdf.line(x, top, x, top + 16);
+      }
+      state.y += 16;
+    }
+
+    state.y += 8;
+  };
+
+  // Dashboard-style metric tiles: [{ label, value }], `perRow` to a row, wrapping onto new rows.
+  const drawKpiCards = (cards, { perRow = 3, height = 46, gap = 10 } = {}) => {
+    const cardW = (pageW - margin * 2 - gap * (perRow - 1)) / perRow;
+    for (let i = 0; i < cards.length; i += perRow) {
+      ensureSpace(height + gap);
+      const top = state.y;
+      cards.slice(i, i + perRow).forEach((card, j) => {
+        const x = margin + j * (cardW + gap);
+        pdf.setFillColor(244, 247, 252);
+        pdf.setDrawColor(200, 210, 226);
+        pdf.setLineWidth(0.5);
+        pdf.roundedRect(x, top, cardW, height, 4, 4, "FD");
+        pdf.setFont("helvetica", "normal");
+        pdf.setFontSize(8.5);
+        pdf.setTextColor(72, 84, 102);
+        pdf.text(String(card.label ?? ""), x + 8, top + 14);
+        pdf.setFont("helvetica", "bold");
+        pdf.setFontSize(15);
+        pdf.setTextColor(20, 32, 52);
+        pdf.text(String(card.value ?? ""), x + 8, top + 35);
+      });
+      state.y += height + gap;
+    }
+    state.y += 6;
+  };
+
+  const addPageFooters = (label = "Generated by Coverage Dashboard") => {
+    const totalPages = pdf.getNumberOfPages();
+    for (let p = 1; p <= totalPages; p++) {
+      pdf.setPage(p);
+      const w = pdf.internal.pageSize.getWidth();
+      const h = pdf.internal.pageSize.getHeight();
+      pdf.setFont("helvetica", "normal");
+      pdf.setFontSize(9);
+      pdf.setTextColor(112, 122, 138);
+      pdf.text(label, margin, h - 12);
+      pdf.text(`Page ${p} of ${totalPages}`, w - margin, h - 12, { align: "right" });
+    }
+  };
+
+  return {
+    pdf,
+    pageW,
+    pageH,
+    margin,
+    state,
+    ensureSpace,
+    newPage,
+    addReportTitle,
+    addPageTitle,
+    addSectionTitle,
+    addTextLines,
+    drawWrappedFactLine,
+    addParagraphs,
+    drawGridTable,
+    drawKpiCards,
+    addPageFooters
+  };
+}
@@ -60,6 +60,11 @@ export function clearCheckboxMenu(container) {
   for (const cb of container.querySelectorAll('input[type="checkbox"]')) cb.checked = false;
 }
 
+export function setCheckboxMenuValues(container, values) {
+  const selected = new Set(values || []);
+  for (const cb of container.querySelectorAll('input[type="checkbox"]')) cb.checked = selected.has(cb.value);
+}
+
 export function resetCheckboxMenuSearch(container) {
   const input = container.querySelector(".multiSearchInput");
   if (!input) return;
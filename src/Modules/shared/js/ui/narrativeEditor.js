@@ -0,0 +1,51 @@
+import { narrativeToText, narrativeFromText } from "../coverage/narrative.js";
+
+/**
+ * Review dialog for the generated report narrative (markup: #narrativeModal on the page).
+ * `edit(paragraphs, { regenerate })` opens it and resolves with the edited paragraphs when the
+ * user continues to the export, or null when they cancel.
+ */
+export function createNarrativeEditor(modal = document.getElementById("narrativeModal")) {
+  const textArea = modal?.querySelector("[data-narrative-text]");
+  const regenerateBtn = modal?.querySelector("[data-narrative-regenerate]");
+  const confirmBtn = modal?.querySelector("[data-narrative-confirm]");
+  let pending = null;
+
+  function close(result) {
+    if (!pending) return;
+    const { resolve } = pending;
+    pending = null;
+    modal.hidden = true;
+    document.body.classList.remove("modalOpen");
+    resolve(result);
+  }
+
+  if (modal) {
+    confirmBtn?.addEventListener("click", () => close(narrativeFromText(textArea.value)));
+    regenerateBtn?.addEventListener("click", () => {
+      if (pending?.regenerate) textArea.value = narrativeToText(pending.regenerate());
+    });
+    modal.addEventListener("click", (event) => {
+      if (event.target?.closest("[data-narrative-cancel]")) close(null);
+    });
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && !modal.hidden) close(null);
+    });
+  }
+
+  function edit(paragraphs, { regenerate } = {}) {
+    // Pages without the dialog export the generated text unchanged.
+    if (!modal || !textArea) return Promise.resolve(paragraphs);
+    close(null);
+    textArea.value = narrativeToText(paragraphs);
+    if (regenerateBtn) regenerateBtn.hidden = !regenerate;
+    modal.hidden = false;
+    document.body.classList.add("modalOpen");
+    textArea.focus();
+    return new Promise((resolve) => {
+      pending = { resolve, regenerate };
+    });
+  }
+
+  return { edit };
+}
@@ -0,0 +1,341 @@
+// src/api/coverageApi.js
+// JSON endpoints over the normalized coverage dataset. The raw tbl*.csv files
+// are joined once here so browser modules don't each re-implement the join.
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+import { parseCSV } from "../Modules/shared/js/core/data.js";
+import { buildPolicyRecords } from "../Modules/shared/js/core/policyData.js";
+import {
+  buildPaymentRecords,
+  buildErosionIndex,
+  applyErosionToPolicies
+} from "../Modules/shared/js/core/limitErosion.js";
+import { buildCoverageDataset, findQuotaShareIssues, quotaGroupKey } from "../Modules/shared/js/coverage/coverageChartEngine.js";
+import { validateCoverageTables } from "../Modules/shared/js/coverage/dataValidation.js";
+
+export const TABLE_FILES = {
+  policyRows: "tblPolicy.csv",
+  dateRows: "tblPolicyDates.csv",
+  limitRows: "tblPolicyLimits.csv",
+  carrierRows: "tblCarrier.csv",
+  carrierGroupRows: "tblCarrierGroup.csv",
+  programRows: "tblInsuranceProgram.csv",
+  limitTypeRows: "tblPolicyLimitType.csv",
+  namedInsuredRows: "tblNamedInsured.csv",
+  paymentRows: "tblPayments.csv",
+  solvencyEventRows: "tblCarrierSolvencyEvents.csv",
+  carrierRatingRows: "tblCarrierRating.csv"
+};
+
+/* ================================
+   Loading (cached by file mtime)
+================================ */
+
+async function readTable(dataDir, fileName) {
+  const filePath = path.join(dataDir, fileName);
+  try {
+    const [text, stat] = await Promise.all([fs.readFile(filePath, "utf8"), fs.stat(filePath)]);
+    return { rows: parseCSV(text), mtimeMs: stat.mtimeMs };
+  } catch (err) {
+    if (err?.code === "ENOENT") return { rows: [], mtimeMs: 0 };
+    throw err;
+  }
+}
+
+export function createCoverageDataStore({ dataDir }) {
+  let cached = null;
+
+  async function getTables() {
+    const entries = await Promise.all(
+      Object.entries(TABLE_FILES).map(async ([key, fileName]) => [key, await readTable(dataDir, fileName)])
+    );
+    const stamp = entries.map(([, t]) => t.mtimeMs).join("|");
+    if (cached && cached.stamp === stamp) return cached;
+
+    const tables = Object.fromEntries(entries.map(([key, t]) => [key, t.rows]));
+    cached = { stamp, tables, policies: null, payments: null, datasets: new Map(), validation: null };
+    return cached;
+  }
+
+  async function getPolicies({ asOfDate } = {}) {
+    const state = await getTables();
+    if (!state.policies) state.policies = buildPolicyRecords(state.tables);
+    if (asOfDate === undefined) return state.policies;
+    const index = buildErosionIndex({ payments: await getPayments(), asOfDate });
+    return applyErosionToPolicies(state.policies, index);
+  }
+
+  async function getPayments() {
+    const state = await getTables();
+    if (!state.payments) state.payments = buildPaymentRecords(state.tables.paymentRows);
+    return state.payments;
+  }
+
+  async function getDataset({ useYearAxis = true } = {}) {
+    const state = await getTables();
+    const key = useYearAxis ? "year" : "policy";
+    if (!state.datasets.has(key)) {
+      const t = state.tables;
+      state.datasets.set(
+        key,
+        buildCoverageDataset({
+          limitsRows: t.limitRows,
+          datesRows: t.dateRows,
+          policyRows: t.policyRows,
+          carrierRows: t.carrierRows,
+          carrierGroupRows: t.carrierGroupRows,
+          insuranceProgramRows: t.programRows,
+          policyLimitTypeRows: t.limitTypeRows,
+          namedInsuredRows: t.namedInsuredRows,
+          solvencyEventRows: t.solvencyEventRows,
+          useYearAxis
+        })
+      );
+    }
+    return state.datasets.get(key);
+  }
+
+  async function getValidation() {
+    const state = await getTables();
+    if (!state.validation) {
+      state.validation = validateCoverageTables({ tables: state.tables, dataset: await getDataset({ useYearAxis: true }) });
+    }
+    return state.validation;
+  }
+
+  async function getLookups() {
+    const state = await getTables();
+    const policies = await getPolicies();
+    const pick = (rows, idKey, nameKey) =>
+      rows
+        .map((r) => ({ id: String(r[idKey] ?? "").trim(), name: String(r[nameKey] ?? "").trim() }))
+        .filter((r) => r.id);
+
+    const years = policies
+      .flatMap((p) => [p.startDate, p.endDate])
+      .map((d) => Number(String(d || "").slice(0, 4)))
+      .filter((y) => Number.isFinite(y) && y > 0);
+
+    return {
+      programs: pick(state.tables.programRows, "InsuranceProgramID", "InsuranceProgram"),
+      policyLimitTypes: pick(state.tables.limitTypeRows, "PolicyLimitTypeID", "PolicyLimitTypeName"),
+      carriers: pick(state.tables.carrierRows, "CarrierID", "CarrierName"),
+      carrierGroups: pick(state.tables.carrierGroupRows, "CarrierGroupID", "CarrierGroupName"),
+      namedInsureds: pick(state.tables.namedInsuredRows, "NamedInsuredID", "NamedInsured"),
+      years: years.length ? { min: Math.min(...years), max: Math.max(...years) } : { min: null, max: null }
+    };
+  }
+
+  return { getTables, getPolicies, getPayments, getDataset, getValidation, getLookups };
+}
+
+/* ================================
+   Query filters
+================================ */
+
+// Multi-value filters repeat the parameter (carrier=A&carrier=B), as in chartState.js, because
+// carrier and named insured names can contain commas.
+function listParam(params, name) {
+  return params
+    .getAll(name)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// The raw query string, so repeated parameters keep their order and are never comma-split.
+function searchParamsOf(req) {
+  return new URL(req.originalUrl, "http://localhost").searchParams;
+}
+
+function toYear(value) {
+  const n = Number(String(value ?? "").trim());
+  return String(value ?? "").trim() !== "" && Number.isFinite(n) ? Math.trunc(n) : null;
+}
+
+function matcher(values) {
+  const set = new Set(values.map((v) => v.toLowerCase()));
+  return (...candidates) =>
+    set.size === 0 || candidates.some((c) => set.has(String(c ?? "").trim().toLowerCase()));
+}
+
+/**
+ * Parse chart-style filters from URLSearchParams.
+ * Programs, named insureds, limit types, carriers and carrier groups accept names or ids; repeat
+ * the parameter for several values. `asOf` is left undefined when no date was requested.
+ */
+export function parseFilterQuery(params = new URLSearchParams()) {
+  const asOf = String(params.get("asOf") ?? "").trim();
+  return {
+    programs: listParam(params, "program"),
+    namedInsureds: listParam(params, "namedInsured"),
+    limitTypes: listParam(params, "limitType"),
+    startYear: toYear(params.get("startYear")),
+    endYear: toYear(params.get("endYear")),
+    carriers: listParam(params, "carrier"),
+    carrierGroups: listParam(params, "carrierGroup"),
+    asOf: asOf || undefined
+  };
+}
+
+function yearWindowMs(filters) {
+  const startMs = filters.startYear !== null ? Date.UTC(filters.startYear, 0, 1) : Number.NEGATIVE_INFINITY;
+  const endMs = filters.endYear !== null ? Date.UTC(filters.endYear, 11, 31, 23, 59, 59, 999) : Number.POSITIVE_INFINITY;
+  return { startMs, endMs };
+}
+
+export function filterPolicies(policies, filters) {
+  const programOk = matcher(filters.programs);
+  const namedInsuredOk = matcher(filters.namedInsureds);
+  const carrierOk = matcher(filters.carriers);
+  const groupOk = matcher(filters.carrierGroups);
+  const limitTypeOk = matcher(filters.limitTypes);
+  const { startMs, endMs } = yearWindowMs(filters);
+
+  return policies
+    .filter((p) => programOk(p.insuranceProgram, p.insuranceProgramId))
+    .filter((p) => namedInsuredOk(p.namedInsured, p.namedInsuredId))
+    .filter((p) => carrierOk(p.carrier, p.carrierId))
+    .filter((p) => groupOk(p.carrierGroup, p.carrierGroupId))
+    .filter((p) => !p.startDate || !p.endDate || (p.startMs <= endMs && p.endMs >= startMs))
+    .map((p) => {
+      if (!filters.limitTypes.length) return p;
+      return { ...p, limits: p.limits.filter((l) => limitTypeOk(l.typeName, l.typeId)) };
+    })
+    .filter((p) => !filters.limitTypes.length || p.limits.length > 0);
+}
+
+export function filterSlices(slices, filters) {
+  const programOk = matcher(filters.programs);
+  const namedInsuredOk = matcher(filters.namedInsureds);
+  const carrierOk = matcher(filters.carriers);
+  const groupOk = matcher(filters.carrierGroups);
+  const limitTypeOk = matcher(filters.limitTypes);
+  const { startMs, endMs } = yearWindowMs(filters);
+
+  return slices.filter((s) => {
+    if (!programOk(s.insuranceProgram, s.insuranceProgramId)) return false;
+    if (!namedInsuredOk(s.namedInsured, s.namedInsuredId)) return false;
+    if (!limitTypeOk(s.policyLimitType, s.policyLimitTypeId)) return false;
+    if (!carrierOk(s.carrier, s.carrierId)) return false;
+    if (!groupOk(s.carrierGroup, s.carrierGroupId)) return false;
+    const policyStartMs = Number(s.policyStartMs);
+    const policyEndMs = Number(s.policyEndMs);
+    if (!Number.isFinite(policyStartMs) || !Number.isFinite(policyEndMs)) return true;
+    return policyStartMs <= endMs && policyEndMs >= startMs;
+  });
+}
+
+/* ================================
+   Router
+================================ */
+
+export function createCoverageApiRouter({ dataDir }) {
+  const store = createCoverageDataStore({ dataDir });
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      console.error("[API]", err);
+      res.status(500).json({ error: err?.message || String(err) });
+    }
+  };
+
+  router.get(
+    "/policies",
+    handle(async (req, res) => {
+      const filters = parseFilterQuery(searchParamsOf(req));
+      const policies = filterPolicies(await store.getPolicies({ asOfDate: filters.asOf }), filters);
+      res.json({ count: policies.length, filters, policies });
+    })
+  );
+
+  router.get(
+    "/policies/:id",
+    handle(async (req, res) => {
+      const id = String(req.params.id || "").trim();
+      const { asOf } = parseFilterQuery(searchParamsOf(req));
+      const policy = (await store.getPolicies({ asOfDate: asOf })).find((p) => p.policyId === id);
+      if (!policy) {
+        res.status(404).json({ error: `Policy not found: ${id}` });
+        return;
+      }
+      res.json(policy);
+    })
+  );
+
+  router.get(
+    "/slices",
+    handle(async (req, res) => {
+      const filters = parseFilterQuery(searchParamsOf(req));
+      const useYearAxis = String(req.query.axis || "year").trim().toLowerCase() !== "policy";
+      const dataset = await store.getDataset({ useYearAxis });
+      const slices = filterSlices(dataset.slices, filters);
+      const quotaKeySet = new Set(slices.map(quotaGroupKey).filter((k) => dataset.quotaKeySet.has(k)));
+      const xLabels = useYearAxis
+        ? dataset.xLabels.filter((label) => {
+            const y = Number(label);
+            return (filters.startYear === null || y >= filters.startYear) && (filters.endYear === null || y <= filters.endYear);
+          })
+        : [...new Set(slices.map((s) => s.x))].sort();
+      res.json({
+        count: slices.length,
+        filters,
+        xLabels,
+        quotaKeys: [...quotaKeySet],
+        quotaShareIssues: findQuotaShareIssues(slices, quotaKeySet),
+        slices
+      });
+    })
+  );
+
+  router.get(
+    "/payments",
+    handle(async (req, res) => {
+      const params = searchParamsOf(req);
+      const policyIds = new Set(listParam(params, "policyId"));
+      const asOf = String(params.get("asOf") ?? "").trim();
+      const payments = (await store.getPayments())
+        .filter((p) => !policyIds.size || policyIds.has(p.policyId))
+        .filter((p) => !asOf || p.paymentDate <= asOf);
+      res.json({
+        count: payments.length,
+        total: payments.reduce((sum, p) => sum + p.amount, 0),
+        payments
+      });
+    })
+  );
+
+  router.get(
+    "/validation",
+    handle(async (req, res) => {
+      const report = await store.getValidation();
+      const params = searchParamsOf(req);
+      const severities = new Set(listParam(params, "severity").map((v) => v.toLowerCase()));
+      const categoryOk = matcher(listParam(params, "category"));
+      const issues = report.issues
+        .filter((i) => !severities.size || severities.has(i.severity))
+        .filter((i) => categoryOk(i.category));
+      res.json({ ...report, count: issues.length, issues });
+    })
+  );
+
+  router.get(
+    "/lookups",
+    handle(async (req, res) => {
+      res.json(await store.getLookups());
+    })
+  );
+
+  // Validate on startup so bad rows show up in the server log, not just on the Data Quality tab.
+  store
+    .getValidation()
+    .then(({ counts }) => {
+      if (counts.total) console.warn(`[Validation] ${counts.error} error(s), ${counts.warning} warning(s); see /api/validation`);
+    })
+    .catch((err) => console.error("[Validation]", err));
+
+  return router;
+}
@@ -0,0 +1,256 @@
+// src/api/importApi.js
+// Import page endpoints: preview a mapped client schedule against the current tables,
+// append it to the tbl*.csv files, and keep named column mappings for the next upload
+// from the same source. The mapping rules themselves live in core/importSchema.js.
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+import {
+  IMPORT_FIELDS,
+  IMPORT_TABLE_COLUMNS,
+  normalizeImportRows,
+  buildImportTables
+} from "../Modules/shared/js/core/importSchema.js";
+import { normalizeHeader } from "../Modules/shared/js/core/data.js";
+import { csvCell } from "../Modules/shared/js/coverage/reportExport.js";
+import { validateCoverageTables } from "../Modules/shared/js/coverage/dataValidation.js";
+import { TABLE_FILES, createCoverageDataStore } from "./coverageApi.js";
+import { createSavedViewsStore } from "./savedViewsApi.js";
+
+const MAX_ROWS = 20000;
+const MAX_NAME_LENGTH = 80;
+const FIELD_KEYS = new Set(IMPORT_FIELDS.map((f) => f.key));
+const DEFAULT_KEYS = ["insuranceProgram", "namedInsured", "policyLimitType"];
+
+/* ================================
+   Request normalization
+================================ */
+
+function pickMapping(value) {
+  const mapping = {};
+  for (const [key, header] of Object.entries(value && typeof value === "object" ? value : {})) {
+    const h = String(header ?? "").trim();
+    if (FIELD_KEYS.has(key) && h) mapping[key] = h;
+  }
+  return mapping;
+}
+
+function pickDefaults(value) {
+  return Object.fromEntries(DEFAULT_KEYS.map((k) => [k, String(value?.[k] ?? "").trim()]));
+}
+
+/**
+ * Check a saved-mapping POST body. Returns { error } when it can't be saved.
+ */
+export function normalizeImportMapping(body = {}) {
+  const name = String(body?.name ?? "").trim();
+  if (!name) return { error: "A saved mapping needs a name." };
+  if (name.length > MAX_NAME_LENGTH) return { error: `Mapping names are limited to ${MAX_NAME_LENGTH} characters.` };
+  const mapping = pickMapping(body?.mapping);
+  if (!Object.keys(mapping).length) return { error: "The mapping has no mapped columns." };
+  return { fields: { name, mapping, defaults: pickDefaults(body?.defaults) } };
+}
+
+/* ================================
+   Plan + write
+================================ */
+
+/**
+ * Dry run of an import: row issues, lookup/ID issues and tower checks (gaps,
+ * overlaps, quota share) for the new policies only, plus the merged tables.
+ */
+export async function planImport(dataStore, body = {}) {
+  const rows = Array.isArray(body?.rows) ? body.rows.filter((r) => r && typeof r === "object") : [];
+  if (!rows.length) return { error: "No rows to import." };
+  if (rows.length > MAX_ROWS) return { error: `Imports are limited to ${MAX_ROWS.toLocaleString()} rows.` };
+
+  const { records, issues: rowIssues } = normalizeImportRows(rows, pickMapping(body?.mapping), pickDefaults(body?.defaults));
+  const current = await dataStore.getTables();
+  const { tables, added, newPolicyIds, issues: tableIssues } = buildImportTables(current.tables, records);
+
+  const newIds = new Set(newPolicyIds);
+  const towerIssues = validateCoverageTables({ tables: { ...current.tables, ...tables } })
+    .issues.filter((i) => i.policyId.split(",").some((id) => newIds.has(id.trim())))
+    .map((i) => ({
+      severity: i.severity,
+      row: "",
+      field: i.category,
+      message: i.years ? `${i.message} (${i.years})` : i.message
+    }));
+
+  const issues = [...rowIssues, ...tableIssues, ...towerIssues];
+  return {
+    plan: {
+      tables,
+      summary: {
+        rows: rows.length,
+        importedRows: records.length,
+        policies: newPolicyIds.length,
+        programs: [...new Set(records.map((r) => r.insuranceProgram))],
+        added,
+        errors: issues.filter((i) => i.severity === "error").length,
+        warnings: issues.filter((i) => i.severity === "warning").length
+      },
+      issues
+    }
+  };
+}
+
+// Imports only add rows, so each touched file keeps its bytes and gets the new rows appended
+// in its own column order and line ending (the sample tables mix CRLF and LF).
+export function appendCsvRows(text, columns, rows) {
+  const eol = /\r\n/.test(text) ? "\r\n" : "\n";
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const header = firstLine ? firstLine.split(",").map((h) => normalizeHeader(h.replace(/^"|"$/g, ""))) : [];
+  const cols = header.length ? header : columns;
+  for (const r of rows) {
+    const missing = Object.keys(r).find((c) => !cols.includes(c) && String(r[c] ?? "") !== "");
+    if (missing) throw new Error(`The table has no ${missing} column; add it to the header before importing.`);
+  }
+  const lines = rows.map((r) => cols.map((c) => csvCell(r[c])).join(","));
+  if (!header.length) lines.unshift(cols.join(","));
+  const lead = text && !/\n$/.test(text) ? eol : "";
+  return `${text}${lead}${lines.join(eol)}${eol}`;
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT") return "";
+    throw err;
+  }
+}
+
+// Every file is prepared before any is written, so a bad header leaves all tables as they were.
+// Touched files are copied to importBackups/<stamp>/ first, then replaced via tmp + rename.
+async function writeImportTables({ dataDir, backupRoot, tables, added }) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupDir = path.join(backupRoot, stamp);
+  const updates = [];
+  for (const key of Object.keys(IMPORT_TABLE_COLUMNS)) {
+    if (!added[key]) continue;
+    const filePath = path.join(dataDir, TABLE_FILES[key]);
+    const text = await readIfExists(filePath);
+    updates.push({
+      file: TABLE_FILES[key],
+      filePath,
+      existed: text !== "",
+      text: appendCsvRows(text, IMPORT_TABLE_COLUMNS[key], tables[key].slice(-added[key]))
+    });
+  }
+  for (const { file, filePath, existed, text } of updates) {
+    if (existed) {
+      await fs.mkdir(backupDir, { recursive: true });
+      await fs.copyFile(filePath, path.join(backupDir, file));
+    }
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, text, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+  const written = updates.map((u) => u.file);
+  return { written, backupDir: written.length ? backupDir : "" };
+}
+
+/* ================================
+   Router
+================================ */
+
+export function createImportRouter({ dataDir, mappingsFile, backupDir }) {
+  const dataStore = createCoverageDataStore({ dataDir });
+  const mappings = createSavedViewsStore({ filePath: mappingsFile, collection: "mappings" });
+  const router = express.Router();
+  router.use(express.json({ limit: "20mb" }));
+
+  // Commits are chained so two imports can't both plan against the same tables.
+  let pending = Promise.resolve();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      console.error("[Import]", err);
+      res.status(500).json({ error: err?.message || String(err) });
+    }
+  };
+
+  router.get(
+    "/mappings",
+    handle(async (req, res) => {
+      const list = (await mappings.list()).sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      res.json({ count: list.length, mappings: list });
+    })
+  );
+
+  router.post(
+    "/mappings",
+    handle(async (req, res) => {
+      const { fields, error } = normalizeImportMapping(req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const { view, created, conflict } = await mappings.save(fields, { overwrite: req.body?.overwrite === true });
+      if (conflict) {
+        res.status(409).json({ error: `A saved mapping named "${conflict.name}" already exists.`, id: conflict.id });
+        return;
+      }
+      res.status(created ? 201 : 200).json(view);
+    })
+  );
+
+  router.delete(
+    "/mappings/:id",
+    handle(async (req, res) => {
+      const id = String(req.params.id || "").trim();
+      if (!(await mappings.remove(id))) {
+        res.status(404).json({ error: `Saved mapping not found: ${id}` });
+        return;
+      }
+      res.status(204).end();
+    })
+  );
+
+  router.post(
+    "/preview",
+    handle(async (req, res) => {
+      const { plan, error } = await planImport(dataStore, req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      res.json({ summary: plan.summary, issues: plan.issues });
+    })
+  );
+
+  router.post(
+    "/commit",
+    handle(async (req, res) => {
+      const run = pending.then(async () => {
+        const { plan, error } = await planImport(dataStore, req.body);
+        if (error) return { status: 400, body: { error } };
+        if (plan.summary.errors) {
+          return {
+            status: 422,
+            body: { error: `Import has ${plan.summary.errors} error(s); fix them and preview again.`, summary: plan.summary, issues: plan.issues }
+          };
+        }
+        const result = await writeImportTables({ dataDir, backupRoot: backupDir, tables: plan.tables, added: plan.summary.added });
+        return {
+          status: 201,
+          body: { summary: plan.summary, issues: plan.issues, written: result.written, backup: path.basename(result.backupDir) }
+        };
+      });
+      pending = run.catch(() => {});
+      const { status, body } = await run;
+      res.status(status).json(body);
+    })
+  );
+
+  router.use((err, req, res, next) => {
+    if (!err) return next();
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  });
+
+  return router;
+}
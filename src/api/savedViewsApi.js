@@ -0,0 +1,187 @@
+// src/api/savedViewsApi.js
+// Named Coverage Chart presets ("Hartford BI 1960s"), shared by everyone using
+// this server. They live in one JSON file so they survive restarts without a database.
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { CHART_VIEWS } from "../Modules/shared/js/coverage/chartState.js";
+
+const MAX_NAME_LENGTH = 80;
+
+/* ================================
+   File store
+================================ */
+
+// `collection` names the array inside the file, so other named presets
+// (import column mappings) can reuse the same store in their own file.
+export function createSavedViewsStore({ filePath, collection = "views" }) {
+  // Writes are chained so two saves landing together can't interleave read-modify-write.
+  let pending = Promise.resolve();
+
+  async function list() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(parsed?.[collection]) ? parsed[collection] : [];
+    } catch (err) {
+      if (err?.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async function write(views) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify({ [collection]: views }, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function update(fn) {
+    const next = pending.then(async () => {
+      const views = await list();
+      const result = fn(views);
+      if (!result?.conflict) await write(views);
+      return result;
+    });
+    pending = next.catch(() => {});
+    return next;
+  }
+
+  // Names are unique (case-insensitive). Saving under an existing name replaces that view only
+  // with `overwrite`; otherwise the existing view comes back as `conflict` and nothing is written.
+  function save(fields, { overwrite = false } = {}) {
+    return update((views) => {
+      const now = new Date().toISOString();
+      const key = fields.name.toLowerCase();
+      const index = views.findIndex((v) => String(v.name || "").toLowerCase() === key);
+      if (index >= 0 && !overwrite) return { conflict: views[index] };
+      if (index >= 0) {
+        views[index] = { ...views[index], ...fields, updatedAt: now };
+        return { view: views[index], created: false };
+      }
+      const view = { id: randomUUID(), ...fields, createdAt: now, updatedAt: now };
+      views.push(view);
+      return { view, created: true };
+    });
+  }
+
+  function remove(id) {
+    return update((views) => {
+      const index = views.findIndex((v) => v.id === id);
+      if (index < 0) return false;
+      views.splice(index, 1);
+      return true;
+    });
+  }
+
+  return { list, save, remove };
+}
+
+/* ================================
+   Validation
+================================ */
+
+function toYear(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+}
+
+function toStringList(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map((v) => String(v ?? "").trim()).filter(Boolean))];
+}
+
+/**
+ * Check a POST body and keep only the fields a saved view stores.
+ * Returns { error } when the body can't be saved.
+ */
+export function normalizeSavedView(body = {}) {
+  const name = String(body?.name ?? "").trim();
+  if (!name) return { error: "A saved view needs a name." };
+  if (name.length > MAX_NAME_LENGTH) return { error: `Saved view names are limited to ${MAX_NAME_LENGTH} characters.` };
+
+  const view = String(body?.view ?? "").trim();
+  let startYear = toYear(body?.startYear);
+  let endYear = toYear(body?.endYear);
+  if (startYear !== null && endYear !== null && startYear > endYear) [startYear, endYear] = [endYear, startYear];
+
+  return {
+    fields: {
+      name,
+      view: CHART_VIEWS.includes(view) ? view : CHART_VIEWS[0],
+      // Views saved before programs became a multi-select carry a single insuranceProgram.
+      insurancePrograms: toStringList(body?.insurancePrograms ?? [body?.insuranceProgram]),
+      namedInsureds: toStringList(body?.namedInsureds),
+      policyLimitType: String(body?.policyLimitType ?? "").trim(),
+      startYear,
+      endYear,
+      carriers: toStringList(body?.carriers),
+      carrierGroups: toStringList(body?.carrierGroups)
+    }
+  };
+}
+
+/* ================================
+   Router
+================================ */
+
+export function createSavedViewsRouter({ filePath }) {
+  const store = createSavedViewsStore({ filePath });
+  const router = express.Router();
+  router.use(express.json({ limit: "64kb" }));
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      console.error("[Saved Views]", err);
+      res.status(500).json({ error: err?.message || String(err) });
+    }
+  };
+
+  router.get(
+    "/",
+    handle(async (req, res) => {
+      const views = (await store.list()).sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      res.json({ count: views.length, views });
+    })
+  );
+
+  router.post(
+    "/",
+    handle(async (req, res) => {
+      const { fields, error } = normalizeSavedView(req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const { view, created, conflict } = await store.save(fields, { overwrite: req.body?.overwrite === true });
+      if (conflict) {
+        res.status(409).json({ error: `A saved view named "${conflict.name}" already exists.`, id: conflict.id });
+        return;
+      }
+      res.status(created ? 201 : 200).json(view);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    handle(async (req, res) => {
+      const id = String(req.params.id || "").trim();
+      if (!(await store.remove(id))) {
+        res.status(404).json({ error: `Saved view not found: ${id}` });
+        return;
+      }
+      res.status(204).end();
+    })
+  );
+
+  // Malformed JSON bodies come through here from express.json().
+  router.use((err, req, res, next) => {
+    if (!err) return next();
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  });
+
+  return router;
+}
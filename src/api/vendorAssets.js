@@ -0,0 +1,49 @@
+// src/api/vendorAssets.js
+// Browser libraries (Chart.js, jsPDF, ...) served from node_modules under /vendor, so the
+// pages and the export buttons work on machines that can't reach a CDN.
+import express from "express";
+import fs from "fs";
+import path from "path";
+
+// URL file name -> path inside node_modules. Browser callers use the /vendor/<name> URLs
+// listed in Modules/shared/js/core/external.js.
+export const VENDOR_FILES = {
+  "chart.umd.min.js": "chart.js/dist/chart.umd.min.js",
+  "jspdf.umd.min.js": "jspdf/dist/jspdf.umd.min.js",
+  "html2canvas.min.js": "html2canvas/dist/html2canvas.min.js",
+  "exceljs.min.js": "exceljs/dist/exceljs.min.js",
+  "svg2pdf.umd.min.js": "svg2pdf.js/dist/svg2pdf.umd.min.js"
+};
+
+function packageName(modulePath) {
+  return modulePath.split("/")[0];
+}
+
+export function findMissingVendorFiles(nodeModulesDir) {
+  return Object.values(VENDOR_FILES).filter((modulePath) => !fs.existsSync(path.join(nodeModulesDir, modulePath)));
+}
+
+export function createVendorRouter({ nodeModulesDir }) {
+  const router = express.Router();
+
+  router.get("/:file", (req, res) => {
+    const modulePath = VENDOR_FILES[req.params.file];
+    if (!modulePath) {
+      res.status(404).type("text/plain").send(`Unknown vendor file: ${req.params.file}`);
+      return;
+    }
+
+    const filePath = path.join(nodeModulesDir, modulePath);
+    if (!fs.existsSync(filePath)) {
+      res
+        .status(404)
+        .type("text/plain")
+        .send(`${packageName(modulePath)} is not installed (missing node_modules/${modulePath}). Run "npm install" on the server.`);
+      return;
+    }
+
+    res.sendFile(filePath, { maxAge: "1d" });
+  });
+
+  return router;
+}
@@ -0,0 +1,74 @@
+// src/cli/headlessChart.js
+// Just enough of a browser for coverageChartEngine.js to draw under Node: Chart.js on an
+// @napi-rs/canvas canvas (no DOM platform), plus the few window/document members the
+// engine touches. Tooltips, wheel zoom and resize listeners never fire headless.
+import { createCanvas } from "@napi-rs/canvas";
+import { Chart, registerables, BasicPlatform } from "chart.js";
+
+Chart.register(...registerables);
+
+// Chart.js picks its DOM platform whenever `window` exists; headless charts always use the basic one.
+class HeadlessChart extends Chart {
+  constructor(item, config) {
+    super(item, { ...config, platform: BasicPlatform });
+  }
+}
+
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    addEventListener: noop,
+    removeEventListener: noop,
+    appendChild: noop,
+    remove: noop,
+    setAttribute: noop,
+    querySelector: () => null,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 0, height: 0 })
+  };
+}
+
+function headlessCanvas(width, height) {
+  const canvas = createCanvas(width, height);
+  return Object.assign(canvas, {
+    style: {},
+    parentElement: null,
+    closest: () => null,
+    addEventListener: noop,
+    removeEventListener: noop,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width, height })
+  });
+}
+
+/**
+ * Install the globals and return a canvas sized for the report chart.
+ * `theme` is read by the engine's colours exactly as the page's data-theme would be.
+ */
+export function installHeadlessChartHost({ width = 1400, height = 720, theme = "light" } = {}) {
+  globalThis.Chart = HeadlessChart;
+  globalThis.window = {
+    Chart: HeadlessChart,
+    innerWidth: width,
+    innerHeight: height,
+    devicePixelRatio: 1,
+    addEventListener: noop,
+    removeEventListener: noop,
+    setTimeout,
+    clearTimeout
+  };
+  globalThis.document = {
+    documentElement: { dataset: { theme } },
+    body: stubElement(),
+    getElementById: () => null,
+    createElement: (tag) => (String(tag).toLowerCase() === "canvas" ? headlessCanvas(1, 1) : stubElement())
+  };
+  globalThis.requestAnimationFrame = (fn) => setTimeout(fn, 0);
+
+  return headlessCanvas(width, height);
+}
+
+// The engine finishes layout in a requestAnimationFrame callback; wait for it before drawing.
+export const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
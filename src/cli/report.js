@@ -0,0 +1,163 @@
+// src/cli/report.js
+// Coverage report without a browser: loads the tbl*.csv files, renders the tower with the
+// same engine the Coverage Chart page uses and writes the PDF (or the chart as PNG/SVG).
+//
+//   node src/cli/report.js --program "ABC Company" --type "Bodily Injury" --out report.pdf
+//
+// The output format follows the --out extension (.pdf, .png or .svg).
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { installHeadlessChartHost, nextFrame } from "./headlessChart.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data", "OriginalFiles");
+
+const USAGE = `Usage: node src/cli/report.js --out <file.pdf|file.png|file.svg> [options]
+
+  --program <name>        Insurance program (repeat to stack several programs)
+  --type <name>           Policy limit type, e.g. "Bodily Injury"
+  --named-insured <name>  Named insured (repeatable)
+  --carrier <name>        Carrier (repeatable)
+  --carrier-group <name>  Carrier group (repeatable)
+  --view <view>           Chart view (carrier, carrierGroup, namedInsured, ...)
+  --start <year>          First year shown
+  --end <year>            Last year shown
+  --as-of <date>          As-of date for erosion (YYYY-MM-DD)
+  --sir <mode>            SIR display: off, perOcc or aggregate
+  --annualized            Show annualized limits
+  --theme <light|dark>    Chart colours (default light)
+  --width <px>            Chart width (default 1400)
+  --height <px>           Chart height (default 720)
+  --data-dir <dir>        Folder with the tbl*.csv files (default src/data/OriginalFiles)
+  --verbose               Print the chart engine's diagnostics
+  --help                  Show this message`;
+
+const OUTPUT_TYPES = [".pdf", ".png", ".svg"];
+
+function fail(message) {
+  console.error(`report: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function readOptions() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        program: { type: "string", multiple: true },
+        type: { type: "string" },
+        "named-insured": { type: "string", multiple: true },
+        carrier: { type: "string", multiple: true },
+        "carrier-group": { type: "string", multiple: true },
+        view: { type: "string" },
+        start: { type: "string" },
+        end: { type: "string" },
+        "as-of": { type: "string" },
+        sir: { type: "string" },
+        annualized: { type: "boolean" },
+        theme: { type: "string", default: "light" },
+        width: { type: "string", default: "1400" },
+        height: { type: "string", default: "720" },
+        "data-dir": { type: "string", default: DEFAULT_DATA_DIR },
+        out: { type: "string" },
+        verbose: { type: "boolean" },
+        help: { type: "boolean" }
+      }
+    }).values;
+  } catch (err) {
+    fail(err.message);
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!parsed.out) fail("--out is required");
+
+  const ext = path.extname(parsed.out).toLowerCase();
+  if (!OUTPUT_TYPES.includes(ext)) fail(`--out must end in ${OUTPUT_TYPES.join(", ")}`);
+
+  const width = Number(parsed.width);
+  const height = Number(parsed.height);
+  if (!(width > 0) || !(height > 0)) fail("--width and --height must be positive numbers");
+
+  return { ...parsed, ext, width: Math.trunc(width), height: Math.trunc(height) };
+}
+
+// Filter values are matched case-insensitively against the names present in the data.
+function resolveNames(label, requested = [], available = []) {
+  const byKey = new Map(available.map((name) => [name.toLowerCase(), name]));
+  return requested.map((value) => {
+    const name = byKey.get(String(value).trim().toLowerCase());
+    if (!name) fail(`unknown ${label} "${value}" (available: ${available.join(", ") || "none"})`);
+    return name;
+  });
+}
+
+async function main() {
+  const opts = readOptions();
+  const canvas = installHeadlessChartHost({ width: opts.width, height: opts.height, theme: opts.theme });
+
+  // Imported after the host is installed so the engine sees the headless Chart.
+  const engine = await import("../Modules/shared/js/coverage/coverageChartEngine.js");
+  const { createCoverageDataStore } = await import("../api/coverageApi.js");
+  const { jsPDF } = await import("jspdf");
+
+  const store = createCoverageDataStore({ dataDir: path.resolve(opts["data-dir"]) });
+  const { tables } = await store.getTables();
+  const dataset = await store.getDataset({ useYearAxis: true });
+  if (!dataset.slices.length) fail(`no policy limits found in ${opts["data-dir"]}`);
+
+  await engine.renderCoverageChart({
+    canvas,
+    dataset,
+    paymentRows: tables.paymentRows,
+    initialView: opts.view || "carrier",
+    diagnostics: !!opts.verbose
+  });
+  await nextFrame();
+
+  const options = engine.getFilterOptions();
+  if (opts.program) engine.setInsuranceProgramFilter(resolveNames("program", opts.program, options.insurancePrograms));
+  if (opts.type) engine.setPolicyLimitTypeFilter(resolveNames("limit type", [opts.type], options.policyLimitTypes)[0]);
+  if (opts["named-insured"]) {
+    engine.setNamedInsuredFilter(resolveNames("named insured", opts["named-insured"], options.namedInsureds));
+  }
+  if (opts.carrier || opts["carrier-group"]) {
+    engine.setEntityFilters({
+      carriers: resolveNames("carrier", opts.carrier, options.carriers),
+      carrierGroups: resolveNames("carrier group", opts["carrier-group"], options.carrierGroups)
+    });
+  }
+  if (opts.start || opts.end) {
+    const { minYear, maxYear } = engine.getYearBounds();
+    engine.setYearRange(opts.start ?? minYear, opts.end ?? maxYear);
+  }
+  if (opts["as-of"]) engine.setAsOfDate(opts["as-of"]);
+  if (opts.sir) engine.setSIRMode(opts.sir);
+  if (opts.annualized) engine.setAnnualizedMode(true);
+  await nextFrame();
+
+  if (!engine.getFilteredSlices().length) fail("no policies match the selected filters");
+
+  let output;
+  if (opts.ext === ".pdf") {
+    const { pdf } = await engine.buildReportPDF({ jsPDF, vectorChart: false });
+    output = Buffer.from(pdf.output("arraybuffer"));
+  } else if (opts.ext === ".png") {
+    output = await canvas.encode("png");
+  } else {
+    output = engine.buildChartSVG().markup;
+  }
+
+  await fs.writeFile(opts.out, output);
+  console.log(`report: wrote ${opts.out}`);
+}
+
+main().catch((err) => {
+  console.error(`report: ${err?.stack || err}`);
+  process.exit(1);
+});
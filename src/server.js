@@ -2,6 +2,10 @@
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createCoverageApiRouter } from "./api/coverageApi.js";
+import { createSavedViewsRouter } from "./api/savedViewsApi.js";
+import { createImportRouter } from "./api/importApi.js";
+import { createVendorRouter, findMissingVendorFiles } from "./api/vendorAssets.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +19,29 @@ const SRC_DIR =
     ? __dirname
     : path.join(__dirname, "src");
 
+const DATA_DIR = path.join(SRC_DIR, "data", "OriginalFiles");
+// Server-written state lives next to /src, not in it: everything under /src is served as static files.
+const STATE_DIR = path.join(SRC_DIR, "..", "storage");
+const SAVED_VIEWS_FILE = path.join(STATE_DIR, "savedViews.json");
+const IMPORT_MAPPINGS_FILE = path.join(STATE_DIR, "importMappings.json");
+const IMPORT_BACKUP_DIR = path.join(STATE_DIR, "importBackups");
+const NODE_MODULES_DIR = path.join(SRC_DIR, "..", "node_modules");
+
+// Coverage Chart presets shared by everyone using this server
+app.use("/api/saved-views", createSavedViewsRouter({ filePath: SAVED_VIEWS_FILE }));
+
+// Import page: preview and append client schedules to the tbl*.csv files
+app.use(
+  "/api/import",
+  createImportRouter({ dataDir: DATA_DIR, mappingsFile: IMPORT_MAPPINGS_FILE, backupDir: IMPORT_BACKUP_DIR })
+);
+
+// JSON API over the joined coverage dataset
+app.use("/api", createCoverageApiRouter({ dataDir: DATA_DIR }));
+
+// Chart.js, jsPDF and the other browser libraries, straight from node_modules (no CDN)
+app.use("/vendor", createVendorRouter({ nodeModulesDir: NODE_MODULES_DIR }));
+
 // Serve static files from /src
 app.use(express.static(SRC_DIR));
 
@@ -25,4 +52,8 @@ app.get("/", (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running at http://127.0.0.1:${PORT}`);
+  const missingVendorFiles = findMissingVendorFiles(NODE_MODULES_DIR);
+  if (missingVendorFiles.length) {
+    console.warn(`Missing browser libraries (run "npm install"): ${missingVendorFiles.join(", ")}`);
+  }
 });
@@ -0,0 +1,168 @@
+// Loss allocation: pro rata by time on risk over slices, and all-sums tenders (vertical and
+// horizontal exhaustion) over per-year towers.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { allocateProRata, simulateAllSums } from "../src/Modules/shared/js/coverage/allocationEngine.js";
+
+const policy = (PolicyID, sliceLimit, extra = {}) => ({
+  PolicyID,
+  policy_no: `P-${PolicyID}`,
+  policyLimitType: "Bodily Injury",
+  carrier: `Carrier ${PolicyID}`,
+  carrierGroup: `Group ${PolicyID}`,
+  availability: "Available",
+  sliceLimit,
+  sirPerOcc: 0,
+  sirAggregate: 0,
+  ...extra
+});
+
+const layer = (ref, attach, ...participants) => ({ ref, attach, participants });
+
+// 1990 has a $10M gap between its primary and its excess layer; 1991 is continuous.
+const STACKS = [
+  { year: 1990, layers: [layer("1990-p", 0, policy("1", 10)), layer("1990-x", 20, policy("2", 10))] },
+  { year: 1991, layers: [layer("1991-p", 0, policy("3", 10)), layer("1991-x", 10, policy("4", 10))] }
+];
+
+const paidBy = (result) => Object.fromEntries(result.policyRows.map((r) => [r.PolicyID, r.allocated]));
+
+test("vertical exhaustion fills one year bottom to top, gaps uninsured", () => {
+  const result = simulateAllSums({ stacks: STACKS, lossAmount: 25, rule: "vertical", applySir: false });
+  assert.deepEqual(paidBy(result), { 1: 10, 2: 5 });
+  assert.equal(result.totals.uninsured, 10);
+  assert.equal(result.totals.insurers, 15);
+});
+
+test("horizontal exhaustion fills each level across years before moving up", () => {
+  const result = simulateAllSums({ stacks: STACKS, lossAmount: 20, rule: "horizontal", applySir: false });
+  assert.deepEqual(paidBy(result), { 1: 10, 3: 10 });
+  assert.equal(result.totals.uninsured, 0);
+});
+
+test("horizontal exhaustion leaves a gap's share with the insured", () => {
+  const result = simulateAllSums({ stacks: STACKS, lossAmount: 30, rule: "horizontal", applySir: false });
+  // Level $10M: the 1990 gap and the 1991 excess layer split the last $10M evenly.
+  assert.deepEqual(paidBy(result), { 1: 10, 3: 10, 4: 5 });
+  assert.equal(result.totals.uninsured, 5);
+  assert.deepEqual(
+    result.yearRows.map((r) => [r.year, r.insurers, r.uninsured]),
+    [
+      [1990, 10, 5],
+      [1991, 15, 0]
+    ]
+  );
+});
+
+test("loss above every tower overflows to the insured", () => {
+  const result = simulateAllSums({ stacks: STACKS, lossAmount: 60, rule: "horizontal", applySir: false });
+  assert.equal(result.totals.insurers, 40);
+  assert.equal(result.totals.uninsured, 20);
+  assert.equal(result.totals.overflow, 10);
+});
+
+test("the SIR is retained before insurers pay", () => {
+  const stacks = [{ year: 1990, layers: [layer("p", 0, policy("1", 10, { sirPerOcc: 2, sirAggregate: 2 }))] }];
+  const result = simulateAllSums({ stacks, lossAmount: 5, rule: "horizontal", applySir: true });
+  assert.equal(result.totals.retention, 2);
+  assert.equal(result.totals.insurers, 3);
+});
+
+test("an insolvent carrier's share is reported as unavailable", () => {
+  const stacks = [
+    { year: 1990, layers: [layer("p", 0, policy("1", 10, { availability: "Partially Available", collectibleLimit: 4 }))] }
+  ];
+  const result = simulateAllSums({ stacks, lossAmount: 5, rule: "vertical", applySir: false });
+  assert.equal(result.totals.insurers, 5);
+  assert.equal(result.totals.unavailable, 3);
+  assert.equal(result.totals.available, 2);
+});
+
+/* Pro rata by time on risk */
+
+// A slice on the policy's own dates; `start`/`end` are inclusive ISO days.
+const slice = (PolicyID, start, end, attach, sliceLimit, extra = {}) => ({
+  ...policy(PolicyID, sliceLimit, extra),
+  year: Number(start.slice(0, 4)),
+  attach,
+  policyStartMs: Date.parse(`${start}T00:00:00Z`),
+  policyEndMs: Date.parse(`${end}T00:00:00Z`) + 24 * 60 * 60 * 1000 - 1
+});
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test("pro rata spreads the loss by days on risk", () => {
+  const slices = [
+    slice("1", "1990-01-01", "1990-06-30", 0, 1000),
+    slice("2", "1990-07-01", "1990-12-31", 0, 1000),
+    slice("3", "1991-01-01", "1991-12-31", 0, 1000)
+  ];
+  const result = allocateProRata({ slices, lossAmount: 730, exposureStart: "1990-01-01", exposureEnd: "1991-12-31" });
+  const paid = paidBy(result);
+  near(paid[1], 181);
+  near(paid[2], 184);
+  near(paid[3], 365);
+  assert.equal(result.exposureDays, 730);
+  assert.deepEqual(
+    result.yearRows.map((r) => [r.year, r.days]),
+    [
+      [1990, 365],
+      [1991, 365]
+    ]
+  );
+});
+
+test("pro rata only counts the part of a policy inside the exposure window", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 1000), slice("2", "1991-01-01", "1991-12-31", 0, 1000)];
+  const result = allocateProRata({ slices, lossAmount: 100, exposureStart: "1990-07-02", exposureEnd: "1991-07-01" });
+  const paid = paidBy(result);
+  near(paid[1] + paid[2], 100);
+  near(paid[1], (100 * 183) / 365);
+});
+
+test("pro rata retains the SIR once per policy year before insurers pay", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 1000, { sirPerOcc: 10, sirAggregate: 10 })];
+  const withSir = allocateProRata({ slices, lossAmount: 100, exposureStart: "1990-01-01", exposureEnd: "1990-12-31" });
+  near(withSir.totals.retention, 10);
+  near(withSir.totals.insurers, 90);
+
+  const ignored = allocateProRata({
+    slices,
+    lossAmount: 100,
+    exposureStart: "1990-01-01",
+    exposureEnd: "1990-12-31",
+    applySir: false
+  });
+  assert.equal(ignored.totals.retention, 0);
+  near(ignored.totals.insurers, 100);
+});
+
+test("pro rata reports an insolvent carrier's uncollectible share as unavailable", () => {
+  const slices = [
+    slice("1", "1990-01-01", "1990-12-31", 0, 100, { availability: "Partially Available", collectibleLimit: 20 }),
+    slice("2", "1990-01-01", "1990-12-31", 0, 100, { availability: "Unavailable" })
+  ];
+  const result = allocateProRata({ slices, lossAmount: 100, exposureStart: "1990-01-01", exposureEnd: "1990-12-31" });
+  const byPolicy = Object.fromEntries(result.policyRows.map((r) => [r.PolicyID, r]));
+  near(byPolicy[1].allocated, 50);
+  near(byPolicy[1].unavailable, 40);
+  near(byPolicy[2].unavailable, 50);
+  near(result.totals.available, 10);
+  near(result.totals.unavailable, 90);
+});
+
+test("pro rata leaves a loss above the tower with the insured", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 100), slice("2", "1990-01-01", "1990-12-31", 150, 50)];
+  const result = allocateProRata({ slices, lossAmount: 300, exposureStart: "1990-01-01", exposureEnd: "1990-12-31" });
+  near(result.totals.insurers, 150);
+  // $50M gap between the layers plus $100M above the tower.
+  near(result.totals.uninsured, 150);
+  assert.deepEqual(paidBy(result), { 1: 100, 2: 50 });
+});
+
+test("pro rata rejects a missing loss or exposure window", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 100)];
+  assert.throws(() => allocateProRata({ slices, lossAmount: 0, exposureStart: "1990-01-01", exposureEnd: "1990-12-31" }));
+  assert.throws(() => allocateProRata({ slices, lossAmount: 10, exposureStart: "", exposureEnd: "1990-12-31" }));
+  assert.throws(() => allocateProRata({ slices, lossAmount: 10, exposureStart: "1991-01-01", exposureEnd: "1990-12-31" }));
+});
@@ -0,0 +1,64 @@
+// Counterparty risk: rating scales folded into bands, the current rating per carrier, and HHI.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildCarrierRatingIndex,
+  classifyHhi,
+  classifyRating,
+  getRatingBand,
+  herfindahlIndex
+} from "../src/Modules/shared/js/coverage/counterpartyRisk.js";
+
+test("grades from each agency land in the same bands", () => {
+  assert.equal(classifyRating("S&P", "AA-"), "aa");
+  assert.equal(classifyRating("Fitch", "BBB+"), "bbb");
+  assert.equal(classifyRating("Moody's", "Aa2"), "aa");
+  assert.equal(classifyRating("Moody's", "Baa3"), "bbb");
+  assert.equal(classifyRating("Moody's", "Caa1"), "belowBbb");
+  assert.equal(classifyRating("S&P", "CCC"), "belowBbb");
+});
+
+test("AM Best grades are read on their own scale", () => {
+  assert.equal(classifyRating("AM Best", "A++"), "aa");
+  assert.equal(classifyRating("AM Best", "A+"), "aa");
+  assert.equal(classifyRating("AM Best", "A-"), "a");
+  assert.equal(classifyRating("AM Best", "B+"), "bbb");
+  assert.equal(classifyRating("S&P", "A+"), "a");
+});
+
+test("blank and withdrawn grades are not rated; unknown grades are null", () => {
+  assert.equal(classifyRating("S&P", ""), "notRated");
+  assert.equal(classifyRating("Moody's", "WR"), "notRated");
+  assert.equal(classifyRating("S&P", "Excellent"), null);
+  assert.equal(getRatingBand(null).key, "notRated");
+});
+
+test("the latest rating wins, and the weaker grade wins on the same date", () => {
+  const index = buildCarrierRatingIndex([
+    { CarrierID: "1", RatingAgency: "S&P", Rating: "AA", RatingDate: "1990-01-01" },
+    { CarrierID: "1", RatingAgency: "S&P", Rating: "BBB", RatingDate: "1995-06-30" },
+    { CarrierID: "2", RatingAgency: "S&P", Rating: "A", RatingDate: "2001-01-01" },
+    { CarrierID: "2", RatingAgency: "Moody's", Rating: "Ba1", RatingDate: "2001-01-01" },
+    { CarrierID: "2", RatingAgency: "AM Best", Rating: "A++", RatingDate: "2001-01-01" },
+    { CarrierID: "", RatingAgency: "S&P", Rating: "AAA", RatingDate: "2001-01-01" },
+    { CarrierID: "3", RatingAgency: "S&P", Rating: "AAA", RatingDate: "unknown" }
+  ]);
+  assert.deepEqual([...index.keys()].sort(), ["1", "2"]);
+  assert.equal(index.get("1").rating, "BBB");
+  assert.equal(index.get("1").band.key, "bbb");
+  assert.equal(index.get("2").band.key, "belowBbb");
+});
+
+test("HHI is the sum of squared percentage shares", () => {
+  assert.equal(herfindahlIndex([100]), 10000);
+  assert.equal(herfindahlIndex([50, 50]), 5000);
+  assert.equal(herfindahlIndex([25, 25, 25, 25, 0, -10]), 2500);
+  assert.equal(herfindahlIndex([]), 0);
+});
+
+test("HHI bands follow the 1,500 / 2,500 thresholds", () => {
+  assert.equal(classifyHhi(1499), "Unconcentrated");
+  assert.equal(classifyHhi(1500), "Moderately concentrated");
+  assert.equal(classifyHhi(2500), "Moderately concentrated");
+  assert.equal(classifyHhi(2501), "Highly concentrated");
+});
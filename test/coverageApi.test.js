@@ -0,0 +1,75 @@
+// /api query filters: repeated parameters, names with commas, ids, and the as-of default.
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+import { createCoverageApiRouter, parseFilterQuery } from "../src/api/coverageApi.js";
+import { quotaGroupKey } from "../src/Modules/shared/js/coverage/coverageChartEngine.js";
+
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../src/data/OriginalFiles");
+const NATIONAL_UNION = "National Union Fire Insurance Co. of Pittsburgh, PA";
+
+async function withApi(fn) {
+  const app = express();
+  app.use("/api", createCoverageApiRouter({ dataDir: DATA_DIR }));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  try {
+    await fn(async (pathAndQuery) => (await fetch(`${base}${pathAndQuery}`)).json());
+  } finally {
+    server.close();
+  }
+}
+
+test("repeated parameters are kept whole, commas included", () => {
+  const filters = parseFilterQuery(
+    new URLSearchParams([
+      ["carrier", NATIONAL_UNION],
+      ["carrier", "3"],
+      ["program", "ABC Company"]
+    ])
+  );
+  assert.deepEqual(filters.carriers, [NATIONAL_UNION, "3"]);
+  assert.deepEqual(filters.programs, ["ABC Company"]);
+  assert.equal(filters.asOf, undefined);
+  assert.equal(parseFilterQuery(new URLSearchParams("asOf=%20")).asOf, undefined);
+  assert.equal(parseFilterQuery(new URLSearchParams("asOf=1990-01-01")).asOf, "1990-01-01");
+});
+
+test("/slices matches a carrier name containing a comma, and carrier ids", async () => {
+  await withApi(async (get) => {
+    const byName = await get(`/slices?carrier=${encodeURIComponent(NATIONAL_UNION)}`);
+    assert.ok(byName.count > 0);
+    assert.ok(byName.slices.every((s) => s.carrier === NATIONAL_UNION));
+
+    const byId = await get("/slices?carrier=14");
+    assert.equal(byId.count, byName.count);
+
+    const both = await get(`/slices?carrier=14&carrier=${encodeURIComponent("Mission Insurance Company")}`);
+    assert.ok(both.count > byName.count);
+  });
+});
+
+test("/slices returns only the quota keys of the slices it returns", async () => {
+  await withApi(async (get) => {
+    const all = await get("/slices");
+    assert.ok(all.quotaKeys.length > 0);
+    const one = await get("/slices?carrier=14");
+    const keysInView = new Set(one.slices.map(quotaGroupKey));
+    assert.ok(one.quotaKeys.length < all.quotaKeys.length);
+    assert.ok(one.quotaKeys.every((key) => keysInView.has(key)));
+  });
+});
+
+test("/policies skips erosion unless an as-of date is given", async () => {
+  await withApi(async (get) => {
+    const plain = await get("/policies");
+    const dated = await get("/policies?asOf=1990-01-01");
+    assert.equal(plain.count, dated.count);
+    assert.ok(plain.policies.every((p) => p.limits.every((l) => !("erosionStatus" in l))));
+    assert.ok(dated.policies.every((p) => p.limits.every((l) => "erosionStatus" in l)));
+    assert.equal(plain.filters.asOf, undefined);
+    assert.equal(dated.filters.asOf, "1990-01-01");
+  });
+});
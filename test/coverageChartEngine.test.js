@@ -0,0 +1,34 @@
+// The engine end to end under the headless chart host: stacks built from the bars on the
+// chart feed the all-sums simulation with the same recovery percents as the slices.
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { installHeadlessChartHost, nextFrame } from "../src/cli/headlessChart.js";
+import { createCoverageDataStore } from "../src/api/coverageApi.js";
+
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../src/data/OriginalFiles");
+
+test("all-sums tenders count only the collectible share of a partially available carrier", async () => {
+  const canvas = installHeadlessChartHost({ width: 1200, height: 600, theme: "light" });
+  const engine = await import("../src/Modules/shared/js/coverage/coverageChartEngine.js");
+  const store = createCoverageDataStore({ dataDir: DATA_DIR });
+  const { tables } = await store.getTables();
+  const dataset = await store.getDataset({ useYearAxis: true });
+  await engine.renderCoverageChart({ canvas, dataset, paymentRows: tables.paymentRows, initialView: "availability" });
+  await nextFrame();
+
+  engine.setInsuranceProgramFilter(["ABC Company"]);
+  engine.setPolicyLimitTypeFilter("Bodily Injury");
+  await nextFrame();
+  const { vertical } = engine.setAllSumsScenario({ years: [1986], lossAmount: 200e6, rule: "vertical", applySir: false });
+
+  // Mission Insurance is 20% collectible: 2M of its 10M layer is available, 8M is not.
+  const mission = vertical.policyRows.find((r) => r.carrier === "Mission Insurance Company");
+  assert.equal(mission.availability, "Partially Available");
+  assert.equal(mission.allocated, 10e6);
+  assert.equal(mission.unavailable, 8e6);
+  assert.equal(vertical.totals.insurers, 175e6);
+  assert.equal(vertical.totals.available, 167e6);
+  assert.equal(vertical.totals.unavailable, 8e6);
+});
@@ -0,0 +1,88 @@
+// Tower gaps and overlaps per day-accurate segment of a policy year.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { findCoverageGaps, quotaGroupKey } from "../src/Modules/shared/js/coverage/coverageChartEngine.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayMs = (iso) => Date.parse(`${iso}T00:00:00Z`);
+
+// One policy's slice of a calendar year; `from`/`to` are inclusive ISO days.
+const slice = (PolicyID, from, to, attach, sliceLimit, extra = {}) => ({
+  PolicyID,
+  policy_no: `P-${PolicyID}`,
+  carrier: `Carrier ${PolicyID}`,
+  insuranceProgram: "ABC Company",
+  insuranceProgramId: "1",
+  namedInsuredId: "1",
+  policyLimitType: "Bodily Injury",
+  policyLimitTypeId: "1",
+  year: Number(from.slice(0, 4)),
+  attach,
+  sliceLimit,
+  yearOverlapStartMs: dayMs(from),
+  yearOverlapEndMs: dayMs(to) + DAY_MS - 1,
+  ...extra
+});
+
+const describe = (regions) =>
+  regions.map((r) => [
+    r.kind,
+    r.year,
+    r.bottom,
+    r.top,
+    new Date(r.startMs).toISOString().slice(0, 10),
+    new Date(r.endMs).toISOString().slice(0, 10)
+  ]);
+
+test("a continuous tower has no gaps or overlaps", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 5), slice("2", "1990-01-01", "1990-12-31", 5, 5)];
+  assert.deepEqual(findCoverageGaps(slices), []);
+});
+
+test("a missing layer is a gap between the layers either side", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 5), slice("2", "1990-01-01", "1990-12-31", 10, 5)];
+  const regions = findCoverageGaps(slices);
+  assert.deepEqual(describe(regions), [["gap", 1990, 5, 10, "1990-01-01", "1990-12-31"]]);
+  assert.deepEqual(regions[0].below.map((p) => p.PolicyID), ["1"]);
+  assert.deepEqual(regions[0].above.map((p) => p.PolicyID), ["2"]);
+});
+
+test("a layer ending mid-year with no successor leaves a gap for the rest of the year", () => {
+  const slices = [slice("1", "1990-01-01", "1990-12-31", 0, 5), slice("2", "1990-01-01", "1990-06-30", 5, 5)];
+  assert.deepEqual(describe(findCoverageGaps(slices)), [["gap", 1990, 5, 10, "1990-07-01", "1990-12-31"]]);
+});
+
+test("a whole tower ending mid-year is a gap until the next policy starts", () => {
+  const slices = [
+    slice("1", "1990-01-01", "1990-06-30", 0, 5),
+    slice("2", "1990-01-01", "1990-06-30", 5, 5),
+    slice("3", "1991-01-01", "1991-12-31", 0, 10)
+  ];
+  const regions = findCoverageGaps(slices);
+  assert.deepEqual(describe(regions), [["gap", 1990, 0, 10, "1990-07-01", "1990-12-31"]]);
+  assert.equal(regions[0].below, null);
+  assert.equal(regions[0].above, null);
+});
+
+test("the stretch before a tower's first policy or after its last is not a gap", () => {
+  const slices = [slice("1", "1990-07-01", "1990-12-31", 0, 5), slice("2", "1991-01-01", "1991-06-30", 0, 5)];
+  assert.deepEqual(findCoverageGaps(slices), []);
+});
+
+test("two policies on the same band are an overlap unless they are quota-share participants", () => {
+  const slices = [
+    slice("1", "1990-01-01", "1990-12-31", 0, 5),
+    slice("2", "1990-01-01", "1990-12-31", 5, 5),
+    slice("3", "1990-04-01", "1990-09-30", 5, 5)
+  ];
+  const regions = findCoverageGaps(slices);
+  assert.deepEqual(describe(regions), [["overlap", 1990, 5, 10, "1990-04-01", "1990-09-30"]]);
+  assert.deepEqual(regions[0].policies.map((p) => p.PolicyID).sort(), ["2", "3"]);
+
+  const quota = [
+    slice("1", "1990-01-01", "1990-12-31", 0, 5),
+    slice("2", "1990-01-01", "1990-12-31", 5, 2, { quotaShareGroupId: "QS-1" }),
+    slice("3", "1990-01-01", "1990-12-31", 5, 3, { quotaShareGroupId: "QS-1" })
+  ];
+  assert.deepEqual(findCoverageGaps(quota, new Set(quota.map(quotaGroupKey))), []);
+});
@@ -0,0 +1,166 @@
+// Import page: column guessing, row normalization and the merge into the tbl*.csv tables.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  guessImportMapping,
+  parseImportDate,
+  normalizeImportRows,
+  buildImportTables
+} from "../src/Modules/shared/js/core/importSchema.js";
+import { appendCsvRows } from "../src/api/importApi.js";
+
+const HEADERS = ["Policy #", "Insurer", "Effective Date", "Expiration Date", "Attachment", "Layer Limit", "Share %", "Quota Share Group"];
+
+const sheetRow = (overrides = {}) => ({
+  "Policy #": "XL-100",
+  Insurer: "New Carrier",
+  "Effective Date": "1/1/1990",
+  "Expiration Date": "1/1/1991",
+  Attachment: "5,000,000",
+  "Layer Limit": "$10,000,000",
+  "Share %": "",
+  "Quota Share Group": "",
+  ...overrides
+});
+
+const normalize = (rows) => normalizeImportRows(rows, guessImportMapping(HEADERS), { insuranceProgram: "Imported Program" });
+
+const existingTables = () => ({
+  policyRows: [{ PolicyID: "7", InsuranceProgramID: "1", CarrierID: "1" }],
+  dateRows: [{ PolicyDateID: "7", PolicyID: "7" }],
+  limitRows: [{ PolicyLimitsID: "12", PolicyID: "7" }],
+  carrierRows: [{ CarrierID: "1", CarrierName: "Existing Carrier", CarrierGroupID: "" }],
+  carrierGroupRows: [],
+  programRows: [{ InsuranceProgramID: "1", InsuranceProgram: "ABC Company" }],
+  limitTypeRows: [{ PolicyLimitTypeID: "1", PolicyLimitTypeName: "Bodily Injury" }],
+  namedInsuredRows: []
+});
+
+test("headers are matched through field aliases", () => {
+  assert.deepEqual(guessImportMapping(HEADERS), {
+    PolicyNumber: "Policy #",
+    Carrier: "Insurer",
+    StartDate: "Effective Date",
+    EndDate: "Expiration Date",
+    AttachmentPoint: "Attachment",
+    LayerPerOccLimit: "Layer Limit",
+    ParticipationPercent: "Share %",
+    QuotaShareGroupID: "Quota Share Group"
+  });
+});
+
+test("dates are read from ISO, US text and Excel serials", () => {
+  assert.equal(parseImportDate("1990-01-01"), "1990-01-01");
+  assert.equal(parseImportDate("7/4/1990"), "1990-07-04");
+  assert.equal(parseImportDate(32874), "1990-01-01");
+  assert.equal(parseImportDate("2/30/1990"), "");
+});
+
+test("a clean row becomes a typed record", () => {
+  const { records, issues } = normalize([sheetRow()]);
+  assert.deepEqual(issues, []);
+  assert.equal(records.length, 1);
+  const [r] = records;
+  assert.equal(r.insuranceProgram, "Imported Program");
+  assert.equal(r.namedInsured, "Imported Program");
+  assert.equal(r.startDate, "1990-01-01");
+  assert.equal(r.attachmentPoint, 5000000);
+  assert.equal(r.layerLimit, 10000000);
+  assert.equal(r.perOccLimit, 10000000);
+  assert.equal(r.annualPeriod, "1990");
+  assert.equal(r.participationPercent, null);
+});
+
+test("rows with errors are reported by spreadsheet row and left out", () => {
+  const { records, issues } = normalize([sheetRow(), sheetRow({ Insurer: "", "Expiration Date": "1/1/1989" })]);
+  assert.equal(records.length, 1);
+  assert.deepEqual(
+    issues.map((i) => [i.row, i.field]),
+    [
+      [3, "Carrier"],
+      [3, "EndDate"]
+    ]
+  );
+});
+
+test("participation uses the engine's 0-100 scale", () => {
+  const { records, issues } = normalize([
+    sheetRow({ "Share %": "40", "Quota Share Group": "QS-1" }),
+    sheetRow({ "Share %": "0.4", "Quota Share Group": "QS-1" }),
+    sheetRow({ "Share %": "140", "Quota Share Group": "QS-1" })
+  ]);
+  assert.deepEqual(records.map((r) => r.participationPercent), [40, 0.4]);
+  assert.deepEqual(issues.map((i) => [i.row, i.field, i.severity]), [[4, "ParticipationPercent", "error"]]);
+});
+
+test("a quota share row without participation is a warning", () => {
+  const { records, issues } = normalize([sheetRow({ "Quota Share Group": "QS-1" })]);
+  assert.equal(records.length, 1);
+  assert.deepEqual(issues.map((i) => [i.field, i.severity]), [["ParticipationPercent", "warning"]]);
+});
+
+test("records are appended with new IDs and lookup rows", () => {
+  const { records } = normalize([sheetRow(), sheetRow({ "Layer Limit": "20000000" }), sheetRow({ "Policy #": "XL-200", Insurer: "existing carrier" })]);
+  const { tables, added, newPolicyIds, issues } = buildImportTables(existingTables(), records);
+  assert.deepEqual(
+    issues.map((i) => [i.severity, i.field]),
+    [["warning", "CarrierGroup"]]
+  );
+  assert.deepEqual(newPolicyIds, ["8", "9"]);
+  assert.deepEqual(added, {
+    policyRows: 2,
+    dateRows: 2,
+    limitRows: 3,
+    programRows: 1,
+    namedInsuredRows: 1,
+    carrierGroupRows: 0,
+    carrierRows: 1,
+    limitTypeRows: 0
+  });
+  assert.deepEqual(tables.limitRows.slice(-3).map((r) => [r.PolicyLimitsID, r.PolicyID, r.LayerPerOccLimit]), [
+    ["13", "8", "10000000"],
+    ["14", "8", "20000000"],
+    ["15", "9", "10000000"]
+  ]);
+  assert.equal(tables.policyRows.at(-1).CarrierID, "1");
+  assert.equal(tables.programRows.at(-1).InsuranceProgram, "Imported Program");
+});
+
+test("a new carrier without a carrier group is flagged once; a mapped group is created", () => {
+  const { records } = normalize([sheetRow(), sheetRow({ "Layer Limit": "20000000" })]);
+  const { issues } = buildImportTables(existingTables(), records);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].severity, "warning");
+  assert.match(issues[0].message, /New Carrier has no carrier group/);
+
+  const grouped = normalizeImportRows([{ ...sheetRow(), Group: "New Group" }], guessImportMapping([...HEADERS, "Group"]), {
+    insuranceProgram: "Imported Program"
+  });
+  const { tables, issues: groupedIssues } = buildImportTables(existingTables(), grouped.records);
+  assert.deepEqual(groupedIssues, []);
+  assert.equal(tables.carrierRows.at(-1).CarrierGroupID, tables.carrierGroupRows.at(-1).CarrierGroupID);
+  assert.equal(tables.carrierGroupRows.at(-1).CarrierGroupName, "New Group");
+});
+
+test("a program that already has policies is refused", () => {
+  const { records } = normalizeImportRows([sheetRow()], guessImportMapping(HEADERS), { insuranceProgram: "abc company" });
+  const errors = buildImportTables(existingTables(), records).issues.filter((i) => i.severity === "error");
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, "InsuranceProgram");
+});
+
+test("appended rows keep the file's line ending and column order", () => {
+  const crlf = "B,A\r\n2,1\r\n";
+  assert.equal(appendCsvRows(crlf, ["A", "B"], [{ A: "3", B: "4" }]), "B,A\r\n2,1\r\n4,3\r\n");
+  const lf = "A,B\n1,2";
+  assert.equal(appendCsvRows(lf, ["A", "B"], [{ A: "x,y", B: "" }]), 'A,B\n1,2\n"x,y",\n');
+});
+
+test("a new file gets a header", () => {
+  assert.equal(appendCsvRows("", ["A", "B"], [{ A: "1", B: "2" }]), "A,B\n1,2\n");
+});
+
+test("a value for a column the file lacks is refused", () => {
+  assert.throws(() => appendCsvRows("A\n1\n", ["A", "B"], [{ A: "2", B: "3" }]), /no B column/);
+  assert.equal(appendCsvRows("A\n1\n", ["A", "B"], [{ A: "2", B: "" }]), "A\n1\n2\n");
+});
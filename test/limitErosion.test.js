@@ -0,0 +1,63 @@
+// Aggregate erosion from tblPayments.csv: per-layer remaining limits and their proration to slices.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPaymentRecords,
+  buildErosionIndex,
+  erodeLayer,
+  erodeSlice,
+  erosionKey
+} from "../src/Modules/shared/js/core/limitErosion.js";
+
+test("payments are summed per policy and limit type up to the as-of date", () => {
+  const payments = buildPaymentRecords([
+    { PolicyID: "5", PolicyLimitTypeID: "1", PaymentDate: "2001-03-01", Amount: "250,000", ClaimRef: "C-1" },
+    { PolicyID: "5", PolicyLimitTypeID: "1", PaymentDate: "2003-03-01", Amount: "100000", ClaimRef: "C-2" },
+    { PolicyID: "5", PolicyLimitTypeID: "2", PaymentDate: "2001-03-01", Amount: "75000" },
+    { PolicyID: "", PolicyLimitTypeID: "1", PaymentDate: "2001-03-01", Amount: "1" },
+    { PolicyID: "5", PolicyLimitTypeID: "1", PaymentDate: "not a date", Amount: "1" }
+  ]);
+  assert.equal(payments.length, 3);
+  const index = buildErosionIndex({ payments, asOfDate: "2002-12-31" });
+  const bi = index.get(erosionKey("5", "1"));
+  assert.equal(bi.paid, 250000);
+  assert.deepEqual([...bi.claimRefs], ["C-1"]);
+  assert.equal(index.get(erosionKey("5", "2")).paid, 75000);
+  assert.equal(buildErosionIndex({ payments }).get(erosionKey("5", "1")).paid, 350000);
+});
+
+test("payments erode the aggregate, and the layer once the aggregate drops below it", () => {
+  assert.deepEqual(erodeLayer({ layerLimit: 10, aggregateLimit: 20, paid: 5 }), {
+    paidToDate: 5,
+    remainingAggregate: 15,
+    remaining: 10,
+    exhausted: 0,
+    status: "Intact"
+  });
+  const eroded = erodeLayer({ layerLimit: 10, aggregateLimit: 20, paid: 14 });
+  assert.equal(eroded.remaining, 6);
+  assert.equal(eroded.status, "Partially Eroded");
+  assert.equal(erodeLayer({ layerLimit: 10, aggregateLimit: 20, paid: 25 }).status, "Exhausted");
+});
+
+test("a layer without an aggregate is never eroded", () => {
+  const eroded = erodeLayer({ layerLimit: 10, aggregateLimit: 0, paid: 50 });
+  assert.equal(eroded.remainingAggregate, null);
+  assert.equal(eroded.remaining, 10);
+});
+
+test("a slice carrying the whole layer erodes like the layer", () => {
+  assert.deepEqual(
+    erodeSlice({ sliceLimit: 10, aggregateLimit: 20, paid: 14 }),
+    erodeLayer({ layerLimit: 10, aggregateLimit: 20, paid: 14 })
+  );
+});
+
+test("a partial slice is eroded on the policy's limits, then prorated", () => {
+  // Policy: $10M layer, $20M aggregate, $14M paid -> $6M of the layer left (60%).
+  const eroded = erodeSlice({ sliceLimit: 2.5, layerLimit: 10, aggregateLimit: 20, paid: 14 });
+  assert.equal(eroded.remaining, 1.5);
+  assert.equal(eroded.exhausted, 1);
+  assert.equal(eroded.remainingAggregate, 6);
+  assert.equal(eroded.status, "Partially Eroded");
+});
@@ -0,0 +1,91 @@
+// Rule-based narrative: which paragraphs appear for a set of facts and how they read.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  NOTABLE_CHANGE,
+  buildCoverageNarrative,
+  narrativeFromText,
+  narrativeToText
+} from "../src/Modules/shared/js/coverage/narrative.js";
+
+const facts = (extra = {}) => ({
+  scope: "ABC Company (Bodily Injury)",
+  years: [
+    { year: 1980, gross: 1000000 },
+    { year: 1981, gross: 1000000 },
+    { year: 1983, gross: 1000000 }
+  ],
+  totalGross: 3000000,
+  totalAvailable: 3000000,
+  policyCount: 3,
+  carriers: [
+    { name: "Carrier A", gross: 2000000, available: 2000000 },
+    { name: "Carrier B", gross: 1000000, available: 1000000 }
+  ],
+  gaps: [],
+  ...extra
+});
+
+test("no years in scope gives a single placeholder paragraph", () => {
+  assert.deepEqual(buildCoverageNarrative({ years: [] }), ["No coverage matches the current filters."]);
+});
+
+test("the span paragraph names the scope, the years and the missing years", () => {
+  const [span] = buildCoverageNarrative(facts());
+  assert.match(span, /^For ABC Company \(Bodily Injury\), coverage spans policy years 1980 to 1983 \(4 years\)/);
+  assert.match(span, /across 3 policies from 2 carriers\./);
+  assert.match(span, /No coverage was found for 1982\./);
+});
+
+test("fully collectible limits and no gaps are stated plainly", () => {
+  const text = buildCoverageNarrative(facts()).join("\n");
+  assert.match(text, /All limits in scope are with carriers that are solvent and available\./);
+  assert.match(text, /No gaps were found between layers in the towers\./);
+});
+
+test("the insolvency paragraph reports the uncollectible share and the carriers behind it", () => {
+  const text = buildCoverageNarrative(
+    facts({
+      totalAvailable: 2000000,
+      carriers: [
+        { name: "Carrier A", gross: 2000000, available: 2000000 },
+        { name: "Carrier B", gross: 1000000, available: 0 }
+      ]
+    })
+  ).join("\n");
+  assert.match(text, /\(33\.3% of total limits\) is not collectible/);
+  assert.match(text, /chiefly Carrier B\./);
+  assert.match(text, /\(66\.7%\) remains available\./);
+});
+
+test("the widest gap is described; gaps left null are not mentioned", () => {
+  const gaps = [
+    { year: 1980, bottom: 100, top: 200 },
+    { year: 1981, bottom: 500, top: 1500 }
+  ];
+  const withGaps = buildCoverageNarrative(facts({ gaps })).join("\n");
+  assert.match(withGaps, /2 gaps between layers in 2 policy years \(1980-1981\)/);
+  assert.match(withGaps, /from \$500 to \$1,500 in 1981\./);
+  assert.doesNotMatch(buildCoverageNarrative(facts({ gaps: null })).join("\n"), /gap/i);
+});
+
+test("only consecutive-year moves at or above the threshold are called out", () => {
+  const steady = buildCoverageNarrative(facts()).join("\n");
+  assert.match(steady, /held steady/);
+
+  const prior = 1000000;
+  const years = [
+    { year: 1980, gross: prior },
+    { year: 1981, gross: prior * (1 + NOTABLE_CHANGE) },
+    { year: 1983, gross: prior * 5 }
+  ];
+  const text = buildCoverageNarrative(facts({ years })).join("\n");
+  assert.match(text, /Notable year-over-year changes: total limits rose 25\.0% from \$1,000,000 in 1980/);
+  assert.doesNotMatch(text, /in 1983/);
+});
+
+test("edited text splits back into paragraphs on blank lines", () => {
+  const paragraphs = ["First line\ncontinues here.", "Second."];
+  assert.deepEqual(narrativeFromText(narrativeToText(paragraphs)), ["First line continues here.", "Second."]);
+  assert.deepEqual(narrativeFromText("  \n\n  "), []);
+});
@@ -0,0 +1,90 @@
+// Quota-share participation: the 0-100 scale parser and the not-100% check behind
+// the Data Quality tab and /api/slices.
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseParticipationPercent } from "../src/Modules/shared/js/core/participation.js";
+import { findQuotaShareIssues, quotaGroupKey } from "../src/Modules/shared/js/coverage/coverageChartEngine.js";
+import { createCoverageDataStore } from "../src/api/coverageApi.js";
+
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../src/data/OriginalFiles");
+
+const layer = (PolicyID, participationPercent, extra = {}) => ({
+  PolicyID,
+  policy_no: `P-${PolicyID}`,
+  carrier: `Carrier ${PolicyID}`,
+  insuranceProgramId: "1",
+  insuranceProgram: "ABC Company",
+  namedInsuredId: "1",
+  policyLimitTypeId: "1",
+  policyLimitType: "Bodily Injury",
+  year: 1986,
+  attach: 125000000,
+  quotaShareGroupId: "QS-1986-125",
+  participationPercent,
+  ...extra
+});
+
+const issuesFor = (slices) => findQuotaShareIssues(slices, new Set(slices.map(quotaGroupKey)));
+
+test("participation is read on the 0-100 scale", () => {
+  assert.deepEqual(parseParticipationPercent("40"), { percent: 40, error: "" });
+  assert.deepEqual(parseParticipationPercent(" 52% "), { percent: 52, error: "" });
+  assert.deepEqual(parseParticipationPercent(100), { percent: 100, error: "" });
+  // No fraction heuristic: 0.4 is 0.4%, not 40%.
+  assert.deepEqual(parseParticipationPercent("0.4"), { percent: 0.4, error: "" });
+});
+
+test("blank participation is undeclared, not an error", () => {
+  assert.deepEqual(parseParticipationPercent(""), { percent: null, error: "" });
+  assert.deepEqual(parseParticipationPercent(null), { percent: null, error: "" });
+});
+
+test("participation outside 0-100 or not a number is rejected", () => {
+  for (const raw of ["0", "-5", "150", "n/a"]) {
+    const { percent, error } = parseParticipationPercent(raw);
+    assert.equal(percent, null, raw);
+    assert.ok(error, raw);
+  }
+});
+
+test("a layer whose participation totals 100% has no issue", () => {
+  assert.deepEqual(issuesFor([layer("1", 48), layer("2", 52)]), []);
+});
+
+test("a layer totalling 97% is reported once with its participants", () => {
+  const issues = issuesFor([layer("1", 45), layer("2", 52)]);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].totalPercent, 97);
+  assert.equal(issues[0].missingCount, 0);
+  assert.deepEqual(issues[0].years, ["1986"]);
+  assert.deepEqual(
+    issues[0].participants.map((p) => p.participationPercent),
+    [45, 52]
+  );
+});
+
+test("participants without a declared share are counted as missing", () => {
+  const issues = issuesFor([layer("1", 48), layer("2", null)]);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].missingCount, 1);
+});
+
+test("layers with no declared participation are not checked", () => {
+  assert.deepEqual(issuesFor([layer("1", null), layer("2", null)]), []);
+});
+
+test("the same layer across years is one issue listing each year", () => {
+  const issues = issuesFor([layer("1", 45), layer("2", 52), layer("1", 45, { year: 1987 }), layer("2", 52, { year: 1987 })]);
+  assert.equal(issues.length, 1);
+  assert.deepEqual(issues[0].years, ["1986", "1987"]);
+});
+
+test("the sample data has no quota-share or participation issues", async () => {
+  const { issues } = await createCoverageDataStore({ dataDir: DATA_DIR }).getValidation();
+  const participation = issues.filter(
+    (i) => i.category === "Quota Share" || (i.category === "Invalid Value" && i.table === "tblPolicyLimits")
+  );
+  assert.deepEqual(participation, []);
+});
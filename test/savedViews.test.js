@@ -0,0 +1,33 @@
+// Saved views store: names are unique, and replacing one needs an explicit overwrite.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createSavedViewsStore, normalizeSavedView } from "../src/api/savedViewsApi.js";
+
+async function tempStore() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "saved-views-"));
+  return { dir, store: createSavedViewsStore({ filePath: path.join(dir, "savedViews.json") }) };
+}
+
+test("saving under an existing name is refused without overwrite", async () => {
+  const { dir, store } = await tempStore();
+  try {
+    const first = await store.save(normalizeSavedView({ name: "BI 1960s", view: "carrier" }).fields);
+    assert.equal(first.created, true);
+
+    const clash = await store.save(normalizeSavedView({ name: "bi 1960S", view: "program" }).fields);
+    assert.equal(clash.conflict.id, first.view.id);
+    assert.equal((await store.list())[0].view, "carrier");
+
+    const replaced = await store.save(normalizeSavedView({ name: "bi 1960S", view: "program" }).fields, { overwrite: true });
+    assert.equal(replaced.created, false);
+    assert.equal(replaced.view.id, first.view.id);
+    const views = await store.list();
+    assert.equal(views.length, 1);
+    assert.equal(views[0].view, "program");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});